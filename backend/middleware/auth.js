@@ -1,51 +1,103 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getActiveSession } = require('../services/sessions');
+const {
+  isPersonalAccessToken,
+  verifyPersonalAccessToken,
+  getRequiredScope,
+  hasScope
+} = require('../services/accessTokens');
+
+// Check an access token. Shared by HTTP requests and socket handshakes so
+// both accept exactly the same tokens. Resolves to { user, session, decoded }
+// or, for tokens that must be rejected, { error: { message, code } }.
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { error: { message: 'Token expired.', code: 'TOKEN_EXPIRED' } };
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return { error: { message: 'Invalid token.', code: 'INVALID_TOKEN' } };
+    }
+    throw error;
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    return { error: { message: 'Invalid token. User not found.', code: 'USER_NOT_FOUND' } };
+  }
+
+  if (!user.isActive) {
+    return { error: { message: 'Account is deactivated.', code: 'ACCOUNT_DEACTIVATED' } };
+  }
+
+  // Access tokens stay valid only as long as their session exists
+  const session = await getActiveSession(user._id, decoded.sessionId);
+  if (!session) {
+    return { error: { message: 'Session has been signed out.', code: 'SESSION_REVOKED' } };
+  }
+
+  return { user, session, decoded };
+};
+
+// Personal access tokens work only on the APIs their scopes cover. Requests
+// made with one have req.accessToken instead of req.sessionId.
+const authenticatePersonalAccessToken = async (req, res, next, token) => {
+  const result = await verifyPersonalAccessToken(token);
+  if (result.error) {
+    return res.status(401).json(result.error);
+  }
+
+  const scope = getRequiredScope(req);
+  if (!scope) {
+    return res.status(403).json({
+      message: 'Personal access tokens cannot be used for this request.',
+      code: 'TOKEN_NOT_ALLOWED'
+    });
+  }
+
+  if (!hasScope(result.accessToken, scope)) {
+    return res.status(403).json({
+      message: `Token is missing the ${scope} scope.`,
+      code: 'INSUFFICIENT_SCOPE'
+    });
+  }
+
+  req.user = result.user;
+  req.accessToken = result.accessToken;
+  next();
+};
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
-      return res.status(401).json({ 
+      return res.status(401).json({
         message: 'Access denied. No token provided.',
         code: 'NO_TOKEN'
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ 
-        message: 'Invalid token. User not found.',
-        code: 'USER_NOT_FOUND'
-      });
+    if (isPersonalAccessToken(token)) {
+      return await authenticatePersonalAccessToken(req, res, next, token);
     }
 
-    if (!user.isActive) {
-      return res.status(401).json({ 
-        message: 'Account is deactivated.',
-        code: 'ACCOUNT_DEACTIVATED'
-      });
+    const result = await verifyAccessToken(token);
+    if (result.error) {
+      return res.status(401).json(result.error);
     }
 
-    req.user = user;
+    req.user = result.user;
+    req.sessionId = result.session._id;
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        message: 'Invalid token.',
-        code: 'INVALID_TOKEN'
-      });
-    } else if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        message: 'Token expired.',
-        code: 'TOKEN_EXPIRED'
-      });
-    }
-    
     console.error('Auth middleware error:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       message: 'Server error during authentication.',
       code: 'SERVER_ERROR'
     });
@@ -56,16 +108,16 @@ const auth = async (req, res, next) => {
 const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (user && user.isActive) {
-        req.user = user;
+      const result = await verifyAccessToken(token);
+
+      if (!result.error) {
+        req.user = result.user;
+        req.sessionId = result.session._id;
       }
     }
-    
+
     next();
   } catch (error) {
     // For optional auth, we don't return errors, just continue without user
@@ -73,4 +125,35 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, optionalAuth };
\ No newline at end of file
+// Socket.io handshake middleware: the client sends its access token as
+// auth.token. Rejections carry the same codes as HTTP 401s in err.data.
+const socketAuth = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+
+    if (!token) {
+      const error = new Error('Access denied. No token provided.');
+      error.data = { code: 'NO_TOKEN' };
+      return next(error);
+    }
+
+    const result = await verifyAccessToken(token);
+    if (result.error) {
+      const error = new Error(result.error.message);
+      error.data = { code: result.error.code };
+      return next(error);
+    }
+
+    socket.data.userId = result.user._id.toString();
+    socket.data.sessionId = result.session._id.toString();
+    socket.data.tokenExpiresAt = result.decoded.exp * 1000;
+    next();
+  } catch (error) {
+    console.error('Socket auth error:', error);
+    const serverError = new Error('Server error during authentication.');
+    serverError.data = { code: 'SERVER_ERROR' };
+    next(serverError);
+  }
+};
+
+module.exports = { auth, optionalAuth, socketAuth, verifyAccessToken };
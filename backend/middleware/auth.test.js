@@ -0,0 +1,112 @@
+const express = require('express');
+const request = require('supertest');
+const AccessToken = require('../models/AccessToken');
+const User = require('../models/User');
+const { hashToken } = require('../services/sessions');
+const { auth, socketAuth } = require('./auth');
+
+const TOKEN = 'htp_test-token';
+const user = new User({ name: 'Sam', email: 'sam@example.com', password: 'Secret123' });
+
+const tokenWith = (scopes, fields = {}) => new AccessToken({
+  userId: user._id,
+  name: 'Script',
+  tokenHash: hashToken(TOKEN),
+  prefix: 'htp_test',
+  scopes,
+  lastUsedAt: new Date(),
+  ...fields
+});
+
+// A router per API that answers with what auth let through
+const app = express();
+['habits', 'tracking', 'auth', 'tokens'].forEach(resource => {
+  const router = express.Router();
+  router.all('/', auth, (req, res) => res.json({ userId: req.user._id, tokenId: req.accessToken?._id }));
+  app.use(`/api/${resource}`, router);
+});
+
+const call = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${TOKEN}`);
+
+beforeEach(() => {
+  user.isActive = true;
+  jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+  jest.spyOn(AccessToken, 'updateOne').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('personal access tokens', () => {
+  test('read scopes allow GET requests', async () => {
+    const token = tokenWith(['habits:read']);
+    jest.spyOn(AccessToken, 'findOne').mockResolvedValue(token);
+
+    const res = await call('get', '/api/habits');
+
+    expect(res.status).toBe(200);
+    expect(res.body.tokenId).toBe(token._id.toString());
+    expect(AccessToken.findOne).toHaveBeenCalledWith({ tokenHash: hashToken(TOKEN) });
+  });
+
+  test('read scopes refuse writes', async () => {
+    jest.spyOn(AccessToken, 'findOne').mockResolvedValue(tokenWith(['habits:read']));
+
+    const res = await call('post', '/api/habits');
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('INSUFFICIENT_SCOPE');
+    expect(res.body.message).toBe('Token is missing the habits:write scope.');
+  });
+
+  test('write scopes include read', async () => {
+    jest.spyOn(AccessToken, 'findOne').mockResolvedValue(tokenWith(['habits:write']));
+
+    expect((await call('get', '/api/habits')).status).toBe(200);
+    expect((await call('delete', '/api/habits')).status).toBe(200);
+  });
+
+  test('scopes only cover their own resource', async () => {
+    jest.spyOn(AccessToken, 'findOne').mockResolvedValue(tokenWith(['habits:write']));
+
+    const res = await call('get', '/api/tracking');
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('INSUFFICIENT_SCOPE');
+  });
+
+  test.each(['/api/auth', '/api/tokens'])('never work for %s', async (path) => {
+    jest.spyOn(AccessToken, 'findOne').mockResolvedValue(tokenWith(['habits:write']));
+
+    const res = await call('get', path);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('TOKEN_NOT_ALLOWED');
+  });
+
+  test('stop working once expired, revoked or their user is deactivated', async () => {
+    const findOne = jest.spyOn(AccessToken, 'findOne');
+
+    findOne.mockResolvedValue(tokenWith(['habits:read'], { expiresAt: new Date(Date.now() - 1000) }));
+    expect((await call('get', '/api/habits')).body.code).toBe('TOKEN_EXPIRED');
+
+    findOne.mockResolvedValue(null);
+    expect((await call('get', '/api/habits')).body.code).toBe('INVALID_TOKEN');
+
+    findOne.mockResolvedValue(tokenWith(['habits:read']));
+    user.isActive = false;
+    const res = await call('get', '/api/habits');
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('ACCOUNT_DEACTIVATED');
+  });
+
+  test('are refused by the socket handshake', async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    const next = jest.fn();
+
+    await socketAuth({ handshake: { auth: { token: TOKEN } }, data: {} }, next);
+
+    expect(next.mock.calls[0][0].data).toEqual({ code: 'INVALID_TOKEN' });
+  });
+});
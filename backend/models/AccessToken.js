@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A personal access token for scripts. Only the hash of the token is
+// stored; the token itself is shown once, when it is created. Scopes are
+// "<resource>:read" or "<resource>:write" (see services/accessTokens).
+const accessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot be more than 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Start of the token, so the owner can tell tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'Select at least one scope'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    default: null // Never expires
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+accessTokenSchema.index({ tokenHash: 1 }, { unique: true });
+accessTokenSchema.index({ userId: 1, createdAt: -1 });
+
+accessTokenSchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt) && this.expiresAt <= new Date();
+};
+
+module.exports = mongoose.model('AccessToken', accessTokenSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// An achievement a user earned. `key` refers to the catalog in
+// utils/achievements; the unique index awards each badge only once.
+const achievementSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  habitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Habit',
+    default: null // The habit that earned it, for streak badges
+  },
+  unlockedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient queries
+achievementSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('Achievement', achievementSchema);
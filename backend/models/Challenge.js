@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// No 0/O or 1/I, so codes can be read out loud
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+
+// The habit every participant gets. Cloned into each participant's habit list
+// when they join; the leaderboard measures everyone against it.
+const templateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Habit name is required'],
+    trim: true,
+    maxlength: [100, 'Habit name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    default: 'daily'
+  },
+  goal: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Goal cannot be more than 200 characters']
+  },
+  category: {
+    type: String,
+    enum: ['health', 'fitness', 'productivity', 'learning', 'social', 'spiritual', 'creative', 'other'],
+    default: 'other'
+  },
+  color: {
+    type: String,
+    default: '#3B82F6',
+    match: [/^#[0-9A-F]{6}$/i, 'Please enter a valid hex color']
+  },
+  targetDays: {
+    type: [String],
+    default: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+    validate: {
+      validator: function(days) {
+        const validDays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+        return days.every(day => validDays.includes(day));
+      },
+      message: 'Invalid day specified'
+    }
+  },
+  target: {
+    amount: { type: Number, min: 0, default: null },
+    unit: { type: String, trim: true, maxlength: 20 },
+    comparison: { type: String, enum: ['at-least', 'at-most'], default: 'at-least' },
+    aggregation: { type: String, enum: ['sum', 'average', 'max'], default: 'sum' }
+  }
+}, { _id: false });
+
+const participantSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The participant's copy of the template
+  habitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Habit',
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A group challenge (e.g. "30 days of 10k steps") that users join with a code
+const challengeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Challenge name is required'],
+    trim: true,
+    maxlength: [100, 'Challenge name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Calendar days (midnight UTC), both inclusive
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  joinCode: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  template: {
+    type: templateSchema,
+    required: true
+  },
+  participants: {
+    type: [participantSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+challengeSchema.index({ joinCode: 1 }, { unique: true });
+challengeSchema.index({ 'participants.userId': 1, endDate: -1 });
+
+challengeSchema.statics.generateJoinCode = function() {
+  let code = '';
+  for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+    code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+// A user's participant entry, or null (works with populated ids too)
+challengeSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(p => p.userId && (p.userId._id || p.userId).toString() === userId.toString()) || null;
+};
+
+module.exports = mongoose.model('Challenge', challengeSchema);
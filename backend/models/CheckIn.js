@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Append-only log of check-ins. Each check-in adds (or, when negative,
+// removes) an amount for a habit on a day; the day's TrackingEntry value is
+// the running total of its check-ins.
+const checkInSchema = new mongoose.Schema({
+  habitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Habit',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrackingEntry'
+  },
+  date: {
+    type: Date,
+    required: true // Day start the check-in rolls up into
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  source: {
+    type: String,
+    enum: ['checkin', 'adjustment'],
+    default: 'checkin' // Adjustments keep the log in step with values set directly
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for efficient queries
+checkInSchema.index({ habitId: 1, date: 1, timestamp: 1 });
+checkInSchema.index({ userId: 1, timestamp: -1 });
+
+// Static method to total the check-ins of a habit on a day
+checkInSchema.statics.getDayTotal = async function(habitId, date) {
+  const result = await this.aggregate([
+    {
+      $match: {
+        habitId: new mongoose.Types.ObjectId(habitId),
+        date
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return result.length > 0 ? result[0] : { total: 0, count: 0 };
+};
+
+module.exports = mongoose.model('CheckIn', checkInSchema);
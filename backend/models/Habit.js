@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
 const habitSchema = new mongoose.Schema({
@@ -53,10 +54,61 @@ const habitSchema = new mongoose.Schema({
     type: String,
     match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please enter a valid time format (HH:MM)']
   },
+  reminderMuted: {
+    type: Boolean,
+    default: false
+  },
+  // What accountability partners see of this habit: nothing, its streak and
+  // completions, or also the notes and values logged
+  sharing: {
+    type: String,
+    enum: ['private', 'streak', 'notes'],
+    default: 'private'
+  },
+  // SHA-256 of the secret that lets embeddable badges (routes/badges) show
+  // this habit; null until the owner creates one. The token itself is only
+  // shown when it is created.
+  shareTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  shareTokenCreatedAt: {
+    type: Date,
+    default: null
+  },
+  // SHA-256 of the secret in the check-in URL (routes/hooks) that marks this
+  // habit done without logging in; null while disabled. Like the share token,
+  // the token itself is only shown when it is created.
+  checkinTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  checkinTokenCreatedAt: {
+    type: Date,
+    default: null
+  },
+  // The group challenge this habit was cloned from, if any
+  challengeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    default: null
+  },
+  // One-off reminder requested by snoozing; cleared once it is sent
+  reminderSnoozedUntil: {
+    type: Date,
+    default: null
+  },
+  // Inactive habits are archived: hidden from tracking, history kept
   isActive: {
     type: Boolean,
     default: true
   },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
   order: {
     type: Number,
     default: 0
@@ -65,14 +117,57 @@ const habitSchema = new mongoose.Schema({
     type: Number,
     default: 7,
     min: [1, 'Streak target must be at least 1']
+  },
+  // Measurable target for quantitative habits (e.g. 8 glasses/day, 150 minutes/week).
+  // Measured per schedule period: day, week or month depending on frequency.
+  target: {
+    amount: {
+      type: Number,
+      min: [0, 'Target amount cannot be negative'],
+      default: null
+    },
+    unit: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Unit cannot be more than 20 characters']
+    },
+    comparison: {
+      type: String,
+      enum: ['at-least', 'at-most'],
+      default: 'at-least'
+    },
+    aggregation: {
+      type: String,
+      enum: ['sum', 'average', 'max'],
+      default: 'sum'
+    }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Token hashes never leave the server, even when a query selected them
+    transform: (doc, ret) => {
+      delete ret.shareTokenHash;
+      delete ret.checkinTokenHash;
+      return ret;
+    }
+  }
 });
 
 // Indexes for performance
 habitSchema.index({ userId: 1, isActive: 1 });
 habitSchema.index({ userId: 1, order: 1 });
+habitSchema.index({ shareTokenHash: 1 }, { unique: true, partialFilterExpression: { shareTokenHash: { $type: 'string' } } });
+habitSchema.index({ checkinTokenHash: 1 }, { unique: true, partialFilterExpression: { checkinTokenHash: { $type: 'string' } } });
+
+// 144 random bits, URL-safe; for share and check-in tokens
+habitSchema.statics.generateToken = function() {
+  return crypto.randomBytes(18).toString('base64url');
+};
+
+habitSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
 
 // Virtual for current streak (calculated from tracking entries)
 habitSchema.virtual('currentStreak', {
@@ -82,15 +177,19 @@ habitSchema.virtual('currentStreak', {
   justOne: false
 });
 
-// Static method to get habits with tracking data
-habitSchema.statics.getHabitsWithTracking = async function(userId, startDate, endDate) {
+// Static method to get habits with tracking data. `filter` narrows the
+// habits further and defaults to active ones.
+habitSchema.statics.getHabitsWithTracking = async function(userId, startDate, endDate, filter = { isActive: true }) {
   return this.aggregate([
     {
       $match: { 
         userId: new mongoose.Types.ObjectId(userId),
-        isActive: true
+        ...filter
       }
     },
+    {
+      $project: { shareTokenHash: 0, checkinTokenHash: 0 } // Aggregations ignore `select: false`
+    },
     {
       $lookup: {
         from: 'trackingentries',
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// An accountability partnership between two users. It starts as an
+// invitation from the requester; once accepted, each partner can see the
+// habits the other shares (Habit.sharing) and send them nudges. Declined and
+// revoked partnerships are kept so a new invitation can be sent later.
+//
+// Invitations are addressed to an email. One to an email without an account
+// waits with no recipientId until someone registers with it, so inviting
+// doesn't reveal who has an account.
+const partnershipSchema = new mongoose.Schema({
+  requesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The email the invitation was sent to
+  recipientEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  // Last nudge sent by each partner, keyed by user id
+  lastNudgeAt: {
+    type: Map,
+    of: Date,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+partnershipSchema.index({ requesterId: 1, status: 1 });
+partnershipSchema.index({ recipientId: 1, status: 1 });
+// One pending invitation per requester and email
+partnershipSchema.index(
+  { requesterId: 1, recipientEmail: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending', recipientEmail: { $type: 'string' } } }
+);
+
+// Filter for the partnerships a user is part of
+partnershipSchema.statics.involving = function(userId) {
+  return { $or: [{ requesterId: userId }, { recipientId: userId }] };
+};
+
+// Attach invitations waiting for an email to the account just registered
+// with it
+partnershipSchema.statics.linkInvitations = function(user) {
+  return this.updateMany(
+    { recipientEmail: user.email, recipientId: null, status: 'pending' },
+    { recipientId: user._id }
+  );
+};
+
+// Id of the other user in a partnership (works with populated ids too)
+partnershipSchema.methods.getPartnerId = function(userId) {
+  const requesterId = this.requesterId._id || this.requesterId;
+  const recipientId = this.recipientId?._id || this.recipientId;
+  return requesterId.toString() === userId.toString() ? recipientId : requesterId;
+};
+
+module.exports = mongoose.model('Partnership', partnershipSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A stretch of time off: vacation, sickness or a plain pause. Without a
+// habitId it covers every habit of the user. Unmet occurrences that overlap
+// a pause are left out of streaks and completion rates (see utils/schedule).
+const pauseSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  habitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Habit',
+    default: null // Account-wide
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'] // Day start, like tracking entries
+  },
+  endDate: {
+    type: Date,
+    default: null // Last paused day (inclusive); null until resumed
+  },
+  reason: {
+    type: String,
+    enum: ['vacation', 'sick', 'pause', 'other'],
+    default: 'pause'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot be more than 200 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+pauseSchema.index({ userId: 1, startDate: -1 });
+pauseSchema.index({ habitId: 1 });
+
+module.exports = mongoose.model('Pause', pauseSchema);
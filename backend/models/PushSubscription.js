@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription. One user can have several (one per
+// browser and device); the endpoint identifies the subscription.
+const pushSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+pushSubscriptionSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
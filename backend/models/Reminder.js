@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Reminder history: one record per habit and reminder time the scheduler
+// looked at, whether it was delivered or skipped. The unique index also
+// stops two scheduler runs (or servers) from sending the same reminder.
+const reminderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  habitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Habit',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true // Day start the reminder belongs to
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['scheduled', 'snooze'],
+    default: 'scheduled'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  // Why a reminder was skipped, e.g. 'completed' or 'not-target-day'
+  reason: String,
+  deliveries: [{
+    _id: false,
+    channel: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'failed', 'skipped'],
+      required: true
+    },
+    error: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+reminderSchema.index({ habitId: 1, scheduledFor: 1 }, { unique: true });
+reminderSchema.index({ userId: 1, scheduledFor: -1 });
+reminderSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Keep 30 days of history
+
+module.exports = mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Each session holds the hash of its current refresh
+// token; access tokens carry the session id, so deleting a session signs
+// that device out once its access token is refreshed or checked.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token this one replaced. Seeing it again means a rotated
+  // token was replayed, so the session is treated as stolen.
+  previousTokenHash: String,
+  rotatedAt: Date,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  device: {
+    type: String,
+    maxlength: 100
+  },
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ userId: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB remove expired sessions
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A public, read-only progress page for some of a user's habits. Anyone with
+// the slug can view it until it expires or the owner deletes it.
+const shareLinkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  slug: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  habitIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Habit' }],
+    validate: {
+      validator: ids => ids.length > 0,
+      message: 'Select at least one habit'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    default: null // Never expires
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+shareLinkSchema.index({ slug: 1 }, { unique: true });
+shareLinkSchema.index({ userId: 1, createdAt: -1 });
+
+// 144 random bits, URL-safe
+shareLinkSchema.statics.generateSlug = function() {
+  return crypto.randomBytes(18).toString('base64url');
+};
+
+shareLinkSchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt) && this.expiresAt <= new Date();
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, getDayRange } = require('../utils/dateUtils');
+const {
+  getPeriodStart,
+  getPeriodEnd,
+  getEarliestPeriodStart,
+  getOccurrences,
+  summarizeOccurrences,
+  getStreaks,
+  groupEntriesByHabit
+} = require('../utils/schedule');
+const { hasTarget, deriveCompletion } = require('../utils/targets');
+const Pause = require('./Pause');
 
 const trackingEntrySchema = new mongoose.Schema({
   habitId: {
@@ -19,6 +31,10 @@ const trackingEntrySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  skipped: {
+    type: Boolean,
+    default: false // Excused day off: doesn't count as missed (see utils/schedule)
+  },
   notes: {
     type: String,
     trim: true,
@@ -52,86 +68,94 @@ trackingEntrySchema.index({ habitId: 1, userId: 1, date: 1 }, { unique: true });
 trackingEntrySchema.index({ userId: 1, date: -1 });
 trackingEntrySchema.index({ habitId: 1, date: -1 });
 
-// Static method to get completion rate for a habit
-trackingEntrySchema.statics.getCompletionRate = async function(habitId, startDate, endDate) {
-  const result = await this.aggregate([
-    {
-      $match: {
-        habitId: new mongoose.Types.ObjectId(habitId),
-        date: { $gte: startDate, $lte: endDate }
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        totalEntries: { $sum: 1 },
-        completedEntries: {
-          $sum: { $cond: [{ $eq: ['$completed', true] }, 1, 0] }
-        }
-      }
-    },
-    {
-      $project: {
-        completionRate: {
-          $cond: [
-            { $eq: ['$totalEntries', 0] },
-            0,
-            { $divide: ['$completedEntries', '$totalEntries'] }
-          ]
-        }
-      }
-    }
+// The pauses of the habits' owners, which excuse unmet occurrences, keyed by
+// user id: an account-wide pause only covers its own user's habits
+const findPausesByUser = async (habits) => {
+  const userIds = [...new Set(habits.map(habit => habit.userId.toString()))];
+  const pauses = await Pause.find({ userId: { $in: userIds } });
+
+  return pauses.reduce((acc, pause) => {
+    const userId = pause.userId.toString();
+    if (!acc.has(userId)) acc.set(userId, []);
+    acc.get(userId).push(pause);
+    return acc;
+  }, new Map());
+};
+
+// Completion rates of several habits: the share of their due occurrences
+// (see utils/schedule) that were completed. Entries and pauses are loaded
+// once for all of them. Resolves to a Map of habit id to rate.
+trackingEntrySchema.statics.getCompletionRates = async function(habits, startDate, endDate, timezone = DEFAULT_TIMEZONE) {
+  const rates = new Map();
+  if (habits.length === 0) return rates;
+
+  const [entries, pausesByUser] = await Promise.all([
+    this.find({
+      habitId: { $in: habits.map(habit => habit._id) },
+      date: { $gte: getEarliestPeriodStart(habits, startDate), $lte: endDate }
+    }),
+    findPausesByUser(habits)
   ]);
-  
-  return result.length > 0 ? result[0].completionRate : 0;
+  const entriesByHabit = groupEntriesByHabit(entries);
+
+  habits.forEach(habit => {
+    const occurrences = getOccurrences(habit, entriesByHabit[habit._id.toString()] || [], {
+      startDate,
+      endDate,
+      timezone,
+      pauses: pausesByUser.get(habit.userId.toString()) || []
+    });
+    rates.set(habit._id.toString(), summarizeOccurrences(occurrences).completionRate);
+  });
+
+  return rates;
 };
 
-// Static method to calculate current streak
-trackingEntrySchema.statics.getCurrentStreak = async function(habitId) {
-  const entries = await this.find({
-    habitId: new mongoose.Types.ObjectId(habitId),
-    completed: true
-  }).sort({ date: -1 }).limit(100); // Get recent completed entries
-  
-  if (entries.length === 0) return 0;
-  
-  let streak = 0;
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  // Check if today is completed
-  const todayEntry = entries.find(entry => {
-    const entryDate = new Date(entry.date);
-    entryDate.setHours(0, 0, 0, 0);
-    return entryDate.getTime() === today.getTime();
+trackingEntrySchema.statics.getCompletionRate = async function(habit, startDate, endDate, timezone = DEFAULT_TIMEZONE) {
+  const rates = await this.getCompletionRates([habit], startDate, endDate, timezone);
+  return rates.get(habit._id.toString());
+};
+
+// Current streaks of several habits, counted in due occurrences (days, weeks
+// or months depending on each habit's frequency). A streak can reach back
+// through a habit's whole history, so lists of habits load it, and their
+// owners' pauses, in one query each rather than per habit. Resolves to a Map
+// of habit id to streak.
+trackingEntrySchema.statics.getCurrentStreaks = async function(habits, timezone = DEFAULT_TIMEZONE) {
+  const streaks = new Map();
+  if (habits.length === 0) return streaks;
+
+  const [entries, pausesByUser] = await Promise.all([
+    this.find({ habitId: { $in: habits.map(habit => habit._id) } })
+      .select('habitId date completed value skipped'),
+    findPausesByUser(habits)
+  ]);
+  const entriesByHabit = groupEntriesByHabit(entries);
+
+  habits.forEach(habit => {
+    const habitEntries = entriesByHabit[habit._id.toString()] || [];
+    const occurrences = habitEntries.length > 0
+      ? getOccurrences(habit, habitEntries, { timezone, pauses: pausesByUser.get(habit.userId.toString()) || [] })
+      : [];
+    streaks.set(habit._id.toString(), getStreaks(occurrences).current);
   });
-  
-  let currentDate = todayEntry ? new Date(today) : new Date(today.getTime() - 24 * 60 * 60 * 1000);
-  
-  for (const entry of entries) {
-    const entryDate = new Date(entry.date);
-    entryDate.setHours(0, 0, 0, 0);
-    
-    if (entryDate.getTime() === currentDate.getTime()) {
-      streak++;
-      currentDate.setDate(currentDate.getDate() - 1);
-    } else if (entryDate.getTime() < currentDate.getTime()) {
-      break;
-    }
-  }
-  
-  return streak;
+
+  return streaks;
+};
+
+trackingEntrySchema.statics.getCurrentStreak = async function(habit, timezone = DEFAULT_TIMEZONE) {
+  const streaks = await this.getCurrentStreaks([habit], timezone);
+  return streaks.get(habit._id.toString());
 };
 
 // Static method to get habit analytics
-trackingEntrySchema.statics.getHabitAnalytics = async function(habitId, days = 30) {
-  const endDate = new Date();
-  const startDate = new Date(endDate.getTime() - (days * 24 * 60 * 60 * 1000));
+trackingEntrySchema.statics.getHabitAnalytics = async function(habit, days = 30, timezone = DEFAULT_TIMEZONE) {
+  const { startDate, endDate } = getDayRange(days, timezone);
   
   const analytics = await this.aggregate([
     {
       $match: {
-        habitId: new mongoose.Types.ObjectId(habitId),
+        habitId: new mongoose.Types.ObjectId(habit._id),
         date: { $gte: startDate, $lte: endDate }
       }
     },
@@ -149,13 +173,63 @@ trackingEntrySchema.statics.getHabitAnalytics = async function(habitId, days = 3
     }
   ]);
   
-  const currentStreak = await this.getCurrentStreak(habitId);
+  const [currentStreak, completionRate] = await Promise.all([
+    this.getCurrentStreak(habit, timezone),
+    this.getCompletionRate(habit, startDate, endDate, timezone)
+  ]);
   
   return {
     ...analytics[0] || { totalDays: 0, completedDays: 0 },
     currentStreak,
-    completionRate: analytics[0] ? analytics[0].completedDays / analytics[0].totalDays : 0
+    completionRate
   };
 };
 
+// Static method to re-derive `completed` on a quantitative habit's entries
+// from their progress toward the target (see utils/targets). Only the
+// schedule period containing `date` is synced when a date is given.
+trackingEntrySchema.statics.syncTargetProgress = async function(habit, date = null) {
+  if (!hasTarget(habit)) return [];
+  
+  const query = { habitId: habit._id };
+  if (date) {
+    const periodStart = getPeriodStart(habit, date);
+    query.date = { $gte: periodStart, $lte: getPeriodEnd(habit, periodStart) };
+  }
+  
+  const entries = await this.find(query).sort({ date: 1 });
+  
+  // Group entries by schedule period
+  const periods = entries.reduce((acc, entry) => {
+    const key = getPeriodStart(habit, entry.date).getTime();
+    if (!acc[key]) {
+      acc[key] = [];
+    }
+    acc[key].push(entry);
+    return acc;
+  }, {});
+  
+  const changed = [];
+  Object.values(periods).forEach(periodEntries => {
+    const flags = deriveCompletion(habit, periodEntries);
+    periodEntries.forEach((entry, index) => {
+      if (entry.completed !== flags[index]) {
+        entry.completed = flags[index];
+        changed.push(entry);
+      }
+    });
+  });
+  
+  if (changed.length > 0) {
+    await this.bulkWrite(changed.map(entry => ({
+      updateOne: {
+        filter: { _id: entry._id },
+        update: { $set: { completed: entry.completed } }
+      }
+    })));
+  }
+  
+  return entries;
+};
+
 module.exports = mongoose.model('TrackingEntry', trackingEntrySchema);
\ No newline at end of file
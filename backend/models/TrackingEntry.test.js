@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const TrackingEntry = require('./TrackingEntry');
+const Pause = require('./Pause');
+
+const day = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+const id = () => new mongoose.Types.ObjectId();
+
+const userA = id();
+const userB = id();
+const habit = (userId) => ({ _id: id(), userId, frequency: 'daily', createdAt: day('2024-01-01') });
+const walk = habit(userA);
+const read = habit(userA);
+const swim = habit(userB);
+
+// Done on the 1st and 3rd; the 2nd is missed
+const entries = [walk, swim].flatMap(h => [
+  new TrackingEntry({ habitId: h._id, userId: h.userId, date: day('2024-01-01'), completed: true }),
+  new TrackingEntry({ habitId: h._id, userId: h.userId, date: day('2024-01-03'), completed: true })
+]);
+
+// User A was away on the 2nd; the pause covers all of their habits
+const pauses = [new Pause({ userId: userA, habitId: null, startDate: day('2024-01-02'), endDate: day('2024-01-02') })];
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-01-03T12:00:00.000Z') });
+  jest.spyOn(Pause, 'find').mockResolvedValue(pauses);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('getCurrentStreaks', () => {
+  test('loads every habit\'s history and pauses once', async () => {
+    const select = jest.fn().mockResolvedValue(entries);
+    jest.spyOn(TrackingEntry, 'find').mockReturnValue({ select });
+
+    const streaks = await TrackingEntry.getCurrentStreaks([walk, read, swim], 'UTC');
+
+    expect(TrackingEntry.find).toHaveBeenCalledTimes(1);
+    expect(TrackingEntry.find).toHaveBeenCalledWith({ habitId: { $in: [walk._id, read._id, swim._id] } });
+    expect(Pause.find).toHaveBeenCalledTimes(1);
+    expect(Pause.find).toHaveBeenCalledWith({ userId: { $in: [userA.toString(), userB.toString()] } });
+
+    // Only user A's own pause excuses the missed day
+    expect(streaks.get(walk._id.toString())).toBe(2);
+    expect(streaks.get(swim._id.toString())).toBe(1);
+    expect(streaks.get(read._id.toString())).toBe(0);
+  });
+
+  test('queries nothing without habits', async () => {
+    jest.spyOn(TrackingEntry, 'find');
+
+    expect((await TrackingEntry.getCurrentStreaks([])).size).toBe(0);
+    expect(TrackingEntry.find).not.toHaveBeenCalled();
+  });
+
+  test('backs the single-habit streak', async () => {
+    jest.spyOn(TrackingEntry, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(entries.slice(0, 2)) });
+
+    expect(await TrackingEntry.getCurrentStreak(walk, 'UTC')).toBe(2);
+  });
+});
+
+describe('getCompletionRates', () => {
+  test('rates every habit from one query', async () => {
+    jest.spyOn(TrackingEntry, 'find').mockResolvedValue(entries);
+
+    const rates = await TrackingEntry.getCompletionRates([walk, read, swim], day('2024-01-01'), day('2024-01-02'), 'UTC');
+
+    expect(TrackingEntry.find).toHaveBeenCalledTimes(1);
+    expect(rates.get(walk._id.toString())).toBe(1);
+    expect(rates.get(swim._id.toString())).toBe(0.5);
+    expect(rates.get(read._id.toString())).toBe(0);
+  });
+});
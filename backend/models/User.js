@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimezone } = require('../utils/dateUtils');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -31,9 +33,28 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Where habit reminders are delivered (notifications must be on too)
+    reminderChannels: {
+      inApp: {
+        type: Boolean,
+        default: true
+      },
+      email: {
+        type: Boolean,
+        default: false
+      },
+      push: {
+        type: Boolean,
+        default: true
+      }
+    },
     timezone: {
       type: String,
-      default: 'UTC'
+      default: 'UTC',
+      validate: {
+        validator: isValidTimezone,
+        message: 'Invalid timezone specified'
+      }
     }
   },
   resetPasswordToken: String,
@@ -48,6 +69,11 @@ const userSchema = new mongoose.Schema({
 
 // Index for performance
 userSchema.index({ email: 1 });
+userSchema.index({ resetPasswordToken: 1 }, { sparse: true });
+
+// Reset tokens are stored as SHA-256 hashes so a leaked database cannot be
+// used to reset passwords
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -73,6 +99,31 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Start a password reset: store a hashed token that expires after
+// RESET_PASSWORD_EXPIRE minutes and return the plain token for the email
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.RESET_PASSWORD_EXPIRE || '60');
+
+  this.resetPasswordToken = hashResetToken(token);
+  this.resetPasswordExpire = new Date(Date.now() + minutes * 60 * 1000);
+  return token;
+};
+
+userSchema.methods.clearPasswordResetToken = function() {
+  this.resetPasswordToken = undefined;
+  this.resetPasswordExpire = undefined;
+};
+
+// Find the active user a reset token was issued to, if it has not expired
+userSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    resetPasswordToken: hashResetToken(token),
+    resetPasswordExpire: { $gt: new Date() },
+    isActive: true
+  });
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
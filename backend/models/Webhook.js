@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A URL the user wants habit and tracking events POSTed to. Payloads are
+// signed with `secret` (see services/webhooks), so it is kept as is rather
+// than hashed.
+const webhookSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2000, 'Webhook URL cannot be more than 2000 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Description cannot be more than 100 characters']
+  },
+  events: {
+    type: [String],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Select at least one event'
+    }
+  },
+  secret: {
+    type: String,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+webhookSchema.index({ userId: 1, isActive: 1 });
+
+webhookSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One event sent to one webhook, with every attempt to deliver it. Pending
+// deliveries are retried at nextAttemptAt until they succeed or run out of
+// attempts.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true // The exact body, so retries send the same thing
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  attempts: [{
+    _id: false,
+    attemptedAt: {
+      type: Date,
+      required: true
+    },
+    statusCode: Number, // Missing when no response came back
+    error: String,
+    durationMs: Number
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Keep 30 days of history
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
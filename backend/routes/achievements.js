@@ -0,0 +1,41 @@
+const express = require('express');
+const Achievement = require('../models/Achievement');
+const { auth } = require('../middleware/auth');
+const { ACHIEVEMENTS } = require('../utils/achievements');
+
+const router = express.Router();
+
+// @route   GET /api/achievements
+// @desc    Get the achievement catalog with the user's unlocked badges
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const awards = await Achievement.find({ userId: req.user._id })
+      .populate('habitId', 'name color');
+    const awardsByKey = new Map(awards.map(award => [award.key, award]));
+
+    const achievements = ACHIEVEMENTS.map(achievement => {
+      const award = awardsByKey.get(achievement.key);
+      return {
+        ...achievement,
+        unlocked: Boolean(award),
+        unlockedAt: award ? award.unlockedAt : null,
+        habit: award ? award.habitId : null
+      };
+    });
+
+    res.json({
+      achievements,
+      unlocked: achievements.filter(achievement => achievement.unlocked).length,
+      total: ACHIEVEMENTS.length
+    });
+  } catch (error) {
+    console.error('Get achievements error:', error);
+    res.status(500).json({
+      message: 'Server error getting achievements',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
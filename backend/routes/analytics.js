@@ -1,25 +1,46 @@
 const express = require('express');
+const { query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const TrackingEntry = require('../models/TrackingEntry');
 const Habit = require('../models/Habit');
+const Pause = require('../models/Pause');
 const { auth } = require('../middleware/auth');
+const { resolveTimezone, getToday, toDayStart, getDayRange, addDays, diffInDays, toDateKey } = require('../utils/dateUtils');
+const {
+  getPeriodStart,
+  getEarliestPeriodStart,
+  getOccurrences,
+  summarizeOccurrences,
+  getStreaks,
+  getUpcomingDueDates,
+  getStreakUnit,
+  groupEntriesByHabit
+} = require('../utils/schedule');
+const { hasTarget, getPeriodProgress } = require('../utils/targets');
+const { STREAK_MILESTONES } = require('../utils/achievements');
+const { buildHeatmap } = require('../utils/heatmap');
+const { renderReportHtml, renderReportPdf } = require('../utils/reportRenderers');
 
 const router = express.Router();
 
+// Habits analytics cover: active ones, plus archived ones with
+// ?includeArchived=true so their history still counts
+const habitFilter = (user, includeArchived) => ({
+  userId: user._id,
+  ...(String(includeArchived) === 'true' ? {} : { isActive: true })
+});
+
 // @route   GET /api/analytics/overview
 // @desc    Get overall analytics for user
 // @access  Private
 router.get('/overview', auth, async (req, res) => {
   try {
-    const { days = 30 } = req.query;
-    const endDate = new Date();
-    const startDate = new Date(endDate.getTime() - (parseInt(days) * 24 * 60 * 60 * 1000));
+    const { days = 30, includeArchived } = req.query;
+    const timezone = resolveTimezone(req.user);
+    const { startDate, endDate } = getDayRange(parseInt(days), timezone);
     
-    // Get user's active habits
-    const habits = await Habit.find({
-      userId: req.user._id,
-      isActive: true
-    });
+    // Get user's habits
+    const habits = await Habit.find(habitFilter(req.user, includeArchived));
     
     if (habits.length === 0) {
       return res.json({
@@ -39,21 +60,38 @@ router.get('/overview', auth, async (req, res) => {
     
     const habitIds = habits.map(h => h._id);
     
-    // Get all tracking entries for the period
-    const entries = await TrackingEntry.find({
-      userId: req.user._id,
-      habitId: { $in: habitIds },
-      date: { $gte: startDate, $lte: endDate }
-    });
+    // The weekly trends below always cover the last 7 days
+    const trendsStart = addDays(endDate, -6);
+    const rangeStart = trendsStart < startDate ? trendsStart : startDate;
+    
+    // Get all tracking entries for the period, and the user's pauses
+    const [entries, pauses] = await Promise.all([
+      TrackingEntry.find({
+        userId: req.user._id,
+        habitId: { $in: habitIds },
+        date: { $gte: getEarliestPeriodStart(habits, rangeStart), $lte: endDate }
+      }),
+      Pause.find({ userId: req.user._id })
+    ]);
+    
+    // Work out which occurrences of each habit were due
+    const entriesByHabit = groupEntriesByHabit(entries);
+    const occurrences = habits.flatMap(habit =>
+      getOccurrences(habit, entriesByHabit[habit._id.toString()] || [], {
+        startDate: rangeStart,
+        endDate,
+        timezone,
+        pauses
+      })
+    );
     
-    // Calculate overall completion rate
-    const totalPossibleEntries = habits.length * parseInt(days);
-    const completedEntries = entries.filter(e => e.completed).length;
-    const completionRate = totalPossibleEntries > 0 ? (completedEntries / totalPossibleEntries) * 100 : 0;
+    // Calculate overall completion rate against due occurrences
+    const summary = summarizeOccurrences(occurrences.filter(o => o.date >= startDate));
+    const completionRate = summary.completionRate * 100;
     
     // Calculate streaks for all habits
-    const streakPromises = habitIds.map(habitId => TrackingEntry.getCurrentStreak(habitId));
-    const streaks = await Promise.all(streakPromises);
+    const streaksByHabit = await TrackingEntry.getCurrentStreaks(habits, timezone);
+    const streaks = [...streaksByHabit.values()];
     const totalStreaks = streaks.reduce((sum, streak) => sum + streak, 0);
     const averageStreak = habits.length > 0 ? totalStreaks / habits.length : 0;
     const longestStreak = Math.max(...streaks, 0);
@@ -68,18 +106,16 @@ router.get('/overview', auth, async (req, res) => {
     // Weekly trends (last 7 days)
     const weeklyTrends = [];
     for (let i = 6; i >= 0; i--) {
-      const date = new Date(endDate.getTime() - (i * 24 * 60 * 60 * 1000));
-      date.setHours(0, 0, 0, 0);
-      const nextDate = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+      const date = addDays(endDate, -i);
       
-      const dayEntries = entries.filter(e => 
-        e.date >= date && e.date < nextDate && e.completed
-      );
+      const dueOccurrences = occurrences.filter(o => o.date.getTime() === date.getTime());
+      const completedHabits = dueOccurrences.filter(o => o.completed).length;
       
       weeklyTrends.push({
-        date: date.toISOString().split('T')[0],
-        completedHabits: dayEntries.length,
-        completionRate: habits.length > 0 ? (dayEntries.length / habits.length) * 100 : 0
+        date: toDateKey(date),
+        dueHabits: dueOccurrences.length,
+        completedHabits,
+        completionRate: dueOccurrences.length > 0 ? (completedHabits / dueOccurrences.length) * 100 : 0
       });
     }
     
@@ -93,6 +129,8 @@ router.get('/overview', auth, async (req, res) => {
       overview: {
         totalHabits: habits.length,
         completionRate: Math.round(completionRate),
+        dueOccurrences: summary.due,
+        completedOccurrences: summary.completed,
         totalStreaks,
         averageStreak: Math.round(averageStreak * 10) / 10,
         categoriesBreakdown,
@@ -135,53 +173,45 @@ router.get('/habit/:habitId', auth, async (req, res) => {
       });
     }
     
-    const endDate = new Date();
-    const startDate = new Date(endDate.getTime() - (parseInt(days) * 24 * 60 * 60 * 1000));
+    const timezone = resolveTimezone(req.user);
+    const { startDate, endDate } = getDayRange(parseInt(days), timezone);
     
-    // Get tracking entries
-    const entries = await TrackingEntry.find({
+    // Get tracking entries, including any earlier in the first schedule period
+    const periodEntries = await TrackingEntry.find({
       habitId: req.params.habitId,
       userId: req.user._id,
-      date: { $gte: startDate, $lte: endDate }
+      date: { $gte: getPeriodStart(habit, startDate), $lte: endDate }
     }).sort({ date: 1 });
+    const entries = periodEntries.filter(e => e.date >= startDate);
+    const pauses = await Pause.find({ userId: req.user._id });
+    
+    // Work out which occurrences were due in the period
+    const occurrences = getOccurrences(habit, periodEntries, { startDate, endDate, timezone, pauses });
+    const schedule = summarizeOccurrences(occurrences);
     
     // Calculate basic analytics
     const totalDays = parseInt(days);
     const trackedDays = entries.length;
     const completedDays = entries.filter(e => e.completed).length;
-    const completionRate = trackedDays > 0 ? (completedDays / trackedDays) * 100 : 0;
+    const completionRate = schedule.completionRate * 100;
     
     // Calculate current streak
-    const currentStreak = await TrackingEntry.getCurrentStreak(req.params.habitId);
+    const currentStreak = await TrackingEntry.getCurrentStreak(habit, timezone);
     
     // Calculate longest streak in the period
-    let longestStreak = 0;
-    let tempStreak = 0;
-    
-    for (const entry of entries) {
-      if (entry.completed) {
-        tempStreak++;
-        longestStreak = Math.max(longestStreak, tempStreak);
-      } else {
-        tempStreak = 0;
-      }
-    }
+    const { longest: longestStreak } = getStreaks(occurrences);
     
     // Daily completion chart data
     const dailyData = [];
     for (let i = parseInt(days) - 1; i >= 0; i--) {
-      const date = new Date(endDate.getTime() - (i * 24 * 60 * 60 * 1000));
-      date.setHours(0, 0, 0, 0);
-      
-      const entry = entries.find(e => {
-        const entryDate = new Date(e.date);
-        entryDate.setHours(0, 0, 0, 0);
-        return entryDate.getTime() === date.getTime();
-      });
+      const date = addDays(endDate, -i);
+      const entry = entries.find(e => e.date.getTime() === date.getTime());
       
       dailyData.push({
-        date: date.toISOString().split('T')[0],
+        date: toDateKey(date),
+        due: occurrences.some(o => o.date.getTime() === date.getTime()),
         completed: entry ? entry.completed : false,
+        skipped: entry ? entry.skipped : false,
         value: entry ? entry.value : null,
         mood: entry ? entry.mood : null,
         difficulty: entry ? entry.difficulty : null
@@ -191,19 +221,24 @@ router.get('/habit/:habitId', auth, async (req, res) => {
     // Weekly aggregation
     const weeklyData = [];
     for (let week = 0; week < Math.ceil(parseInt(days) / 7); week++) {
-      const weekStart = new Date(startDate.getTime() + (week * 7 * 24 * 60 * 60 * 1000));
-      const weekEnd = new Date(Math.min(weekStart.getTime() + (7 * 24 * 60 * 60 * 1000), endDate.getTime()));
+      const weekStart = addDays(startDate, week * 7);
+      const weekEnd = new Date(Math.min(addDays(weekStart, 7).getTime(), addDays(endDate, 1).getTime()));
       
       const weekEntries = entries.filter(e => e.date >= weekStart && e.date < weekEnd);
       const weekCompleted = weekEntries.filter(e => e.completed).length;
+      const weekSchedule = summarizeOccurrences(
+        occurrences.filter(o => o.date >= weekStart && o.date < weekEnd)
+      );
       
       weeklyData.push({
         week: week + 1,
-        startDate: weekStart.toISOString().split('T')[0],
-        endDate: weekEnd.toISOString().split('T')[0],
+        startDate: toDateKey(weekStart),
+        endDate: toDateKey(addDays(weekEnd, -1)),
         completedDays: weekCompleted,
         totalDays: weekEntries.length,
-        completionRate: weekEntries.length > 0 ? (weekCompleted / weekEntries.length) * 100 : 0
+        dueOccurrences: weekSchedule.due,
+        completedOccurrences: weekSchedule.completed,
+        completionRate: weekSchedule.completionRate * 100
       });
     }
     
@@ -217,9 +252,17 @@ router.get('/habit/:habitId', auth, async (req, res) => {
     const averageDifficulty = difficultyEntries.length > 0 ? 
       difficultyEntries.reduce((sum, e) => sum + e.difficulty, 0) / difficultyEntries.length : null;
     
+    // Logged values (for quantitative habits)
+    const valueEntries = entries.filter(e => typeof e.value === 'number');
+    const totalValue = valueEntries.reduce((sum, e) => sum + e.value, 0);
+    const averageValue = valueEntries.length > 0 ? totalValue / valueEntries.length : null;
+    
+    // Progress toward the target
+    const progress = hasTarget(habit) ? generateProgress(habit, periodEntries, occurrences, timezone) : null;
+    
     // Predictions and insights
-    const predictions = generatePredictions(entries, habit, currentStreak);
-    const insights = generateInsights(entries, habit, completionRate, currentStreak);
+    const predictions = generatePredictions(occurrences, habit, currentStreak, timezone);
+    const insights = generateInsights(occurrences, habit, completionRate, currentStreak);
     
     res.json({
       habit,
@@ -234,13 +277,19 @@ router.get('/habit/:habitId', auth, async (req, res) => {
           trackedDays,
           completedDays,
           completionRate: Math.round(completionRate),
+          dueOccurrences: schedule.due,
+          completedOccurrences: schedule.completed,
+          streakUnit: getStreakUnit(habit),
           currentStreak,
           longestStreak,
           averageMood: averageMood ? Math.round(averageMood * 10) / 10 : null,
-          averageDifficulty: averageDifficulty ? Math.round(averageDifficulty * 10) / 10 : null
+          averageDifficulty: averageDifficulty ? Math.round(averageDifficulty * 10) / 10 : null,
+          totalValue: Math.round(totalValue * 100) / 100,
+          averageValue: averageValue !== null ? Math.round(averageValue * 100) / 100 : null
         },
         dailyData,
         weeklyData,
+        progress,
         predictions,
         insights
       }
@@ -259,16 +308,14 @@ router.get('/habit/:habitId', auth, async (req, res) => {
 // @access  Private
 router.get('/heatmap', auth, async (req, res) => {
   try {
-    const { year = new Date().getFullYear() } = req.query;
+    const timezone = resolveTimezone(req.user);
+    const { year = getToday(timezone).getUTCFullYear(), includeArchived } = req.query;
     
-    const startDate = new Date(year, 0, 1); // January 1st
-    const endDate = new Date(year, 11, 31); // December 31st
+    const startDate = new Date(Date.UTC(year, 0, 1)); // January 1st
+    const endDate = new Date(Date.UTC(year, 11, 31)); // December 31st
     
-    // Get all user's active habits
-    const habits = await Habit.find({
-      userId: req.user._id,
-      isActive: true
-    });
+    // Get user's habits
+    const habits = await Habit.find(habitFilter(req.user, includeArchived));
     
     if (habits.length === 0) {
       return res.json({
@@ -278,47 +325,18 @@ router.get('/heatmap', auth, async (req, res) => {
       });
     }
     
-    // Get all tracking entries for the year
-    const entries = await TrackingEntry.find({
-      userId: req.user._id,
-      date: { $gte: startDate, $lte: endDate }
-    }).populate('habitId', 'name color category');
-    
-    // Group entries by date
-    const heatmapData = {};
+    // Get all tracking entries for the year, including the start of any
+    // schedule period that runs into it, and the user's pauses
+    const [entries, pauses] = await Promise.all([
+      TrackingEntry.find({
+        userId: req.user._id,
+        habitId: { $in: habits.map(h => h._id) },
+        date: { $gte: getEarliestPeriodStart(habits, startDate), $lte: endDate }
+      }),
+      Pause.find({ userId: req.user._id })
+    ]);
     
-    // Initialize all dates in the year
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-      const dateStr = d.toISOString().split('T')[0];
-      heatmapData[dateStr] = {
-        date: dateStr,
-        totalHabits: habits.length,
-        completedHabits: 0,
-        completionRate: 0,
-        habits: []
-      };
-    }
-    
-    // Fill in actual data
-    entries.forEach(entry => {
-      const dateStr = entry.date.toISOString().split('T')[0];
-      if (heatmapData[dateStr]) {
-        heatmapData[dateStr].habits.push({
-          habitId: entry.habitId._id,
-          name: entry.habitId.name,
-          color: entry.habitId.color,
-          category: entry.habitId.category,
-          completed: entry.completed
-        });
-        
-        if (entry.completed) {
-          heatmapData[dateStr].completedHabits++;
-        }
-        
-        heatmapData[dateStr].completionRate = 
-          (heatmapData[dateStr].completedHabits / heatmapData[dateStr].totalHabits) * 100;
-      }
-    });
+    const heatmapData = buildHeatmap(habits, entries, { startDate, endDate, timezone, pauses });
     
     res.json({
       heatmapData,
@@ -355,58 +373,77 @@ router.get('/trends', auth, async (req, res) => {
       default: days = 30;
     }
     
-    const endDate = new Date();
-    const startDate = new Date(endDate.getTime() - (days * 24 * 60 * 60 * 1000));
+    const timezone = resolveTimezone(req.user);
+    const { startDate, endDate } = getDayRange(days, timezone);
     
     // Get user's habits
-    const habits = await Habit.find({
-      userId: req.user._id,
-      isActive: true
-    });
-    
-    // Get tracking entries
-    const entries = await TrackingEntry.find({
-      userId: req.user._id,
-      date: { $gte: startDate, $lte: endDate }
-    }).populate('habitId', 'name color category');
+    const habits = await Habit.find(habitFilter(req.user, req.query.includeArchived));
+    
+    // Get tracking entries, including the start of any schedule period
+    // that runs into the range
+    const [allEntries, pauses] = await Promise.all([
+      TrackingEntry.find({
+        userId: req.user._id,
+        habitId: { $in: habits.map(h => h._id) },
+        date: { $gte: getEarliestPeriodStart(habits, startDate), $lte: endDate }
+      }).populate('habitId', 'name color category'),
+      Pause.find({ userId: req.user._id })
+    ]);
+    const entries = allEntries.filter(e => e.date >= startDate);
+    
+    // Work out the due occurrences of each habit
+    const entriesByHabit = groupEntriesByHabit(allEntries.filter(e => e.habitId));
+    const habitOccurrences = habits.map(habit => ({
+      habit,
+      occurrences: getOccurrences(habit, entriesByHabit[habit._id.toString()] || [], {
+        startDate,
+        endDate,
+        timezone,
+        pauses
+      })
+    }));
     
     // Group data based on groupBy parameter
     const groupSize = groupBy === 'day' ? 1 : groupBy === 'week' ? 7 : 30;
     const trends = [];
     
     for (let i = 0; i < days; i += groupSize) {
-      const periodStart = new Date(startDate.getTime() + (i * 24 * 60 * 60 * 1000));
+      const periodStart = addDays(startDate, i);
       const periodEnd = new Date(Math.min(
-        periodStart.getTime() + (groupSize * 24 * 60 * 60 * 1000),
-        endDate.getTime()
+        addDays(periodStart, groupSize).getTime(),
+        addDays(endDate, 1).getTime()
       ));
       
       const periodEntries = entries.filter(e => e.date >= periodStart && e.date < periodEnd);
       const completedEntries = periodEntries.filter(e => e.completed);
+      const inPeriod = o => o.date >= periodStart && o.date < periodEnd;
       
-      // Category breakdown
+      // Category breakdown of due and completed occurrences
       const categoryBreakdown = {};
-      habits.forEach(habit => {
+      habitOccurrences.forEach(({ habit, occurrences }) => {
         const category = habit.category || 'other';
         if (!categoryBreakdown[category]) {
           categoryBreakdown[category] = { total: 0, completed: 0 };
         }
-        categoryBreakdown[category].total++;
         
-        const habitEntries = completedEntries.filter(e => 
-          e.habitId._id.toString() === habit._id.toString()
-        );
-        categoryBreakdown[category].completed += habitEntries.length;
+        const habitSchedule = summarizeOccurrences(occurrences.filter(inPeriod));
+        categoryBreakdown[category].total += habitSchedule.due;
+        categoryBreakdown[category].completed += habitSchedule.completed;
       });
       
+      const periodSchedule = summarizeOccurrences(
+        habitOccurrences.flatMap(({ occurrences }) => occurrences.filter(inPeriod))
+      );
+      
       trends.push({
         period: groupBy,
-        startDate: periodStart.toISOString().split('T')[0],
-        endDate: periodEnd.toISOString().split('T')[0],
+        startDate: toDateKey(periodStart),
+        endDate: toDateKey(addDays(periodEnd, -1)),
         totalEntries: periodEntries.length,
         completedEntries: completedEntries.length,
-        completionRate: periodEntries.length > 0 ? 
-          (completedEntries.length / periodEntries.length) * 100 : 0,
+        dueOccurrences: periodSchedule.due,
+        completedOccurrences: periodSchedule.completed,
+        completionRate: periodSchedule.completionRate * 100,
         categoryBreakdown
       });
     }
@@ -431,11 +468,80 @@ router.get('/trends', auth, async (req, res) => {
   }
 });
 
-// Helper function to generate predictions
-function generatePredictions(entries, habit, currentStreak) {
-  const completedEntries = entries.filter(e => e.completed);
+// @route   GET /api/analytics/report
+// @desc    Get a monthly or quarterly progress report as a PDF or printable HTML
+// @access  Private
+router.get('/report', [
+  auth,
+  query('period')
+    .optional()
+    .isIn(['month', 'quarter'])
+    .withMessage('Period must be month or quarter'),
+  query('format')
+    .optional()
+    .isIn(['pdf', 'html'])
+    .withMessage('Format must be pdf or html'),
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  query('includeArchived')
+    .optional()
+    .isBoolean()
+    .withMessage('includeArchived must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    
+    const { period = 'month', format = 'pdf' } = req.query;
+    const timezone = resolveTimezone(req.user);
+    const today = getToday(timezone);
+    
+    // The report covers the month or quarter containing `date` (default today)
+    const anchor = req.query.date ? toDayStart(req.query.date, timezone) : today;
+    if (anchor > today) {
+      return res.status(400).json({
+        message: 'Reports can only cover past or current periods',
+        code: 'REPORT_PERIOD_IN_FUTURE'
+      });
+    }
+    
+    const report = await generateReport(req.user, getReportPeriod(period, anchor), timezone, {
+      includeArchived: req.query.includeArchived
+    });
+    const filename = `habit-report-${report.period.startDate}`;
+    
+    if (format === 'html') {
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      return res.send(renderReportHtml(report));
+    }
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}.pdf"`
+    });
+    res.send(renderReportPdf(report));
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({
+      message: 'Server error generating report',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Helper function to generate predictions from a habit's due occurrences
+function generatePredictions(occurrences, habit, currentStreak, timezone) {
+  const { completed, completionRate } = summarizeOccurrences(occurrences);
   
-  if (completedEntries.length === 0) {
+  if (completed === 0) {
     return {
       streakTarget: null,
       nextMilestone: null,
@@ -443,20 +549,26 @@ function generatePredictions(entries, habit, currentStreak) {
     };
   }
   
-  const completionRate = completedEntries.length / entries.length;
-  const averageGap = calculateAverageGap(entries);
-  
-  // Predict when user might reach their streak target
+  // Predict when user might reach their streak target. Occurrences can only
+  // be met on schedule, so project from the habit's upcoming due dates.
+  const today = getToday(timezone);
   const streakTarget = habit.streakTarget || 7;
-  const daysToTarget = Math.max(0, streakTarget - currentStreak);
+  const remaining = Math.max(0, streakTarget - currentStreak);
+  const latest = occurrences[occurrences.length - 1];
+  const dueDates = remaining > 0 ? getUpcomingDueDates(habit, remaining, {
+    timezone,
+    skipCurrent: Boolean(latest && latest.completed && latest.end >= today)
+  }) : [];
+  const estimatedDate = dueDates.length === remaining && remaining > 0 ? dueDates[remaining - 1] : null;
   
   const predictions = {
     streakTarget: {
       target: streakTarget,
       current: currentStreak,
-      daysRemaining: daysToTarget,
-      estimatedDate: daysToTarget > 0 ? 
-        new Date(Date.now() + (daysToTarget * 24 * 60 * 60 * 1000)).toISOString().split('T')[0] : null
+      unit: getStreakUnit(habit),
+      remaining,
+      daysRemaining: estimatedDate ? diffInDays(estimatedDate, today) : 0,
+      estimatedDate: estimatedDate ? toDateKey(estimatedDate) : null
     },
     nextMilestone: getNextMilestone(currentStreak),
     probabilityOfSuccess: Math.round(completionRate * 100)
@@ -465,9 +577,48 @@ function generatePredictions(entries, habit, currentStreak) {
   return predictions;
 }
 
+// Helper function to report progress of a quantitative habit: the running
+// period so far, and every period in the analysed range
+function generateProgress(habit, entries, occurrences, timezone) {
+  const currentStart = getPeriodStart(habit, getToday(timezone));
+  const currentEntries = entries.filter(e => e.date >= currentStart);
+  const settled = occurrences.filter(o => !o.pending && o.progress);
+  const round = value => value !== null ? Math.round(value * 100) / 100 : null;
+  
+  const periodValues = settled.map(o => o.progress.value || 0);
+  const averagePerPeriod = periodValues.length > 0 ?
+    periodValues.reduce((sum, value) => sum + value, 0) / periodValues.length : null;
+  
+  return {
+    target: {
+      amount: habit.target.amount,
+      unit: habit.target.unit || null,
+      comparison: habit.target.comparison || 'at-least',
+      aggregation: habit.target.aggregation || 'sum',
+      period: getStreakUnit(habit)
+    },
+    current: {
+      startDate: toDateKey(currentStart),
+      ...getPeriodProgress(habit, currentEntries)
+    },
+    periodsMet: settled.filter(o => o.progress.met).length,
+    periodsTotal: settled.length,
+    averagePerPeriod: round(averagePerPeriod),
+    periodData: occurrences.map(o => ({
+      startDate: toDateKey(o.start),
+      endDate: toDateKey(o.end),
+      value: round(o.progress.value),
+      percentage: o.progress.percentage,
+      met: o.progress.met,
+      pending: o.pending
+    }))
+  };
+}
+
 // Helper function to generate insights
-function generateInsights(entries, habit, completionRate, currentStreak) {
+function generateInsights(occurrences, habit, completionRate, currentStreak) {
   const insights = [];
+  const unit = getStreakUnit(habit);
   
   // Completion rate insights
   if (completionRate >= 80) {
@@ -494,7 +645,7 @@ function generateInsights(entries, habit, completionRate, currentStreak) {
   if (currentStreak >= 7) {
     insights.push({
       type: 'success',
-      message: `Amazing! You're on a ${currentStreak}-day streak. Keep the momentum going!`,
+      message: `Amazing! You're on a ${currentStreak}-${unit} streak. Keep the momentum going!`,
       actionable: false
     });
   } else if (currentStreak === 0) {
@@ -506,13 +657,13 @@ function generateInsights(entries, habit, completionRate, currentStreak) {
   }
   
   // Pattern insights
-  const recentEntries = entries.slice(-7); // Last 7 entries
-  const recentCompletions = recentEntries.filter(e => e.completed).length;
+  const recentOccurrences = occurrences.filter(o => !o.pending).slice(-7); // Last 7 due occurrences
+  const recentCompletions = recentOccurrences.filter(o => o.completed).length;
   
-  if (recentCompletions > recentEntries.length * 0.8) {
+  if (recentOccurrences.length > 0 && recentCompletions > recentOccurrences.length * 0.8) {
     insights.push({
       type: 'success',
-      message: `You've been very consistent this week with ${recentCompletions}/${recentEntries.length} completions!`,
+      message: `You've been very consistent lately with ${recentCompletions}/${recentOccurrences.length} completions!`,
       actionable: false
     });
   }
@@ -520,23 +671,101 @@ function generateInsights(entries, habit, completionRate, currentStreak) {
   return insights;
 }
 
-// Helper functions
-function calculateAverageGap(entries) {
-  const completedDates = entries.filter(e => e.completed).map(e => e.date);
-  if (completedDates.length < 2) return 0;
+// Helper function to resolve the calendar month or quarter containing a day
+function getReportPeriod(period, day) {
+  const year = day.getUTCFullYear();
+  const firstMonth = period === 'quarter' ? Math.floor(day.getUTCMonth() / 3) * 3 : day.getUTCMonth();
+  const months = period === 'quarter' ? 3 : 1;
+  const startDate = new Date(Date.UTC(year, firstMonth, 1));
+  const endDate = new Date(Date.UTC(year, firstMonth + months, 0));
   
-  let totalGap = 0;
-  for (let i = 1; i < completedDates.length; i++) {
-    const gap = (completedDates[i] - completedDates[i-1]) / (24 * 60 * 60 * 1000);
-    totalGap += gap;
-  }
+  const label = period === 'quarter'
+    ? `Q${firstMonth / 3 + 1} ${year}`
+    : startDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  
+  return { type: period, label, startDate, endDate };
+}
+
+// Helper function to compose a progress report for a period: overall stats,
+// a row per habit (active, or also archived) and the insights for each habit
+async function generateReport(user, period, timezone, { includeArchived = false } = {}) {
+  const today = getToday(timezone);
+  const endDate = period.endDate < today ? period.endDate : today;
+  const average = values => values.length > 0 ?
+    Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10 : null;
+  
+  const habits = await Habit.find(habitFilter(user, includeArchived)).sort({ order: 1, createdAt: 1 });
   
-  return totalGap / (completedDates.length - 1);
+  const entries = habits.length > 0 ? await TrackingEntry.find({
+    userId: user._id,
+    habitId: { $in: habits.map(h => h._id) },
+    date: { $gte: getEarliestPeriodStart(habits, period.startDate), $lte: endDate }
+  }) : [];
+  const entriesByHabit = groupEntriesByHabit(entries);
+  const pauses = await Pause.find({ userId: user._id });
+  
+  const rows = await Promise.all(habits.map(async habit => {
+    const habitEntries = entriesByHabit[habit._id.toString()] || [];
+    const periodEntries = habitEntries.filter(e => e.date >= period.startDate);
+    const occurrences = getOccurrences(habit, habitEntries, { startDate: period.startDate, endDate, timezone, pauses });
+    const summary = summarizeOccurrences(occurrences);
+    const currentStreak = await TrackingEntry.getCurrentStreak(habit, timezone);
+    const completed = periodEntries.filter(e => e.completed);
+    const values = periodEntries.filter(e => typeof e.value === 'number').map(e => e.value);
+    
+    return {
+      name: habit.name,
+      category: habit.category,
+      frequency: habit.frequency,
+      color: habit.color,
+      due: summary.due,
+      completed: summary.completed,
+      missed: summary.missed,
+      completionRate: Math.round(summary.completionRate * 100),
+      longestStreak: getStreaks(occurrences).longest,
+      currentStreak,
+      streakUnit: getStreakUnit(habit),
+      averageMood: average(completed.filter(e => e.mood).map(e => e.mood)),
+      averageDifficulty: average(completed.filter(e => e.difficulty).map(e => e.difficulty)),
+      totalValue: values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) * 100) / 100 : null,
+      unit: habit.target?.unit || null,
+      insights: generateInsights(occurrences, habit, summary.completionRate * 100, currentStreak)
+    };
+  }));
+  
+  const due = rows.reduce((sum, row) => sum + row.due, 0);
+  const completed = rows.reduce((sum, row) => sum + row.completed, 0);
+  const periodEntries = entries.filter(e => e.date >= period.startDate && e.completed);
+  
+  return {
+    user: { name: user.name, timezone },
+    generatedAt: new Date(),
+    period: {
+      type: period.type,
+      label: period.label,
+      startDate: toDateKey(period.startDate),
+      endDate: toDateKey(endDate)
+    },
+    overview: {
+      totalHabits: habits.length,
+      dueOccurrences: due,
+      completedOccurrences: completed,
+      completionRate: due > 0 ? Math.round((completed / due) * 100) : 0,
+      averageMood: average(periodEntries.filter(e => e.mood).map(e => e.mood)),
+      averageDifficulty: average(periodEntries.filter(e => e.difficulty).map(e => e.difficulty))
+    },
+    habits: rows,
+    longestStreaks: [...rows]
+      .filter(row => row.longestStreak > 0)
+      .sort((a, b) => b.longestStreak - a.longestStreak)
+      .slice(0, 5)
+      .map(row => ({ name: row.name, longestStreak: row.longestStreak, streakUnit: row.streakUnit }))
+  };
 }
 
+// Helper functions
 function getNextMilestone(currentStreak) {
-  const milestones = [7, 14, 21, 30, 60, 90, 180, 365];
-  const nextMilestone = milestones.find(m => m > currentStreak);
+  const nextMilestone = STREAK_MILESTONES.find(m => m > currentStreak);
   
   return nextMilestone ? {
     days: nextMilestone,
@@ -1,16 +1,75 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { isValidTimezone } = require('../utils/dateUtils');
+const { sendMail } = require('../services/mailer');
+const Session = require('../models/Session');
+const Partnership = require('../models/Partnership');
+const {
+  REFRESH_COOKIE,
+  createSession,
+  rotateSession,
+  revokeSessions,
+  revokeSessionByToken,
+  setRefreshCookie,
+  clearRefreshCookie
+} = require('../services/sessions');
+const { disconnectSessions } = require('../services/realtime');
+const { revokeAccessTokens } = require('../services/accessTokens');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
+// Password reset endpoints send email and accept guesses, so they get a
+// much tighter limit than the API as a whole
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    message: 'Too many password reset attempts, please try again later',
+    code: 'TOO_MANY_RESET_ATTEMPTS'
+  }
+});
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Reset links point at the frontend, which posts the new password back
+const buildResetEmail = (user, token) => {
+  const clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const resetUrl = `${clientUrl}/reset-password/${token}`;
+  const minutes = parseInt(process.env.RESET_PASSWORD_EXPIRE || '60');
+
+  return {
+    to: user.email,
+    subject: 'Reset your Habit Tracker password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone (hopefully you) asked to reset the password for your Habit Tracker account.',
+      `Open this link to choose a new password. It expires in ${minutes} minutes and can only be used once:`,
+      '',
+      resetUrl,
+      '',
+      'If you did not ask for this, you can ignore this email; your password will not change.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Someone (hopefully you) asked to reset the password for your Habit Tracker account.</p>
+<p><a href="${resetUrl}">Choose a new password</a>. The link expires in ${minutes} minutes and can only be used once.</p>
+<p>If you did not ask for this, you can ignore this email; your password will not change.</p>`
+  };
+};
+
+// Start a session: the refresh token goes into an httpOnly cookie and the
+// short-lived access token is returned in the body
+const startSession = async (user, req, res) => {
+  const { session, refreshToken, accessToken } = await createSession(user, req);
+  setRefreshCookie(res, refreshToken, session.expiresAt);
+  return accessToken;
 };
 
 // @route   POST /api/auth/register
@@ -31,7 +90,11 @@ router.post('/register', [
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters long')
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA timezone')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -43,7 +106,7 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, password, timezone } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -56,10 +119,14 @@ router.post('/register', [
 
     // Create new user
     const user = new User({ name, email, password });
+    if (timezone) user.preferences.timezone = timezone;
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Partner invitations sent to this email before it had an account
+    await Partnership.linkInvitations(user);
+
+    // Start a session for this device
+    const token = await startSession(user, req, res);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -130,8 +197,8 @@ router.post('/login', [
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const token = await startSession(user, req, res);
 
     res.json({
       message: 'Login successful',
@@ -193,10 +260,14 @@ router.put('/profile', [
     .optional()
     .isBoolean()
     .withMessage('Notifications must be a boolean'),
+  body(['preferences.reminderChannels.inApp', 'preferences.reminderChannels.email', 'preferences.reminderChannels.push'])
+    .optional()
+    .isBoolean()
+    .withMessage('Reminder channels must be booleans'),
   body('preferences.timezone')
     .optional()
-    .isString()
-    .withMessage('Timezone must be a string')
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA timezone')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -213,7 +284,15 @@ router.put('/profile', [
 
     if (name) updateFields.name = name;
     if (preferences) {
-      updateFields.preferences = { ...req.user.preferences, ...preferences };
+      const current = req.user.toObject().preferences || {};
+      updateFields.preferences = { ...current, ...preferences };
+      // Channels are merged too, so one toggle doesn't reset the others
+      if (preferences.reminderChannels) {
+        updateFields.preferences.reminderChannels = {
+          ...current.reminderChannels,
+          ...preferences.reminderChannels
+        };
+      }
     }
 
     const user = await User.findByIdAndUpdate(
@@ -282,6 +361,12 @@ router.post('/change-password', [
     user.password = newPassword;
     await user.save();
 
+    // Other devices have to sign in again with the new password, and scripts
+    // need new access tokens
+    await revokeSessions(user._id, req.sessionId);
+    await revokeAccessTokens(user._id);
+    disconnectSessions(req.app.get('io'), { userId: user._id, exceptSessionId: req.sessionId });
+
     res.json({
       message: 'Password changed successfully'
     });
@@ -294,6 +379,350 @@ router.post('/change-password', [
   }
 });
 
+// @route   POST /api/auth/deactivate
+// @desc    Deactivate the account and sign out every device
+// @access  Private
+router.post('/deactivate', [
+  auth,
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        message: 'Password is incorrect',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+
+    user.isActive = false;
+    await user.save();
+
+    // Nothing signed in may outlive the account: sessions, tokens and the
+    // sockets of the user's room, this device's included
+    await revokeSessions(user._id);
+    await revokeAccessTokens(user._id);
+    disconnectSessions(req.app.get('io'), { userId: user._id, code: 'ACCOUNT_DEACTIVATED' });
+    clearRefreshCookie(res);
+
+    res.json({
+      message: 'Account deactivated'
+    });
+  } catch (error) {
+    console.error('Deactivate account error:', error);
+    res.status(500).json({
+      message: 'Server error deactivating account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  passwordResetLimiter,
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Same answer whether or not the account exists, so the endpoint
+    // cannot be used to discover registered emails
+    const response = {
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.isActive) {
+      return res.json(response);
+    }
+
+    // A new request replaces any earlier token
+    const token = user.createPasswordResetToken();
+    await user.save();
+
+    try {
+      await sendMail(buildResetEmail(user, token));
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+      user.clearPasswordResetToken();
+      await user.save();
+      return res.status(500).json({
+        message: 'Could not send the password reset email, please try again later',
+        code: 'EMAIL_SEND_FAILED'
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      message: 'Server error requesting password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password/:token', [
+  passwordResetLimiter,
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByResetToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({
+        message: 'This password reset link is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    // Tokens are single use
+    user.password = req.body.password;
+    user.clearPasswordResetToken();
+    await user.save();
+
+    // Whoever had access before the reset is signed out everywhere
+    await revokeSessions(user._id);
+    await revokeAccessTokens(user._id);
+    disconnectSessions(req.app.get('io'), { userId: user._id });
+
+    res.json({
+      message: 'Password has been reset, you can now sign in'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      message: 'Server error resetting password',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange the refresh token cookie for a new access token
+// @access  Public (refresh token cookie)
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.cookies[REFRESH_COOKIE];
+    if (!refreshToken) {
+      return res.status(401).json({
+        message: 'No refresh token provided',
+        code: 'NO_REFRESH_TOKEN'
+      });
+    }
+
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        message: 'Session has expired or was signed out',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    const user = await User.findById(rotated.session.userId);
+    if (!user || !user.isActive) {
+      await Session.deleteOne({ _id: rotated.session._id });
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        message: 'Account is deactivated',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    if (rotated.refreshToken) {
+      setRefreshCookie(res, rotated.refreshToken, rotated.session.expiresAt);
+    }
+
+    res.json({
+      token: rotated.accessToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        preferences: user.preferences
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      message: 'Server error refreshing session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Sign out this device
+// @access  Public (refresh token cookie)
+router.post('/logout', async (req, res) => {
+  try {
+    const refreshToken = req.cookies[REFRESH_COOKIE];
+    if (refreshToken) {
+      const session = await revokeSessionByToken(refreshToken);
+      if (session) {
+        disconnectSessions(req.app.get('io'), { sessionId: session._id });
+      }
+    }
+
+    clearRefreshCookie(res);
+    res.json({
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Server error during logout',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices signed in to this account
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      message: 'Server error getting sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every other device
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const result = await revokeSessions(req.user._id, req.sessionId);
+    disconnectSessions(req.app.get('io'), { userId: req.user._id, exceptSessionId: req.sessionId });
+
+    res.json({
+      message: 'Signed out of all other devices',
+      revoked: result.deletedCount
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      message: 'Server error signing out other devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        message: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    disconnectSessions(req.app.get('io'), { sessionId: session._id });
+
+    // Signing out the current session from the list logs this device out too
+    if (session._id.equals(req.sessionId)) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      message: 'Server error signing out session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // @route   POST /api/auth/verify-token
 // @desc    Verify JWT token
 // @access  Private
@@ -0,0 +1,142 @@
+const cookieParser = require('cookie-parser');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = { _id: 'user-1' };
+    req.sessionId = 'session-1';
+    next();
+  }
+}));
+jest.mock('../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../services/sessions', () => ({
+  ...jest.requireActual('../services/sessions'),
+  revokeSessions: jest.fn()
+}));
+jest.mock('../services/accessTokens', () => ({ revokeAccessTokens: jest.fn() }));
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { hashToken, revokeSessions } = require('../services/sessions');
+const { revokeAccessTokens } = require('../services/accessTokens');
+const authRoutes = require('./auth');
+
+// Records which room a broadcast went to and what it did there
+const room = { emit: jest.fn(), disconnectSockets: jest.fn(), except: jest.fn(() => room) };
+const io = { in: jest.fn(() => room) };
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.set('io', io);
+app.use('/api/auth', authRoutes);
+
+let user;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  user = {
+    _id: 'user-1',
+    isActive: true,
+    comparePassword: jest.fn(async (password) => password === 'Secret123'),
+    save: jest.fn()
+  };
+  User.findById.mockResolvedValue(user);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/deactivate', () => {
+  test('deactivates the account and disconnects every socket of the user', async () => {
+    const res = await request(app).post('/api/auth/deactivate').send({ password: 'Secret123' });
+
+    expect(res.status).toBe(200);
+    expect(user.isActive).toBe(false);
+    expect(user.save).toHaveBeenCalled();
+    expect(revokeSessions).toHaveBeenCalledWith('user-1');
+    expect(revokeAccessTokens).toHaveBeenCalledWith('user-1');
+
+    // The whole user room, this device included
+    expect(io.in).toHaveBeenCalledWith('user-user-1');
+    expect(room.except).not.toHaveBeenCalled();
+    expect(room.emit).toHaveBeenCalledWith('session-expired', { code: 'ACCOUNT_DEACTIVATED' });
+    expect(room.disconnectSockets).toHaveBeenCalledWith(true);
+    expect(res.headers['set-cookie'][0]).toMatch(/^refreshToken=;/);
+  });
+
+  test('keeps the account on a wrong password', async () => {
+    const res = await request(app).post('/api/auth/deactivate').send({ password: 'wrong' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_PASSWORD');
+    expect(user.isActive).toBe(true);
+    expect(io.in).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  process.env.JWT_SECRET = 'test-secret';
+
+  const session = (rotatedSecondsAgo) => new Session({
+    userId: '507f1f77bcf86cd799439011',
+    refreshTokenHash: hashToken('next'),
+    previousTokenHash: hashToken('current'),
+    rotatedAt: new Date(Date.now() - rotatedSecondsAgo * 1000),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  const refresh = () => request(app).post('/api/auth/refresh').set('Cookie', 'refreshToken=current');
+
+  beforeEach(() => {
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Session, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  });
+
+  test('rotates the refresh token cookie', async () => {
+    Session.findOneAndUpdate.mockResolvedValue(session(0));
+
+    const res = await refresh();
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    const [cookie] = res.headers['set-cookie'];
+    expect(cookie).toMatch(/^refreshToken=[0-9a-f]{96};/);
+    expect(cookie).toMatch(/HttpOnly/);
+  });
+
+  test('hands a parallel tab an access token but leaves the rotated cookie alone', async () => {
+    Session.findOne.mockResolvedValue(session(5));
+
+    const res = await refresh();
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.headers['set-cookie']).toBeUndefined();
+  });
+
+  test('signs the session out when an old token is replayed', async () => {
+    const replayed = session(60);
+    Session.findOne.mockResolvedValue(replayed);
+
+    const res = await refresh();
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_REFRESH_TOKEN');
+    expect(Session.deleteOne).toHaveBeenCalledWith({ _id: replayed._id });
+    expect(res.headers['set-cookie'][0]).toMatch(/^refreshToken=;/);
+  });
+
+  test('refuses sessions of deactivated accounts', async () => {
+    Session.findOneAndUpdate.mockResolvedValue(session(0));
+    user.isActive = false;
+
+    const res = await refresh();
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('ACCOUNT_DEACTIVATED');
+    expect(Session.deleteOne).toHaveBeenCalled();
+  });
+});
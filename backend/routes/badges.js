@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const Habit = require('../models/Habit');
+const Pause = require('../models/Pause');
+const TrackingEntry = require('../models/TrackingEntry');
+const { resolveTimezone, getToday, addDays, toDateKey } = require('../utils/dateUtils');
+const {
+  getPeriodStart,
+  getEarliestPeriodStart,
+  getOccurrences,
+  summarizeOccurrences,
+  getStreaks,
+  getStreakUnit,
+  groupEntriesByHabit
+} = require('../utils/schedule');
+const { buildHeatmap } = require('../utils/heatmap');
+const { renderStreakBadge, renderHeatmap, renderRing } = require('../utils/badges');
+
+const router = express.Router();
+
+const WIDGETS = ['streak.svg', 'heatmap.svg', 'ring.svg'];
+const HEATMAP_WEEKS = 12;
+const RING_DAYS = 30;
+// Streaks are counted this far back at most and shown as e.g. "800+ days"
+const STREAK_WINDOW_DAYS = 2 * 366;
+
+const formatStreak = (count, unit, capped) => `${count}${capped ? '+' : ''} ${unit}${count === 1 && !capped ? '' : 's'}`;
+
+const setBadgeHeaders = (res, etag) => {
+  res.set({
+    'Content-Type': 'image/svg+xml; charset=utf-8',
+    'Cache-Control': 'public, max-age=300',
+    'Cross-Origin-Resource-Policy': 'cross-origin', // Helmet defaults to same-origin
+    ETag: etag
+  });
+};
+
+const hashEtag = (value) => `"${crypto.createHash('sha1').update(value).digest('base64url')}"`;
+
+// First day a widget shows
+const getWindowStart = (widget, today) => {
+  if (widget === 'heatmap.svg') {
+    return addDays(getPeriodStart({ frequency: 'weekly' }, today), -7 * (HEATMAP_WEEKS - 1));
+  }
+  if (widget === 'ring.svg') return addDays(today, -(RING_DAYS - 1));
+  return addDays(today, -STREAK_WINDOW_DAYS);
+};
+
+// Count and latest change of the documents a widget is drawn from
+const getChangeStats = async (Model, filter) => {
+  const [stats] = await Model.aggregate([
+    { $match: filter },
+    { $group: { _id: null, count: { $sum: 1 }, updatedAt: { $max: '$updatedAt' } } }
+  ]);
+  return stats ? `${stats.count}@${stats.updatedAt?.getTime()}` : '0';
+};
+
+// @route   GET /api/badges/:token/:widget
+// @desc    Embeddable SVG widget (streak.svg, heatmap.svg or ring.svg) for the
+//          habit with this share token, or with ?scope=user for all of its
+//          owner's habits that have a share token
+// @access  Public (share token)
+router.get('/:token/:widget', [
+  param('widget')
+    .isIn(WIDGETS)
+    .withMessage('Widget must be streak.svg, heatmap.svg or ring.svg'),
+  query('scope')
+    .optional()
+    .isIn(['habit', 'user'])
+    .withMessage('Scope must be habit or user'),
+  query('theme')
+    .optional()
+    .isIn(['light', 'dark'])
+    .withMessage('Theme must be light or dark'),
+  query('color')
+    .optional()
+    .matches(/^#?[0-9A-F]{6}$/i)
+    .withMessage('Color must be a hex color, e.g. 10B981')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { widget } = req.params;
+    const { scope = 'habit', theme = 'light' } = req.query;
+
+    // An archived habit's widgets read as not found until it is restored
+    const habit = await Habit.findOne({ shareTokenHash: Habit.hashToken(req.params.token), isActive: true })
+      .populate('userId', 'name preferences');
+    if (!habit || !habit.userId) {
+      // Still an image, so embeds show why instead of a broken picture
+      const svg = renderStreakBadge({ label: 'habit', value: 'not found', color: '#9CA3AF', theme });
+      setBadgeHeaders(res, hashEtag(svg));
+      return res.status(404).send(svg);
+    }
+
+    const owner = habit.userId;
+    const timezone = resolveTimezone(owner);
+    const today = getToday(timezone);
+    const color = req.query.color ? `#${req.query.color.replace('#', '').toUpperCase()}` : habit.color;
+    const habits = scope === 'user'
+      ? await Habit.find({ userId: owner._id, isActive: true, shareTokenHash: { $ne: null } })
+      : [habit];
+    const name = scope === 'user' ? owner.name : habit.name;
+
+    // Only what the widget shows is loaded: entries from the start of the
+    // period containing its first day, and pauses that overlap it
+    const windowStart = getWindowStart(widget, today);
+    const entryFilter = {
+      habitId: { $in: habits.map(h => h._id) },
+      date: { $gte: getEarliestPeriodStart(habits, windowStart) }
+    };
+    const pauseFilter = {
+      userId: owner._id,
+      $or: [{ endDate: null }, { endDate: { $gte: windowStart } }]
+    };
+
+    // The widget only changes with the day, the habits, their entries and
+    // pauses, so the ETag is checked before any of them are loaded
+    const [entryStats, pauseStats] = await Promise.all([
+      getChangeStats(TrackingEntry, entryFilter),
+      getChangeStats(Pause, pauseFilter)
+    ]);
+    const etag = hashEtag([
+      widget, scope, theme, color, name, timezone, toDateKey(today),
+      ...habits.map(h => `${h._id}@${h.updatedAt?.getTime()}`),
+      entryStats, pauseStats
+    ].join('|'));
+
+    setBadgeHeaders(res, etag);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const [entries, pauses] = await Promise.all([
+      TrackingEntry.find(entryFilter).select('habitId date completed value skipped'),
+      Pause.find(pauseFilter)
+    ]);
+    const entriesByHabit = groupEntriesByHabit(entries);
+    const occurrencesOf = (h) =>
+      getOccurrences(h, entriesByHabit[h._id.toString()] || [], { startDate: windowStart, timezone, pauses });
+
+    let svg;
+    if (widget === 'streak.svg') {
+      // For a user, their best current streak
+      const streaks = habits.map(h => {
+        const occurrences = occurrencesOf(h);
+        return {
+          habit: h,
+          current: getStreaks(occurrences).current,
+          // Nothing missed since before the window: the streak may go back further
+          capped: h.createdAt < windowStart && occurrences.every(o => o.completed || o.pending)
+        };
+      });
+      const best = streaks.reduce((top, streak) => (streak.current > top.current ? streak : top), streaks[0]);
+
+      svg = renderStreakBadge({
+        label: scope === 'user' ? 'best streak' : name,
+        value: best ? formatStreak(best.current, getStreakUnit(best.habit), best.capped && best.current > 0) : 'no habits',
+        color,
+        theme
+      });
+    } else if (widget === 'heatmap.svg') {
+      const heatmapData = buildHeatmap(habits, entries, {
+        startDate: windowStart,
+        endDate: addDays(windowStart, 7 * HEATMAP_WEEKS - 1),
+        timezone,
+        pauses
+      });
+
+      svg = renderHeatmap({
+        title: `${name} · last ${HEATMAP_WEEKS} weeks`,
+        days: Object.values(heatmapData),
+        color,
+        theme
+      });
+    } else {
+      const summary = summarizeOccurrences(habits.flatMap(occurrencesOf));
+
+      svg = renderRing({
+        label: `${name} · ${RING_DAYS} days`,
+        completionRate: summary.completionRate * 100,
+        color,
+        theme
+      });
+    }
+
+    res.send(svg);
+  } catch (error) {
+    console.error('Render badge error:', error);
+    res.status(500).json({
+      message: 'Server error rendering badge',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../models/Habit', () => ({
+  findOne: jest.fn(),
+  find: jest.fn(),
+  hashToken: jest.fn(token => `hash-${token}`)
+}));
+jest.mock('../models/Pause', () => ({ find: jest.fn(), aggregate: jest.fn() }));
+jest.mock('../models/TrackingEntry', () => ({ find: jest.fn(), aggregate: jest.fn() }));
+
+const Habit = require('../models/Habit');
+const Pause = require('../models/Pause');
+const TrackingEntry = require('../models/TrackingEntry');
+const badgeRoutes = require('./badges');
+
+const app = express();
+app.use('/api/badges', badgeRoutes);
+
+const day = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+const owner = { _id: 'user-1', name: 'Sam', preferences: { timezone: 'UTC' } };
+const habit = (id, name) => ({
+  _id: id,
+  name,
+  userId: owner,
+  color: '#10B981',
+  frequency: 'daily',
+  createdAt: day('2024-01-01'),
+  updatedAt: day('2024-01-01')
+});
+const walk = habit('habit-1', 'Walk');
+const read = habit('habit-2', 'Read');
+
+// Walk was done on each of the last three days, Read only today
+const entries = [
+  { habitId: 'habit-1', date: day('2024-03-08'), completed: true },
+  { habitId: 'habit-1', date: day('2024-03-09'), completed: true },
+  { habitId: 'habit-1', date: day('2024-03-10'), completed: true },
+  { habitId: 'habit-2', date: day('2024-03-10'), completed: true }
+];
+
+// SVG responses arrive as a buffer
+const svgOf = (res) => res.body.toString();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers({ now: new Date('2024-03-10T12:00:00.000Z') });
+  Habit.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(walk) });
+  Habit.find.mockResolvedValue([walk, read]);
+  TrackingEntry.aggregate.mockResolvedValue([{ count: entries.length, updatedAt: day('2024-03-10') }]);
+  Pause.aggregate.mockResolvedValue([]);
+  TrackingEntry.find.mockReturnValue({ select: jest.fn().mockResolvedValue(entries) });
+  Pause.find.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('GET /api/badges/:token/:widget', () => {
+  test('renders the habit\'s current streak', async () => {
+    const res = await request(app).get('/api/badges/token-1/streak.svg');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/svg+xml; charset=utf-8');
+    expect(svgOf(res)).toContain('3 days');
+  });
+
+  test('renders a not found badge for an unknown or archived habit\'s token', async () => {
+    Habit.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(null) });
+
+    const res = await request(app).get('/api/badges/token-1/streak.svg');
+
+    expect(res.status).toBe(404);
+    expect(Habit.findOne).toHaveBeenCalledWith({ shareTokenHash: 'hash-token-1', isActive: true });
+    expect(svgOf(res)).toContain('not found');
+  });
+
+  test('shows the best streak of the owner\'s active shared habits with scope=user', async () => {
+    const res = await request(app).get('/api/badges/token-1/streak.svg').query({ scope: 'user' });
+
+    expect(Habit.find).toHaveBeenCalledWith({ userId: 'user-1', isActive: true, shareTokenHash: { $ne: null } });
+    expect(svgOf(res)).toContain('best streak');
+    expect(svgOf(res)).toContain('3 days');
+  });
+
+  test('answers 304 from the ETag before loading any history', async () => {
+    const first = await request(app).get('/api/badges/token-1/ring.svg');
+    jest.clearAllMocks();
+
+    const res = await request(app).get('/api/badges/token-1/ring.svg').set('If-None-Match', first.headers.etag);
+
+    expect(res.status).toBe(304);
+    expect(TrackingEntry.find).not.toHaveBeenCalled();
+    expect(Pause.find).not.toHaveBeenCalled();
+  });
+
+  test('changes the ETag when an entry changes', async () => {
+    const first = await request(app).get('/api/badges/token-1/ring.svg');
+    TrackingEntry.aggregate.mockResolvedValue([{ count: entries.length + 1, updatedAt: day('2024-03-10') }]);
+
+    const res = await request(app).get('/api/badges/token-1/ring.svg').set('If-None-Match', first.headers.etag);
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).not.toBe(first.headers.etag);
+  });
+});
@@ -0,0 +1,478 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Challenge = require('../models/Challenge');
+const Habit = require('../models/Habit');
+const { auth } = require('../middleware/auth');
+const { resolveTimezone, toDayStart, getToday, toDateKey } = require('../utils/dateUtils');
+const { cloneTemplate, getLeaderboard, broadcastLeaderboard } = require('../services/challenges');
+const { emitUserEvent } = require('../services/events');
+
+const router = express.Router();
+
+const JOIN_CODE_ATTEMPTS = 5;
+
+// A challenge as seen by one of its participants
+const toChallengeView = (challenge, user) => {
+  const today = getToday(resolveTimezone(user));
+  const participant = challenge.getParticipant(user._id);
+  let status = 'active';
+  if (today < challenge.startDate) status = 'upcoming';
+  if (today > challenge.endDate) status = 'ended';
+
+  return {
+    id: challenge._id,
+    name: challenge.name,
+    description: challenge.description,
+    startDate: toDateKey(challenge.startDate),
+    endDate: toDateKey(challenge.endDate),
+    status,
+    joinCode: challenge.joinCode,
+    template: challenge.template,
+    isOwner: challenge.createdBy.toString() === user._id.toString(),
+    participantCount: challenge.participants.length,
+    habitId: participant ? participant.habitId : null
+  };
+};
+
+// Save a new challenge, retrying the rare join code collision
+const saveWithJoinCode = async (challenge) => {
+  for (let attempt = 1; ; attempt++) {
+    challenge.joinCode = Challenge.generateJoinCode();
+    try {
+      return await challenge.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt === JOIN_CODE_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// A challenge the current user takes part in, or null
+const findJoined = (id, userId) => Challenge.findOne({ _id: id, 'participants.userId': userId });
+
+// @route   GET /api/challenges
+// @desc    Get the challenges the user takes part in, newest first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const challenges = await Challenge.find({ 'participants.userId': req.user._id })
+      .sort({ startDate: -1 })
+      .limit(100);
+
+    res.json({
+      challenges: challenges.map(challenge => toChallengeView(challenge, req.user))
+    });
+  } catch (error) {
+    console.error('Get challenges error:', error);
+    res.status(500).json({
+      message: 'Server error getting challenges',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/challenges
+// @desc    Create a challenge and join it
+// @access  Private
+router.post('/', [
+  auth,
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Challenge name is required')
+    .isLength({ max: 100 })
+    .withMessage('Challenge name cannot be more than 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  body('endDate')
+    .notEmpty()
+    .withMessage('End date is required')
+    .isISO8601()
+    .withMessage('Invalid end date'),
+  body('template.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Habit name is required')
+    .isLength({ max: 100 })
+    .withMessage('Habit name cannot be more than 100 characters'),
+  body('template.description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  body('template.frequency')
+    .optional()
+    .isIn(['daily', 'weekly', 'monthly'])
+    .withMessage('Frequency must be daily, weekly, or monthly'),
+  body('template.goal')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Goal cannot be more than 200 characters'),
+  body('template.category')
+    .optional()
+    .isIn(['health', 'fitness', 'productivity', 'learning', 'social', 'spiritual', 'creative', 'other'])
+    .withMessage('Invalid category'),
+  body('template.color')
+    .optional()
+    .matches(/^#[0-9A-F]{6}$/i)
+    .withMessage('Please enter a valid hex color'),
+  body('template.targetDays')
+    .optional()
+    .isArray()
+    .withMessage('Target days must be an array'),
+  body('template.target.amount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Target amount must be a positive number'),
+  body('template.target.unit')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Unit cannot be more than 20 characters'),
+  body('template.target.comparison')
+    .optional()
+    .isIn(['at-least', 'at-most'])
+    .withMessage('Comparison must be at-least or at-most'),
+  body('template.target.aggregation')
+    .optional()
+    .isIn(['sum', 'average', 'max'])
+    .withMessage('Aggregation must be sum, average, or max')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, startDate, endDate, template } = req.body;
+    const timezone = resolveTimezone(req.user);
+    const start = toDayStart(startDate, timezone);
+    const end = toDayStart(endDate, timezone);
+
+    if (end < start) {
+      return res.status(400).json({
+        message: 'End date cannot be before start date',
+        code: 'INVALID_DATE_RANGE'
+      });
+    }
+
+    if (end < getToday(timezone)) {
+      return res.status(400).json({
+        message: 'Challenge cannot end in the past',
+        code: 'INVALID_DATE_RANGE'
+      });
+    }
+
+    const challenge = new Challenge({
+      name,
+      description,
+      createdBy: req.user._id,
+      startDate: start,
+      endDate: end,
+      template
+    });
+    const habit = await cloneTemplate(challenge, req.user._id);
+    challenge.participants.push({ userId: req.user._id, habitId: habit._id });
+
+    try {
+      await saveWithJoinCode(challenge);
+    } catch (error) {
+      await Habit.findByIdAndDelete(habit._id); // Don't leave a habit without its challenge
+      throw error;
+    }
+
+    const io = req.app.get('io');
+    emitUserEvent(io, req.user._id, 'habit-created', habit);
+
+    res.status(201).json({
+      message: 'Challenge created',
+      challenge: toChallengeView(challenge, req.user),
+      habit
+    });
+  } catch (error) {
+    console.error('Create challenge error:', error);
+    res.status(500).json({
+      message: 'Server error creating challenge',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/challenges/join
+// @desc    Join a challenge with its join code
+// @access  Private
+router.post('/join', [
+  auth,
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Join code is required')
+    .toUpperCase()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await Challenge.findOne({ joinCode: req.body.code });
+    if (!challenge) {
+      return res.status(404).json({
+        message: 'No challenge with that join code',
+        code: 'CHALLENGE_NOT_FOUND'
+      });
+    }
+
+    if (getToday(resolveTimezone(req.user)) > challenge.endDate) {
+      return res.status(400).json({
+        message: 'This challenge has ended',
+        code: 'CHALLENGE_ENDED'
+      });
+    }
+
+    if (challenge.getParticipant(req.user._id)) {
+      return res.status(409).json({
+        message: 'You already joined this challenge',
+        code: 'ALREADY_JOINED'
+      });
+    }
+
+    const habit = await cloneTemplate(challenge, req.user._id);
+
+    // Guard against joining twice at the same time
+    const joined = await Challenge.findOneAndUpdate(
+      { _id: challenge._id, 'participants.userId': { $ne: req.user._id } },
+      { $push: { participants: { userId: req.user._id, habitId: habit._id } } },
+      { new: true }
+    );
+    if (!joined) {
+      await Habit.findByIdAndDelete(habit._id);
+      return res.status(409).json({
+        message: 'You already joined this challenge',
+        code: 'ALREADY_JOINED'
+      });
+    }
+
+    const io = req.app.get('io');
+    emitUserEvent(io, req.user._id, 'habit-created', habit);
+    await broadcastLeaderboard(io, joined);
+
+    res.json({
+      message: 'Joined challenge',
+      challenge: toChallengeView(joined, req.user),
+      habit
+    });
+  } catch (error) {
+    console.error('Join challenge error:', error);
+    res.status(500).json({
+      message: 'Server error joining challenge',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/challenges/:id
+// @desc    Get a challenge with its leaderboard
+// @access  Private
+router.get('/:id', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid challenge ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await findJoined(req.params.id, req.user._id);
+    if (!challenge) {
+      return res.status(404).json({
+        message: 'Challenge not found',
+        code: 'CHALLENGE_NOT_FOUND'
+      });
+    }
+
+    const leaderboard = await getLeaderboard(challenge);
+
+    res.json({
+      challenge: toChallengeView(challenge, req.user),
+      leaderboard
+    });
+  } catch (error) {
+    console.error('Get challenge error:', error);
+    res.status(500).json({
+      message: 'Server error getting challenge',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/challenges/:id/leaderboard
+// @desc    Rank a challenge's participants by completion rate and streak
+// @access  Private
+router.get('/:id/leaderboard', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid challenge ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await findJoined(req.params.id, req.user._id);
+    if (!challenge) {
+      return res.status(404).json({
+        message: 'Challenge not found',
+        code: 'CHALLENGE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      challengeId: challenge._id,
+      leaderboard: await getLeaderboard(challenge)
+    });
+  } catch (error) {
+    console.error('Get leaderboard error:', error);
+    res.status(500).json({
+      message: 'Server error getting leaderboard',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/challenges/:id/leave
+// @desc    Leave a challenge; the user keeps their copy of the habit
+// @access  Private
+router.post('/:id/leave', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid challenge ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await Challenge.findOneAndUpdate(
+      { _id: req.params.id, 'participants.userId': req.user._id },
+      { $pull: { participants: { userId: req.user._id } } },
+      { new: true }
+    );
+    if (!challenge) {
+      return res.status(404).json({
+        message: 'Challenge not found',
+        code: 'CHALLENGE_NOT_FOUND'
+      });
+    }
+
+    await Habit.updateMany(
+      { userId: req.user._id, challengeId: challenge._id },
+      { challengeId: null }
+    );
+
+    const io = req.app.get('io');
+    io.to(`user-${req.user._id}`).emit('challenge-left', { challengeId: challenge._id });
+    await broadcastLeaderboard(io, challenge);
+
+    res.json({
+      message: 'Left challenge'
+    });
+  } catch (error) {
+    console.error('Leave challenge error:', error);
+    res.status(500).json({
+      message: 'Server error leaving challenge',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/challenges/:id
+// @desc    Delete a challenge (creator only); participants keep their habits
+// @access  Private
+router.delete('/:id', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid challenge ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await findJoined(req.params.id, req.user._id);
+    if (!challenge) {
+      return res.status(404).json({
+        message: 'Challenge not found',
+        code: 'CHALLENGE_NOT_FOUND'
+      });
+    }
+
+    if (challenge.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        message: 'Only the creator can delete a challenge',
+        code: 'NOT_CHALLENGE_OWNER'
+      });
+    }
+
+    await Challenge.findByIdAndDelete(challenge._id);
+    await Habit.updateMany({ challengeId: challenge._id }, { challengeId: null });
+
+    const io = req.app.get('io');
+    challenge.participants.forEach(p => {
+      io.to(`user-${p.userId}`).emit('challenge-deleted', { challengeId: challenge._id });
+    });
+
+    res.json({
+      message: 'Challenge deleted'
+    });
+  } catch (error) {
+    console.error('Delete challenge error:', error);
+    res.status(500).json({
+      message: 'Server error deleting challenge',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = { _id: 'user-1', preferences: { timezone: 'UTC' } };
+    next();
+  }
+}));
+jest.mock('../services/challenges', () => ({
+  cloneTemplate: jest.fn(),
+  getLeaderboard: jest.fn(),
+  broadcastLeaderboard: jest.fn()
+}));
+jest.mock('../services/events', () => ({ emitUserEvent: jest.fn() }));
+
+const Challenge = require('../models/Challenge');
+const Habit = require('../models/Habit');
+const { cloneTemplate, broadcastLeaderboard } = require('../services/challenges');
+const { emitUserEvent } = require('../services/events');
+const challengeRoutes = require('./challenges');
+
+const app = express();
+app.use(express.json());
+app.set('io', {});
+app.use('/api/challenges', challengeRoutes);
+
+const day = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+const challenge = new Challenge({
+  name: 'Five days of walking',
+  createdBy: new mongoose.Types.ObjectId(),
+  startDate: day('2024-01-01'),
+  endDate: day('2024-01-05'),
+  joinCode: 'ABCDEFGH',
+  template: { name: 'Walk' }
+});
+const habit = { _id: new mongoose.Types.ObjectId(), name: 'Walk' };
+const join = () => request(app).post('/api/challenges/join').send({ code: 'abcdefgh' });
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-01-03T12:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+  jest.spyOn(Challenge, 'findOne').mockResolvedValue(challenge);
+  jest.spyOn(Challenge, 'findOneAndUpdate').mockResolvedValue(challenge);
+  jest.spyOn(Habit, 'findByIdAndDelete').mockResolvedValue(habit);
+  cloneTemplate.mockResolvedValue(habit);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('POST /api/challenges/join', () => {
+  test('adds the user with a copy of the template habit', async () => {
+    const res = await join();
+
+    expect(res.status).toBe(200);
+    expect(Challenge.findOne).toHaveBeenCalledWith({ joinCode: 'ABCDEFGH' });
+    expect(Challenge.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: challenge._id, 'participants.userId': { $ne: 'user-1' } },
+      { $push: { participants: { userId: 'user-1', habitId: habit._id } } },
+      { new: true }
+    );
+    expect(emitUserEvent).toHaveBeenCalledWith({}, 'user-1', 'habit-created', habit);
+    expect(broadcastLeaderboard).toHaveBeenCalledWith({}, challenge);
+  });
+
+  test('removes the copy when a concurrent request joined first', async () => {
+    Challenge.findOneAndUpdate.mockResolvedValue(null);
+
+    const res = await join();
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('ALREADY_JOINED');
+    expect(Habit.findByIdAndDelete).toHaveBeenCalledWith(habit._id);
+    expect(broadcastLeaderboard).not.toHaveBeenCalled();
+  });
+
+  test('refuses challenges that have ended', async () => {
+    jest.setSystemTime(new Date('2024-01-06T12:00:00.000Z'));
+
+    const res = await join();
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('CHALLENGE_ENDED');
+    expect(cloneTemplate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,125 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Habit = require('../models/Habit');
+const TrackingEntry = require('../models/TrackingEntry');
+const CheckIn = require('../models/CheckIn');
+const Pause = require('../models/Pause');
+const { auth } = require('../middleware/auth');
+const { resolveTimezone, getToday, toDateKey } = require('../utils/dateUtils');
+const {
+  toCsv,
+  TRACKING_CSV_COLUMNS,
+  toTrackingRows,
+  toCalendar
+} = require('../utils/exportFormats');
+
+const router = express.Router();
+
+const EXPORT_VERSION = 1;
+
+const sendAttachment = (res, { contentType, filename, body }) => {
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.send(body);
+};
+
+// @route   GET /api/export
+// @desc    Export the user's data as JSON (full dump), CSV (tracking entries) or ICS (habit schedules)
+// @access  Private
+router.get('/', [
+  auth,
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'ics'])
+    .withMessage('Format must be json, csv or ics')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'json';
+    const timezone = resolveTimezone(req.user);
+    const filename = `habit-tracker-${toDateKey(getToday(timezone))}`;
+
+    // Inactive habits are included so the export covers the whole history.
+    // Token hashes are never selected, so the dump can't hand out badge or
+    // check-in access.
+    const habits = await Habit.find({ userId: req.user._id })
+      .select('-__v')
+      .sort({ order: 1, createdAt: 1 })
+      .lean();
+
+    if (format === 'ics') {
+      return sendAttachment(res, {
+        contentType: 'text/calendar; charset=utf-8',
+        filename: `${filename}.ics`,
+        body: toCalendar(habits.filter(habit => habit.isActive), {
+          timezone,
+          name: `${req.user.name}'s habits`
+        })
+      });
+    }
+
+    const entries = await TrackingEntry.find({ userId: req.user._id })
+      .select('-__v')
+      .sort({ date: 1, createdAt: 1 })
+      .lean();
+
+    if (format === 'csv') {
+      const habitsById = new Map(habits.map(habit => [habit._id.toString(), habit]));
+
+      return sendAttachment(res, {
+        contentType: 'text/csv; charset=utf-8',
+        filename: `${filename}.csv`,
+        body: toCsv(toTrackingRows(entries, habitsById), TRACKING_CSV_COLUMNS)
+      });
+    }
+
+    const [checkIns, pauses] = await Promise.all([
+      CheckIn.find({ userId: req.user._id })
+        .select('-__v')
+        .sort({ timestamp: 1 })
+        .lean(),
+      Pause.find({ userId: req.user._id })
+        .select('-__v')
+        .sort({ startDate: 1 })
+        .lean()
+    ]);
+
+    sendAttachment(res, {
+      contentType: 'application/json; charset=utf-8',
+      filename: `${filename}.json`,
+      body: JSON.stringify({
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        user: {
+          name: req.user.name,
+          email: req.user.email,
+          preferences: req.user.preferences,
+          createdAt: req.user.createdAt
+        },
+        habits,
+        trackingEntries: entries,
+        checkIns,
+        pauses
+      }, null, 2)
+    });
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({
+      message: 'Server error exporting data',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
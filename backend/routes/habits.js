@@ -1,38 +1,93 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Habit = require('../models/Habit');
 const TrackingEntry = require('../models/TrackingEntry');
+const CheckIn = require('../models/CheckIn');
+const Reminder = require('../models/Reminder');
+const Pause = require('../models/Pause');
+const Challenge = require('../models/Challenge');
+const Achievement = require('../models/Achievement');
+const ShareLink = require('../models/ShareLink');
 const { auth } = require('../middleware/auth');
+const { resolveTimezone, getDayRange } = require('../utils/dateUtils');
+const { emitUserEvent } = require('../services/events');
+const { notifyChallenge } = require('../services/challenges');
 
 const router = express.Router();
 
+// Habit filter for ?status=active|archived|all
+const STATUS_FILTERS = {
+  active: { isActive: true },
+  archived: { isActive: false },
+  all: {}
+};
+
+// Fields a habit's owner can set directly. Ownership, archiving, ordering,
+// tokens and challenge links only change through their own endpoints.
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'frequency',
+  'goal',
+  'category',
+  'color',
+  'targetDays',
+  'reminderTime',
+  'reminderMuted',
+  'sharing',
+  'streakTarget',
+  'target'
+];
+
+const TARGET_FIELDS = ['amount', 'unit', 'comparison', 'aggregation'];
+
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+};
+
 // @route   GET /api/habits
-// @desc    Get all habits for the authenticated user
+// @desc    Get the authenticated user's habits: active (default), archived or all
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [
+  auth,
+  query('status')
+    .optional()
+    .isIn(Object.keys(STATUS_FILTERS))
+    .withMessage('Status must be active, archived or all')
+], async (req, res) => {
   try {
-    const { include_tracking } = req.query;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { include_tracking, status = 'active' } = req.query;
+    const statusFilter = STATUS_FILTERS[status];
     
     if (include_tracking === 'true') {
       // Get habits with recent tracking data
-      const endDate = new Date();
-      const startDate = new Date(endDate.getTime() - (30 * 24 * 60 * 60 * 1000)); // Last 30 days
+      const timezone = resolveTimezone(req.user);
+      const { startDate, endDate } = getDayRange(30, timezone); // Last 30 days
       
-      const habits = await Habit.getHabitsWithTracking(req.user._id, startDate, endDate);
+      const habits = await Habit.getHabitsWithTracking(req.user._id, startDate, endDate, statusFilter);
       
-      // Calculate streaks and completion rates for each habit
-      const habitsWithStats = await Promise.all(
-        habits.map(async (habit) => {
-          const currentStreak = await TrackingEntry.getCurrentStreak(habit._id);
-          const completionRate = await TrackingEntry.getCompletionRate(habit._id, startDate, endDate);
-          
-          return {
-            ...habit,
-            currentStreak,
-            completionRate: Math.round(completionRate * 100)
-          };
-        })
-      );
+      // Calculate streaks and completion rates for all habits at once
+      const [streaks, completionRates] = await Promise.all([
+        TrackingEntry.getCurrentStreaks(habits, timezone),
+        TrackingEntry.getCompletionRates(habits, startDate, endDate, timezone)
+      ]);
+      const habitsWithStats = habits.map(habit => ({
+        ...habit,
+        currentStreak: streaks.get(habit._id.toString()),
+        completionRate: Math.round(completionRates.get(habit._id.toString()) * 100)
+      }));
       
       res.json({
         habits: habitsWithStats,
@@ -42,7 +97,7 @@ router.get('/', auth, async (req, res) => {
       // Get habits without tracking data
       const habits = await Habit.find({
         userId: req.user._id,
-        isActive: true
+        ...statusFilter
       }).sort({ order: 1, createdAt: 1 });
       
       res.json({
@@ -77,7 +132,7 @@ router.get('/:id', auth, async (req, res) => {
     }
     
     // Get analytics for this habit
-    const analytics = await TrackingEntry.getHabitAnalytics(habit._id, 30);
+    const analytics = await TrackingEntry.getHabitAnalytics(habit, 30, resolveTimezone(req.user));
     
     res.json({
       habit,
@@ -130,13 +185,38 @@ router.post('/', [
     .isArray()
     .withMessage('Target days must be an array'),
   body('reminderTime')
-    .optional()
+    .optional({ values: 'falsy' }) // An empty string clears the reminder
     .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage('Please enter a valid time format (HH:MM)'),
+  body('reminderMuted')
+    .optional()
+    .isBoolean()
+    .withMessage('reminderMuted must be a boolean'),
+  body('sharing')
+    .optional()
+    .isIn(['private', 'streak', 'notes'])
+    .withMessage('Sharing must be private, streak or notes'),
   body('streakTarget')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Streak target must be at least 1')
+    .withMessage('Streak target must be at least 1'),
+  body('target.amount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Target amount must be a positive number'),
+  body('target.unit')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Unit cannot be more than 20 characters'),
+  body('target.comparison')
+    .optional()
+    .isIn(['at-least', 'at-most'])
+    .withMessage('Comparison must be at-least or at-most'),
+  body('target.aggregation')
+    .optional()
+    .isIn(['sum', 'average', 'max'])
+    .withMessage('Aggregation must be sum, average, or max')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -154,7 +234,7 @@ router.post('/', [
     }).sort({ order: -1 });
 
     const habitData = {
-      ...req.body,
+      ...pickEditableFields(req.body),
       userId: req.user._id,
       order: lastHabit ? lastHabit.order + 1 : 0
     };
@@ -164,7 +244,7 @@ router.post('/', [
 
     // Emit real-time update
     const io = req.app.get('io');
-    io.to(`user-${req.user._id}`).emit('habit-created', habit);
+    emitUserEvent(io, req.user._id, 'habit-created', habit);
 
     res.status(201).json({
       message: 'Habit created successfully',
@@ -179,6 +259,65 @@ router.post('/', [
   }
 });
 
+// @route   PUT /api/habits/reorder
+// @desc    Reorder habits
+// @access  Private
+// Registered before PUT /:id so "reorder" isn't taken for a habit id
+router.put('/reorder', [
+  auth,
+  body('habitOrders')
+    .isArray()
+    .withMessage('Habit orders must be an array')
+    .custom((value) => {
+      if (!value.every(item => item.habitId && typeof item.order === 'number')) {
+        throw new Error('Each item must have habitId and order');
+      }
+      return true;
+    }),
+  body('habitOrders.*.habitId')
+    .isMongoId()
+    .withMessage('Invalid habit id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { habitOrders } = req.body;
+
+    // Update each habit's order
+    const updatePromises = habitOrders.map(({ habitId, order }) =>
+      Habit.findOneAndUpdate(
+        { _id: habitId, userId: req.user._id },
+        { order },
+        { new: true }
+      )
+    );
+
+    const updatedHabits = (await Promise.all(updatePromises)).filter(Boolean); // Remove null results
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    emitUserEvent(io, req.user._id, 'habits-reordered', updatedHabits);
+
+    res.json({
+      message: 'Habits reordered successfully',
+      habits: updatedHabits
+    });
+  } catch (error) {
+    console.error('Reorder habits error:', error);
+    res.status(500).json({
+      message: 'Server error reordering habits',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // @route   PUT /api/habits/:id
 // @desc    Update a habit
 // @access  Private
@@ -218,17 +357,38 @@ router.put('/:id', [
     .isArray()
     .withMessage('Target days must be an array'),
   body('reminderTime')
-    .optional()
+    .optional({ values: 'falsy' }) // An empty string clears the reminder
     .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage('Please enter a valid time format (HH:MM)'),
+  body('reminderMuted')
+    .optional()
+    .isBoolean()
+    .withMessage('reminderMuted must be a boolean'),
+  body('sharing')
+    .optional()
+    .isIn(['private', 'streak', 'notes'])
+    .withMessage('Sharing must be private, streak or notes'),
   body('streakTarget')
     .optional()
     .isInt({ min: 1 })
     .withMessage('Streak target must be at least 1'),
-  body('isActive')
+  body('target.amount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Target amount must be a positive number'),
+  body('target.unit')
     .optional()
-    .isBoolean()
-    .withMessage('isActive must be a boolean')
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Unit cannot be more than 20 characters'),
+  body('target.comparison')
+    .optional()
+    .isIn(['at-least', 'at-most'])
+    .withMessage('Comparison must be at-least or at-most'),
+  body('target.aggregation')
+    .optional()
+    .isIn(['sum', 'average', 'max'])
+    .withMessage('Aggregation must be sum, average, or max')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -252,16 +412,28 @@ router.put('/:id', [
       });
     }
 
-    // Update habit
+    // A partial target only changes the fields it names
+    const { target, ...update } = pickEditableFields(req.body);
+    if (target && typeof target === 'object') {
+      TARGET_FIELDS.forEach(field => {
+        if (target[field] !== undefined) update[`target.${field}`] = target[field];
+      });
+    }
+
     const updatedHabit = await Habit.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true, runValidators: true }
     );
 
+    // A new target or schedule changes which entries count as completed
+    if (req.body.target || req.body.frequency) {
+      await TrackingEntry.syncTargetProgress(updatedHabit);
+    }
+
     // Emit real-time update
     const io = req.app.get('io');
-    io.to(`user-${req.user._id}`).emit('habit-updated', updatedHabit);
+    emitUserEvent(io, req.user._id, 'habit-updated', updatedHabit);
 
     res.json({
       message: 'Habit updated successfully',
@@ -276,15 +448,53 @@ router.put('/:id', [
   }
 });
 
-// @route   DELETE /api/habits/:id
-// @desc    Delete a habit (soft delete)
+// @route   POST /api/habits/:id/restore
+// @desc    Restore an archived habit
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.post('/:id/restore', auth, async (req, res) => {
   try {
-    const habit = await Habit.findOne({
-      _id: req.params.id,
-      userId: req.user._id
+    const habit = await Habit.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, isActive: false },
+      { isActive: true, archivedAt: null },
+      { new: true }
+    );
+
+    if (!habit) {
+      return res.status(404).json({
+        message: 'Archived habit not found',
+        code: 'HABIT_NOT_FOUND'
+      });
+    }
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    emitUserEvent(io, req.user._id, 'habit-restored', habit);
+
+    res.json({
+      message: 'Habit restored successfully',
+      habit
+    });
+  } catch (error) {
+    console.error('Restore habit error:', error);
+    res.status(500).json({
+      message: 'Server error restoring habit',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
+  }
+});
+
+// @route   POST /api/habits/:id/share-token
+// @desc    Create or replace the token that lets badges show this habit.
+//          Only its hash is kept, so this is the one time it is returned.
+// @access  Private
+router.post('/:id/share-token', auth, async (req, res) => {
+  try {
+    const shareToken = Habit.generateToken();
+    const habit = await Habit.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { shareTokenHash: Habit.hashToken(shareToken), shareTokenCreatedAt: new Date() },
+      { new: true }
+    );
 
     if (!habit) {
       return res.status(404).json({
@@ -293,39 +503,140 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // Soft delete by setting isActive to false
-    await Habit.findByIdAndUpdate(req.params.id, { isActive: false });
+    // Emit real-time update
+    const io = req.app.get('io');
+    emitUserEvent(io, req.user._id, 'habit-updated', habit);
+
+    res.json({
+      message: 'Share token created; badges using an older token stop working',
+      shareToken,
+      habit
+    });
+  } catch (error) {
+    console.error('Create share token error:', error);
+    res.status(500).json({
+      message: 'Server error creating share token',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/habits/:id/share-token
+// @desc    Revoke the habit's share token; its badges stop working
+// @access  Private
+router.delete('/:id/share-token', auth, async (req, res) => {
+  try {
+    const habit = await Habit.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { shareTokenHash: null, shareTokenCreatedAt: null },
+      { new: true }
+    );
+
+    if (!habit) {
+      return res.status(404).json({
+        message: 'Habit not found',
+        code: 'HABIT_NOT_FOUND'
+      });
+    }
 
     // Emit real-time update
     const io = req.app.get('io');
-    io.to(`user-${req.user._id}`).emit('habit-deleted', { habitId: req.params.id });
+    emitUserEvent(io, req.user._id, 'habit-updated', habit);
 
     res.json({
-      message: 'Habit deleted successfully'
+      message: 'Share token revoked'
     });
   } catch (error) {
-    console.error('Delete habit error:', error);
+    console.error('Revoke share token error:', error);
     res.status(500).json({
-      message: 'Server error deleting habit',
+      message: 'Server error revoking share token',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// @route   PUT /api/habits/reorder
-// @desc    Reorder habits
+// @route   POST /api/habits/:id/checkin-token
+// @desc    Enable or rotate the habit's check-in URL. Only the token's hash
+//          is kept, so this is the one time it is returned.
 // @access  Private
-router.put('/reorder', [
+router.post('/:id/checkin-token', auth, async (req, res) => {
+  try {
+    const checkinToken = Habit.generateToken();
+    const habit = await Habit.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { checkinTokenHash: Habit.hashToken(checkinToken), checkinTokenCreatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!habit) {
+      return res.status(404).json({
+        message: 'Habit not found',
+        code: 'HABIT_NOT_FOUND'
+      });
+    }
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    emitUserEvent(io, req.user._id, 'habit-updated', habit);
+
+    res.json({
+      message: 'Check-in URL created; older URLs for this habit stop working',
+      checkinToken,
+      habit
+    });
+  } catch (error) {
+    console.error('Create check-in token error:', error);
+    res.status(500).json({
+      message: 'Server error creating check-in URL',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/habits/:id/checkin-token
+// @desc    Disable the habit's check-in URL
+// @access  Private
+router.delete('/:id/checkin-token', auth, async (req, res) => {
+  try {
+    const habit = await Habit.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { checkinTokenHash: null, checkinTokenCreatedAt: null },
+      { new: true }
+    );
+
+    if (!habit) {
+      return res.status(404).json({
+        message: 'Habit not found',
+        code: 'HABIT_NOT_FOUND'
+      });
+    }
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    emitUserEvent(io, req.user._id, 'habit-updated', habit);
+
+    res.json({
+      message: 'Check-in URL disabled'
+    });
+  } catch (error) {
+    console.error('Disable check-in token error:', error);
+    res.status(500).json({
+      message: 'Server error disabling check-in URL',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/habits/:id
+// @desc    Archive a habit, or with ?permanent=true delete it and its whole history
+// @access  Private
+router.delete('/:id', [
   auth,
-  body('habitOrders')
-    .isArray()
-    .withMessage('Habit orders must be an array')
-    .custom((value) => {
-      if (!value.every(item => item.habitId && typeof item.order === 'number')) {
-        throw new Error('Each item must have habitId and order');
-      }
-      return true;
-    })
+  query('permanent')
+    .optional()
+    .isBoolean()
+    .withMessage('permanent must be a boolean')
+    .toBoolean()
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -337,31 +648,70 @@ router.put('/reorder', [
       });
     }
 
-    const { habitOrders } = req.body;
+    const habit = await Habit.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
 
-    // Update each habit's order
-    const updatePromises = habitOrders.map(({ habitId, order }) =>
-      Habit.findOneAndUpdate(
-        { _id: habitId, userId: req.user._id },
-        { order },
-        { new: true }
-      )
-    );
+    if (!habit) {
+      return res.status(404).json({
+        message: 'Habit not found',
+        code: 'HABIT_NOT_FOUND'
+      });
+    }
+
+    const permanent = req.query.permanent === true;
+
+    if (permanent) {
+      // The habit goes first so nothing can log against it while its
+      // history is removed
+      await Habit.deleteOne({ _id: habit._id });
+      const [entries] = await Promise.all([
+        TrackingEntry.deleteMany({ habitId: habit._id }),
+        CheckIn.deleteMany({ habitId: habit._id }),
+        Reminder.deleteMany({ habitId: habit._id }),
+        Pause.deleteMany({ habitId: habit._id }),
+        // Earned badges stay earned, without the habit
+        Achievement.updateMany({ habitId: habit._id }, { habitId: null }),
+        ShareLink.updateMany({ habitIds: habit._id }, { $pull: { habitIds: habit._id } }),
+        // Deleting a challenge habit leaves the challenge
+        Challenge.updateMany(
+          { 'participants.habitId': habit._id },
+          { $pull: { participants: { habitId: habit._id } } }
+        )
+      ]);
+
+      // A public page with none of its habits left has nothing to show
+      await ShareLink.deleteMany({ userId: req.user._id, habitIds: { $size: 0 } });
+
+      // Emit real-time update
+      const io = req.app.get('io');
+      notifyChallenge({ io, habit });
+      emitUserEvent(io, req.user._id, 'habit-deleted', { habitId: req.params.id, permanent: true });
+
+      return res.json({
+        message: 'Habit permanently deleted',
+        deletedEntries: entries.deletedCount
+      });
+    }
 
-    const updatedHabits = await Promise.all(updatePromises);
+    // Archive: history is kept and the habit can be restored
+    const archivedHabit = habit.isActive
+      ? await Habit.findByIdAndUpdate(habit._id, { isActive: false, archivedAt: new Date() }, { new: true })
+      : habit;
 
     // Emit real-time update
     const io = req.app.get('io');
-    io.to(`user-${req.user._id}`).emit('habits-reordered', updatedHabits);
+    emitUserEvent(io, req.user._id, 'habit-deleted', { habitId: req.params.id, permanent: false });
 
     res.json({
-      message: 'Habits reordered successfully',
-      habits: updatedHabits.filter(Boolean) // Remove null results
+      message: 'Habit archived successfully',
+      habit: archivedHabit
     });
   } catch (error) {
-    console.error('Reorder habits error:', error);
+    console.error('Delete habit error:', error);
     res.status(500).json({
-      message: 'Server error reordering habits',
+      message: 'Server error deleting habit',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -0,0 +1,108 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = { _id: 'user-1', preferences: {} };
+    next();
+  }
+}));
+jest.mock('../models/Habit', () => ({
+  findOne: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../models/TrackingEntry', () => ({ deleteMany: jest.fn(), syncTargetProgress: jest.fn() }));
+jest.mock('../models/CheckIn', () => ({ deleteMany: jest.fn() }));
+jest.mock('../models/Reminder', () => ({ deleteMany: jest.fn() }));
+jest.mock('../models/Pause', () => ({ deleteMany: jest.fn() }));
+jest.mock('../models/Challenge', () => ({ updateMany: jest.fn() }));
+jest.mock('../models/Achievement', () => ({ updateMany: jest.fn() }));
+jest.mock('../models/ShareLink', () => ({ updateMany: jest.fn(), deleteMany: jest.fn() }));
+jest.mock('../services/events', () => ({ emitUserEvent: jest.fn() }));
+jest.mock('../services/challenges', () => ({ notifyChallenge: jest.fn() }));
+
+const Habit = require('../models/Habit');
+const TrackingEntry = require('../models/TrackingEntry');
+const Achievement = require('../models/Achievement');
+const ShareLink = require('../models/ShareLink');
+const Challenge = require('../models/Challenge');
+const { emitUserEvent } = require('../services/events');
+const { notifyChallenge } = require('../services/challenges');
+const habitRoutes = require('./habits');
+
+const app = express();
+app.use(express.json());
+app.set('io', {});
+app.use('/api/habits', habitRoutes);
+
+const habit = { _id: 'habit-1', userId: 'user-1', isActive: true, challengeId: 'challenge-1' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Habit.findOne.mockResolvedValue(habit);
+  Habit.findByIdAndUpdate.mockImplementation(async (id, update) => ({ _id: id, ...update }));
+});
+
+describe('PUT /api/habits/:id', () => {
+  test('only updates editable fields', async () => {
+    const res = await request(app)
+      .put('/api/habits/habit-1')
+      .send({ name: 'Read', userId: 'someone-else', isActive: false, order: 9, challengeId: 'c2', reminderSnoozedUntil: '2030-01-01' });
+
+    expect(res.status).toBe(200);
+    expect(Habit.findByIdAndUpdate).toHaveBeenCalledWith('habit-1', { name: 'Read' }, { new: true, runValidators: true });
+    expect(emitUserEvent).toHaveBeenCalledWith({}, 'user-1', 'habit-updated', expect.objectContaining({ name: 'Read' }));
+  });
+
+  test('merges a partial target into the existing one', async () => {
+    const res = await request(app).put('/api/habits/habit-1').send({ target: { unit: 'pages' } });
+
+    expect(res.status).toBe(200);
+    expect(Habit.findByIdAndUpdate.mock.calls[0][1]).toEqual({ 'target.unit': 'pages' });
+    expect(TrackingEntry.syncTargetProgress).toHaveBeenCalled();
+  });
+
+  test('can clear the target amount', async () => {
+    await request(app).put('/api/habits/habit-1').send({ target: { amount: null } });
+
+    expect(Habit.findByIdAndUpdate.mock.calls[0][1]).toEqual({ 'target.amount': null });
+  });
+
+  test('returns 404 for another user\'s habit', async () => {
+    Habit.findOne.mockResolvedValue(null);
+    const res = await request(app).put('/api/habits/habit-2').send({ name: 'Read' });
+
+    expect(res.status).toBe(404);
+    expect(Habit.findOne).toHaveBeenCalledWith({ _id: 'habit-2', userId: 'user-1' });
+    expect(Habit.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/habits/:id?permanent=true', () => {
+  test('removes the habit from share links, achievements and challenges', async () => {
+    TrackingEntry.deleteMany.mockResolvedValue({ deletedCount: 12 });
+    const res = await request(app).delete('/api/habits/habit-1?permanent=true');
+
+    expect(res.status).toBe(200);
+    expect(res.body.deletedEntries).toBe(12);
+    expect(Habit.deleteOne).toHaveBeenCalledWith({ _id: 'habit-1' });
+    expect(Achievement.updateMany).toHaveBeenCalledWith({ habitId: 'habit-1' }, { habitId: null });
+    expect(ShareLink.updateMany).toHaveBeenCalledWith({ habitIds: 'habit-1' }, { $pull: { habitIds: 'habit-1' } });
+    expect(ShareLink.deleteMany).toHaveBeenCalledWith({ userId: 'user-1', habitIds: { $size: 0 } });
+    expect(Challenge.updateMany).toHaveBeenCalledWith(
+      { 'participants.habitId': 'habit-1' },
+      { $pull: { participants: { habitId: 'habit-1' } } }
+    );
+    expect(notifyChallenge).toHaveBeenCalledWith({ io: {}, habit });
+  });
+
+  test('archives without touching related data', async () => {
+    const res = await request(app).delete('/api/habits/habit-1');
+
+    expect(res.status).toBe(200);
+    expect(Habit.findByIdAndUpdate).toHaveBeenCalledWith('habit-1', expect.objectContaining({ isActive: false }), { new: true });
+    expect(Habit.deleteOne).not.toHaveBeenCalled();
+    expect(ShareLink.updateMany).not.toHaveBeenCalled();
+  });
+});
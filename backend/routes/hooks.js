@@ -0,0 +1,92 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Habit = require('../models/Habit');
+const { hasTarget } = require('../utils/targets');
+const { upsertEntry } = require('../services/tracking');
+
+const router = express.Router();
+
+// Inbound hooks for phone shortcuts, home-automation buttons and cron jobs.
+// The habit's check-in token in the URL is the only credential, and it only
+// allows marking that one habit done.
+
+// @route   POST /api/hooks/checkin/:token
+// @desc    Mark a habit done, or for habits with a target log `value`;
+//          `date` defaults to today in the owner's timezone
+// @access  Public (check-in token)
+router.post('/checkin/:token', [
+  param('token')
+    .isLength({ min: 16, max: 64 })
+    .withMessage('Invalid check-in URL'),
+  body('value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Value must be a positive number')
+    .toFloat(),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const habit = await Habit.findOne({ checkinTokenHash: Habit.hashToken(req.params.token), isActive: true })
+      .populate('userId', '-password');
+    if (!habit || !habit.userId || !habit.userId.isActive) {
+      return res.status(404).json({
+        message: 'Check-in URL not found or disabled',
+        code: 'CHECKIN_NOT_FOUND'
+      });
+    }
+
+    const { value, notes, date } = req.body;
+    if (hasTarget(habit) && value === undefined) {
+      return res.status(400).json({
+        message: 'Value is required for habits with a target',
+        code: 'VALUE_REQUIRED'
+      });
+    }
+
+    const user = habit.userId;
+    habit.depopulate('userId');
+
+    const result = await upsertEntry({
+      io: req.app.get('io'),
+      user,
+      habit,
+      date,
+      changes: { completed: true, value, notes }
+    });
+
+    if (result.error) {
+      const { status, ...error } = result.error;
+      return res.status(status).json(error);
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      message: `${habit.name} checked in`,
+      entry: result.entry
+    });
+  } catch (error) {
+    console.error('Inbound check-in error:', error);
+    res.status(500).json({
+      message: 'Server error checking in',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
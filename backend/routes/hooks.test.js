@@ -0,0 +1,100 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../models/Habit', () => ({
+  findOne: jest.fn(),
+  hashToken: jest.fn(token => `hash-${token}`)
+}));
+jest.mock('../services/tracking', () => ({ upsertEntry: jest.fn() }));
+
+const Habit = require('../models/Habit');
+const { upsertEntry } = require('../services/tracking');
+const hookRoutes = require('./hooks');
+
+const app = express();
+app.use(express.json());
+app.set('io', {});
+app.use('/api/hooks', hookRoutes);
+
+const TOKEN = 'a'.repeat(32);
+const owner = { _id: 'user-1', isActive: true, preferences: { timezone: 'UTC' } };
+const entry = { _id: 'entry-1', completed: true };
+
+// The habit the token belongs to, with its owner populated
+const habitWith = (fields = {}) => {
+  const habit = { _id: 'habit-1', name: 'Walk', userId: owner, depopulate: jest.fn(), ...fields };
+  Habit.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(habit) });
+  return habit;
+};
+
+const checkIn = (body = {}) => request(app).post(`/api/hooks/checkin/${TOKEN}`).send(body);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  upsertEntry.mockResolvedValue({ entry, created: true });
+});
+
+describe('POST /api/hooks/checkin/:token', () => {
+  test('checks in the token\'s habit through the tracking upsert', async () => {
+    const habit = habitWith();
+
+    const res = await checkIn({ notes: 'From my watch' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ message: 'Walk checked in', entry });
+    expect(Habit.findOne).toHaveBeenCalledWith({ checkinTokenHash: `hash-${TOKEN}`, isActive: true });
+    expect(upsertEntry).toHaveBeenCalledWith({
+      io: {},
+      user: owner,
+      habit,
+      date: undefined,
+      changes: { completed: true, value: undefined, notes: 'From my watch' }
+    });
+  });
+
+  test('answers 200 when the day already had an entry', async () => {
+    habitWith();
+    upsertEntry.mockResolvedValue({ entry, created: false });
+
+    expect((await checkIn()).status).toBe(200);
+  });
+
+  test.each([
+    ['unknown or archived habits', () => Habit.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(null) })],
+    ['deactivated owners', () => habitWith({ userId: { ...owner, isActive: false } })]
+  ])('answers 404 for %s', async (name, setUp) => {
+    setUp();
+
+    const res = await checkIn();
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('CHECKIN_NOT_FOUND');
+    expect(upsertEntry).not.toHaveBeenCalled();
+  });
+
+  test('needs a value for habits with a target', async () => {
+    habitWith({ target: { amount: 8, unit: 'glasses' } });
+
+    const res = await checkIn();
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALUE_REQUIRED');
+  });
+
+  test('passes the upsert\'s refusals through', async () => {
+    habitWith();
+    upsertEntry.mockResolvedValue({ error: { status: 409, message: 'Stale', code: 'STALE_UPDATE' } });
+
+    const res = await checkIn();
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ message: 'Stale', code: 'STALE_UPDATE' });
+  });
+
+  test('rejects malformed tokens before looking anything up', async () => {
+    const res = await request(app).post('/api/hooks/checkin/short');
+
+    expect(res.status).toBe(400);
+    expect(Habit.findOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,101 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { resolveTimezone } = require('../utils/dateUtils');
+const { parseImport } = require('../utils/importFormats');
+const { applyImport } = require('../services/import');
+const { evaluateAchievements } = require('../services/achievements');
+
+const router = express.Router();
+
+// @route   POST /api/import
+// @desc    Import habit history from this app's JSON export, a generic CSV or Loop Habit Tracker's CSV
+// @access  Private
+router.post('/', [
+  auth,
+  body('format')
+    .isIn(['json', 'csv', 'loop'])
+    .withMessage('Format must be json, csv or loop'),
+  body('data')
+    .exists({ checkNull: true })
+    .withMessage('Import data is required'),
+  body('data')
+    .if(body('format').isIn(['csv', 'loop']))
+    .isString()
+    .withMessage('CSV data must be sent as text'),
+  body('habits')
+    .optional()
+    .isString()
+    .withMessage('Loop habits must be sent as CSV text'),
+  body('mapping')
+    .optional()
+    .isObject()
+    .withMessage('Mapping must be an object of field to column name'),
+  body('mapping.*')
+    .optional()
+    .isString()
+    .withMessage('Mapped column names must be strings'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format, data, habits, mapping, dryRun = false } = req.body;
+
+    let parsed;
+    try {
+      parsed = parseImport(format, { data, habits, mapping, timezone: resolveTimezone(req.user) });
+    } catch (error) {
+      return res.status(400).json({
+        message: 'Import data could not be parsed',
+        code: 'INVALID_IMPORT_DATA'
+      });
+    }
+
+    if (parsed.habits.length === 0) {
+      return res.status(400).json({
+        message: 'No habits found in import data',
+        code: 'EMPTY_IMPORT',
+        errors: parsed.errors
+      });
+    }
+
+    const result = await applyImport({ userId: req.user._id, parsed, dryRun });
+
+    if (!dryRun) {
+      // Emit real-time update
+      const io = req.app.get('io');
+      io.to(`user-${req.user._id}`).emit('data-imported', {
+        habits: result.habits,
+        entries: result.entries,
+        pauses: result.pauses
+      });
+      evaluateAchievements({ io, user: req.user }); // In the background
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Import preview' : 'Import completed successfully',
+      format,
+      ...result
+    });
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({
+      message: 'Server error importing data',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
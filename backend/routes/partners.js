@@ -0,0 +1,505 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Habit = require('../models/Habit');
+const Partnership = require('../models/Partnership');
+const TrackingEntry = require('../models/TrackingEntry');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { resolveTimezone, getToday, addDays, toDateKey } = require('../utils/dateUtils');
+const { getStreakUnit } = require('../utils/schedule');
+
+const router = express.Router();
+
+// Partners see only habits shared with them, and only for as long as the
+// partnership is accepted
+const SHARED = { $in: ['streak', 'notes'] };
+const FEED_DAYS = 14;
+const NUDGE_COOLDOWN = 10 * 60 * 1000;
+
+// A partnership from the point of view of one of its users. Until an
+// invitation is accepted its sender only sees the email they invited, whether
+// or not it belongs to an account.
+const toPartnerView = (partnership, userId) => {
+  const incoming = partnership.recipientId?._id.toString() === userId.toString();
+  const partner = incoming ? partnership.requesterId : partnership.recipientId;
+  const waiting = !incoming && partnership.status === 'pending';
+
+  return {
+    id: partnership._id,
+    status: partnership.status,
+    direction: incoming ? 'incoming' : 'outgoing',
+    partner: waiting
+      ? { id: null, name: null, email: partnership.recipientEmail || partner?.email }
+      : { id: partner._id, name: partner.name, email: partner.email },
+    createdAt: partnership.createdAt,
+    respondedAt: partnership.respondedAt
+  };
+};
+
+// An accepted partnership of the current user, or null
+const findAccepted = (id, userId) => Partnership.findOne({
+  _id: id,
+  status: 'accepted',
+  ...Partnership.involving(userId)
+});
+
+// Tell both users a partnership changed
+const emitUpdate = (req, partnership) => {
+  const io = req.app.get('io');
+  const data = { partnershipId: partnership._id, status: partnership.status };
+  io.to(`user-${partnership.requesterId._id || partnership.requesterId}`).emit('partner-updated', data);
+  if (partnership.recipientId) {
+    io.to(`user-${partnership.recipientId._id || partnership.recipientId}`).emit('partner-updated', data);
+  }
+};
+
+// @route   GET /api/partners
+// @desc    Get partners and pending invitations
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const partnerships = await Partnership.find({
+      ...Partnership.involving(req.user._id),
+      status: { $in: ['pending', 'accepted'] }
+    })
+      .populate('requesterId', 'name email')
+      .populate('recipientId', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      partnerships: partnerships
+        // Skip deleted accounts; invitations still waiting for one are kept
+        .filter(p => p.requesterId && (p.recipientId || (p.status === 'pending' && p.recipientEmail)))
+        .map(p => toPartnerView(p, req.user._id))
+    });
+  } catch (error) {
+    console.error('Get partners error:', error);
+    res.status(500).json({
+      message: 'Server error getting partners',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/partners/invite
+// @desc    Invite someone to be an accountability partner. The response is
+//          the same whether or not the email has an account.
+// @access  Private
+router.post('/invite', [
+  auth,
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    if (email === req.user.email) {
+      return res.status(400).json({
+        message: 'You cannot partner with yourself',
+        code: 'INVALID_PARTNER'
+      });
+    }
+
+    // Only partnerships the user already knows about can conflict: their own
+    // invitations to this email, and invitations or partnerships with the
+    // account behind it
+    const recipient = await User.findOne({ email });
+    const existing = await Partnership.exists({
+      $or: [
+        { requesterId: req.user._id, recipientEmail: email },
+        ...(recipient ? [
+          { requesterId: req.user._id, recipientId: recipient._id },
+          { requesterId: recipient._id, recipientId: req.user._id }
+        ] : [])
+      ],
+      status: { $in: ['pending', 'accepted'] }
+    });
+    if (existing) {
+      return res.status(409).json({
+        message: 'You are already partners or have a pending invitation',
+        code: 'PARTNERSHIP_EXISTS'
+      });
+    }
+
+    const partnership = await Partnership.create({
+      requesterId: req.user._id,
+      recipientId: recipient?._id || null,
+      recipientEmail: email
+    });
+    await partnership.populate([
+      { path: 'requesterId', select: 'name email' },
+      { path: 'recipientId', select: 'name email' }
+    ]);
+
+    // Let the recipient know right away
+    if (recipient) {
+      const io = req.app.get('io');
+      io.to(`user-${recipient._id}`).emit('partner-request', {
+        partnershipId: partnership._id,
+        from: { id: req.user._id, name: req.user.name }
+      });
+    }
+
+    res.status(201).json({
+      message: 'Invitation sent',
+      partnership: toPartnerView(partnership, req.user._id)
+    });
+  } catch (error) {
+    // A concurrent request sent the same invitation
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'You are already partners or have a pending invitation',
+        code: 'PARTNERSHIP_EXISTS'
+      });
+    }
+
+    console.error('Invite partner error:', error);
+    res.status(500).json({
+      message: 'Server error inviting partner',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Accept or decline an invitation sent to the user
+const answerInvitation = async (req, res, status) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const partnership = await Partnership.findOneAndUpdate(
+      { _id: req.params.id, recipientId: req.user._id, status: 'pending' },
+      { status, respondedAt: new Date() },
+      { new: true }
+    )
+      .populate('requesterId', 'name email')
+      .populate('recipientId', 'name email');
+
+    if (!partnership) {
+      return res.status(404).json({
+        message: 'Invitation not found',
+        code: 'INVITATION_NOT_FOUND'
+      });
+    }
+
+    emitUpdate(req, partnership);
+
+    res.json({
+      message: status === 'accepted' ? 'Invitation accepted' : 'Invitation declined',
+      partnership: toPartnerView(partnership, req.user._id)
+    });
+  } catch (error) {
+    console.error('Answer partner invitation error:', error);
+    res.status(500).json({
+      message: 'Server error answering invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @route   POST /api/partners/:id/accept
+// @desc    Accept an invitation sent to the user
+// @access  Private
+router.post('/:id/accept', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid partnership ID')
+], (req, res) => answerInvitation(req, res, 'accepted'));
+
+// @route   POST /api/partners/:id/decline
+// @desc    Decline an invitation sent to the user
+// @access  Private
+router.post('/:id/decline', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid partnership ID')
+], (req, res) => answerInvitation(req, res, 'declined'));
+
+// @route   DELETE /api/partners/:id
+// @desc    Cancel an invitation or end a partnership
+// @access  Private
+router.delete('/:id', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid partnership ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const partnership = await Partnership.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        ...Partnership.involving(req.user._id),
+        status: { $in: ['pending', 'accepted'] }
+      },
+      { status: 'revoked', respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (!partnership) {
+      return res.status(404).json({
+        message: 'Partnership not found',
+        code: 'PARTNERSHIP_NOT_FOUND'
+      });
+    }
+
+    emitUpdate(req, partnership);
+
+    res.json({
+      message: 'Partnership ended'
+    });
+  } catch (error) {
+    console.error('Revoke partner error:', error);
+    res.status(500).json({
+      message: 'Server error ending partnership',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/partners/feed
+// @desc    Recent check-ins on habits partners share
+// @access  Private
+router.get('/feed', [
+  auth,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { limit = 50 } = req.query;
+    const partnerships = await Partnership.find({
+      ...Partnership.involving(req.user._id),
+      status: 'accepted'
+    });
+    const partnerIds = partnerships.map(p => p.getPartnerId(req.user._id));
+
+    const habits = (await Habit.find({ userId: { $in: partnerIds }, isActive: true, sharing: SHARED })
+      .populate('userId', 'name'))
+      .filter(habit => habit.userId); // Skip deleted accounts
+    const habitsById = new Map(habits.map(habit => [habit._id.toString(), habit]));
+
+    const since = addDays(getToday(resolveTimezone(req.user)), -FEED_DAYS);
+    const entries = await TrackingEntry.find({
+      habitId: { $in: habits.map(h => h._id) },
+      completed: true,
+      date: { $gte: since }
+    })
+      .sort({ updatedAt: -1 })
+      .limit(limit);
+
+    const feed = entries.map(entry => {
+      const habit = habitsById.get(entry.habitId.toString());
+      const withNotes = habit.sharing === 'notes';
+
+      return {
+        id: entry._id,
+        partner: { id: habit.userId._id, name: habit.userId.name },
+        habit: { id: habit._id, name: habit.name, color: habit.color },
+        date: toDateKey(entry.date),
+        completed: entry.completed,
+        value: withNotes ? entry.value : null,
+        unit: withNotes ? habit.target?.unit || null : null,
+        notes: withNotes ? entry.notes || null : null,
+        updatedAt: entry.updatedAt
+      };
+    });
+
+    res.json({ feed });
+  } catch (error) {
+    console.error('Get partner feed error:', error);
+    res.status(500).json({
+      message: 'Server error getting partner feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/partners/:id/habits
+// @desc    Habits a partner shares, with their current streaks
+// @access  Private
+router.get('/:id/habits', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid partnership ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const partnership = await findAccepted(req.params.id, req.user._id);
+    if (!partnership) {
+      return res.status(404).json({
+        message: 'Partnership not found',
+        code: 'PARTNERSHIP_NOT_FOUND'
+      });
+    }
+
+    const partner = await User.findById(partnership.getPartnerId(req.user._id));
+    if (!partner) {
+      return res.status(404).json({
+        message: 'Partnership not found',
+        code: 'PARTNERSHIP_NOT_FOUND'
+      });
+    }
+
+    // Streaks follow the partner's own calendar days
+    const timezone = resolveTimezone(partner);
+    const habits = await Habit.find({ userId: partner._id, isActive: true, sharing: SHARED })
+      .sort({ order: 1, createdAt: 1 });
+
+    const streaks = await TrackingEntry.getCurrentStreaks(habits, timezone);
+    const sharedHabits = habits.map(habit => ({
+      id: habit._id,
+      name: habit.name,
+      color: habit.color,
+      category: habit.category,
+      frequency: habit.frequency,
+      sharing: habit.sharing,
+      currentStreak: streaks.get(habit._id.toString()),
+      streakUnit: getStreakUnit(habit)
+    }));
+
+    res.json({
+      partner: { id: partner._id, name: partner.name },
+      habits: sharedHabits
+    });
+  } catch (error) {
+    console.error('Get partner habits error:', error);
+    res.status(500).json({
+      message: 'Server error getting partner habits',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/partners/:id/nudge
+// @desc    Nudge a partner, optionally about one of their shared habits
+// @access  Private
+router.post('/:id/nudge', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid partnership ID'),
+  body('habitId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid habit ID'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 140 })
+    .withMessage('Message cannot be more than 140 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const partnership = await findAccepted(req.params.id, req.user._id);
+    if (!partnership) {
+      return res.status(404).json({
+        message: 'Partnership not found',
+        code: 'PARTNERSHIP_NOT_FOUND'
+      });
+    }
+
+    const partnerId = partnership.getPartnerId(req.user._id);
+    const { habitId, message } = req.body;
+
+    let habit = null;
+    if (habitId) {
+      habit = await Habit.findOne({ _id: habitId, userId: partnerId, isActive: true, sharing: SHARED });
+      if (!habit) {
+        return res.status(404).json({
+          message: 'Habit not found or not shared',
+          code: 'HABIT_NOT_FOUND'
+        });
+      }
+    }
+
+    // One nudge per partner every few minutes
+    const now = new Date();
+    const lastNudgeAt = partnership.lastNudgeAt.get(req.user._id.toString());
+    if (lastNudgeAt && now - lastNudgeAt < NUDGE_COOLDOWN) {
+      return res.status(429).json({
+        message: 'You nudged this partner a moment ago',
+        code: 'NUDGE_COOLDOWN',
+        retryAt: new Date(lastNudgeAt.getTime() + NUDGE_COOLDOWN)
+      });
+    }
+
+    partnership.lastNudgeAt.set(req.user._id.toString(), now);
+    await partnership.save();
+
+    const io = req.app.get('io');
+    io.to(`user-${partnerId}`).emit('partner-nudge', {
+      partnershipId: partnership._id,
+      from: { id: req.user._id, name: req.user.name },
+      habit: habit ? { id: habit._id, name: habit.name, color: habit.color } : null,
+      message: message || null,
+      sentAt: now
+    });
+
+    res.json({
+      message: 'Nudge sent'
+    });
+  } catch (error) {
+    console.error('Nudge partner error:', error);
+    res.status(500).json({
+      message: 'Server error sending nudge',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const id = () => new mongoose.Types.ObjectId();
+const mockUser = { _id: id(), name: 'Sam', email: 'sam@example.com', preferences: { timezone: 'UTC' } };
+
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+const Habit = require('../models/Habit');
+const Partnership = require('../models/Partnership');
+const TrackingEntry = require('../models/TrackingEntry');
+const User = require('../models/User');
+const partnerRoutes = require('./partners');
+
+const io = { to: jest.fn(() => io), emit: jest.fn() };
+
+const app = express();
+app.use(express.json());
+app.set('io', io);
+app.use('/api/partners', partnerRoutes);
+
+const alex = { _id: id(), name: 'Alex', email: 'alex@example.com', preferences: { timezone: 'UTC' } };
+const accepted = () => {
+  const partnership = new Partnership({ requesterId: mockUser._id, recipientId: alex._id, status: 'accepted' });
+  partnership.isNew = false;
+  return partnership;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/partners/invite', () => {
+  beforeEach(() => {
+    jest.spyOn(Partnership, 'exists').mockResolvedValue(null);
+    jest.spyOn(Partnership, 'create').mockImplementation(async (data) => {
+      const partnership = new Partnership(data);
+      partnership.populate = jest.fn().mockResolvedValue(partnership);
+      return partnership;
+    });
+  });
+
+  test('answers the same whether or not the email has an account', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValueOnce(alex).mockResolvedValueOnce(null);
+
+    const known = await request(app).post('/api/partners/invite').send({ email: 'alex@example.com' });
+    const unknown = await request(app).post('/api/partners/invite').send({ email: 'alex@example.com' });
+
+    expect(known.status).toBe(201);
+    expect(unknown.status).toBe(201);
+    expect({ ...known.body.partnership, id: null, createdAt: null })
+      .toEqual({ ...unknown.body.partnership, id: null, createdAt: null });
+    expect(known.body.partnership.partner).toEqual({ id: null, name: null, email: 'alex@example.com' });
+
+    // Only an existing account is told right away
+    expect(io.to).toHaveBeenCalledTimes(1);
+    expect(io.to).toHaveBeenCalledWith(`user-${alex._id}`);
+    expect(io.emit).toHaveBeenCalledWith('partner-request', expect.objectContaining({ from: { id: mockUser._id, name: 'Sam' } }));
+  });
+
+  test('refuses a second invitation or partnership', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(alex);
+    Partnership.exists.mockResolvedValue({ _id: id() });
+
+    const res = await request(app).post('/api/partners/invite').send({ email: 'alex@example.com' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('PARTNERSHIP_EXISTS');
+    expect(Partnership.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses the user\'s own email', async () => {
+    const res = await request(app).post('/api/partners/invite').send({ email: 'sam@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_PARTNER');
+  });
+});
+
+describe('POST /api/partners/:id/accept', () => {
+  test('only answers invitations sent to the user', async () => {
+    jest.spyOn(Partnership, 'findOneAndUpdate').mockReturnValue({
+      populate: () => ({ populate: jest.fn().mockResolvedValue(null) })
+    });
+    const partnershipId = id().toString();
+
+    const res = await request(app).post(`/api/partners/${partnershipId}/accept`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('INVITATION_NOT_FOUND');
+    expect(Partnership.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: partnershipId, recipientId: mockUser._id, status: 'pending' });
+  });
+});
+
+describe('GET /api/partners/:id/habits', () => {
+  test('lists only the active habits the partner shares', async () => {
+    const partnership = accepted();
+    jest.spyOn(Partnership, 'findOne').mockResolvedValue(partnership);
+    jest.spyOn(User, 'findById').mockResolvedValue(alex);
+    const shared = new Habit({ userId: alex._id, name: 'Run', sharing: 'streak' });
+    jest.spyOn(Habit, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([shared]) });
+    jest.spyOn(TrackingEntry, 'getCurrentStreaks').mockResolvedValue(new Map([[shared._id.toString(), 4]]));
+
+    const res = await request(app).get(`/api/partners/${partnership._id}/habits`);
+
+    expect(res.status).toBe(200);
+    expect(Habit.find).toHaveBeenCalledWith({ userId: alex._id, isActive: true, sharing: { $in: ['streak', 'notes'] } });
+    expect(res.body.habits).toEqual([expect.objectContaining({ name: 'Run', currentStreak: 4 })]);
+    expect(res.body.partner).toEqual({ id: alex._id.toString(), name: 'Alex' });
+  });
+
+  test('answers 404 unless the partnership is accepted', async () => {
+    jest.spyOn(Partnership, 'findOne').mockResolvedValue(null);
+    const partnershipId = id().toString();
+
+    const res = await request(app).get(`/api/partners/${partnershipId}/habits`);
+
+    expect(res.status).toBe(404);
+    expect(Partnership.findOne).toHaveBeenCalledWith({ _id: partnershipId, status: 'accepted', ...Partnership.involving(mockUser._id) });
+  });
+});
+
+describe('GET /api/partners/feed', () => {
+  test('shows values and notes only for habits shared with notes', async () => {
+    jest.spyOn(Partnership, 'find').mockResolvedValue([accepted()]);
+    const owner = { _id: alex._id, name: 'Alex' };
+    const streakOnly = new Habit({ userId: alex._id, name: 'Run', sharing: 'streak' });
+    const withNotes = new Habit({ userId: alex._id, name: 'Read', sharing: 'notes' });
+    [streakOnly, withNotes].forEach(habit => { habit.userId = owner; });
+    jest.spyOn(Habit, 'find').mockReturnValue({ populate: jest.fn().mockResolvedValue([streakOnly, withNotes]) });
+    const entry = (habit) => new TrackingEntry({
+      habitId: habit._id, userId: alex._id, date: new Date(), completed: true, value: 30, notes: 'Felt great'
+    });
+    const limit = jest.fn().mockResolvedValue([entry(streakOnly), entry(withNotes)]);
+    jest.spyOn(TrackingEntry, 'find').mockReturnValue({ sort: () => ({ limit }) });
+
+    const res = await request(app).get('/api/partners/feed');
+
+    expect(res.status).toBe(200);
+    expect(res.body.feed.map(item => [item.habit.name, item.value, item.notes])).toEqual([
+      ['Run', null, null],
+      ['Read', 30, 'Felt great']
+    ]);
+  });
+});
+
+describe('POST /api/partners/:id/nudge', () => {
+  test('sends a nudge to the partner\'s room once per cooldown', async () => {
+    const partnership = accepted();
+    jest.spyOn(Partnership, 'findOne').mockResolvedValue(partnership);
+    jest.spyOn(partnership, 'save').mockResolvedValue(partnership);
+
+    const first = await request(app).post(`/api/partners/${partnership._id}/nudge`).send({ message: 'Go!' });
+    const second = await request(app).post(`/api/partners/${partnership._id}/nudge`).send({});
+
+    expect(first.status).toBe(200);
+    expect(io.to).toHaveBeenCalledWith(`user-${alex._id}`);
+    expect(io.emit).toHaveBeenCalledWith('partner-nudge', expect.objectContaining({ message: 'Go!', habit: null }));
+    expect(second.status).toBe(429);
+    expect(second.body.code).toBe('NUDGE_COOLDOWN');
+    expect(io.emit).toHaveBeenCalledTimes(1);
+  });
+
+  test('only nudges about habits the partner shares', async () => {
+    jest.spyOn(Partnership, 'findOne').mockResolvedValue(accepted());
+    jest.spyOn(Habit, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).post(`/api/partners/${id()}/nudge`).send({ habitId: id().toString() });
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('HABIT_NOT_FOUND');
+    expect(io.emit).not.toHaveBeenCalled();
+  });
+});
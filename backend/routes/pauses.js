@@ -0,0 +1,267 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Habit = require('../models/Habit');
+const Pause = require('../models/Pause');
+const { auth } = require('../middleware/auth');
+const { resolveTimezone, toDayStart, getToday } = require('../utils/dateUtils');
+
+const router = express.Router();
+
+const REASONS = ['vacation', 'sick', 'pause', 'other'];
+
+// @route   GET /api/pauses
+// @desc    Get the user's pauses, newest first
+// @access  Private
+router.get('/', [
+  auth,
+  query('habitId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid habit ID'),
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { habitId, active } = req.query;
+    const filter = { userId: req.user._id };
+
+    // A habit is covered by its own pauses and account-wide ones
+    if (habitId) {
+      filter.habitId = { $in: [habitId, null] };
+    }
+
+    // Only pauses covering today
+    if (active === 'true') {
+      const today = getToday(resolveTimezone(req.user));
+      filter.startDate = { $lte: today };
+      filter.$or = [{ endDate: null }, { endDate: { $gte: today } }];
+    }
+
+    const pauses = await Pause.find(filter)
+      .sort({ startDate: -1 })
+      .limit(100)
+      .populate('habitId', 'name color');
+
+    res.json({ pauses });
+  } catch (error) {
+    console.error('Get pauses error:', error);
+    res.status(500).json({
+      message: 'Server error getting pauses',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/pauses
+// @desc    Pause one habit, or all of them, for a range of days
+// @access  Private
+router.post('/', [
+  auth,
+  body('habitId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid habit ID'),
+  body('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid end date'),
+  body('reason')
+    .optional()
+    .isIn(REASONS)
+    .withMessage('Invalid reason'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot be more than 200 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { habitId, startDate, endDate, reason, note } = req.body;
+
+    if (habitId) {
+      const habit = await Habit.exists({ _id: habitId, userId: req.user._id });
+      if (!habit) {
+        return res.status(404).json({
+          message: 'Habit not found or not accessible',
+          code: 'HABIT_NOT_FOUND'
+        });
+      }
+    }
+
+    const timezone = resolveTimezone(req.user);
+    const start = toDayStart(startDate, timezone);
+    const end = endDate ? toDayStart(endDate, timezone) : null;
+
+    if (end && end < start) {
+      return res.status(400).json({
+        message: 'End date cannot be before start date',
+        code: 'INVALID_DATE_RANGE'
+      });
+    }
+
+    const pause = await Pause.create({
+      userId: req.user._id,
+      habitId: habitId || null,
+      startDate: start,
+      endDate: end,
+      reason,
+      note
+    });
+    await pause.populate('habitId', 'name color');
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    io.to(`user-${req.user._id}`).emit('pause-created', pause);
+
+    res.status(201).json({
+      message: 'Pause created successfully',
+      pause
+    });
+  } catch (error) {
+    console.error('Create pause error:', error);
+    res.status(500).json({
+      message: 'Server error creating pause',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/pauses/:id
+// @desc    Update a pause, e.g. set its end date to resume early
+// @access  Private
+router.put('/:id', [
+  auth,
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid end date'),
+  body('reason')
+    .optional()
+    .isIn(REASONS)
+    .withMessage('Invalid reason'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot be more than 200 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const pause = await Pause.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!pause) {
+      return res.status(404).json({
+        message: 'Pause not found',
+        code: 'PAUSE_NOT_FOUND'
+      });
+    }
+
+    const { startDate, endDate, reason, note } = req.body;
+    const timezone = resolveTimezone(req.user);
+
+    if (startDate !== undefined) pause.startDate = toDayStart(startDate, timezone);
+    if (endDate !== undefined) pause.endDate = endDate ? toDayStart(endDate, timezone) : null;
+    if (reason !== undefined) pause.reason = reason;
+    if (note !== undefined) pause.note = note;
+
+    if (pause.endDate && pause.endDate < pause.startDate) {
+      return res.status(400).json({
+        message: 'End date cannot be before start date',
+        code: 'INVALID_DATE_RANGE'
+      });
+    }
+
+    await pause.save();
+    await pause.populate('habitId', 'name color');
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    io.to(`user-${req.user._id}`).emit('pause-updated', pause);
+
+    res.json({
+      message: 'Pause updated successfully',
+      pause
+    });
+  } catch (error) {
+    console.error('Update pause error:', error);
+    res.status(500).json({
+      message: 'Server error updating pause',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/pauses/:id
+// @desc    Delete a pause; its days count as due again
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const pause = await Pause.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!pause) {
+      return res.status(404).json({
+        message: 'Pause not found',
+        code: 'PAUSE_NOT_FOUND'
+      });
+    }
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    io.to(`user-${req.user._id}`).emit('pause-deleted', { pauseId: req.params.id });
+
+    res.json({
+      message: 'Pause deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete pause error:', error);
+    res.status(500).json({
+      message: 'Server error deleting pause',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const Habit = require('../models/Habit');
+const Pause = require('../models/Pause');
+const ShareLink = require('../models/ShareLink');
+const TrackingEntry = require('../models/TrackingEntry');
+const { optionalAuth } = require('../middleware/auth');
+const { resolveTimezone, getToday } = require('../utils/dateUtils');
+const {
+  getOccurrences,
+  summarizeOccurrences,
+  getStreaks,
+  getStreakUnit,
+  groupEntriesByHabit
+} = require('../utils/schedule');
+const { buildHeatmap } = require('../utils/heatmap');
+
+const router = express.Router();
+
+// Public progress pages. Everything here is readable by anyone with the slug,
+// so responses are built field by field: streaks, rates and which days were
+// met, but never notes, mood, values or the owner's email.
+
+// @route   GET /api/public/:slug
+// @desc    Get a shared progress page
+// @access  Public
+router.get('/:slug', [
+  optionalAuth,
+  param('slug')
+    .isLength({ min: 16, max: 64 })
+    .withMessage('Invalid link'),
+  query('year')
+    .optional()
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Invalid year')
+    .toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const share = await ShareLink.findOne({ slug: req.params.slug }).populate('userId', 'name preferences');
+    if (!share || !share.userId) {
+      return res.status(404).json({
+        message: 'This page does not exist or was unpublished',
+        code: 'SHARE_NOT_FOUND'
+      });
+    }
+
+    if (share.isExpired()) {
+      return res.status(410).json({
+        message: 'This link has expired',
+        code: 'SHARE_EXPIRED'
+      });
+    }
+
+    const owner = share.userId;
+    const isOwner = Boolean(req.user) && req.user._id.toString() === owner._id.toString();
+    const timezone = resolveTimezone(owner);
+    const year = req.query.year || getToday(timezone).getUTCFullYear();
+
+    // Archived habits drop off the page until they are restored
+    const habits = await Habit.find({ _id: { $in: share.habitIds }, userId: owner._id, isActive: true })
+      .sort({ order: 1, createdAt: 1 });
+    const [entries, pauses] = await Promise.all([
+      TrackingEntry.find({ habitId: { $in: habits.map(h => h._id) } })
+        .select('habitId date completed value skipped'),
+      Pause.find({ userId: owner._id })
+    ]);
+
+    const entriesByHabit = groupEntriesByHabit(entries);
+    const habitStats = habits.map(habit => {
+      const occurrences = getOccurrences(habit, entriesByHabit[habit._id.toString()] || [], { timezone, pauses });
+      const summary = summarizeOccurrences(occurrences);
+      const streaks = getStreaks(occurrences);
+
+      return {
+        id: habit._id,
+        name: habit.name,
+        color: habit.color,
+        category: habit.category,
+        frequency: habit.frequency,
+        currentStreak: streaks.current,
+        longestStreak: streaks.longest,
+        streakUnit: getStreakUnit(habit),
+        completionRate: summary.completionRate * 100,
+        completed: summary.completed,
+        due: summary.due
+      };
+    });
+
+    const heatmapData = buildHeatmap(habits, entries, {
+      startDate: new Date(Date.UTC(year, 0, 1)),
+      endDate: new Date(Date.UTC(year, 11, 31)),
+      timezone,
+      pauses
+    });
+
+    // Views by the owner, e.g. checking the page, don't count
+    if (!isOwner) {
+      await ShareLink.updateOne({ _id: share._id }, { $inc: { viewCount: 1 }, lastViewedAt: new Date() });
+    }
+
+    res.set('X-Robots-Tag', 'noindex');
+    res.json({
+      share: {
+        title: share.title || `${owner.name}'s progress`,
+        ownerName: owner.name,
+        expiresAt: share.expiresAt,
+        isOwner
+      },
+      habits: habitStats,
+      heatmapData,
+      year
+    });
+  } catch (error) {
+    console.error('Get public progress error:', error);
+    res.status(500).json({
+      message: 'Server error getting progress page',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => ({ optionalAuth: (req, res, next) => next() }));
+jest.mock('../models/Habit', () => ({ find: jest.fn() }));
+jest.mock('../models/Pause', () => ({ find: jest.fn() }));
+jest.mock('../models/ShareLink', () => ({ findOne: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/TrackingEntry', () => ({ find: jest.fn() }));
+
+const Habit = require('../models/Habit');
+const Pause = require('../models/Pause');
+const ShareLink = require('../models/ShareLink');
+const TrackingEntry = require('../models/TrackingEntry');
+const publicRoutes = require('./public');
+
+const app = express();
+app.use(express.json());
+app.use('/api/public', publicRoutes);
+
+const slug = 'a'.repeat(24);
+const owner = { _id: 'user-1', name: 'Sam', preferences: { timezone: 'UTC' } };
+const share = {
+  _id: 'share-1',
+  userId: owner,
+  habitIds: ['habit-1', 'habit-2'],
+  isExpired: () => false
+};
+const walk = { _id: 'habit-1', name: 'Walk', color: '#10B981', category: 'health', frequency: 'daily', notes: 'private', createdAt: new Date('2024-01-01T00:00:00.000Z') };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  ShareLink.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(share) });
+  Habit.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([walk]) });
+  TrackingEntry.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+  Pause.find.mockResolvedValue([]);
+});
+
+describe('GET /api/public/:slug', () => {
+  test('leaves archived habits off the page', async () => {
+    const res = await request(app).get(`/api/public/${slug}`).query({ year: 2024 });
+
+    expect(res.status).toBe(200);
+    expect(Habit.find).toHaveBeenCalledWith({ _id: { $in: share.habitIds }, userId: 'user-1', isActive: true });
+    expect(res.body.habits.map(h => h.name)).toEqual(['Walk']);
+  });
+
+  test('shares only streaks and rates, never notes or values', async () => {
+    const res = await request(app).get(`/api/public/${slug}`).query({ year: 2024 });
+
+    expect(Object.keys(res.body.habits[0]).sort()).toEqual([
+      'category', 'color', 'completed', 'completionRate', 'currentStreak', 'due',
+      'frequency', 'id', 'longestStreak', 'name', 'streakUnit'
+    ]);
+    expect(res.body.share).not.toHaveProperty('email');
+  });
+
+  test('answers 410 for an expired link', async () => {
+    ShareLink.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue({ ...share, isExpired: () => true }) });
+
+    const res = await request(app).get(`/api/public/${slug}`);
+
+    expect(res.status).toBe(410);
+    expect(res.body.code).toBe('SHARE_EXPIRED');
+  });
+});
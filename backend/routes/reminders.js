@@ -0,0 +1,231 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const Habit = require('../models/Habit');
+const Reminder = require('../models/Reminder');
+const PushSubscription = require('../models/PushSubscription');
+const { auth } = require('../middleware/auth');
+const { isPushConfigured } = require('../services/reminderChannels');
+const { emitUserEvent } = require('../services/events');
+const { isPublicAddress, getIpHost } = require('../utils/network');
+
+const router = express.Router();
+
+// @route   GET /api/reminders/history
+// @desc    Get recent reminders (sent, failed and skipped) for debugging
+// @access  Private
+router.get('/history', [
+  auth,
+  query('habitId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid habit ID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+    .toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { habitId, limit = 50 } = req.query;
+    const filter = { userId: req.user._id };
+    if (habitId) filter.habitId = habitId;
+
+    const reminders = await Reminder.find(filter)
+      .sort({ scheduledFor: -1 })
+      .limit(limit)
+      .populate('habitId', 'name color');
+
+    res.json({ reminders });
+  } catch (error) {
+    console.error('Get reminder history error:', error);
+    res.status(500).json({
+      message: 'Server error getting reminder history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/reminders/:habitId/snooze
+// @desc    Remind again about a habit in a few minutes
+// @access  Private
+router.post('/:habitId/snooze', [
+  auth,
+  param('habitId')
+    .isMongoId()
+    .withMessage('Invalid habit ID'),
+  body('minutes')
+    .optional()
+    .isInt({ min: 5, max: 720 })
+    .withMessage('Snooze must be between 5 and 720 minutes')
+    .toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { minutes = 10 } = req.body;
+    const habit = await Habit.findOneAndUpdate(
+      { _id: req.params.habitId, userId: req.user._id, isActive: true },
+      { reminderSnoozedUntil: new Date(Date.now() + minutes * 60 * 1000) },
+      { new: true }
+    );
+
+    if (!habit) {
+      return res.status(404).json({
+        message: 'Habit not found',
+        code: 'HABIT_NOT_FOUND'
+      });
+    }
+
+    // Emit real-time update
+    const io = req.app.get('io');
+    emitUserEvent(io, req.user._id, 'habit-updated', habit);
+
+    res.json({
+      message: 'Reminder snoozed',
+      reminderSnoozedUntil: habit.reminderSnoozedUntil
+    });
+  } catch (error) {
+    console.error('Snooze reminder error:', error);
+    res.status(500).json({
+      message: 'Server error snoozing reminder',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/reminders/push/public-key
+// @desc    Get the VAPID public key browsers need to subscribe to push
+// @access  Private
+router.get('/push/public-key', auth, (req, res) => {
+  if (!isPushConfigured()) {
+    return res.status(404).json({
+      message: 'Push notifications are not configured on this server',
+      code: 'PUSH_NOT_CONFIGURED'
+    });
+  }
+
+  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+});
+
+// @route   POST /api/reminders/push/subscriptions
+// @desc    Save this browser's push subscription
+// @access  Private
+router.post('/push/subscriptions', [
+  auth,
+  body('endpoint')
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('Endpoint must be an https URL')
+    .bail()
+    .custom(endpoint => {
+      const ipHost = getIpHost(endpoint);
+      return !ipHost || isPublicAddress(ipHost);
+    })
+    .withMessage('Endpoint must be a public push service'),
+  body('keys.p256dh')
+    .isString()
+    .notEmpty()
+    .withMessage('keys.p256dh is required'),
+  body('keys.auth')
+    .isString()
+    .notEmpty()
+    .withMessage('keys.auth is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { endpoint, keys } = req.body;
+
+    // A browser re-subscribing updates its subscription. Another account
+    // signing in on the same browser takes it over, but only by presenting
+    // the browser's keys: knowing an endpoint isn't enough.
+    await PushSubscription.findOneAndUpdate(
+      {
+        endpoint,
+        $or: [
+          { userId: req.user._id },
+          { 'keys.p256dh': keys.p256dh, 'keys.auth': keys.auth }
+        ]
+      },
+      {
+        userId: req.user._id,
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        userAgent: (req.get('user-agent') || '').slice(0, 500)
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(201).json({ message: 'Push notifications enabled' });
+  } catch (error) {
+    // The endpoint belongs to someone else's subscription
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'This push subscription is registered to another account',
+        code: 'PUSH_SUBSCRIPTION_TAKEN'
+      });
+    }
+
+    console.error('Save push subscription error:', error);
+    res.status(500).json({
+      message: 'Server error saving push subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/reminders/push/subscriptions
+// @desc    Remove this browser's push subscription
+// @access  Private
+router.delete('/push/subscriptions', [
+  auth,
+  body('endpoint')
+    .isString()
+    .notEmpty()
+    .withMessage('Endpoint is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await PushSubscription.deleteOne({ endpoint: req.body.endpoint, userId: req.user._id });
+
+    res.json({ message: 'Push notifications disabled' });
+  } catch (error) {
+    console.error('Delete push subscription error:', error);
+    res.status(500).json({
+      message: 'Server error removing push subscription',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
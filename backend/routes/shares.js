@@ -0,0 +1,222 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Habit = require('../models/Habit');
+const ShareLink = require('../models/ShareLink');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// A share link as its owner sees it
+const toShareView = (share) => ({
+  id: share._id,
+  slug: share.slug,
+  title: share.title || '',
+  habits: share.habitIds.filter(Boolean), // Populated; deleted habits drop out
+  expiresAt: share.expiresAt,
+  expired: share.isExpired(),
+  viewCount: share.viewCount,
+  lastViewedAt: share.lastViewedAt,
+  createdAt: share.createdAt
+});
+
+// Whether every habit id belongs to the user
+const ownsHabits = async (userId, habitIds) => {
+  const count = await Habit.countDocuments({ _id: { $in: habitIds }, userId });
+  return count === new Set(habitIds.map(String)).size;
+};
+
+const validateExpiry = body('expiresAt')
+  .optional({ nullable: true })
+  .isISO8601()
+  .withMessage('Invalid expiry date')
+  .custom(value => new Date(value) > new Date())
+  .withMessage('Expiry must be in the future');
+
+// @route   GET /api/shares
+// @desc    Get the user's public progress links
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const shares = await ShareLink.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('habitIds', 'name color');
+
+    res.json({ shares: shares.map(toShareView) });
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({
+      message: 'Server error getting share links',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/shares
+// @desc    Publish a progress page for selected habits
+// @access  Private
+router.post('/', [
+  auth,
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot be more than 100 characters'),
+  body('habitIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Select between 1 and 50 habits'),
+  body('habitIds.*')
+    .isMongoId()
+    .withMessage('Invalid habit ID'),
+  validateExpiry
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, habitIds, expiresAt } = req.body;
+
+    if (!(await ownsHabits(req.user._id, habitIds))) {
+      return res.status(404).json({
+        message: 'Habit not found or not accessible',
+        code: 'HABIT_NOT_FOUND'
+      });
+    }
+
+    const share = await ShareLink.create({
+      userId: req.user._id,
+      slug: ShareLink.generateSlug(),
+      title,
+      habitIds: [...new Set(habitIds)],
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+    await share.populate('habitIds', 'name color');
+
+    res.status(201).json({
+      message: 'Progress page published',
+      share: toShareView(share)
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({
+      message: 'Server error creating share link',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/shares/:id
+// @desc    Change a link's title, habits or expiry
+// @access  Private
+router.put('/:id', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid share link ID'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot be more than 100 characters'),
+  body('habitIds')
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Select between 1 and 50 habits'),
+  body('habitIds.*')
+    .isMongoId()
+    .withMessage('Invalid habit ID'),
+  validateExpiry
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const share = await ShareLink.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!share) {
+      return res.status(404).json({
+        message: 'Share link not found',
+        code: 'SHARE_NOT_FOUND'
+      });
+    }
+
+    const { title, habitIds, expiresAt } = req.body;
+
+    if (habitIds) {
+      if (!(await ownsHabits(req.user._id, habitIds))) {
+        return res.status(404).json({
+          message: 'Habit not found or not accessible',
+          code: 'HABIT_NOT_FOUND'
+        });
+      }
+      share.habitIds = [...new Set(habitIds)];
+    }
+    if (title !== undefined) share.title = title;
+    if (expiresAt !== undefined) share.expiresAt = expiresAt ? new Date(expiresAt) : null;
+
+    await share.save();
+    await share.populate('habitIds', 'name color');
+
+    res.json({
+      message: 'Share link updated',
+      share: toShareView(share)
+    });
+  } catch (error) {
+    console.error('Update share link error:', error);
+    res.status(500).json({
+      message: 'Server error updating share link',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/shares/:id
+// @desc    Revoke a link; its page stops working immediately
+// @access  Private
+router.delete('/:id', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid share link ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const share = await ShareLink.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!share) {
+      return res.status(404).json({
+        message: 'Share link not found',
+        code: 'SHARE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Share link revoked'
+    });
+  } catch (error) {
+    console.error('Delete share link error:', error);
+    res.status(500).json({
+      message: 'Server error revoking share link',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
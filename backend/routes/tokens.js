@@ -0,0 +1,136 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const AccessToken = require('../models/AccessToken');
+const { auth } = require('../middleware/auth');
+const { SCOPES, createAccessToken } = require('../services/accessTokens');
+
+const router = express.Router();
+
+// Personal access tokens. These routes need a signed-in session; tokens
+// can't be used to list or create other tokens.
+
+// A token as its owner sees it; never includes the token or its hash
+const toTokenView = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  prefix: accessToken.prefix,
+  scopes: accessToken.scopes,
+  expiresAt: accessToken.expiresAt,
+  expired: accessToken.isExpired(),
+  lastUsedAt: accessToken.lastUsedAt,
+  createdAt: accessToken.createdAt
+});
+
+// @route   GET /api/tokens
+// @desc    Get the user's personal access tokens and the scopes they can have
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const tokens = await AccessToken.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      tokens: tokens.map(toTokenView),
+      scopes: SCOPES
+    });
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({
+      message: 'Server error getting access tokens',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/tokens
+// @desc    Create a personal access token; the token is only shown in this response
+// @access  Private
+router.post('/', [
+  auth,
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one scope'),
+  body('scopes.*')
+    .isIn(SCOPES)
+    .withMessage('Invalid scope'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid expiry date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+    const { accessToken, token } = await createAccessToken(req.user._id, {
+      name,
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    res.status(201).json({
+      message: 'Access token created. Copy it now; it won\'t be shown again.',
+      token,
+      accessToken: toTokenView(accessToken)
+    });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({
+      message: 'Server error creating access token',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/tokens/:id
+// @desc    Revoke a token; requests using it fail immediately
+// @access  Private
+router.delete('/:id', [
+  auth,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid token ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const accessToken = await AccessToken.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!accessToken) {
+      return res.status(404).json({
+        message: 'Access token not found',
+        code: 'TOKEN_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Access token revoked'
+    });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({
+      message: 'Server error revoking access token',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
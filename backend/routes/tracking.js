@@ -1,8 +1,21 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const TrackingEntry = require('../models/TrackingEntry');
+const CheckIn = require('../models/CheckIn');
 const Habit = require('../models/Habit');
 const { auth } = require('../middleware/auth');
+const { resolveTimezone, toDayStart, getToday, toDateKey } = require('../utils/dateUtils');
+const { hasTarget } = require('../utils/targets');
+const {
+  applyEntryChanges,
+  upsertEntry,
+  syncEntryProgress,
+  recordCheckIn,
+  recordAdjustment
+} = require('../services/tracking');
+const { evaluateAchievements } = require('../services/achievements');
+const { notifyChallenge } = require('../services/challenges');
+const { emitUserEvent } = require('../services/events');
 
 const router = express.Router();
 
@@ -20,9 +33,10 @@ router.get('/', auth, async (req, res) => {
     }
     
     if (startDate || endDate) {
+      const timezone = resolveTimezone(req.user);
       query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
+      if (startDate) query.date.$gte = toDayStart(startDate, timezone);
+      if (endDate) query.date.$lte = toDayStart(endDate, timezone);
     }
     
     const entries = await TrackingEntry.find(query)
@@ -57,8 +71,8 @@ router.get('/calendar', auth, async (req, res) => {
       });
     }
     
-    const startDate = new Date(year, month - 1, 1); // First day of month
-    const endDate = new Date(year, month, 0); // Last day of month
+    const startDate = new Date(Date.UTC(year, month - 1, 1)); // First day of month
+    const endDate = new Date(Date.UTC(year, month, 0)); // Last day of month
     
     const entries = await TrackingEntry.find({
       userId: req.user._id,
@@ -67,7 +81,7 @@ router.get('/calendar', auth, async (req, res) => {
     
     // Group entries by date
     const entriesByDate = entries.reduce((acc, entry) => {
-      const dateStr = entry.date.toISOString().split('T')[0];
+      const dateStr = toDateKey(entry.date);
       if (!acc[dateStr]) {
         acc[dateStr] = [];
       }
@@ -105,8 +119,13 @@ router.post('/', [
     .isISO8601()
     .withMessage('Invalid date format'),
   body('completed')
+    .optional()
     .isBoolean()
     .withMessage('Completed must be a boolean'),
+  body('skipped')
+    .optional()
+    .isBoolean()
+    .withMessage('Skipped must be a boolean'),
   body('notes')
     .optional()
     .trim()
@@ -123,7 +142,11 @@ router.post('/', [
   body('difficulty')
     .optional()
     .isInt({ min: 1, max: 5 })
-    .withMessage('Difficulty must be between 1 and 5')
+    .withMessage('Difficulty must be between 1 and 5'),
+  body('clientUpdatedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('clientUpdatedAt must be an ISO 8601 date')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -135,7 +158,7 @@ router.post('/', [
       });
     }
 
-    const { habitId, date, completed, notes, value, mood, difficulty } = req.body;
+    const { habitId, date, clientUpdatedAt } = req.body;
     
     // Verify habit belongs to user
     const habit = await Habit.findOne({
@@ -151,58 +174,24 @@ router.post('/', [
       });
     }
     
-    const entryDate = new Date(date);
-    entryDate.setHours(0, 0, 0, 0); // Normalize to start of day
-    
-    // Check if entry already exists for this habit and date
-    const existingEntry = await TrackingEntry.findOne({
-      habitId,
-      userId: req.user._id,
-      date: entryDate
+    const result = await upsertEntry({
+      io: req.app.get('io'),
+      user: req.user,
+      habit,
+      date,
+      changes: req.body,
+      clientUpdatedAt
     });
     
-    if (existingEntry) {
-      // Update existing entry
-      existingEntry.completed = completed;
-      if (notes !== undefined) existingEntry.notes = notes;
-      if (value !== undefined) existingEntry.value = value;
-      if (mood !== undefined) existingEntry.mood = mood;
-      if (difficulty !== undefined) existingEntry.difficulty = difficulty;
-      
-      await existingEntry.save();
-      
-      // Emit real-time update
-      const io = req.app.get('io');
-      io.to(`user-${req.user._id}`).emit('tracking-updated', existingEntry);
-      
-      res.json({
-        message: 'Tracking entry updated successfully',
-        entry: existingEntry
-      });
-    } else {
-      // Create new entry
-      const entry = new TrackingEntry({
-        habitId,
-        userId: req.user._id,
-        date: entryDate,
-        completed,
-        notes,
-        value,
-        mood,
-        difficulty
-      });
-      
-      await entry.save();
-      
-      // Emit real-time update
-      const io = req.app.get('io');
-      io.to(`user-${req.user._id}`).emit('tracking-created', entry);
-      
-      res.status(201).json({
-        message: 'Tracking entry created successfully',
-        entry
-      });
+    if (result.error) {
+      const { status, ...error } = result.error;
+      return res.status(status).json(error);
     }
+    
+    res.status(result.created ? 201 : 200).json({
+      message: result.created ? 'Tracking entry created successfully' : 'Tracking entry updated successfully',
+      entry: result.entry
+    });
   } catch (error) {
     console.error('Create/update tracking entry error:', error);
     res.status(500).json({
@@ -221,6 +210,10 @@ router.put('/:id', [
     .optional()
     .isBoolean()
     .withMessage('Completed must be a boolean'),
+  body('skipped')
+    .optional()
+    .isBoolean()
+    .withMessage('Skipped must be a boolean'),
   body('notes')
     .optional()
     .trim()
@@ -261,16 +254,31 @@ router.put('/:id', [
       });
     }
 
-    // Update entry
-    const updatedEntry = await TrackingEntry.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('habitId', 'name color category');
+    // Same rules as POST /api/tracking, and only the fields validated above
+    const habit = await Habit.findById(entry.habitId);
+    const quantitative = Boolean(habit && hasTarget(habit));
+    const { completed, skipped, notes, value, mood, difficulty } = req.body;
+    applyEntryChanges(entry, { completed, skipped, notes, value, mood, difficulty }, quantitative);
+    await entry.save();
+
+    if (habit) {
+      if (value !== undefined) await recordAdjustment({ habit, entry });
+
+      // Keep completion derived for quantitative habits
+      if (quantitative) {
+        await syncEntryProgress(habit, entry);
+      }
+    }
+
+    const updatedEntry = await entry.populate('habitId', 'name color category');
 
     // Emit real-time update
     const io = req.app.get('io');
-    io.to(`user-${req.user._id}`).emit('tracking-updated', updatedEntry);
+    emitUserEvent(io, req.user._id, 'tracking-updated', updatedEntry);
+    if (habit) {
+      evaluateAchievements({ io, user: req.user, habit, date: updatedEntry.date });
+      notifyChallenge({ io, habit });
+    }
 
     res.json({
       message: 'Tracking entry updated successfully',
@@ -303,10 +311,18 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     await TrackingEntry.findByIdAndDelete(req.params.id);
+    await CheckIn.deleteMany({ habitId: entry.habitId, date: entry.date });
+
+    // Removing a value can change the progress of the rest of its period
+    const habit = await Habit.findById(entry.habitId);
+    if (habit && hasTarget(habit)) {
+      await TrackingEntry.syncTargetProgress(habit, entry.date);
+    }
 
     // Emit real-time update
     const io = req.app.get('io');
-    io.to(`user-${req.user._id}`).emit('tracking-deleted', { entryId: req.params.id });
+    emitUserEvent(io, req.user._id, 'tracking-deleted', { entryId: req.params.id });
+    notifyChallenge({ io, habit });
 
     res.json({
       message: 'Tracking entry deleted successfully'
@@ -326,6 +342,7 @@ router.delete('/:id', auth, async (req, res) => {
 router.get('/habit/:habitId', auth, async (req, res) => {
   try {
     const { startDate, endDate, limit = 100 } = req.query;
+    const timezone = resolveTimezone(req.user);
     
     // Verify habit belongs to user
     const habit = await Habit.findOne({
@@ -347,8 +364,8 @@ router.get('/habit/:habitId', auth, async (req, res) => {
     
     if (startDate || endDate) {
       query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
+      if (startDate) query.date.$gte = toDayStart(startDate, timezone);
+      if (endDate) query.date.$lte = toDayStart(endDate, timezone);
     }
     
     const entries = await TrackingEntry.find(query)
@@ -356,8 +373,8 @@ router.get('/habit/:habitId', auth, async (req, res) => {
       .limit(parseInt(limit));
     
     // Calculate streak and completion rate
-    const currentStreak = await TrackingEntry.getCurrentStreak(req.params.habitId);
-    const analytics = await TrackingEntry.getHabitAnalytics(req.params.habitId, 30);
+    const currentStreak = await TrackingEntry.getCurrentStreak(habit, timezone);
+    const analytics = await TrackingEntry.getHabitAnalytics(habit, 30, timezone);
     
     res.json({
       habit,
@@ -393,7 +410,7 @@ router.get('/streak/:habitId', auth, async (req, res) => {
       });
     }
     
-    const currentStreak = await TrackingEntry.getCurrentStreak(req.params.habitId);
+    const currentStreak = await TrackingEntry.getCurrentStreak(habit, resolveTimezone(req.user));
     
     res.json({
       habitId: req.params.habitId,
@@ -408,4 +425,144 @@ router.get('/streak/:habitId', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/tracking/:habitId/checkins
+// @desc    Get the check-ins of a habit for a day (defaults to today)
+// @access  Private
+router.get('/:habitId/checkins', [
+  auth,
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Verify habit belongs to user
+    const habit = await Habit.findOne({
+      _id: req.params.habitId,
+      userId: req.user._id
+    });
+    
+    if (!habit) {
+      return res.status(404).json({
+        message: 'Habit not found or not accessible',
+        code: 'HABIT_NOT_FOUND'
+      });
+    }
+    
+    const timezone = resolveTimezone(req.user);
+    const date = req.query.date ? toDayStart(req.query.date, timezone) : getToday(timezone);
+    
+    const checkIns = await CheckIn.find({
+      habitId: habit._id,
+      userId: req.user._id,
+      date
+    }).sort({ timestamp: 1 });
+    
+    res.json({
+      habitId: habit._id,
+      date: toDateKey(date),
+      checkIns,
+      total: checkIns.reduce((sum, checkIn) => sum + checkIn.amount, 0)
+    });
+  } catch (error) {
+    console.error('Get check-ins error:', error);
+    res.status(500).json({
+      message: 'Server error getting check-ins',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/tracking/:habitId/checkins
+// @desc    Add a check-in (increment or decrement) to a habit's day
+// @access  Private
+router.post('/:habitId/checkins', [
+  auth,
+  body('amount')
+    .optional()
+    .isFloat()
+    .withMessage('Amount must be a number')
+    .custom(value => Number(value) !== 0)
+    .withMessage('Amount cannot be zero'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters'),
+  body('timestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid timestamp format')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Verify habit belongs to user
+    const habit = await Habit.findOne({
+      _id: req.params.habitId,
+      userId: req.user._id,
+      isActive: true
+    });
+    
+    if (!habit) {
+      return res.status(404).json({
+        message: 'Habit not found or not accessible',
+        code: 'HABIT_NOT_FOUND'
+      });
+    }
+    
+    const { amount = 1, note } = req.body;
+    const timestamp = req.body.timestamp ? new Date(req.body.timestamp) : new Date();
+    
+    const result = await recordCheckIn({
+      habit,
+      userId: req.user._id,
+      date: toDayStart(timestamp, resolveTimezone(req.user)),
+      amount: Number(amount),
+      note,
+      timestamp
+    });
+    if (result.error) {
+      const { status, ...error } = result.error;
+      return res.status(status).json(error);
+    }
+    const { checkIn, entry, created } = result;
+    
+    // Emit real-time update
+    const io = req.app.get('io');
+    emitUserEvent(io, req.user._id, created ? 'tracking-created' : 'tracking-updated', entry);
+    emitUserEvent(io, req.user._id, 'checkin-created', checkIn);
+    evaluateAchievements({ io, user: req.user, habit, date: entry.date });
+    notifyChallenge({ io, habit });
+    
+    res.status(201).json({
+      message: 'Check-in recorded successfully',
+      checkIn,
+      entry
+    });
+  } catch (error) {
+    console.error('Create check-in error:', error);
+    res.status(500).json({
+      message: 'Server error recording check-in',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,75 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = { _id: 'user-1', preferences: { timezone: 'UTC' } };
+    next();
+  }
+}));
+jest.mock('../models/Habit', () => ({ findOne: jest.fn() }));
+jest.mock('../services/tracking', () => ({ recordCheckIn: jest.fn() }));
+jest.mock('../services/achievements', () => ({ evaluateAchievements: jest.fn() }));
+jest.mock('../services/challenges', () => ({ notifyChallenge: jest.fn() }));
+jest.mock('../services/events', () => ({ emitUserEvent: jest.fn() }));
+
+const Habit = require('../models/Habit');
+const { recordCheckIn } = require('../services/tracking');
+const { emitUserEvent } = require('../services/events');
+const trackingRoutes = require('./tracking');
+
+const app = express();
+app.use(express.json());
+app.set('io', {});
+app.use('/api/tracking', trackingRoutes);
+
+const entry = { _id: 'entry-1', date: new Date('2024-01-01T00:00:00.000Z'), value: 1, completed: true };
+const checkIn = { _id: 'checkin-1', amount: 1 };
+
+const emittedEvents = () => emitUserEvent.mock.calls.map(([, , event]) => event);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Habit.findOne.mockResolvedValue({ _id: 'habit-1', isActive: true });
+});
+
+describe('POST /api/tracking/:habitId/checkins', () => {
+  test('announces the day\'s entry as created by the first check-in', async () => {
+    recordCheckIn.mockResolvedValue({ checkIn, entry, created: true });
+
+    const res = await request(app).post('/api/tracking/habit-1/checkins').send({ amount: 1 });
+
+    expect(res.status).toBe(201);
+    expect(emittedEvents()).toEqual(['tracking-created', 'checkin-created']);
+  });
+
+  test('announces later check-ins as updates', async () => {
+    recordCheckIn.mockResolvedValue({ checkIn, entry, created: false });
+
+    await request(app).post('/api/tracking/habit-1/checkins').send({ amount: 1 });
+
+    expect(emittedEvents()).toEqual(['tracking-updated', 'checkin-created']);
+  });
+
+  test('passes refusals through without events', async () => {
+    recordCheckIn.mockResolvedValue({
+      error: { status: 400, message: 'Check-in would take the day below zero', code: 'CHECKIN_BELOW_ZERO' }
+    });
+
+    const res = await request(app).post('/api/tracking/habit-1/checkins').send({ amount: -1 });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ message: 'Check-in would take the day below zero', code: 'CHECKIN_BELOW_ZERO' });
+    expect(emitUserEvent).not.toHaveBeenCalled();
+  });
+
+  test('only checks in to the user\'s active habits', async () => {
+    Habit.findOne.mockResolvedValue(null);
+
+    const res = await request(app).post('/api/tracking/habit-2/checkins').send({});
+
+    expect(res.status).toBe(404);
+    expect(Habit.findOne).toHaveBeenCalledWith({ _id: 'habit-2', userId: 'user-1', isActive: true });
+    expect(recordCheckIn).not.toHaveBeenCalled();
+  });
+});
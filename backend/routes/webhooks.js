@@ -0,0 +1,334 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { auth } = require('../middleware/auth');
+const { WEBHOOK_EVENTS, sendTestEvent } = require('../services/webhooks');
+
+const router = express.Router();
+
+const DELIVERY_LOG_LIMIT = 50;
+
+// The signing secret is left out: it is only returned when it is created or
+// rotated
+const toWebhookView = (webhook) => ({
+  id: webhook._id,
+  url: webhook.url,
+  description: webhook.description || '',
+  events: webhook.events,
+  isActive: webhook.isActive,
+  createdAt: webhook.createdAt
+});
+
+const toDeliveryView = (delivery) => ({
+  id: delivery._id,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.nextAttemptAt,
+  createdAt: delivery.createdAt
+});
+
+// Plain HTTP and hosts without a TLD are only accepted outside production.
+// This only checks the URL's shape: where the host points is checked on every
+// delivery (services/webhooks), which refuses private and local addresses.
+const URL_OPTIONS = {
+  protocols: process.env.NODE_ENV === 'production' ? ['https'] : ['http', 'https'],
+  require_protocol: true,
+  require_tld: process.env.NODE_ENV === 'production'
+};
+
+const validateDescription = body('description')
+  .optional()
+  .trim()
+  .isLength({ max: 100 })
+  .withMessage('Description cannot be more than 100 characters');
+
+const validateId = param('id')
+  .isMongoId()
+  .withMessage('Invalid webhook ID');
+
+// @route   GET /api/webhooks
+// @desc    Get the user's webhooks and the events they can subscribe to
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      webhooks: webhooks.map(toWebhookView),
+      events: WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      message: 'Server error getting webhooks',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/webhooks
+// @desc    Add a webhook
+// @access  Private
+router.post('/', [
+  auth,
+  body('url')
+    .trim()
+    .isURL(URL_OPTIONS)
+    .withMessage('Webhook URL must be a valid https URL'),
+  body('events')
+    .isArray({ min: 1 })
+    .withMessage('Select at least one event'),
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage('Invalid event'),
+  validateDescription
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { url, events, description } = req.body;
+    const webhook = await Webhook.create({
+      userId: req.user._id,
+      url,
+      description,
+      events: [...new Set(events)],
+      secret: Webhook.generateSecret()
+    });
+
+    res.status(201).json({
+      message: 'Webhook added',
+      secret: webhook.secret,
+      webhook: toWebhookView(webhook)
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      message: 'Server error adding webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Change a webhook's URL, events or description, or pause it
+// @access  Private
+router.put('/:id', [
+  auth,
+  validateId,
+  body('url')
+    .optional()
+    .trim()
+    .isURL(URL_OPTIONS)
+    .withMessage('Webhook URL must be a valid https URL'),
+  body('events')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Select at least one event'),
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage('Invalid event'),
+  validateDescription,
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found',
+        code: 'WEBHOOK_NOT_FOUND'
+      });
+    }
+
+    const { url, events, description, isActive } = req.body;
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (isActive !== undefined) webhook.isActive = isActive;
+    await webhook.save();
+
+    res.json({
+      message: 'Webhook updated',
+      webhook: toWebhookView(webhook)
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      message: 'Server error updating webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/webhooks/:id/secret
+// @desc    Rotate a webhook's signing secret. This and creating the webhook
+//          are the only times the secret is returned.
+// @access  Private
+router.post('/:id/secret', [auth, validateId], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await Webhook.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { secret: Webhook.generateSecret() },
+      { new: true }
+    );
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found',
+        code: 'WEBHOOK_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Secret rotated; deliveries are signed with the new one from now on',
+      secret: webhook.secret,
+      webhook: toWebhookView(webhook)
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      message: 'Server error rotating webhook secret',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Remove a webhook and its delivery log
+// @access  Private
+router.delete('/:id', [auth, validateId], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found',
+        code: 'WEBHOOK_NOT_FOUND'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    res.json({
+      message: 'Webhook removed'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      message: 'Server error removing webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Get a webhook's most recent deliveries with every attempt's response code
+// @access  Private
+router.get('/:id/deliveries', [auth, validateId], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await Webhook.exists({ _id: req.params.id, userId: req.user._id });
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found',
+        code: 'WEBHOOK_NOT_FOUND'
+      });
+    }
+
+    const deliveries = await WebhookDelivery.find({ webhookId: req.params.id })
+      .sort({ createdAt: -1 })
+      .limit(DELIVERY_LOG_LIMIT);
+
+    res.json({ deliveries: deliveries.map(toDeliveryView) });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      message: 'Server error getting webhook deliveries',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/webhooks/:id/test
+// @desc    Send a ping event now and return how it went
+// @access  Private
+router.post('/:id/test', [auth, validateId], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found',
+        code: 'WEBHOOK_NOT_FOUND'
+      });
+    }
+
+    const delivery = await sendTestEvent(webhook);
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Test event delivered' : 'Test event failed; it will be retried',
+      delivery: toDeliveryView(delivery)
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      message: 'Server error sending test event',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../middleware/auth', () => ({
+  auth: (req, res, next) => {
+    req.user = { _id: 'user-1' };
+    next();
+  }
+}));
+jest.mock('../models/Webhook', () => ({
+  find: jest.fn(),
+  create: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  generateSecret: jest.fn(() => 'whsec_new')
+}));
+jest.mock('../models/WebhookDelivery', () => ({}));
+jest.mock('../services/webhooks', () => ({ WEBHOOK_EVENTS: ['habit-created'], sendTestEvent: jest.fn() }));
+
+const Webhook = require('../models/Webhook');
+const webhookRoutes = require('./webhooks');
+
+const app = express();
+app.use(express.json());
+app.use('/api/webhooks', webhookRoutes);
+
+const id = new mongoose.Types.ObjectId().toString();
+const webhook = (secret) => ({
+  _id: id,
+  url: 'https://example.com/hook',
+  events: ['habit-created'],
+  secret,
+  isActive: true
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('webhook secrets', () => {
+  test('are never listed', async () => {
+    Webhook.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([webhook('whsec_old')]) });
+
+    const res = await request(app).get('/api/webhooks');
+
+    expect(res.status).toBe(200);
+    expect(res.body.webhooks[0]).not.toHaveProperty('secret');
+    expect(JSON.stringify(res.body)).not.toContain('whsec_old');
+  });
+
+  test('are returned once when the webhook is added', async () => {
+    Webhook.create.mockImplementation(async (data) => ({ _id: id, ...data }));
+
+    const res = await request(app).post('/api/webhooks').send({ url: 'https://example.com/hook', events: ['habit-created'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.secret).toBe('whsec_new');
+    expect(res.body.webhook).not.toHaveProperty('secret');
+  });
+
+  test('are returned once when rotated', async () => {
+    Webhook.findOneAndUpdate.mockResolvedValue(webhook('whsec_new'));
+
+    const res = await request(app).post(`/api/webhooks/${id}/secret`);
+
+    expect(res.status).toBe(200);
+    expect(Webhook.findOneAndUpdate).toHaveBeenCalledWith({ _id: id, userId: 'user-1' }, { secret: 'whsec_new' }, { new: true });
+    expect(res.body.secret).toBe('whsec_new');
+    expect(res.body.webhook).not.toHaveProperty('secret');
+  });
+
+  test('of other users\' webhooks cannot be rotated', async () => {
+    Webhook.findOneAndUpdate.mockResolvedValue(null);
+
+    const res = await request(app).post(`/api/webhooks/${id}/secret`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('WEBHOOK_NOT_FOUND');
+  });
+});
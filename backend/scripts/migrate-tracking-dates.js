@@ -0,0 +1,101 @@
+// Migrate tracking entry dates to timezone-independent day starts.
+//
+// Entries written before timezone support were normalized to midnight in the
+// server's local timezone. This rewrites each of them to midnight UTC of the
+// calendar day it was recorded for, which is how dates are stored now.
+//
+// Entries already at midnight UTC are left alone, so the script can be run
+// again safely: they are either migrated or were written in a zone where
+// midnight is midnight UTC.
+//
+// Usage:
+//   node scripts/migrate-tracking-dates.js [--timezone=Europe/Berlin] [--dry-run]
+//
+// --timezone  The timezone the server was running in when the entries were
+//             written (defaults to this machine's timezone)
+// --dry-run   Report what would change without writing anything
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const TrackingEntry = require('../models/TrackingEntry');
+const { DAY_MS, isValidTimezone, getDateKey, fromDateKey } = require('../utils/dateUtils');
+
+const parseArgs = (argv) => {
+  const options = {
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    dryRun: false
+  };
+
+  argv.forEach(arg => {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--timezone=')) {
+      options.timezone = arg.split('=')[1];
+    }
+  });
+
+  return options;
+};
+
+const migrate = async ({ timezone, dryRun }) => {
+  const stats = { scanned: 0, updated: 0, unchanged: 0, conflicts: 0 };
+  const cursor = TrackingEntry.find({}).select('habitId userId date').cursor();
+
+  for await (const entry of cursor) {
+    stats.scanned++;
+
+    if (entry.date.getTime() % DAY_MS === 0) {
+      stats.unchanged++;
+      continue;
+    }
+
+    const dayStart = fromDateKey(getDateKey(entry.date, timezone));
+    if (dayStart.getTime() === entry.date.getTime()) {
+      stats.unchanged++;
+      continue;
+    }
+
+    if (dryRun) {
+      stats.updated++;
+      continue;
+    }
+
+    try {
+      await TrackingEntry.updateOne({ _id: entry._id }, { $set: { date: dayStart } });
+      stats.updated++;
+    } catch (error) {
+      // Another entry already occupies this habit's day
+      if (error.code === 11000) {
+        stats.conflicts++;
+        console.warn(`Skipped entry ${entry._id}: an entry for ${dayStart.toISOString()} already exists`);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!isValidTimezone(options.timezone)) {
+    console.error(`Invalid timezone: ${options.timezone}`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`Migrating tracking entry dates from ${options.timezone}${options.dryRun ? ' (dry run)' : ''}`);
+
+  const stats = await migrate(options);
+  console.log('Migration complete:', stats);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -1,6 +1,7 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const http = require('http');
@@ -11,6 +12,22 @@ const authRoutes = require('./routes/auth');
 const habitRoutes = require('./routes/habits');
 const trackingRoutes = require('./routes/tracking');
 const analyticsRoutes = require('./routes/analytics');
+const exportRoutes = require('./routes/export');
+const importRoutes = require('./routes/import');
+const reminderRoutes = require('./routes/reminders');
+const pauseRoutes = require('./routes/pauses');
+const achievementRoutes = require('./routes/achievements');
+const partnerRoutes = require('./routes/partners');
+const challengeRoutes = require('./routes/challenges');
+const shareRoutes = require('./routes/shares');
+const publicRoutes = require('./routes/public');
+const badgeRoutes = require('./routes/badges');
+const tokenRoutes = require('./routes/tokens');
+const webhookRoutes = require('./routes/webhooks');
+const hookRoutes = require('./routes/hooks');
+const { registerSocketHandlers } = require('./services/realtime');
+const { startReminderScheduler } = require('./services/reminders');
+const { startWebhookScheduler } = require('./services/webhooks');
 
 const app = express();
 const server = http.createServer(app);
@@ -26,7 +43,15 @@ const PORT = process.env.PORT || 5000;
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  skip: (req) => req.path.startsWith('/api/badges/') // Limited by badgeLimiter
+});
+
+// Embedded badges are fetched through shared image proxies (e.g. GitHub's),
+// so many viewers arrive from one IP; most requests end in a cheap 304
+const badgeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 1000
 });
 
 // Middleware
@@ -38,6 +63,7 @@ app.use(cors({
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Database connection
 mongoose.connect(process.env.MONGO_URI, {
@@ -47,23 +73,8 @@ mongoose.connect(process.env.MONGO_URI, {
 .then(() => console.log('MongoDB connected successfully'))
 .catch(err => console.error('MongoDB connection error:', err));
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-  
-  socket.on('join-user-room', (userId) => {
-    socket.join(`user-${userId}`);
-    console.log(`User ${userId} joined their room`);
-  });
-  
-  socket.on('habit-updated', (data) => {
-    socket.to(`user-${data.userId}`).emit('habit-changed', data);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+// Socket.io: authenticated connections, each scoped to its own user's room
+registerSocketHandlers(io);
 
 // Make io accessible to routes
 app.set('io', io);
@@ -73,6 +84,19 @@ app.use('/api/auth', authRoutes);
 app.use('/api/habits', habitRoutes);
 app.use('/api/tracking', trackingRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/reminders', reminderRoutes);
+app.use('/api/pauses', pauseRoutes);
+app.use('/api/achievements', achievementRoutes);
+app.use('/api/partners', partnerRoutes);
+app.use('/api/challenges', challengeRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/badges', badgeLimiter, badgeRoutes);
+app.use('/api/tokens', tokenRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/hooks', hookRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -95,4 +119,6 @@ app.use('*', (req, res) => {
 
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startReminderScheduler(io);
+  startWebhookScheduler();
 });
\ No newline at end of file
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const AccessToken = require('../models/AccessToken');
+const User = require('../models/User');
+const { hashToken } = require('./sessions');
+
+// Personal access tokens let scripts call the API without a password. They
+// are sent like access tokens (Authorization: Bearer htp_...) and are told
+// apart by their prefix. Each token is limited to its scopes: a resource is
+// the API path it covers (/api/habits is "habits"), GET requests need read
+// access and everything else write access, which includes read.
+
+const TOKEN_PREFIX = 'htp_';
+const LAST_USED_INTERVAL = 60 * 1000; // Write lastUsedAt at most once a minute
+
+const RESOURCES = [
+  'habits',
+  'tracking',
+  'analytics',
+  'export',
+  'import',
+  'reminders',
+  'pauses',
+  'achievements',
+  'challenges',
+  'shares',
+  'partners',
+  'webhooks'
+];
+const SCOPES = RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+
+const isPersonalAccessToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+// Create a token; the plain token is only ever returned here
+const createAccessToken = async (userId, { name, scopes, expiresAt }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+
+  const accessToken = await AccessToken.create({
+    userId,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 4),
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+
+  return { accessToken, token };
+};
+
+// Check a personal access token. Resolves like verifyAccessToken in
+// middleware/auth: { user, accessToken } or { error: { message, code } }.
+const verifyPersonalAccessToken = async (token) => {
+  const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!accessToken) {
+    return { error: { message: 'Invalid token.', code: 'INVALID_TOKEN' } };
+  }
+
+  if (accessToken.isExpired()) {
+    return { error: { message: 'Token expired.', code: 'TOKEN_EXPIRED' } };
+  }
+
+  const user = await User.findById(accessToken.userId).select('-password');
+
+  if (!user) {
+    return { error: { message: 'Invalid token. User not found.', code: 'USER_NOT_FOUND' } };
+  }
+
+  if (!user.isActive) {
+    return { error: { message: 'Account is deactivated.', code: 'ACCOUNT_DEACTIVATED' } };
+  }
+
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt > LAST_USED_INTERVAL) {
+    AccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: new Date() })
+      .catch(error => console.error('Access token last used update error:', error));
+  }
+
+  return { user, accessToken };
+};
+
+// Revoke every token of a user, e.g. when their password changes: tokens
+// were created with the old one and may have leaked with it
+const revokeAccessTokens = (userId) => AccessToken.deleteMany({ userId });
+
+// The scope a request needs, e.g. "habits:write", or null for APIs that
+// tokens can't use at all (signing in, sessions, managing tokens)
+const getRequiredScope = (req) => {
+  const resource = req.baseUrl.replace(/^\/api\//, '');
+  if (!RESOURCES.includes(resource)) return null;
+
+  const access = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+  return `${resource}:${access}`;
+};
+
+const hasScope = (accessToken, scope) => {
+  const [resource] = scope.split(':');
+  return accessToken.scopes.includes(scope) || accessToken.scopes.includes(`${resource}:write`);
+};
+
+module.exports = {
+  SCOPES,
+  isPersonalAccessToken,
+  createAccessToken,
+  verifyPersonalAccessToken,
+  revokeAccessTokens,
+  getRequiredScope,
+  hasScope
+};
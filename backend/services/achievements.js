@@ -0,0 +1,162 @@
+const Achievement = require('../models/Achievement');
+const CheckIn = require('../models/CheckIn');
+const Habit = require('../models/Habit');
+const Pause = require('../models/Pause');
+const TrackingEntry = require('../models/TrackingEntry');
+const { resolveTimezone, getToday, addDays } = require('../utils/dateUtils');
+const {
+  getPeriodStart,
+  getEarliestPeriodStart,
+  getOccurrences,
+  getStreaks,
+  groupEntriesByHabit
+} = require('../utils/schedule');
+const { ACHIEVEMENTS, getAchievement } = require('../utils/achievements');
+
+// Achievement evaluation. After every tracking write the rules of the badges
+// the user hasn't earned yet are checked, and new ones are stored and sent
+// to the user's open tabs as `achievement-unlocked`. Rules look at the whole
+// history, so badges earned before a rule existed are awarded on the next
+// write.
+
+const WEEK = { frequency: 'weekly' };
+
+// Whether every occurrence due in the week starting weekStart was met. Only
+// weeks that have ended (or end today) can be perfect.
+const isPerfectWeek = async (userId, weekStart, timezone, pauses) => {
+  const weekEnd = addDays(weekStart, 6);
+  if (weekEnd > getToday(timezone)) return false;
+
+  const habits = await Habit.find({ userId, isActive: true });
+  if (habits.length === 0) return false;
+
+  const entries = await TrackingEntry.find({
+    userId,
+    habitId: { $in: habits.map(h => h._id) },
+    date: { $gte: getEarliestPeriodStart(habits, weekStart), $lte: weekEnd }
+  });
+  const entriesByHabit = groupEntriesByHabit(entries);
+  const occurrences = habits.flatMap(habit =>
+    getOccurrences(habit, entriesByHabit[habit._id.toString()] || [], {
+      startDate: weekStart,
+      endDate: weekEnd,
+      timezone,
+      pauses
+    })
+  );
+
+  return occurrences.length > 0 && occurrences.every(o => o.completed);
+};
+
+// Keys of the unearned badges a user now qualifies for, with the habit that
+// earned each one (if any)
+const findEarned = async ({ user, habit, date, unearned }) => {
+  const userId = user._id;
+  const timezone = resolveTimezone(user);
+  const pauses = await Pause.find({ userId });
+  const earned = new Map();
+  const has = type => unearned.some(a => a.type === type);
+
+  const habits = habit ? [habit] : await Habit.find({ userId, isActive: true });
+
+  // Longest run of each habit written to
+  if (has('streak')) {
+    for (const h of habits) {
+      const entries = await TrackingEntry.find({ habitId: h._id })
+        .select('date completed value skipped')
+        .sort({ date: 1 });
+      const { longest } = getStreaks(getOccurrences(h, entries, { timezone, pauses }));
+
+      unearned
+        .filter(a => a.type === 'streak' && longest >= a.threshold && !earned.has(a.key))
+        .forEach(a => earned.set(a.key, h._id));
+    }
+  }
+
+  if (has('completions')) {
+    const completions = await TrackingEntry.countDocuments({ userId, completed: true });
+    unearned
+      .filter(a => a.type === 'completions' && completions >= a.threshold)
+      .forEach(a => earned.set(a.key, null));
+  }
+
+  if (has('checkins')) {
+    const checkIns = await CheckIn.countDocuments({ userId, source: 'checkin', amount: { $gt: 0 } });
+    unearned
+      .filter(a => a.type === 'checkins' && checkIns >= a.threshold)
+      .forEach(a => earned.set(a.key, null));
+  }
+
+  if (has('category')) {
+    const categories = [...new Set(habits.map(h => h.category || 'other'))];
+    for (const category of categories) {
+      const rule = unearned.find(a => a.type === 'category' && a.category === category);
+      if (!rule) continue;
+
+      const habitIds = await Habit.find({ userId, category }).distinct('_id');
+      const completions = await TrackingEntry.countDocuments({ userId, habitId: { $in: habitIds }, completed: true });
+      if (completions >= rule.threshold) earned.set(rule.key, null);
+    }
+  }
+
+  // The week written to, and the last full week
+  if (has('perfect-week')) {
+    const today = getToday(timezone);
+    const weeks = [getPeriodStart(WEEK, addDays(today, -7))];
+    if (date) weeks.unshift(getPeriodStart(WEEK, date));
+
+    for (const weekStart of weeks) {
+      if (await isPerfectWeek(userId, weekStart, timezone, pauses)) {
+        earned.set('perfect-week', null);
+        break;
+      }
+    }
+  }
+
+  return earned;
+};
+
+// Check achievements after a tracking write. `habit` and `date` narrow the
+// checks to what was written; without them every active habit is checked
+// (e.g. after an import). Never throws, so a failed check can't fail the
+// write. Returns the newly unlocked achievements.
+const evaluateAchievements = async ({ io, user, habit = null, date = null }) => {
+  try {
+    const owned = await Achievement.find({ userId: user._id }).distinct('key');
+    const unearned = ACHIEVEMENTS.filter(a => !owned.includes(a.key));
+    if (unearned.length === 0) return [];
+
+    const earned = await findEarned({ user, habit, date, unearned });
+    const unlocked = [];
+
+    for (const [key, habitId] of earned) {
+      let award;
+      try {
+        award = await Achievement.create({ userId: user._id, key, habitId });
+      } catch (error) {
+        if (error.code === 11000) continue; // Awarded by a concurrent write
+        throw error;
+      }
+
+      const achievement = {
+        ...getAchievement(key),
+        habitId,
+        unlockedAt: award.unlockedAt
+      };
+      unlocked.push(achievement);
+
+      if (io) {
+        io.to(`user-${user._id}`).emit('achievement-unlocked', achievement);
+      }
+    }
+
+    return unlocked;
+  } catch (error) {
+    console.error('Achievement evaluation error:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  evaluateAchievements
+};
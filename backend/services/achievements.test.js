@@ -0,0 +1,67 @@
+jest.mock('../models/Achievement', () => ({ find: jest.fn(), create: jest.fn() }));
+jest.mock('../models/CheckIn', () => ({ countDocuments: jest.fn() }));
+jest.mock('../models/Habit', () => ({ find: jest.fn() }));
+jest.mock('../models/Pause', () => ({ find: jest.fn() }));
+jest.mock('../models/TrackingEntry', () => ({ find: jest.fn(), countDocuments: jest.fn() }));
+
+const Achievement = require('../models/Achievement');
+const CheckIn = require('../models/CheckIn');
+const Habit = require('../models/Habit');
+const Pause = require('../models/Pause');
+const TrackingEntry = require('../models/TrackingEntry');
+const { ACHIEVEMENTS } = require('../utils/achievements');
+const { evaluateAchievements } = require('./achievements');
+
+const user = { _id: 'user-1', preferences: {} };
+const io = { to: jest.fn(() => io), emit: jest.fn() };
+
+// Leave only the completion and check-in badges to earn
+const owned = ACHIEVEMENTS.filter(a => !['completions', 'checkins'].includes(a.type)).map(a => a.key);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Achievement.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(owned) });
+  Achievement.create.mockImplementation(async (data) => ({ ...data, unlockedAt: new Date() }));
+  Habit.find.mockResolvedValue([]);
+  Pause.find.mockResolvedValue([]);
+});
+
+describe('evaluateAchievements', () => {
+  test('counts completed days for the completion badges', async () => {
+    TrackingEntry.countDocuments.mockResolvedValue(120);
+    CheckIn.countDocuments.mockResolvedValue(0);
+
+    const unlocked = await evaluateAchievements({ io, user });
+
+    expect(unlocked.map(a => a.key)).toEqual(['completions-1', 'completions-100']);
+    expect(TrackingEntry.countDocuments).toHaveBeenCalledWith({ userId: 'user-1', completed: true });
+    expect(unlocked[1].title).toBe('100 Completed Days');
+  });
+
+  test('counts logged check-ins, not undos or adjustments, for the check-in badge', async () => {
+    TrackingEntry.countDocuments.mockResolvedValue(0);
+    CheckIn.countDocuments.mockResolvedValue(100);
+
+    const unlocked = await evaluateAchievements({ io, user });
+
+    expect(unlocked.map(a => a.key)).toEqual(['checkins-100']);
+    expect(CheckIn.countDocuments).toHaveBeenCalledWith({ userId: 'user-1', source: 'checkin', amount: { $gt: 0 } });
+    expect(io.emit).toHaveBeenCalledWith('achievement-unlocked', expect.objectContaining({ key: 'checkins-100' }));
+  });
+
+  test('awards nothing short of a threshold', async () => {
+    TrackingEntry.countDocuments.mockResolvedValue(0);
+    CheckIn.countDocuments.mockResolvedValue(99);
+
+    expect(await evaluateAchievements({ io, user })).toEqual([]);
+    expect(Achievement.create).not.toHaveBeenCalled();
+  });
+
+  test('skips a badge a concurrent write already awarded', async () => {
+    TrackingEntry.countDocuments.mockResolvedValue(1);
+    CheckIn.countDocuments.mockResolvedValue(0);
+    Achievement.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    expect(await evaluateAchievements({ io, user })).toEqual([]);
+  });
+});
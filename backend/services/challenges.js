@@ -0,0 +1,138 @@
+const Challenge = require('../models/Challenge');
+const Habit = require('../models/Habit');
+const TrackingEntry = require('../models/TrackingEntry');
+const { resolveTimezone, toDateKey, zonedTimeToDate } = require('../utils/dateUtils');
+const {
+  getPeriodStart,
+  getOccurrences,
+  summarizeOccurrences,
+  getStreaks,
+  groupEntriesByHabit
+} = require('../utils/schedule');
+
+// Group challenges. Every participant gets a copy of the challenge's template
+// habit and is ranked on how they did between its start and end dates.
+
+// Tracking writes within this long of each other share one leaderboard update
+const LEADERBOARD_DELAY = 5 * 1000;
+const pendingLeaderboards = new Map(); // challenge id -> timer
+
+// Add a copy of the template to a user's habits
+const cloneTemplate = async (challenge, userId) => {
+  const lastHabit = await Habit.findOne({ userId }).sort({ order: -1 });
+
+  return Habit.create({
+    ...challenge.template.toObject(),
+    userId,
+    challengeId: challenge._id,
+    order: lastHabit ? lastHabit.order + 1 : 0
+  });
+};
+
+// How one participant did. Everyone is measured against the template from
+// the challenge's first day, whenever they joined and whatever they changed
+// on their copy. Unlike everywhere else, skips and time off are not excused:
+// they count as misses, or skipping every day would keep a perfect score.
+// `entries` are the participant's entries in the challenge's window.
+const scoreParticipant = (challenge, participant, entries) => {
+  const user = participant.userId;
+  const timezone = resolveTimezone(user);
+  const habit = {
+    ...challenge.template.toObject(),
+    _id: participant.habitId,
+    createdAt: zonedTimeToDate(toDateKey(challenge.startDate), '00:00', timezone)
+  };
+
+  // No pauses are passed, so time off doesn't excuse a day
+  const occurrences = getOccurrences(habit, entries, {
+    startDate: challenge.startDate,
+    endDate: challenge.endDate,
+    timezone
+  });
+  const summary = summarizeOccurrences(occurrences);
+  const streaks = getStreaks(occurrences);
+
+  return {
+    user: { id: user._id, name: user.name },
+    habitId: participant.habitId,
+    due: summary.due,
+    completed: summary.completed,
+    completionRate: Math.round(summary.completionRate * 100),
+    currentStreak: streaks.current,
+    longestStreak: streaks.longest
+  };
+};
+
+const compareScores = (a, b) =>
+  b.completionRate - a.completionRate ||
+  b.currentStreak - a.currentStreak ||
+  b.longestStreak - a.longestStreak ||
+  b.completed - a.completed;
+
+// Participants ranked by completion rate, then streak. Ties share a rank.
+const getLeaderboard = async (challenge) => {
+  await challenge.populate('participants.userId', 'name preferences');
+
+  const participants = challenge.participants.filter(p => p.userId); // Skip deleted accounts
+
+  // Everyone's entries in one query. `skipped` is left out, so skips don't
+  // excuse a day either.
+  const entries = participants.length > 0
+    ? await TrackingEntry.find({
+      habitId: { $in: participants.map(p => p.habitId) },
+      date: { $gte: getPeriodStart(challenge.template, challenge.startDate), $lte: challenge.endDate }
+    }).select('habitId date completed value')
+    : [];
+  const entriesByHabit = groupEntriesByHabit(entries);
+
+  const scores = participants.map(p => scoreParticipant(challenge, p, entriesByHabit[p.habitId.toString()] || []));
+  scores.sort(compareScores);
+
+  let rank = 0;
+  return scores.map((score, index) => {
+    if (index === 0 || compareScores(scores[index - 1], score) !== 0) rank = index + 1;
+    return { rank, ...score };
+  });
+};
+
+// Send a challenge's leaderboard to every participant
+const broadcastLeaderboard = async (io, challenge) => {
+  const leaderboard = await getLeaderboard(challenge);
+  const data = { challengeId: challenge._id, leaderboard };
+
+  challenge.participants
+    .filter(p => p.userId) // Skip deleted accounts
+    .forEach(p => {
+      io.to(`user-${p.userId._id || p.userId}`).emit('challenge-leaderboard', data);
+    });
+};
+
+// Update the leaderboard after a tracking write on a challenge habit. Every
+// update scores all participants, so writes are batched: the first schedules
+// one a few seconds later and the ones before it runs share it. Never
+// throws, so a failed update can't fail the write.
+const notifyChallenge = async ({ io, habit }) => {
+  if (!io || !habit || !habit.challengeId) return;
+
+  const challengeId = habit.challengeId.toString();
+  if (pendingLeaderboards.has(challengeId)) return;
+
+  const timer = setTimeout(async () => {
+    pendingLeaderboards.delete(challengeId);
+    try {
+      const challenge = await Challenge.findById(challengeId);
+      if (challenge) await broadcastLeaderboard(io, challenge);
+    } catch (error) {
+      console.error('Challenge leaderboard update error:', error);
+    }
+  }, LEADERBOARD_DELAY);
+  timer.unref(); // Don't hold the process open at shutdown
+  pendingLeaderboards.set(challengeId, timer);
+};
+
+module.exports = {
+  cloneTemplate,
+  getLeaderboard,
+  broadcastLeaderboard,
+  notifyChallenge
+};
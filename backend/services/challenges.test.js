@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Challenge = require('../models/Challenge');
+const TrackingEntry = require('../models/TrackingEntry');
+const User = require('../models/User');
+const { getLeaderboard, notifyChallenge } = require('./challenges');
+
+const day = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+const user = (name) => new User({ name, email: `${name.toLowerCase()}@example.com`, password: 'Secret123', preferences: { timezone: 'UTC' } });
+
+const ann = user('Ann');
+const ben = user('Ben');
+const cleo = user('Cleo');
+const people = [ann, ben, cleo, null]; // The last account was deleted
+
+// A five-day challenge with a participant per user
+const makeChallenge = () => {
+  const challenge = new Challenge({
+    name: 'Five days of walking',
+    createdBy: ann._id,
+    startDate: day('2024-01-01'),
+    endDate: day('2024-01-05'),
+    joinCode: 'ABCDEFGH',
+    template: { name: 'Walk', frequency: 'daily' },
+    participants: people.map(() => ({ userId: new mongoose.Types.ObjectId(), habitId: new mongoose.Types.ObjectId() }))
+  });
+  // Stands in for populating the participants' accounts
+  challenge.populate = jest.fn(async () => {
+    challenge.participants.forEach((participant, index) => { participant.userId = people[index]; });
+    return challenge;
+  });
+  return challenge;
+};
+
+const doneOn = (participant, ...dateKeys) => dateKeys.map(dateKey =>
+  new TrackingEntry({ habitId: participant.habitId, userId: participant.userId, date: day(dateKey), completed: true })
+);
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('getLeaderboard', () => {
+  let challenge;
+  let select;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-10T12:00:00.000Z') });
+    challenge = makeChallenge();
+    const [annP, benP, cleoP] = challenge.participants;
+    select = jest.fn().mockResolvedValue([
+      ...doneOn(annP, '2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05'),
+      ...doneOn(benP, '2024-01-01', '2024-01-02', '2024-01-03'),
+      ...doneOn(cleoP, '2024-01-01', '2024-01-02', '2024-01-03'),
+      // Outside the challenge: doesn't count
+      ...doneOn(cleoP, '2023-12-31')
+    ]);
+    jest.spyOn(TrackingEntry, 'find').mockReturnValue({ select });
+  });
+
+  test('ranks participants by completion rate and lets ties share a rank', async () => {
+    const leaderboard = await getLeaderboard(challenge);
+
+    expect(leaderboard.map(score => [score.rank, score.user.name, score.completionRate, score.longestStreak])).toEqual([
+      [1, 'Ann', 100, 5],
+      [2, 'Ben', 60, 3],
+      [2, 'Cleo', 60, 3]
+    ]);
+  });
+
+  test('loads every participant\'s entries in one query, without skips', async () => {
+    await getLeaderboard(challenge);
+
+    expect(TrackingEntry.find).toHaveBeenCalledTimes(1);
+    const [filter] = TrackingEntry.find.mock.calls[0];
+    expect(filter.habitId.$in).toHaveLength(3);
+    expect(filter.date).toEqual({ $gte: day('2024-01-01'), $lte: day('2024-01-05') });
+    // Without `skipped` a skipped day counts as missed
+    expect(select).toHaveBeenCalledWith('habitId date completed value');
+  });
+});
+
+describe('notifyChallenge', () => {
+  test('batches writes into one leaderboard update for every remaining participant', async () => {
+    jest.useFakeTimers({ now: new Date('2024-01-03T12:00:00.000Z') });
+    const challenge = makeChallenge();
+    jest.spyOn(Challenge, 'findById').mockResolvedValue(challenge);
+    jest.spyOn(TrackingEntry, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    const io = { to: jest.fn(() => io), emit: jest.fn() };
+    const habit = { challengeId: challenge._id };
+    jest.spyOn(console, 'error');
+
+    await notifyChallenge({ io, habit });
+    await notifyChallenge({ io, habit });
+    expect(Challenge.findById).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(Challenge.findById).toHaveBeenCalledTimes(1);
+    expect(io.to.mock.calls).toEqual([ann, ben, cleo].map(person => [`user-${person._id}`]));
+    expect(io.emit).toHaveBeenCalledWith('challenge-leaderboard', expect.objectContaining({ challengeId: challenge._id }));
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test('ignores habits outside challenges', async () => {
+    jest.spyOn(Challenge, 'findById');
+
+    await notifyChallenge({ io: {}, habit: { challengeId: null } });
+
+    expect(Challenge.findById).not.toHaveBeenCalled();
+  });
+});
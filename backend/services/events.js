@@ -0,0 +1,10 @@
+const { dispatchWebhooks } = require('./webhooks');
+
+// Changes to a user's own habits and tracking. Each event goes to the user's
+// open tabs over Socket.io and to their webhooks, with the same payload.
+const emitUserEvent = (io, userId, event, data) => {
+  io.to(`user-${userId}`).emit(event, data);
+  dispatchWebhooks(userId, event, data); // In the background; never fails the write
+};
+
+module.exports = { emitUserEvent };
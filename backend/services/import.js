@@ -0,0 +1,256 @@
+const Habit = require('../models/Habit');
+const TrackingEntry = require('../models/TrackingEntry');
+const CheckIn = require('../models/CheckIn');
+const Pause = require('../models/Pause');
+const { toDateKey } = require('../utils/dateUtils');
+const { hasTarget } = require('../utils/targets');
+
+// Errors beyond this many are counted but not listed
+const MAX_REPORTED_ERRORS = 50;
+
+const ENTRY_FIELDS = ['value', 'notes', 'mood', 'difficulty'];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+// Fields an imported entry adds to an existing one: a completion, a skip on a
+// day that isn't done, or values the existing entry doesn't have yet.
+// Existing data is never overwritten, and a completion undoes a skip.
+const getEntryMerge = (existing, imported) => {
+  const update = {};
+  if (imported.completed && !existing.completed) {
+    update.completed = true;
+    if (existing.skipped) update.skipped = false;
+  } else if (imported.skipped && !existing.completed && !existing.skipped) {
+    update.skipped = true;
+  }
+  ENTRY_FIELDS.forEach(field => {
+    if (isBlank(existing[field]) && !isBlank(imported[field])) {
+      update[field] = imported[field];
+    }
+  });
+  return update;
+};
+
+// Match normalized import data (see utils/importFormats) against the user's
+// habits, tracking entries and pauses.
+//
+// Habits are matched by name, case-insensitively, including inactive ones.
+// Entries are matched on habit and day - the unique TrackingEntry index - and
+// are created when new, merged when they add something to an existing entry,
+// and skipped otherwise. Pauses are created unless the same habit (or the
+// whole account) already has one over exactly the same days. With dryRun
+// nothing is written and the counts are a preview of what the import would do.
+const applyImport = async ({ userId, parsed, dryRun = false }) => {
+  const summary = {
+    habits: { created: 0, merged: 0, skipped: 0 },
+    entries: { created: 0, merged: 0, skipped: 0 },
+    checkIns: { created: 0 },
+    pauses: { created: 0, skipped: 0 }
+  };
+  const errors = [...parsed.errors];
+
+  const existingHabits = await Habit.find({ userId });
+  const habitsByKey = new Map(existingHabits.map(habit => [habit.name.trim().toLowerCase(), habit]));
+  const lastOrder = existingHabits.reduce((max, habit) => Math.max(max, habit.order || 0), -1);
+
+  // Resolve every imported habit to an existing habit or a new, validated one
+  const targets = new Map();
+  const newHabits = [];
+  parsed.habits.forEach(({ key, row, data }) => {
+    if (targets.has(key)) return;
+
+    const existing = habitsByKey.get(key);
+    if (existing) {
+      targets.set(key, existing);
+      summary.habits.merged++;
+      return;
+    }
+
+    const habit = new Habit({ ...data, userId, order: lastOrder + 1 + newHabits.length });
+    const validationError = habit.validateSync();
+    if (validationError) {
+      errors.push({ row, message: `Habit "${data.name}": ${validationMessage(validationError)}` });
+      summary.habits.skipped++;
+      return;
+    }
+
+    targets.set(key, habit);
+    newHabits.push(habit);
+    summary.habits.created++;
+  });
+
+  // Existing entries of the matched habits, keyed by habit and day
+  const matchedIds = [...targets.values()].filter(habit => !habit.isNew).map(habit => habit._id);
+  const existingEntries = matchedIds.length > 0
+    ? await TrackingEntry.find({ userId, habitId: { $in: matchedIds } })
+    : [];
+  const entriesByKey = new Map(existingEntries.map(entry => [`${entry.habitId}|${toDateKey(entry.date)}`, entry]));
+
+  const newEntries = [];
+  const merges = [];
+  const seen = new Set();
+  parsed.entries.forEach(imported => {
+    const habit = targets.get(imported.habitKey);
+    if (!habit) {
+      summary.entries.skipped++;
+      return;
+    }
+
+    const key = `${habit._id}|${toDateKey(imported.date)}`;
+    if (seen.has(key)) {
+      errors.push({ row: imported.row, message: `Duplicate entry for "${habit.name}" on ${toDateKey(imported.date)}` });
+      summary.entries.skipped++;
+      return;
+    }
+    seen.add(key);
+
+    const existing = entriesByKey.get(key);
+    if (existing) {
+      const update = getEntryMerge(existing, imported);
+      if (Object.keys(update).length > 0) {
+        merges.push({ entry: existing, update });
+        summary.entries.merged++;
+      } else {
+        summary.entries.skipped++;
+      }
+      return;
+    }
+
+    const entry = new TrackingEntry({
+      habitId: habit._id,
+      userId,
+      date: imported.date,
+      completed: imported.completed,
+      skipped: Boolean(imported.skipped) && !imported.completed,
+      ...ENTRY_FIELDS.reduce((acc, field) => {
+        if (!isBlank(imported[field])) acc[field] = imported[field];
+        return acc;
+      }, {})
+    });
+    const validationError = entry.validateSync();
+    if (validationError) {
+      errors.push({ row: imported.row, message: validationMessage(validationError) });
+      summary.entries.skipped++;
+      return;
+    }
+
+    newEntries.push(entry);
+    summary.entries.created++;
+  });
+
+  // Check-ins are only carried over for entries the import creates, so the
+  // log of an existing day stays as the user recorded it
+  const newEntriesByKey = new Map(newEntries.map(entry => [`${entry.habitId}|${toDateKey(entry.date)}`, entry]));
+  const newCheckIns = [];
+  (parsed.checkIns || []).forEach(checkIn => {
+    const habit = targets.get(checkIn.habitKey);
+    const entry = habit && newEntriesByKey.get(`${habit._id}|${toDateKey(checkIn.date)}`);
+    if (!entry) return;
+
+    newCheckIns.push({
+      habitId: habit._id,
+      userId,
+      entryId: entry._id,
+      date: entry.date,
+      amount: checkIn.amount,
+      note: checkIn.note,
+      source: checkIn.source === 'adjustment' ? 'adjustment' : 'checkin',
+      timestamp: checkIn.timestamp
+    });
+  });
+  summary.checkIns.created = newCheckIns.length;
+
+  // Pauses of the matched habits and account-wide ones, keyed by their days
+  const pauseKey = (habitId, startDate, endDate) =>
+    `${habitId || ''}|${toDateKey(startDate)}|${endDate ? toDateKey(endDate) : ''}`;
+  const existingPauses = (parsed.pauses || []).length > 0 ? await Pause.find({ userId }) : [];
+  const pauseKeys = new Set(existingPauses.map(pause => pauseKey(pause.habitId, pause.startDate, pause.endDate)));
+
+  const newPauses = [];
+  (parsed.pauses || []).forEach(imported => {
+    const habit = imported.habitKey ? targets.get(imported.habitKey) : null;
+    if (imported.habitKey && !habit) {
+      summary.pauses.skipped++;
+      return;
+    }
+
+    const key = pauseKey(habit && habit._id, imported.startDate, imported.endDate);
+    if (pauseKeys.has(key)) {
+      summary.pauses.skipped++;
+      return;
+    }
+    pauseKeys.add(key);
+
+    const pause = new Pause({
+      userId,
+      habitId: habit ? habit._id : null,
+      startDate: imported.startDate,
+      endDate: imported.endDate,
+      reason: imported.reason,
+      note: imported.note
+    });
+    const validationError = pause.validateSync();
+    if (validationError) {
+      errors.push({ row: imported.row, message: `Pause: ${validationMessage(validationError)}` });
+      summary.pauses.skipped++;
+      return;
+    }
+
+    newPauses.push(pause);
+    summary.pauses.created++;
+  });
+
+  if (!dryRun) {
+    if (newHabits.length > 0) {
+      await Habit.insertMany(newHabits);
+    }
+
+    if (newEntries.length > 0) {
+      try {
+        await TrackingEntry.insertMany(newEntries, { ordered: false });
+      } catch (error) {
+        // An entry written since the preview hits the unique index; keep the rest
+        if (error.code !== 11000 && !error.writeErrors) throw error;
+        const conflicts = error.writeErrors ? error.writeErrors.length : 1;
+        summary.entries.created -= conflicts;
+        summary.entries.skipped += conflicts;
+      }
+    }
+
+    if (merges.length > 0) {
+      await TrackingEntry.bulkWrite(merges.map(({ entry, update }) => ({
+        updateOne: {
+          filter: { _id: entry._id },
+          update: { $set: update }
+        }
+      })));
+    }
+
+    if (newCheckIns.length > 0) {
+      await CheckIn.insertMany(newCheckIns);
+    }
+
+    if (newPauses.length > 0) {
+      await Pause.insertMany(newPauses);
+    }
+
+    // Imported values can change whether quantitative habits met their target
+    const quantitative = [...targets.values()].filter(hasTarget);
+    for (const habit of quantitative) {
+      await TrackingEntry.syncTargetProgress(habit);
+    }
+  }
+
+  return {
+    dryRun,
+    ...summary,
+    errorCount: errors.length,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS)
+  };
+};
+
+module.exports = {
+  applyImport
+};
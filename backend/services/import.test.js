@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Habit = require('../models/Habit');
+const TrackingEntry = require('../models/TrackingEntry');
+const CheckIn = require('../models/CheckIn');
+const Pause = require('../models/Pause');
+const { fromAppExport } = require('../utils/importFormats');
+const { applyImport } = require('./import');
+
+const userId = new mongoose.Types.ObjectId();
+const day = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+
+const run = new Habit({ userId, name: 'Run' });
+run.isNew = false; // As if loaded from the database
+
+const exported = {
+  habits: [{ _id: 'h1', name: 'Run' }, { _id: 'h2', name: 'Read' }],
+  trackingEntries: [
+    { habitId: 'h1', date: '2024-01-01T00:00:00.000Z', completed: true },
+    { habitId: 'h1', date: '2024-01-02T00:00:00.000Z', completed: false, skipped: true },
+    { habitId: 'h1', date: '2024-01-03T00:00:00.000Z', completed: false, skipped: true },
+    { habitId: 'h2', date: '2024-01-02T00:00:00.000Z', completed: false, skipped: true }
+  ],
+  pauses: [
+    { habitId: null, startDate: '2024-02-01T00:00:00.000Z', endDate: '2024-02-07T00:00:00.000Z', reason: 'vacation' },
+    { habitId: 'h1', startDate: '2024-03-01T00:00:00.000Z', endDate: null, reason: 'sick' },
+    { habitId: 'h2', startDate: '2024-04-01T00:00:00.000Z', endDate: '2024-04-02T00:00:00.000Z' }
+  ]
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Habit, 'find').mockResolvedValue([run]);
+  jest.spyOn(TrackingEntry, 'find').mockResolvedValue([
+    new TrackingEntry({ userId, habitId: run._id, date: day('2024-01-01'), completed: false, skipped: true }),
+    new TrackingEntry({ userId, habitId: run._id, date: day('2024-01-02'), completed: true })
+  ]);
+  jest.spyOn(Pause, 'find').mockResolvedValue([
+    new Pause({ userId, habitId: null, startDate: day('2024-02-01'), endDate: day('2024-02-07') })
+  ]);
+  jest.spyOn(Habit, 'insertMany').mockResolvedValue([]);
+  jest.spyOn(TrackingEntry, 'insertMany').mockResolvedValue([]);
+  jest.spyOn(TrackingEntry, 'bulkWrite').mockResolvedValue({});
+  jest.spyOn(CheckIn, 'insertMany').mockResolvedValue([]);
+  jest.spyOn(Pause, 'insertMany').mockResolvedValue([]);
+});
+
+describe('applyImport', () => {
+  test('brings skipped days over without marking them done', async () => {
+    const result = await applyImport({ userId, parsed: fromAppExport(exported) });
+
+    expect(result.entries).toEqual({ created: 2, merged: 1, skipped: 1 });
+    const created = TrackingEntry.insertMany.mock.calls[0][0];
+    expect(created.map(entry => [entry.date.toISOString(), entry.completed, entry.skipped])).toEqual([
+      ['2024-01-03T00:00:00.000Z', false, true],
+      ['2024-01-02T00:00:00.000Z', false, true]
+    ]);
+  });
+
+  test('lets a completion undo an existing skip', async () => {
+    await applyImport({ userId, parsed: fromAppExport(exported) });
+
+    const [merge] = TrackingEntry.bulkWrite.mock.calls[0][0];
+    expect(merge.updateOne.update).toEqual({ $set: { completed: true, skipped: false } });
+  });
+
+  test('imports pauses that don\'t exist yet', async () => {
+    const result = await applyImport({ userId, parsed: fromAppExport(exported) });
+
+    expect(result.pauses).toEqual({ created: 2, skipped: 1 });
+    const [habitPause, newHabitPause] = Pause.insertMany.mock.calls[0][0];
+    expect(habitPause.habitId).toEqual(run._id);
+    expect(habitPause.reason).toBe('sick');
+    expect(habitPause.endDate).toBeNull();
+    // Pauses of a habit the import creates point at the new habit
+    expect(newHabitPause.habitId).toEqual(Habit.insertMany.mock.calls[0][0][0]._id);
+  });
+
+  test('writes nothing on a dry run', async () => {
+    const result = await applyImport({ userId, parsed: fromAppExport(exported), dryRun: true });
+
+    expect(result.pauses.created).toBe(2);
+    expect(Pause.insertMany).not.toHaveBeenCalled();
+    expect(TrackingEntry.insertMany).not.toHaveBeenCalled();
+  });
+});
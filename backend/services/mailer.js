@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outgoing mail. MAIL_TRANSPORT picks the transport:
+//   smtp    - send through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   file    - write each message as an .eml file to MAIL_DIR (local dev)
+//   console - print each message to the server log (local dev)
+// Without MAIL_TRANSPORT, SMTP is used when SMTP_HOST is set and the
+// console otherwise. Tests and scripts can swap in their own transport
+// with setTransport.
+
+const DEFAULT_MAIL_DIR = path.join(os.tmpdir(), 'habit-tracker-mail');
+
+// Render messages to a buffer instead of sending them, then hand the raw
+// message to a sink
+const createLocalTransport = (sink) => {
+  const renderer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    sendMail: async (message) => {
+      const info = await renderer.sendMail(message);
+      await sink(info);
+      return info;
+    }
+  };
+};
+
+const createFileTransport = (directory = process.env.MAIL_DIR || DEFAULT_MAIL_DIR) =>
+  createLocalTransport(async (info) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+    await fs.promises.writeFile(path.join(directory, fileName), info.message);
+    console.log(`Mail written to ${path.join(directory, fileName)}`);
+  });
+
+const createConsoleTransport = () =>
+  createLocalTransport(async (info) => {
+    console.log(`----- Mail ${info.messageId} -----\n${info.message.toString()}\n----- End of mail -----`);
+  });
+
+const createSmtpTransport = () => nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT || '587'),
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined
+});
+
+const createTransportFromEnv = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+};
+
+let transport = null;
+
+// Use a custom transport: any object with an async sendMail(message)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+
+  return transport.sendMail({
+    from: process.env.MAIL_FROM || 'Habit Tracker <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createFileTransport,
+  createConsoleTransport
+};
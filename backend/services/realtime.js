@@ -0,0 +1,111 @@
+const { socketAuth, verifyAccessToken } = require('../middleware/auth');
+
+// Socket.io wiring. Every socket is authenticated during the handshake and
+// joins only its own rooms: user-<id> for the events routes emit, and
+// session-<id> so a signed-out session can be disconnected.
+
+// setTimeout cannot wait longer than about 24.8 days
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const userRoom = (userId) => `user-${userId}`;
+const sessionRoom = (sessionId) => `session-${sessionId}`;
+
+const endSocket = (socket, code) => {
+  socket.emit('session-expired', { code });
+  socket.disconnect(true);
+};
+
+const registerSocketHandlers = (io) => {
+  io.use(socketAuth);
+
+  io.on('connection', (socket) => {
+    const { userId } = socket.data;
+    let expiryTimer = null;
+
+    // Disconnect when the access token expires unless the client has sent
+    // a newer one with 'authenticate' in the meantime
+    const scheduleExpiry = () => {
+      clearTimeout(expiryTimer);
+      const delay = socket.data.tokenExpiresAt - Date.now();
+      expiryTimer = setTimeout(() => {
+        if (socket.data.tokenExpiresAt > Date.now()) {
+          scheduleExpiry();
+        } else {
+          endSocket(socket, 'TOKEN_EXPIRED');
+        }
+      }, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY));
+    };
+
+    socket.join([userRoom(userId), sessionRoom(socket.data.sessionId)]);
+    scheduleExpiry();
+    console.log(`User ${userId} connected:`, socket.id);
+
+    // Swap in a refreshed access token without reconnecting. The token has
+    // to belong to the same user.
+    socket.on('authenticate', async (token, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      try {
+        const result = typeof token === 'string'
+          ? await verifyAccessToken(token)
+          : { error: { code: 'INVALID_TOKEN' } };
+
+        if (result.error || result.user._id.toString() !== userId) {
+          reply({ ok: false, code: result.error?.code || 'INVALID_TOKEN' });
+          return endSocket(socket, result.error?.code || 'INVALID_TOKEN');
+        }
+
+        const sessionId = result.session._id.toString();
+        if (sessionId !== socket.data.sessionId) {
+          socket.leave(sessionRoom(socket.data.sessionId));
+          socket.join(sessionRoom(sessionId));
+          socket.data.sessionId = sessionId;
+        }
+
+        socket.data.tokenExpiresAt = result.decoded.exp * 1000;
+        scheduleExpiry();
+        reply({ ok: true });
+      } catch (error) {
+        console.error('Socket re-authentication error:', error);
+        reply({ ok: false, code: 'SERVER_ERROR' });
+      }
+    });
+
+    // Let a client tell the user's other devices that a habit changed. The
+    // relay only ever reaches the sender's own room.
+    socket.on('habit-updated', (data) => {
+      if (!data || typeof data !== 'object' || (data.userId && String(data.userId) !== userId)) {
+        console.warn(`Rejected habit-updated relay from user ${userId}`);
+        socket.emit('relay-rejected', { event: 'habit-updated', code: 'FORBIDDEN' });
+        return;
+      }
+
+      socket.to(userRoom(userId)).emit('habit-changed', { ...data, userId });
+    });
+
+    socket.on('disconnect', () => {
+      clearTimeout(expiryTimer);
+      console.log(`User ${userId} disconnected:`, socket.id);
+    });
+  });
+};
+
+// Disconnect the sockets of signed-out sessions: one session, every session
+// of a user, or every session of a user except one. The code tells clients
+// why they were signed out.
+const disconnectSessions = (io, { userId, sessionId, exceptSessionId, code = 'SESSION_REVOKED' }) => {
+  if (!io) return;
+
+  let target = sessionId ? io.in(sessionRoom(sessionId)) : io.in(userRoom(userId));
+  if (exceptSessionId) {
+    target = target.except(sessionRoom(exceptSessionId));
+  }
+
+  target.emit('session-expired', { code });
+  target.disconnectSockets(true);
+};
+
+module.exports = {
+  registerSocketHandlers,
+  disconnectSessions
+};
@@ -0,0 +1,121 @@
+const https = require('https');
+const webpush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+const { sendMail } = require('./mailer');
+const { isPublicAddress, getIpHost, lookupPublicAddress } = require('../utils/network');
+
+// Reminder delivery channels. A channel is
+//   { name, isEnabled(user), send({ io, user, habit, payload }) }
+// where send resolves to 'sent' or 'skipped' (nobody to deliver to) and
+// throws when delivery failed. Register extra channels with registerChannel.
+
+const channels = new Map();
+
+const registerChannel = (channel) => {
+  channels.set(channel.name, channel);
+};
+
+const getChannels = () => [...channels.values()];
+
+// Channel preferences default to on for in-app and push, off for email
+const isChannelOn = (user, name, fallback) => {
+  const value = user.preferences?.reminderChannels?.[name];
+  return value === undefined || value === null ? fallback : value;
+};
+
+// Web Push needs a VAPID key pair; without one the channel is disabled
+const isPushConfigured = () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+// Push endpoints come from the browser, so like webhooks they may only
+// resolve to public addresses
+const pushAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+let vapidConfigured = false;
+const configureVapid = () => {
+  if (vapidConfigured) return;
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || 'mailto:no-reply@localhost',
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  );
+  vapidConfigured = true;
+};
+
+// In-app: a socket event to every open tab of the user
+registerChannel({
+  name: 'inApp',
+  isEnabled: (user) => isChannelOn(user, 'inApp', true),
+  send: async ({ io, user, payload }) => {
+    const room = `user-${user._id}`;
+    const sockets = await io.in(room).fetchSockets();
+    if (sockets.length === 0) return 'skipped';
+
+    io.to(room).emit('habit-reminder', payload);
+    return 'sent';
+  }
+});
+
+registerChannel({
+  name: 'email',
+  isEnabled: (user) => isChannelOn(user, 'email', false),
+  send: async ({ user, habit, payload }) => {
+    const clientUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+    await sendMail({
+      to: user.email,
+      subject: `Reminder: ${habit.name}`,
+      text: `${payload.message}\n\nTrack it at ${clientUrl}${payload.url}`
+    });
+    return 'sent';
+  }
+});
+
+registerChannel({
+  name: 'push',
+  isEnabled: (user) => isPushConfigured() && isChannelOn(user, 'push', true),
+  send: async ({ user, payload }) => {
+    const subscriptions = await PushSubscription.find({ userId: user._id });
+    if (subscriptions.length === 0) return 'skipped';
+
+    configureVapid();
+    const body = JSON.stringify(payload);
+    let delivered = 0;
+    let lastError = null;
+
+    for (const subscription of subscriptions) {
+      try {
+        const ipHost = getIpHost(subscription.endpoint);
+        if (ipHost && !isPublicAddress(ipHost)) {
+          throw new Error(`${ipHost} is a private address`);
+        }
+
+        await webpush.sendNotification(
+          { endpoint: subscription.endpoint, keys: subscription.keys },
+          body,
+          {
+            TTL: 60 * 60, // A reminder is useless after an hour
+            agent: pushAgent
+          }
+        );
+        delivered++;
+      } catch (error) {
+        // The browser dropped the subscription
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          await PushSubscription.deleteOne({ _id: subscription._id });
+        } else {
+          lastError = error;
+        }
+      }
+    }
+
+    if (delivered > 0) return 'sent';
+    if (lastError) throw lastError;
+    return 'skipped';
+  }
+});
+
+module.exports = {
+  registerChannel,
+  getChannels,
+  isPushConfigured
+};
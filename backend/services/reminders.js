@@ -0,0 +1,195 @@
+const Habit = require('../models/Habit');
+const User = require('../models/User');
+const TrackingEntry = require('../models/TrackingEntry');
+const Reminder = require('../models/Reminder');
+const Pause = require('../models/Pause');
+const { resolveTimezone, getDateKey, fromDateKey, zonedTimeToDate } = require('../utils/dateUtils');
+const { isTargetDay, getPeriodStart } = require('../utils/schedule');
+const { getChannels } = require('./reminderChannels');
+
+// Reminder scheduler. Every minute it looks for habits whose reminderTime
+// (in the owner's timezone) or snooze time has just passed, records the
+// reminder in the history and delivers it through the enabled channels.
+//
+// Reminders are not sent when the user turned notifications off, the habit
+// is muted or snoozed, today is not one of its targetDays, the habit is
+// paused or today was skipped, or it is already completed for the current
+// day (week/month for weekly and monthly habits).
+// Those are still recorded as skipped, with the reason, for debugging.
+
+const TICK_INTERVAL = 60 * 1000;
+// Reminders missed by up to this long (e.g. during a restart) still go out
+const CATCH_UP_WINDOW = 10 * 60 * 1000;
+
+// Reminder due for a habit right now, if any
+const getDueReminder = (habit, timezone, now) => {
+  if (habit.reminderSnoozedUntil && habit.reminderSnoozedUntil <= now) {
+    return { type: 'snooze', scheduledFor: habit.reminderSnoozedUntil };
+  }
+
+  if (!habit.reminderTime) return null;
+
+  const scheduledFor = zonedTimeToDate(getDateKey(now, timezone), habit.reminderTime, timezone);
+  if (scheduledFor > now) return null;
+
+  return { type: 'scheduled', scheduledFor };
+};
+
+// Reason not to send a due reminder, or null to send it
+const getSkipReason = async (habit, user, reminder, today, now) => {
+  if (!user.preferences?.notifications) return 'notifications-off';
+  if (habit.reminderMuted) return 'muted';
+  if (reminder.type === 'scheduled' && habit.reminderSnoozedUntil > now) return 'snoozed';
+  if (!isTargetDay(habit, today)) return 'not-target-day';
+
+  const paused = await Pause.exists({
+    userId: habit.userId,
+    habitId: { $in: [habit._id, null] },
+    startDate: { $lte: today },
+    $or: [{ endDate: null }, { endDate: { $gte: today } }]
+  });
+  if (paused) return 'paused';
+
+  const entry = await TrackingEntry.findOne({
+    habitId: habit._id,
+    date: { $gte: getPeriodStart(habit, today), $lte: today },
+    $or: [{ completed: true }, { skipped: true }]
+  }).select('completed');
+  if (!entry) return null;
+  return entry.completed ? 'completed' : 'skipped';
+};
+
+const deliver = async ({ io, user, habit, reminder }) => {
+  const payload = {
+    reminderId: reminder._id,
+    habitId: habit._id,
+    habitName: habit.name,
+    color: habit.color,
+    quantitative: habit.target?.amount != null, // Logged with a value, not marked done
+    type: reminder.type,
+    scheduledFor: reminder.scheduledFor,
+    message: `Time for "${habit.name}"`,
+    url: '/dashboard'
+  };
+
+  const deliveries = [];
+  for (const channel of getChannels()) {
+    if (!channel.isEnabled(user)) continue;
+
+    try {
+      const status = await channel.send({ io, user, habit, payload });
+      deliveries.push({ channel: channel.name, status });
+    } catch (error) {
+      console.error(`Reminder ${channel.name} delivery error:`, error);
+      deliveries.push({ channel: channel.name, status: 'failed', error: error.message });
+    }
+  }
+
+  return deliveries;
+};
+
+const processHabit = async ({ io, habit, user, now }) => {
+  const timezone = resolveTimezone(user);
+  const reminder = getDueReminder(habit, timezone, now);
+  if (!reminder || now - reminder.scheduledFor > CATCH_UP_WINDOW) {
+    // A snooze that is too old to be useful is dropped
+    if (reminder?.type === 'snooze') {
+      await Habit.updateOne({ _id: habit._id }, { reminderSnoozedUntil: null });
+    }
+    return;
+  }
+
+  const today = fromDateKey(getDateKey(reminder.scheduledFor, timezone));
+  const reason = await getSkipReason(habit, user, reminder, today, now);
+
+  // Claim the reminder; a duplicate key means it was already handled
+  let record;
+  try {
+    record = await Reminder.create({
+      userId: user._id,
+      habitId: habit._id,
+      date: today,
+      scheduledFor: reminder.scheduledFor,
+      type: reminder.type,
+      status: reason ? 'skipped' : 'pending',
+      reason
+    });
+  } catch (error) {
+    if (error.code === 11000) return;
+    throw error;
+  }
+
+  if (reminder.type === 'snooze') {
+    await Habit.updateOne({ _id: habit._id }, { reminderSnoozedUntil: null });
+  }
+
+  if (reason) return;
+
+  const deliveries = await deliver({ io, user, habit, reminder: record });
+  record.deliveries = deliveries;
+
+  if (deliveries.some(delivery => delivery.status === 'sent')) {
+    record.status = 'sent';
+  } else if (deliveries.some(delivery => delivery.status === 'failed')) {
+    record.status = 'failed';
+  } else {
+    record.status = 'skipped';
+    record.reason = deliveries.length === 0 ? 'no-channels' : 'no-recipients';
+  }
+  await record.save();
+};
+
+// One scheduler pass
+const runReminders = async (io, now = new Date()) => {
+  const habits = await Habit.find({
+    isActive: true,
+    $or: [
+      { reminderTime: { $nin: [null, ''] } },
+      { reminderSnoozedUntil: { $ne: null, $lte: now } }
+    ]
+  });
+  if (habits.length === 0) return;
+
+  const users = await User.find({
+    _id: { $in: [...new Set(habits.map(habit => habit.userId.toString()))] },
+    isActive: true
+  });
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  for (const habit of habits) {
+    const user = usersById.get(habit.userId.toString());
+    if (!user) continue;
+
+    try {
+      await processHabit({ io, habit, user, now });
+    } catch (error) {
+      console.error(`Reminder error for habit ${habit._id}:`, error);
+    }
+  }
+};
+
+// Run the scheduler every minute. Set REMINDERS_ENABLED=false to turn it
+// off, e.g. on all but one server.
+const startReminderScheduler = (io) => {
+  if (process.env.REMINDERS_ENABLED === 'false') return null;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return; // A slow pass must not overlap the next one
+    running = true;
+    try {
+      await runReminders(io);
+    } catch (error) {
+      console.error('Reminder scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  return setInterval(tick, TICK_INTERVAL);
+};
+
+module.exports = {
+  runReminders,
+  startReminderScheduler
+};
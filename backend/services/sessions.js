@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Sign-in sessions. A login creates a Session and hands out a short-lived
+// access token (JWT carrying the session id) plus a refresh token in an
+// httpOnly cookie. Every refresh rotates the refresh token; deleting the
+// session revokes both.
+
+const REFRESH_COOKIE = 'refreshToken';
+const REFRESH_COOKIE_PATH = '/api/auth';
+const LAST_SEEN_INTERVAL = 60 * 1000; // Write lastSeenAt at most once a minute
+// Tabs refreshing at the same moment all send the old cookie; within this
+// window a just-rotated token is accepted instead of treated as replayed
+const ROTATION_GRACE = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const getRefreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '30');
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+// Short label such as "Firefox on Windows" for the session list
+const describeDevice = (userAgent = '') => {
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\//.test(userAgent) ? 'Opera' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Safari\//.test(userAgent) ? 'Safari' :
+    null;
+  const os =
+    /Windows/.test(userAgent) ? 'Windows' :
+    /Android/.test(userAgent) ? 'Android' :
+    /iPhone|iPad|iPod/.test(userAgent) ? 'iOS' :
+    /Mac OS X/.test(userAgent) ? 'macOS' :
+    /Linux/.test(userAgent) ? 'Linux' :
+    null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+// Start a session for a user who just proved who they are
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const userAgent = (req.get('User-Agent') || '').slice(0, 500);
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    expiresAt: getRefreshExpiry()
+  });
+
+  return {
+    session,
+    refreshToken,
+    accessToken: generateAccessToken(user._id, session._id)
+  };
+};
+
+// Swap a refresh token for a new access token and, normally, a new refresh
+// token. Returns null for unknown or expired tokens; replaying a rotated
+// token outside the grace window revokes its session.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, expiresAt: { $gt: now } },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: tokenHash,
+      rotatedAt: now,
+      lastSeenAt: now,
+      ip: req.ip,
+      expiresAt: getRefreshExpiry()
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      session,
+      refreshToken: nextToken,
+      accessToken: generateAccessToken(session.userId, session._id)
+    };
+  }
+
+  const rotated = await Session.findOne({ previousTokenHash: tokenHash, expiresAt: { $gt: now } });
+  if (!rotated) return null;
+
+  if (now - rotated.rotatedAt <= ROTATION_GRACE) {
+    // The cookie already holds the newer token; only issue an access token
+    return {
+      session: rotated,
+      refreshToken: null,
+      accessToken: generateAccessToken(rotated.userId, rotated._id)
+    };
+  }
+
+  await Session.deleteOne({ _id: rotated._id });
+  return null;
+};
+
+// Session an access token belongs to, or null once it has been revoked.
+// Also keeps lastSeenAt roughly up to date.
+const getActiveSession = async (userId, sessionId) => {
+  if (!sessionId) return null;
+
+  const session = await Session.findOne({ _id: sessionId, userId, expiresAt: { $gt: new Date() } })
+    .select('lastSeenAt');
+  if (!session) return null;
+
+  if (Date.now() - session.lastSeenAt > LAST_SEEN_INTERVAL) {
+    Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() })
+      .catch(error => console.error('Session last seen update error:', error));
+  }
+
+  return session;
+};
+
+// Sign out everywhere, optionally keeping one session (the caller's)
+const revokeSessions = (userId, exceptSessionId) => {
+  const filter = { userId };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return Session.deleteMany(filter);
+};
+
+// Sign out the session a refresh token belongs to; resolves to the deleted
+// session, if any
+const revokeSessionByToken = (refreshToken) => {
+  return Session.findOneAndDelete({ refreshTokenHash: hashToken(refreshToken) });
+};
+
+const setRefreshCookie = (res, refreshToken, expires) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: REFRESH_COOKIE_PATH,
+    expires
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: REFRESH_COOKIE_PATH
+  });
+};
+
+module.exports = {
+  REFRESH_COOKIE,
+  hashToken,
+  describeDevice,
+  createSession,
+  rotateSession,
+  getActiveSession,
+  revokeSessions,
+  revokeSessionByToken,
+  setRefreshCookie,
+  clearRefreshCookie
+};
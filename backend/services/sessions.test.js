@@ -0,0 +1,70 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { hashToken, rotateSession } = require('./sessions');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const req = { ip: '203.0.113.7' };
+const session = () => new Session({
+  userId: new mongoose.Types.ObjectId(),
+  refreshTokenHash: hashToken('next'),
+  previousTokenHash: hashToken('current'),
+  rotatedAt: new Date(Date.now() - 10 * 1000),
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+beforeEach(() => {
+  jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+  jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Session, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('rotateSession', () => {
+  test('swaps the refresh token for a new one and keeps the old hash', async () => {
+    const current = session();
+    Session.findOneAndUpdate.mockResolvedValue(current);
+
+    const rotated = await rotateSession('current', req);
+
+    const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+    expect(filter.refreshTokenHash).toBe(hashToken('current'));
+    expect(update.previousTokenHash).toBe(hashToken('current'));
+    expect(update.refreshTokenHash).toBe(hashToken(rotated.refreshToken));
+    expect(rotated.refreshToken).not.toBe('current');
+    expect(jwt.verify(rotated.accessToken, 'test-secret')).toMatchObject({
+      userId: current.userId.toString(),
+      sessionId: current._id.toString()
+    });
+  });
+
+  test('accepts a just-rotated token from a parallel tab without rotating again', async () => {
+    const current = session();
+    Session.findOne.mockResolvedValue(current);
+
+    const rotated = await rotateSession('current', req);
+
+    expect(Session.findOne).toHaveBeenCalledWith({ previousTokenHash: hashToken('current'), expiresAt: { $gt: expect.any(Date) } });
+    expect(rotated.refreshToken).toBeNull();
+    expect(rotated.session).toBe(current);
+    expect(Session.deleteOne).not.toHaveBeenCalled();
+  });
+
+  test('revokes the session when a rotated token is replayed after the grace window', async () => {
+    const current = session();
+    current.rotatedAt = new Date(Date.now() - 31 * 1000);
+    Session.findOne.mockResolvedValue(current);
+
+    expect(await rotateSession('current', req)).toBeNull();
+    expect(Session.deleteOne).toHaveBeenCalledWith({ _id: current._id });
+  });
+
+  test('refuses unknown tokens', async () => {
+    expect(await rotateSession('forged', req)).toBeNull();
+    expect(Session.deleteOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,205 @@
+const TrackingEntry = require('../models/TrackingEntry');
+const CheckIn = require('../models/CheckIn');
+const { hasTarget } = require('../utils/targets');
+const { resolveTimezone, toDayStart, getToday } = require('../utils/dateUtils');
+const { evaluateAchievements } = require('./achievements');
+const { notifyChallenge } = require('./challenges');
+const { emitUserEvent } = require('./events');
+
+// Re-derive completion for a quantitative habit after one of its entries
+// changed, and reflect the result on that entry
+const syncEntryProgress = async (habit, entry) => {
+  const periodEntries = await TrackingEntry.syncTargetProgress(habit, entry.date);
+  const synced = periodEntries.find(e => e._id.equals(entry._id));
+  if (synced) {
+    entry.completed = synced.completed;
+  }
+  return entry;
+};
+
+const BELOW_ZERO = {
+  status: 400,
+  message: 'Check-in would take the day below zero',
+  code: 'CHECKIN_BELOW_ZERO'
+};
+
+// Append a check-in for a habit's day and roll the day's check-ins up into
+// its tracking entry. Resolves to { checkIn, entry, created } (whether the
+// entry had to be created), or { error } for a negative check-in that would
+// take the day's total below zero.
+const recordCheckIn = async ({ habit, userId, date, amount, note, timestamp }) => {
+  const filter = { habitId: habit._id, userId, date };
+
+  if (amount < 0) {
+    const { total } = await CheckIn.getDayTotal(habit._id, date);
+    if (total + amount < 0) return { error: BELOW_ZERO };
+  }
+
+  // Make sure the day's entry exists so the check-in can point at it
+  const result = await TrackingEntry.findOneAndUpdate(
+    filter,
+    { $setOnInsert: { completed: false } },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+  const created = !result.lastErrorObject?.updatedExisting;
+
+  const checkIn = await CheckIn.create({
+    habitId: habit._id,
+    userId,
+    entryId: result.value._id,
+    date,
+    amount,
+    note,
+    timestamp
+  });
+
+  // Totals are recomputed from the log so concurrent check-ins can't be lost.
+  // Two undos racing past the check above are caught here and taken back.
+  const { total } = await CheckIn.getDayTotal(habit._id, date);
+  if (total < 0) {
+    await CheckIn.deleteOne({ _id: checkIn._id });
+    return { error: BELOW_ZERO };
+  }
+
+  // Like applyEntryChanges, completing a skipped day undoes the skip
+  const update = { value: total };
+  if (!hasTarget(habit)) {
+    update.completed = update.value > 0;
+    if (update.completed) update.skipped = false;
+  }
+
+  const entry = await TrackingEntry.findOneAndUpdate(filter, update, { new: true, runValidators: true });
+  if (hasTarget(habit)) {
+    await syncEntryProgress(habit, entry);
+    if (entry.completed && entry.skipped) {
+      await TrackingEntry.updateOne({ _id: entry._id }, { skipped: false });
+      entry.skipped = false;
+    }
+  }
+
+  return { checkIn, entry, created };
+};
+
+// When a day's value is set directly, log the difference as an adjustment so
+// its check-ins keep adding up to the entry's value. Days without check-ins
+// are left alone.
+const recordAdjustment = async ({ habit, entry, note }) => {
+  const value = entry.value;
+  const { total, count } = await CheckIn.getDayTotal(habit._id, entry.date);
+  if (count === 0 || value === null || value === undefined || value === total) {
+    return null;
+  }
+
+  return CheckIn.create({
+    habitId: habit._id,
+    userId: entry.userId,
+    entryId: entry._id,
+    date: entry.date,
+    amount: value - total,
+    note,
+    source: 'adjustment'
+  });
+};
+
+// Apply a tracking write's fields to an existing entry. Fields left
+// undefined keep their value. Quantitative habits derive `completed` from the
+// value instead (syncEntryProgress).
+const applyEntryChanges = (entry, changes, quantitative) => {
+  const { completed, skipped, notes, value, mood, difficulty } = changes;
+
+  if (!quantitative && completed !== undefined) entry.completed = completed;
+  if (skipped !== undefined) entry.skipped = skipped;
+
+  // A skipped day isn't done, and completing it undoes the skip
+  if (skipped === true && !quantitative) entry.completed = false;
+  else if (completed === true) entry.skipped = false;
+  if (notes !== undefined) entry.notes = notes;
+  if (value !== undefined) entry.value = value;
+  if (mood !== undefined) entry.mood = mood;
+  if (difficulty !== undefined) entry.difficulty = difficulty;
+
+  return entry;
+};
+
+// Create or update a habit's entry for one day, then tell the user's tabs
+// and webhooks and, in the background, achievements and challenges. Shared
+// by POST /api/tracking and the check-in URL. `date` defaults to the user's
+// today. Resolves to { entry, created }, or { error: { status, message,
+// code } } when the write is refused.
+const upsertEntry = async ({ io, user, habit, date, changes, clientUpdatedAt }) => {
+  const { completed, skipped, notes, value, mood, difficulty } = changes;
+
+  // Quantitative habits derive completion from the value logged
+  const quantitative = hasTarget(habit);
+  if (!quantitative && completed === undefined && skipped === undefined) {
+    return {
+      error: {
+        status: 400,
+        message: 'Completed or skipped is required for habits without a target',
+        code: 'COMPLETED_REQUIRED'
+      }
+    };
+  }
+
+  const timezone = resolveTimezone(user);
+  const entryDate = date ? toDayStart(date, timezone) : getToday(timezone); // Normalize to the user's calendar day
+
+  // Check if entry already exists for this habit and date
+  const existingEntry = await TrackingEntry.findOne({
+    habitId: habit._id,
+    userId: user._id,
+    date: entryDate
+  });
+
+  // Changes queued offline carry the time they were made; an entry changed
+  // since then (e.g. on another device) is newer and wins
+  if (existingEntry && clientUpdatedAt && existingEntry.updatedAt > new Date(clientUpdatedAt)) {
+    return {
+      error: {
+        status: 409,
+        message: 'Tracking entry was changed after this update was made',
+        code: 'STALE_UPDATE',
+        entry: existingEntry
+      }
+    };
+  }
+
+  let entry = existingEntry;
+  if (existingEntry) {
+    // Update existing entry
+    applyEntryChanges(entry, changes, quantitative);
+    await entry.save();
+    if (value !== undefined) await recordAdjustment({ habit, entry });
+  } else {
+    // Create new entry
+    entry = new TrackingEntry({
+      habitId: habit._id,
+      userId: user._id,
+      date: entryDate,
+      completed: quantitative || skipped === true ? false : completed,
+      skipped: skipped === true,
+      notes,
+      value,
+      mood,
+      difficulty
+    });
+
+    await entry.save();
+  }
+  if (quantitative) await syncEntryProgress(habit, entry);
+
+  emitUserEvent(io, user._id, existingEntry ? 'tracking-updated' : 'tracking-created', entry);
+  // In the background; never fails the write
+  evaluateAchievements({ io, user, habit, date: entry.date });
+  notifyChallenge({ io, habit });
+
+  return { entry, created: !existingEntry };
+};
+
+module.exports = {
+  applyEntryChanges,
+  upsertEntry,
+  syncEntryProgress,
+  recordCheckIn,
+  recordAdjustment
+};
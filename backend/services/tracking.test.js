@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+
+// New entries keep their fields and save as they are
+jest.mock('../models/TrackingEntry', () => Object.assign(
+  jest.fn(function(fields) {
+    const { ObjectId } = require('mongoose').Types;
+    Object.assign(this, { _id: new ObjectId() }, fields);
+    this.save = jest.fn().mockResolvedValue(this);
+  }),
+  {
+    findOne: jest.fn(),
+    findOneAndUpdate: jest.fn(),
+    updateOne: jest.fn(),
+    syncTargetProgress: jest.fn()
+  }
+));
+jest.mock('../models/CheckIn', () => ({
+  create: jest.fn(),
+  deleteOne: jest.fn(),
+  getDayTotal: jest.fn()
+}));
+jest.mock('./achievements', () => ({ evaluateAchievements: jest.fn() }));
+jest.mock('./challenges', () => ({ notifyChallenge: jest.fn() }));
+jest.mock('./events', () => ({ emitUserEvent: jest.fn() }));
+
+const TrackingEntry = require('../models/TrackingEntry');
+const CheckIn = require('../models/CheckIn');
+const { emitUserEvent } = require('./events');
+const { recordCheckIn, upsertEntry } = require('./tracking');
+
+const day = new Date('2024-01-01T00:00:00.000Z');
+const habit = { _id: new mongoose.Types.ObjectId(), userId: 'user-1' };
+const quantitative = { ...habit, target: { amount: 8, comparison: 'at-least', aggregation: 'sum' } };
+
+// The day's entry as the first findOneAndUpdate upserts it and the second
+// writes the new total
+const mockEntry = ({ created = false, ...fields } = {}) => {
+  const entry = { _id: new mongoose.Types.ObjectId(), date: day, completed: false, skipped: false, ...fields };
+  TrackingEntry.findOneAndUpdate
+    .mockResolvedValueOnce({ value: entry, lastErrorObject: { updatedExisting: !created } })
+    .mockImplementationOnce(async (filter, update) => Object.assign(entry, update));
+  return entry;
+};
+
+const checkIn = (amount, target = habit) =>
+  recordCheckIn({ habit: target, userId: 'user-1', date: day, amount, timestamp: new Date() });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  CheckIn.create.mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+});
+
+describe('recordCheckIn', () => {
+  test('creates the day\'s entry and completes it', async () => {
+    mockEntry({ created: true });
+    CheckIn.getDayTotal.mockResolvedValue({ total: 1, count: 1 });
+
+    const result = await checkIn(1);
+
+    expect(result.created).toBe(true);
+    expect(result.entry).toMatchObject({ value: 1, completed: true });
+    expect(result.checkIn).toMatchObject({ amount: 1, entryId: result.entry._id });
+  });
+
+  test('reports an existing entry as not created', async () => {
+    mockEntry();
+    CheckIn.getDayTotal.mockResolvedValue({ total: 3, count: 3 });
+
+    expect((await checkIn(1)).created).toBe(false);
+  });
+
+  test('undoes a skip once the day is completed', async () => {
+    const entry = mockEntry({ skipped: true });
+    CheckIn.getDayTotal.mockResolvedValue({ total: 1, count: 1 });
+
+    await checkIn(1);
+
+    expect(entry).toMatchObject({ completed: true, skipped: false });
+  });
+
+  test('undoes a skip once a quantitative day meets its target', async () => {
+    const entry = mockEntry({ skipped: true });
+    CheckIn.getDayTotal.mockResolvedValue({ total: 8, count: 2 });
+    TrackingEntry.syncTargetProgress.mockResolvedValue([{ _id: entry._id, completed: true }]);
+
+    const result = await checkIn(5, quantitative);
+
+    expect(result.entry).toMatchObject({ completed: true, skipped: false });
+    expect(TrackingEntry.updateOne).toHaveBeenCalledWith({ _id: entry._id }, { skipped: false });
+  });
+
+  test('keeps a skip while a quantitative day is short of its target', async () => {
+    const entry = mockEntry({ skipped: true });
+    CheckIn.getDayTotal.mockResolvedValue({ total: 3, count: 1 });
+    TrackingEntry.syncTargetProgress.mockResolvedValue([{ _id: entry._id, completed: false }]);
+
+    const result = await checkIn(3, quantitative);
+
+    expect(result.entry).toMatchObject({ completed: false, skipped: true });
+    expect(TrackingEntry.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('refuses an undo that would take the day below zero', async () => {
+    CheckIn.getDayTotal.mockResolvedValue({ total: 1, count: 1 });
+
+    const result = await checkIn(-2);
+
+    expect(result.error).toMatchObject({ status: 400, code: 'CHECKIN_BELOW_ZERO' });
+    expect(CheckIn.create).not.toHaveBeenCalled();
+  });
+
+  test('takes back a check-in that lost a race below zero', async () => {
+    mockEntry();
+    CheckIn.getDayTotal
+      .mockResolvedValueOnce({ total: 1, count: 1 })
+      .mockResolvedValueOnce({ total: -1, count: 3 });
+
+    const result = await checkIn(-1);
+
+    expect(result.error).toMatchObject({ code: 'CHECKIN_BELOW_ZERO' });
+    expect(CheckIn.deleteOne).toHaveBeenCalled();
+  });
+});
+
+describe('upsertEntry', () => {
+  const user = { _id: 'user-1', preferences: { timezone: 'America/New_York' } };
+  const upsert = (changes, options = {}) => upsertEntry({ io: {}, user, habit, changes, ...options });
+
+  // An entry already in the database for the day
+  const existing = (fields = {}) => {
+    const entry = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: 'user-1',
+      date: day,
+      completed: false,
+      skipped: false,
+      updatedAt: new Date('2024-01-01T12:00:00.000Z'),
+      ...fields
+    };
+    entry.save = jest.fn().mockResolvedValue(entry);
+    TrackingEntry.findOne.mockResolvedValue(entry);
+    return entry;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-02T03:00:00.000Z') });
+    TrackingEntry.findOne.mockResolvedValue(null);
+    CheckIn.getDayTotal.mockResolvedValue({ total: 0, count: 0 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('creates the entry for today in the user\'s timezone', async () => {
+    const result = await upsert({ completed: true });
+
+    // 03:00 UTC on the 2nd is still the 1st in New York
+    expect(TrackingEntry.findOne).toHaveBeenCalledWith({ habitId: habit._id, userId: 'user-1', date: day });
+    expect(result.created).toBe(true);
+    expect(result.entry).toMatchObject({ date: day, completed: true, skipped: false });
+    expect(emitUserEvent).toHaveBeenCalledWith({}, 'user-1', 'tracking-created', result.entry);
+  });
+
+  test('completing a skipped day undoes the skip', async () => {
+    const entry = existing({ skipped: true });
+
+    const result = await upsert({ completed: true });
+
+    expect(result.created).toBe(false);
+    expect(entry).toMatchObject({ completed: true, skipped: false });
+    expect(entry.save).toHaveBeenCalled();
+    expect(emitUserEvent).toHaveBeenCalledWith({}, 'user-1', 'tracking-updated', entry);
+  });
+
+  test('logs a changed value as an adjustment to the day\'s check-ins', async () => {
+    const entry = existing({ value: 2 });
+    CheckIn.getDayTotal.mockResolvedValue({ total: 2, count: 2 });
+
+    await upsert({ completed: true, value: 5 });
+
+    expect(CheckIn.create).toHaveBeenCalledWith(expect.objectContaining({ entryId: entry._id, amount: 3, source: 'adjustment' }));
+  });
+
+  test('refuses an offline change older than the entry', async () => {
+    existing();
+
+    const result = await upsert({ completed: true }, { clientUpdatedAt: '2024-01-01T11:00:00.000Z' });
+
+    expect(result.error).toMatchObject({ status: 409, code: 'STALE_UPDATE' });
+    expect(emitUserEvent).not.toHaveBeenCalled();
+  });
+
+  test('needs completed or skipped for habits without a target', async () => {
+    const result = await upsert({ notes: 'Nice walk' });
+
+    expect(result.error).toMatchObject({ status: 400, code: 'COMPLETED_REQUIRED' });
+    expect(TrackingEntry.findOne).not.toHaveBeenCalled();
+  });
+
+  test('derives completion from the value for habits with a target', async () => {
+    TrackingEntry.syncTargetProgress.mockImplementation(async () => [
+      { _id: TrackingEntry.mock.instances[0]._id, completed: true }
+    ]);
+
+    const result = await upsertEntry({ io: {}, user, habit: quantitative, changes: { completed: false, value: 9 } });
+
+    expect(TrackingEntry.syncTargetProgress).toHaveBeenCalledWith(quantitative, day);
+    expect(result.entry).toMatchObject({ value: 9, completed: true });
+  });
+});
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { isPublicAddress, getIpHost, lookupPublicAddress } = require('../utils/network');
+
+// Outgoing webhooks. Every event is POSTed as JSON
+//   { id, event, createdAt, data }
+// where data is the same payload the socket event carries, with headers
+// X-Habit-Event, X-Habit-Delivery (the id), X-Habit-Timestamp (Unix seconds)
+// and X-Habit-Signature: "sha256=" + the HMAC-SHA256 of "<timestamp>.<body>"
+// keyed with the webhook's secret. Any 2xx response counts as delivered;
+// anything else, redirects included, is retried with exponential backoff.
+// Hosts that resolve to loopback, private or link-local addresses are
+// refused on every attempt.
+
+const WEBHOOK_EVENTS = [
+  'habit-created',
+  'habit-updated',
+  'habit-deleted',
+  'habit-restored',
+  'habits-reordered',
+  'tracking-created',
+  'tracking-updated',
+  'tracking-deleted',
+  'checkin-created'
+];
+const TEST_EVENT = 'ping';
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY = 30 * 1000; // Then 2 minutes, 8, 32 and about 2 hours
+const REQUEST_TIMEOUT = 10 * 1000;
+const TICK_INTERVAL = 30 * 1000;
+// A delivery being sent is left alone by other passes (or servers) this long
+const CLAIM_TIMEOUT = 60 * 1000;
+
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const createDelivery = (webhook, event, data) => {
+  const delivery = new WebhookDelivery({
+    webhookId: webhook._id,
+    userId: webhook.userId,
+    event,
+    nextAttemptAt: new Date(Date.now() + CLAIM_TIMEOUT) // Claimed for the first attempt
+  });
+  delivery.payload = {
+    id: delivery._id.toString(),
+    event,
+    createdAt: new Date().toISOString(),
+    data
+  };
+  return delivery.save();
+};
+
+// POST a body and resolve to the response status. Uses Node's http client
+// rather than fetch so the address is checked as the connection is made;
+// redirects are never followed.
+const postPayload = (url, headers, body) => new Promise((resolve, reject) => {
+  const ipHost = getIpHost(url);
+  if (ipHost && !isPublicAddress(ipHost)) {
+    reject(new Error(`${ipHost} is a private address`));
+    return;
+  }
+
+  const client = new URL(url).protocol === 'https:' ? https : http;
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: lookupPublicAddress,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  }, response => {
+    response.destroy(); // Only the status matters
+    resolve(response.statusCode);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+// POST a delivery once and record the outcome on it
+const attemptDelivery = async (delivery, webhook) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { attemptedAt: new Date() };
+
+  try {
+    const statusCode = await postPayload(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'HabitTracker-Webhooks',
+      'X-Habit-Event': delivery.event,
+      'X-Habit-Delivery': delivery._id.toString(),
+      'X-Habit-Timestamp': String(timestamp),
+      'X-Habit-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+    }, body);
+
+    attempt.statusCode = statusCode;
+    if (statusCode < 200 || statusCode >= 300) attempt.error = `HTTP ${statusCode}`;
+  } catch (error) {
+    attempt.error = error.cause?.name === 'TimeoutError' ? 'Timed out' : error.message;
+  }
+  attempt.durationMs = Date.now() - attempt.attemptedAt;
+
+  delivery.attempts.push(attempt);
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    const delay = RETRY_BASE_DELAY * 4 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  return delivery.save();
+};
+
+// Send an event to every active webhook of the user that subscribed to it.
+// Runs in the background after a write, so it never throws.
+const dispatchWebhooks = async (userId, event, data) => {
+  try {
+    const webhooks = await Webhook.find({ userId, isActive: true, events: event });
+    if (webhooks.length === 0) return;
+
+    const payload = JSON.parse(JSON.stringify(data)); // Plain JSON, as sockets send it
+    await Promise.all(webhooks.map(async webhook => {
+      const delivery = await createDelivery(webhook, event, payload);
+      await attemptDelivery(delivery, webhook);
+    }));
+  } catch (error) {
+    console.error(`Webhook dispatch error for ${event}:`, error);
+  }
+};
+
+// Send a ping right away and resolve to its delivery, whatever the outcome
+const sendTestEvent = async (webhook) => {
+  const delivery = await createDelivery(webhook, TEST_EVENT, {
+    webhookId: webhook._id.toString(),
+    message: 'Test event from Habit Tracker'
+  });
+  return attemptDelivery(delivery, webhook);
+};
+
+// Retry deliveries whose next attempt is due
+const runWebhookRetries = async () => {
+  const now = new Date();
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(100)
+    .select('_id');
+
+  for (const { _id } of due) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id, status: 'pending', nextAttemptAt: { $lte: now } },
+      { nextAttemptAt: new Date(Date.now() + CLAIM_TIMEOUT) },
+      { new: true }
+    );
+    if (!delivery) continue; // Claimed elsewhere
+
+    try {
+      const webhook = await Webhook.findById(delivery.webhookId);
+      if (!webhook || !webhook.isActive) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        await delivery.save();
+        continue;
+      }
+
+      await attemptDelivery(delivery, webhook);
+    } catch (error) {
+      console.error(`Webhook retry error for delivery ${delivery._id}:`, error);
+    }
+  }
+};
+
+const startWebhookScheduler = () => {
+  let running = false;
+  const tick = async () => {
+    if (running) return; // A slow pass must not overlap the next one
+    running = true;
+    try {
+      await runWebhookRetries();
+    } catch (error) {
+      console.error('Webhook scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  return setInterval(tick, TICK_INTERVAL);
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  dispatchWebhooks,
+  sendTestEvent,
+  runWebhookRetries,
+  startWebhookScheduler
+};
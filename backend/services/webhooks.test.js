@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const http = require('http');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { lookupPublicAddress } = require('../utils/network');
+const { sendTestEvent } = require('./webhooks');
+
+const webhook = new Webhook({
+  userId: new mongoose.Types.ObjectId(),
+  url: 'http://hooks.example.com/habits',
+  events: ['tracking-created'],
+  secret: 'whsec_test'
+});
+
+// Answers every request with the status given and records what was sent
+const respondWith = (statusCode) => {
+  const sent = {};
+  jest.spyOn(http, 'request').mockImplementation((url, options, onResponse) => {
+    Object.assign(sent, { url, options });
+    return {
+      on: jest.fn(),
+      end: (body) => {
+        sent.body = body;
+        onResponse({ statusCode, destroy: jest.fn() });
+      }
+    };
+  });
+  return sent;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-01-01T12:00:00.000Z') });
+  jest.spyOn(WebhookDelivery.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('webhook deliveries', () => {
+  test('signs the timestamp and body with the webhook\'s secret', async () => {
+    const sent = respondWith(204);
+
+    const delivery = await sendTestEvent(webhook);
+
+    const { headers } = sent.options;
+    const expected = crypto.createHmac('sha256', 'whsec_test')
+      .update(`${headers['X-Habit-Timestamp']}.${sent.body}`)
+      .digest('hex');
+    expect(headers['X-Habit-Timestamp']).toBe(String(Date.parse('2024-01-01T12:00:00.000Z') / 1000));
+    expect(headers['X-Habit-Signature']).toBe(`sha256=${expected}`);
+    expect(headers['X-Habit-Event']).toBe('ping');
+    expect(headers['X-Habit-Delivery']).toBe(delivery._id.toString());
+    expect(JSON.parse(sent.body)).toMatchObject({ id: delivery._id.toString(), event: 'ping' });
+    expect(delivery.status).toBe('succeeded');
+  });
+
+  test('checks where the host points as the connection is made', async () => {
+    const sent = respondWith(204);
+
+    await sendTestEvent(webhook);
+
+    expect(sent.options.lookup).toBe(lookupPublicAddress);
+  });
+
+  test('refuses private IP hosts without connecting', async () => {
+    respondWith(204);
+    const internal = new Webhook({ ...webhook.toObject(), _id: undefined, url: 'http://[64:ff9b::a9fe:a9fe]/latest/meta-data' });
+
+    const delivery = await sendTestEvent(internal);
+
+    expect(http.request).not.toHaveBeenCalled();
+    expect(delivery.attempts[0].error).toBe('64:ff9b::a9fe:a9fe is a private address');
+    expect(delivery.status).toBe('pending');
+  });
+
+  test('retries anything but a 2xx, redirects included, with backoff', async () => {
+    respondWith(302);
+
+    const delivery = await sendTestEvent(webhook);
+
+    expect(delivery.attempts[0]).toMatchObject({ statusCode: 302, error: 'HTTP 302' });
+    expect(delivery.nextAttemptAt).toEqual(new Date(Date.now() + 30 * 1000));
+  });
+});
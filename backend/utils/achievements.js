@@ -0,0 +1,72 @@
+// Achievement catalog: every badge a user can earn, and the rule that earns
+// it. Each badge is awarded once per user (see services/achievements).
+//
+// - streak: a habit reached a run of `threshold` due occurrences in a row,
+//   counted in its own unit (days, weeks or months)
+// - perfect-week: every habit due in a Monday-to-Sunday week was met
+// - completions: `threshold` completed days (tracking entries) across all habits
+// - checkins: `threshold` check-ins logged (see models/CheckIn), undos and
+//   adjustments aside
+// - category: `threshold` completions of habits in one category
+
+const STREAK_MILESTONES = [7, 14, 21, 30, 60, 90, 180, 365];
+const COMPLETION_MILESTONES = [1, 100, 500, 1000];
+const CHECKIN_MILESTONES = [100];
+const CATEGORY_MASTERY_COMPLETIONS = 50;
+
+// Habit.category values
+const CATEGORIES = ['health', 'fitness', 'productivity', 'learning', 'social', 'spiritual', 'creative', 'other'];
+
+const capitalize = value => value.charAt(0).toUpperCase() + value.slice(1);
+
+const ACHIEVEMENTS = [
+  ...STREAK_MILESTONES.map(threshold => ({
+    key: `streak-${threshold}`,
+    type: 'streak',
+    threshold,
+    title: `${threshold} in a Row`,
+    description: `Meet a habit ${threshold} times in a row on schedule`,
+    icon: '🔥'
+  })),
+  {
+    key: 'perfect-week',
+    type: 'perfect-week',
+    threshold: 1,
+    title: 'Perfect Week',
+    description: 'Meet every habit due in a Monday-to-Sunday week',
+    icon: '🌟'
+  },
+  ...COMPLETION_MILESTONES.map(threshold => ({
+    key: `completions-${threshold}`,
+    type: 'completions',
+    threshold,
+    title: threshold === 1 ? 'First Completed Day' : `${threshold} Completed Days`,
+    description: threshold === 1 ? 'Complete a habit for the first time' : `Complete a habit for the day ${threshold} times`,
+    icon: threshold === 1 ? '✅' : '🏅'
+  })),
+  ...CHECKIN_MILESTONES.map(threshold => ({
+    key: `checkins-${threshold}`,
+    type: 'checkins',
+    threshold,
+    title: `${threshold} Check-ins`,
+    description: `Log ${threshold} check-ins`,
+    icon: '➕'
+  })),
+  ...CATEGORIES.map(category => ({
+    key: `category-${category}`,
+    type: 'category',
+    category,
+    threshold: CATEGORY_MASTERY_COMPLETIONS,
+    title: `${capitalize(category)} Master`,
+    description: `Complete ${category} habits ${CATEGORY_MASTERY_COMPLETIONS} times`,
+    icon: '🏆'
+  }))
+];
+
+const getAchievement = key => ACHIEVEMENTS.find(achievement => achievement.key === key) || null;
+
+module.exports = {
+  STREAK_MILESTONES,
+  ACHIEVEMENTS,
+  getAchievement
+};
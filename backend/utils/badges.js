@@ -0,0 +1,125 @@
+// SVG renderers for embeddable widgets (see routes/badges): a streak badge,
+// a mini heatmap of the last weeks and a completion ring. Each returns a
+// standalone SVG document, themed light or dark and tinted with one color.
+
+const THEMES = {
+  light: { background: '#FFFFFF', border: '#E5E7EB', text: '#111827', muted: '#6B7280', empty: '#EBEDF0', label: '#555555' },
+  dark: { background: '#0D1117', border: '#30363D', text: '#F9FAFB', muted: '#9CA3AF', empty: '#161B22', label: '#30363D' }
+};
+
+const FONT = 'Verdana,Geneva,DejaVu Sans,sans-serif';
+const MAX_LABEL_LENGTH = 24;
+
+// Heatmap cells
+const CELL = 10;
+const GAP = 3;
+const PADDING = 8;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const truncate = (text, length = MAX_LABEL_LENGTH) =>
+  text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+// Rough width of 11px Verdana, which badges are usually rendered with
+const textWidth = (text) => Math.round(text.length * 6.8) + 10;
+
+// Dark text on light colors, white text otherwise
+const getTextColor = (hex) => {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+  const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  return luminance > 0.6 ? '#111827' : '#FFFFFF';
+};
+
+// Cell opacity by completion rate, matching the app's year heatmap levels
+const getCellOpacity = (completionRate) => {
+  if (completionRate === 0) return 0.2;
+  if (completionRate < 50) return 0.45;
+  if (completionRate < 100) return 0.7;
+  return 1;
+};
+
+const getTheme = (name) => THEMES[name] || THEMES.light;
+
+// Shields-style badge: label on the left, value on a colored background
+const renderStreakBadge = ({ label, value, color, theme }) => {
+  const { label: labelBackground } = getTheme(theme);
+  const shownLabel = truncate(label);
+  const labelWidth = textWidth(shownLabel);
+  const valueWidth = textWidth(value);
+  const width = labelWidth + valueWidth;
+  const title = escapeXml(`${label}: ${value}`);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}">
+  <title>${title}</title>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="${labelBackground}"/>
+    <rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${color}"/>
+  </g>
+  <g font-family="${FONT}" font-size="11" text-anchor="middle">
+    <text x="${labelWidth / 2}" y="14" fill="#FFFFFF">${escapeXml(shownLabel)}</text>
+    <text x="${labelWidth + valueWidth / 2}" y="14" fill="${getTextColor(color)}">${escapeXml(value)}</text>
+  </g>
+</svg>`;
+};
+
+// Monday-first columns of days, oldest week on the left. `days` are
+// { date, totalHabits, completionRate } in date order, starting on a Monday.
+const renderHeatmap = ({ title, days, color, theme }) => {
+  const colors = getTheme(theme);
+  const weeks = Math.ceil(days.length / 7);
+  const top = PADDING + 16;
+  const width = PADDING * 2 + weeks * (CELL + GAP) - GAP;
+  const height = top + 7 * (CELL + GAP) - GAP + PADDING;
+
+  const cells = days.map((day, index) => {
+    const x = PADDING + Math.floor(index / 7) * (CELL + GAP);
+    const y = top + (index % 7) * (CELL + GAP);
+    const fill = day.totalHabits === 0
+      ? `fill="${colors.empty}"`
+      : `fill="${color}" fill-opacity="${getCellOpacity(day.completionRate)}"`;
+    const summary = day.totalHabits === 0 ? 'nothing due' : `${Math.round(day.completionRate)}% done`;
+    return `    <rect x="${x}" y="${y}" width="${CELL}" height="${CELL}" rx="2" ${fill}><title>${day.date}: ${summary}</title></rect>`;
+  }).join('\n');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" role="img" aria-label="${escapeXml(title)}">
+  <title>${escapeXml(title)}</title>
+  <rect width="${width}" height="${height}" rx="6" fill="${colors.background}" stroke="${colors.border}"/>
+  <text x="${PADDING}" y="${PADDING + 10}" font-family="${FONT}" font-size="10" fill="${colors.muted}">${escapeXml(truncate(title, Math.floor(width / 6.5)))}</text>
+${cells}
+</svg>`;
+};
+
+// Ring filled to the completion rate, with the rate in the middle
+const renderRing = ({ label, completionRate, color, theme }) => {
+  const colors = getTheme(theme);
+  const size = 120;
+  const radius = 44;
+  const circumference = 2 * Math.PI * radius;
+  const filled = (Math.min(Math.max(completionRate, 0), 100) / 100) * circumference;
+  const percent = `${Math.round(completionRate)}%`;
+  const title = escapeXml(`${label}: ${percent}`);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" role="img" aria-label="${title}">
+  <title>${title}</title>
+  <rect width="${size}" height="${size}" rx="8" fill="${colors.background}"/>
+  <circle cx="60" cy="60" r="${radius}" fill="none" stroke="${colors.empty}" stroke-width="10"/>
+  <circle cx="60" cy="60" r="${radius}" fill="none" stroke="${color}" stroke-width="10" stroke-linecap="round"
+    stroke-dasharray="${filled.toFixed(2)} ${circumference.toFixed(2)}" transform="rotate(-90 60 60)"/>
+  <g font-family="${FONT}" text-anchor="middle">
+    <text x="60" y="64" font-size="20" font-weight="bold" fill="${colors.text}">${percent}</text>
+    <text x="60" y="80" font-size="9" fill="${colors.muted}">${escapeXml(truncate(label, 16))}</text>
+  </g>
+</svg>`;
+};
+
+module.exports = {
+  renderStreakBadge,
+  renderHeatmap,
+  renderRing
+};
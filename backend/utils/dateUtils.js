@@ -0,0 +1,172 @@
+// Date helpers for working with calendar days in a user's timezone.
+//
+// Tracking entries are stored against a "day start": midnight UTC of the
+// calendar day as seen by the user (e.g. a check-in at 23:30 in New York on
+// 5 March is stored as 2024-03-05T00:00:00.000Z). This keeps stored dates
+// independent of the server's timezone, and lets day keys be read back with
+// a plain toISOString().
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMEZONE = 'UTC';
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatterCache = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+  return formatterCache.get(timezone);
+};
+
+const dateTimeFormatterCache = new Map();
+
+const getDateTimeFormatter = (timezone) => {
+  if (!dateTimeFormatterCache.has(timezone)) {
+    dateTimeFormatterCache.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return dateTimeFormatterCache.get(timezone);
+};
+
+// Wall-clock parts (year, month, day, hour, minute) of an instant in a timezone
+const getZonedParts = (date, timezone) => {
+  return getDateTimeFormatter(timezone).formatToParts(new Date(date)).reduce((acc, part) => {
+    if (part.type !== 'literal') acc[part.type] = Number(part.value);
+    return acc;
+  }, {});
+};
+
+// Check that a string is an IANA timezone the runtime understands
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Get the timezone to use for a user, falling back to UTC
+const resolveTimezone = (user) => {
+  const timezone = user?.preferences?.timezone;
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+};
+
+// Get the YYYY-MM-DD calendar day of an instant in the given timezone
+const getDateKey = (date, timezone = DEFAULT_TIMEZONE) => {
+  const parts = getFormatter(timezone).formatToParts(new Date(date));
+  const lookup = parts.reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return `${lookup.year}-${lookup.month}-${lookup.day}`;
+};
+
+// Convert a YYYY-MM-DD key to its day start
+const fromDateKey = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+
+// Convert a day start back to its YYYY-MM-DD key
+const toDateKey = (dayStart) => new Date(dayStart).toISOString().split('T')[0];
+
+// Normalize user input to a day start. Date-only strings are taken as the
+// calendar day they name; full timestamps are placed in the user's timezone.
+const toDayStart = (value, timezone = DEFAULT_TIMEZONE) => {
+  if (typeof value === 'string' && DATE_ONLY_REGEX.test(value)) {
+    return fromDateKey(value);
+  }
+  return fromDateKey(getDateKey(value, timezone));
+};
+
+// Get the day start for "today" in the given timezone
+const getToday = (timezone = DEFAULT_TIMEZONE) => toDayStart(new Date(), timezone);
+
+const addDays = (dayStart, days) => new Date(new Date(dayStart).getTime() + days * DAY_MS);
+
+// Get the inclusive range covering the last `days` days, ending today
+const getDayRange = (days, timezone = DEFAULT_TIMEZONE) => {
+  const endDate = getToday(timezone);
+  const startDate = addDays(endDate, -(days - 1));
+  return { startDate, endDate };
+};
+
+// Whole days between two day starts
+const diffInDays = (later, earlier) =>
+  Math.round((new Date(later).getTime() - new Date(earlier).getTime()) / DAY_MS);
+
+// Get the HH:mm wall-clock time of an instant in the given timezone
+const getTimeKey = (date, timezone = DEFAULT_TIMEZONE) => {
+  const { hour, minute } = getZonedParts(date, timezone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// A timezone's offset from UTC at an instant, in ms (e.g. -4h for New York
+// in summer)
+const getTimezoneOffset = (date, timezone = DEFAULT_TIMEZONE) => {
+  const instant = Math.floor(new Date(date).getTime() / 60000) * 60000; // Parts stop at minutes
+  const parts = getZonedParts(instant, timezone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - instant;
+};
+
+// Instant at which a wall-clock time (HH:mm) happens on a calendar day in a
+// timezone. Times repeated when clocks fall back resolve to the first one;
+// times skipped when they spring forward resolve to as far after the jump as
+// they were into the gap (02:30 becomes 03:30).
+const zonedTimeToDate = (dateKey, time, timezone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (instant) => getTimezoneOffset(instant, timezone);
+
+  // The offsets a day either side; they differ when a DST change is near
+  const offsetBefore = offsetAt(wallClock - DAY_MS);
+  const offsetAfter = offsetAt(wallClock + DAY_MS);
+  const earlier = wallClock - offsetBefore;
+  const later = wallClock - offsetAfter;
+
+  if (offsetAt(earlier) === offsetBefore) return new Date(earlier);
+  if (offsetAt(later) === offsetAfter) return new Date(later);
+  // Neither offset fits: the time is in a spring-forward gap, and the offset
+  // from before the jump lands it the same distance past it
+  return new Date(earlier);
+};
+
+// Lowercase weekday name of a day start (e.g. 'monday')
+const getWeekdayName = (dayStart) => {
+  const names = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  return names[new Date(dayStart).getUTCDay()];
+};
+
+module.exports = {
+  DAY_MS,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  getDateKey,
+  fromDateKey,
+  toDateKey,
+  toDayStart,
+  getToday,
+  addDays,
+  getDayRange,
+  diffInDays,
+  getWeekdayName,
+  getTimeKey,
+  getTimezoneOffset,
+  zonedTimeToDate
+};
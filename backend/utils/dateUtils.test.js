@@ -0,0 +1,113 @@
+const {
+  isValidTimezone,
+  resolveTimezone,
+  getDateKey,
+  toDayStart,
+  getToday,
+  addDays,
+  diffInDays,
+  getWeekdayName,
+  getTimeKey,
+  getTimezoneOffset,
+  zonedTimeToDate
+} = require('./dateUtils');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('timezones', () => {
+  test('accepts IANA names and rejects anything else', () => {
+    expect(isValidTimezone('Europe/Berlin')).toBe(true);
+    expect(isValidTimezone('Not/AZone')).toBe(false);
+    expect(isValidTimezone('')).toBe(false);
+    expect(isValidTimezone(undefined)).toBe(false);
+  });
+
+  test('falls back to UTC for users without a valid timezone', () => {
+    expect(resolveTimezone({ preferences: { timezone: 'Asia/Tokyo' } })).toBe('Asia/Tokyo');
+    expect(resolveTimezone({ preferences: { timezone: 'Mars/Olympus' } })).toBe('UTC');
+    expect(resolveTimezone(null)).toBe('UTC');
+  });
+});
+
+describe('day starts', () => {
+  test('places an instant on the calendar day of the timezone', () => {
+    const instant = '2024-03-06T04:30:00.000Z'; // 23:30 on 5 March in New York
+    expect(getDateKey(instant, 'America/New_York')).toBe('2024-03-05');
+    expect(getDateKey(instant, 'UTC')).toBe('2024-03-06');
+    expect(toDayStart(instant, 'America/New_York').toISOString()).toBe('2024-03-05T00:00:00.000Z');
+  });
+
+  test('takes date-only strings as the day they name', () => {
+    expect(toDayStart('2024-03-05', 'Pacific/Kiritimati').toISOString()).toBe('2024-03-05T00:00:00.000Z');
+    expect(toDayStart('2024-03-05', 'Pacific/Pago_Pago').toISOString()).toBe('2024-03-05T00:00:00.000Z');
+  });
+
+  test('gets today in the timezone', () => {
+    jest.useFakeTimers({ now: new Date('2024-06-30T23:00:00.000Z') });
+    try {
+      expect(getToday('UTC').toISOString()).toBe('2024-06-30T00:00:00.000Z');
+      expect(getToday('Europe/Berlin').toISOString()).toBe('2024-07-01T00:00:00.000Z');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('counts whole days across DST changes', () => {
+    const start = toDayStart('2024-03-09');
+    expect(addDays(start, 2).toISOString()).toBe('2024-03-11T00:00:00.000Z');
+    expect(diffInDays('2024-11-04T00:00:00.000Z', '2024-11-02T00:00:00.000Z')).toBe(2);
+    expect(getWeekdayName(start)).toBe('saturday');
+  });
+});
+
+describe('getTimezoneOffset', () => {
+  test('follows DST', () => {
+    expect(getTimezoneOffset('2024-01-15T12:00:00.000Z', 'America/New_York')).toBe(-5 * HOUR_MS);
+    expect(getTimezoneOffset('2024-07-15T12:00:00.000Z', 'America/New_York')).toBe(-4 * HOUR_MS);
+    expect(getTimezoneOffset('2024-07-15T12:00:00.000Z', 'Asia/Kolkata')).toBe(5.5 * HOUR_MS);
+    expect(getTimezoneOffset('2024-07-15T12:00:00.000Z', 'UTC')).toBe(0);
+  });
+
+  test('changes at the instant clocks move', () => {
+    // New York springs forward at 07:00 UTC on 10 March 2024
+    expect(getTimezoneOffset('2024-03-10T06:59:00.000Z', 'America/New_York')).toBe(-5 * HOUR_MS);
+    expect(getTimezoneOffset('2024-03-10T07:00:00.000Z', 'America/New_York')).toBe(-4 * HOUR_MS);
+  });
+});
+
+describe('getTimeKey', () => {
+  test('reads the wall-clock time either side of a DST change', () => {
+    expect(getTimeKey('2024-03-10T07:00:00.000Z', 'America/New_York')).toBe('03:00');
+    expect(getTimeKey('2024-03-10T06:59:00.000Z', 'America/New_York')).toBe('01:59');
+  });
+});
+
+describe('zonedTimeToDate', () => {
+  test('converts a wall-clock time in a timezone', () => {
+    expect(zonedTimeToDate('2026-06-01', '09:00', 'America/New_York').toISOString()).toBe('2026-06-01T13:00:00.000Z');
+    expect(zonedTimeToDate('2026-06-01', '09:00', 'Asia/Kolkata').toISOString()).toBe('2026-06-01T03:30:00.000Z');
+    expect(zonedTimeToDate('2026-01-01', '00:00', 'UTC').toISOString()).toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  test('uses the offset in effect on either side of a DST change', () => {
+    expect(zonedTimeToDate('2026-03-08', '01:59', 'America/New_York').toISOString()).toBe('2026-03-08T06:59:00.000Z');
+    expect(zonedTimeToDate('2026-03-08', '03:00', 'America/New_York').toISOString()).toBe('2026-03-08T07:00:00.000Z');
+    expect(zonedTimeToDate('2026-03-07', '23:00', 'America/New_York').toISOString()).toBe('2026-03-08T04:00:00.000Z');
+  });
+
+  test('resolves times skipped by spring-forward to after the jump', () => {
+    // 02:30 doesn't exist; 03:30 EDT
+    expect(zonedTimeToDate('2026-03-08', '02:30', 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    // 03:30 CEST
+    expect(zonedTimeToDate('2026-03-29', '02:30', 'Europe/Berlin').toISOString()).toBe('2026-03-29T01:30:00.000Z');
+    // A 30-minute shift: 02:45 at +11:00
+    expect(zonedTimeToDate('2026-10-04', '02:15', 'Australia/Lord_Howe').toISOString()).toBe('2026-10-03T15:45:00.000Z');
+  });
+
+  test('resolves times repeated by fall-back to the first of them', () => {
+    // 01:30 EDT, not EST
+    expect(zonedTimeToDate('2026-11-01', '01:30', 'America/New_York').toISOString()).toBe('2026-11-01T05:30:00.000Z');
+    // 02:30 CEST, not CET
+    expect(zonedTimeToDate('2026-10-25', '02:30', 'Europe/Berlin').toISOString()).toBe('2026-10-25T00:30:00.000Z');
+  });
+});
@@ -0,0 +1,269 @@
+// Serializers for account exports: CSV rows for tracking entries and an
+// iCalendar feed of habit schedules.
+
+const { DAY_MS, toDateKey, toDayStart, getTimezoneOffset } = require('./dateUtils');
+
+const MINUTE_MS = 60 * 1000;
+// How far ahead the calendar's timezone definition lists DST changes
+const VTIMEZONE_YEARS = 10;
+
+const ICS_DAYS = {
+  monday: 'MO',
+  tuesday: 'TU',
+  wednesday: 'WE',
+  thursday: 'TH',
+  friday: 'FR',
+  saturday: 'SA',
+  sunday: 'SU'
+};
+
+// Quote a CSV cell when needed. Text starting with a formula character is
+// prefixed with a quote so spreadsheets don't evaluate it.
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from rows of objects. `columns` lists the keys to
+// write, in order, and doubles as the header row.
+const toCsv = (rows, columns) => {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsv(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const TRACKING_CSV_COLUMNS = [
+  'date',
+  'habitId',
+  'habit',
+  'category',
+  'frequency',
+  'completed',
+  'skipped',
+  'value',
+  'unit',
+  'notes',
+  'mood',
+  'difficulty',
+  'createdAt',
+  'updatedAt'
+];
+
+// Flatten tracking entries joined with their habit for CSV export
+const toTrackingRows = (entries, habitsById) => {
+  return entries.map(entry => {
+    const habit = habitsById.get(entry.habitId.toString()) || {};
+
+    return {
+      date: toDateKey(entry.date),
+      habitId: entry.habitId,
+      habit: habit.name,
+      category: habit.category,
+      frequency: habit.frequency,
+      completed: entry.completed,
+      skipped: Boolean(entry.skipped),
+      value: entry.value,
+      unit: habit.target?.unit,
+      notes: entry.notes,
+      mood: entry.mood,
+      difficulty: entry.difficulty,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt
+    };
+  });
+};
+
+const escapeIcsText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines
+const foldIcsLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const formatIcsDate = (dayStart) => toDateKey(dayStart).replace(/-/g, '');
+
+const formatIcsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// UTC offset as +HHMM or -HHMM
+const formatIcsOffset = (offset) => {
+  const minutes = Math.abs(offset) / MINUTE_MS;
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${offset < 0 ? '-' : '+'}${hours}${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Wall-clock date-time of an instant at a given offset, without a zone
+const formatIcsLocalTime = (instant, offset) => formatIcsTimestamp(new Date(instant + offset)).replace('Z', '');
+
+// Offset changes of a timezone between two instants, found a day at a time
+// and then narrowed down to the minute
+const getOffsetTransitions = (timezone, from, to) => {
+  const transitions = [];
+  let offset = getTimezoneOffset(from, timezone);
+
+  for (let day = from + DAY_MS; day <= to; day += DAY_MS) {
+    const next = getTimezoneOffset(day, timezone);
+    if (next === offset) continue;
+
+    let before = day - DAY_MS;
+    let after = day;
+    while (after - before > MINUTE_MS) {
+      const middle = before + Math.floor((after - before) / MINUTE_MS / 2) * MINUTE_MS;
+      if (getTimezoneOffset(middle, timezone) === offset) {
+        before = middle;
+      } else {
+        after = middle;
+      }
+    }
+
+    transitions.push({ at: after, offsetFrom: offset, offsetTo: next });
+    offset = next;
+  }
+
+  return transitions;
+};
+
+// VTIMEZONE defining the TZID that timed events use. Rather than rules, it
+// lists every offset change from `from` until VTIMEZONE_YEARS from now, as
+// the runtime's timezone data has them; a change to a larger offset starts
+// daylight time.
+const getTimezoneLines = (timezone, from, now) => {
+  const initialOffset = getTimezoneOffset(from, timezone);
+  const transitions = getOffsetTransitions(timezone, from, now.getTime() + VTIMEZONE_YEARS * 365 * DAY_MS);
+  const initialIsDaylight = transitions.length > 0 && transitions[0].offsetTo < initialOffset;
+
+  const observances = [
+    { at: from, offsetFrom: initialOffset, offsetTo: initialOffset, daylight: initialIsDaylight },
+    ...transitions.map(t => ({ ...t, daylight: t.offsetTo > t.offsetFrom }))
+  ];
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  observances.forEach(({ at, offsetFrom, offsetTo, daylight }) => {
+    const kind = daylight ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatIcsLocalTime(at, offsetFrom)}`, // Local time before the change
+      `TZOFFSETFROM:${formatIcsOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatIcsOffset(offsetTo)}`,
+      `END:${kind}`
+    );
+  });
+  lines.push('END:VTIMEZONE');
+
+  return lines;
+};
+
+// Recurrence rule matching the habit's schedule
+const getRecurrenceRule = (habit) => {
+  switch (habit.frequency) {
+    case 'weekly':
+      return 'FREQ=WEEKLY';
+    case 'monthly':
+      return 'FREQ=MONTHLY';
+    default: {
+      const days = (habit.targetDays || []).map(day => ICS_DAYS[day]).filter(Boolean);
+      return days.length === 0 || days.length === 7
+        ? 'FREQ=DAILY'
+        : `FREQ=WEEKLY;BYDAY=${days.join(',')}`;
+    }
+  }
+};
+
+const getEventDescription = (habit) => {
+  const lines = [];
+  if (habit.description) lines.push(habit.description);
+  if (habit.goal) lines.push(`Goal: ${habit.goal}`);
+  if (habit.target?.amount !== null && habit.target?.amount !== undefined) {
+    const comparison = habit.target.comparison === 'at-most' ? 'At most' : 'At least';
+    lines.push(`Target: ${comparison} ${habit.target.amount}${habit.target.unit ? ` ${habit.target.unit}` : ''}`);
+  }
+  return lines.join('\n');
+};
+
+// Build an iCalendar feed with one recurring event per habit. Habits with a
+// reminderTime become 15 minute events at that time in the user's timezone,
+// which the feed defines in a VTIMEZONE; the others are all-day events.
+const toCalendar = (habits, { timezone, name = 'Habit Tracker', now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Habit Tracker//Habit Schedules//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`
+  ];
+
+  // The timezone has to be defined from the earliest timed event on
+  const timedStarts = habits
+    .filter(habit => habit.reminderTime)
+    .map(habit => toDayStart(habit.createdAt || now, timezone).getTime());
+  if (timedStarts.length > 0) {
+    lines.push(...getTimezoneLines(timezone, Math.min(...timedStarts) - DAY_MS, now));
+  }
+
+  habits.forEach(habit => {
+    const startDay = formatIcsDate(toDayStart(habit.createdAt || now, timezone));
+    const description = getEventDescription(habit);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:habit-${habit._id}@habit-tracker`,
+      `DTSTAMP:${formatIcsTimestamp(now)}`
+    );
+
+    if (habit.reminderTime) {
+      const [hours, minutes] = habit.reminderTime.split(':');
+      lines.push(
+        `DTSTART;TZID=${timezone}:${startDay}T${hours.padStart(2, '0')}${minutes}00`,
+        'DURATION:PT15M'
+      );
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${startDay}`, 'DURATION:P1D');
+    }
+
+    lines.push(
+      `RRULE:${getRecurrenceRule(habit)}`,
+      `SUMMARY:${escapeIcsText(habit.name)}`
+    );
+    if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+    if (habit.category) lines.push(`CATEGORIES:${escapeIcsText(habit.category)}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeCsv,
+  toCsv,
+  TRACKING_CSV_COLUMNS,
+  toTrackingRows,
+  toCalendar
+};
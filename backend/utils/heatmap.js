@@ -0,0 +1,64 @@
+const { addDays, toDateKey } = require('./dateUtils');
+const { getOccurrences, groupEntriesByHabit } = require('./schedule');
+
+// Per-day heatmap of a range: how many habits were due and completed each
+// day, plus the habits tracked that day. Holds nothing from an entry beyond
+// whether it was completed or skipped, so it is safe to show publicly.
+const buildHeatmap = (habits, entries, { startDate, endDate, timezone, pauses = [] }) => {
+  const heatmapData = {};
+  const habitsById = new Map(habits.map(habit => [habit._id.toString(), habit]));
+
+  // Initialize all dates in the range
+  for (let d = new Date(startDate); d <= endDate; d = addDays(d, 1)) {
+    const dateStr = toDateKey(d);
+    heatmapData[dateStr] = {
+      date: dateStr,
+      totalHabits: 0,
+      completedHabits: 0,
+      completionRate: 0,
+      habits: []
+    };
+  }
+
+  // Count each habit's due occurrences on the day they are attributed to
+  const entriesByHabit = groupEntriesByHabit(entries);
+  habits.forEach(habit => {
+    const occurrences = getOccurrences(habit, entriesByHabit[habit._id.toString()] || [], {
+      startDate,
+      endDate,
+      timezone,
+      pauses
+    });
+
+    occurrences.forEach(occurrence => {
+      const day = heatmapData[toDateKey(occurrence.date)];
+      day.totalHabits++;
+      if (occurrence.completed) {
+        day.completedHabits++;
+      }
+      day.completionRate = (day.completedHabits / day.totalHabits) * 100;
+    });
+  });
+
+  // Fill in actual data
+  entries.forEach(entry => {
+    const dateStr = toDateKey(entry.date);
+    const habit = habitsById.get(entry.habitId.toString());
+    if (heatmapData[dateStr] && habit) {
+      heatmapData[dateStr].habits.push({
+        habitId: habit._id,
+        name: habit.name,
+        color: habit.color,
+        category: habit.category,
+        completed: entry.completed,
+        skipped: entry.skipped
+      });
+    }
+  });
+
+  return heatmapData;
+};
+
+module.exports = {
+  buildHeatmap
+};
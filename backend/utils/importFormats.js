@@ -0,0 +1,362 @@
+// Parsers for history imports. Each format is normalized to the same shape
+// so the import service can match it against the user's data:
+//
+//   {
+//     habits:   [{ key, row, data }],                 // data: Habit fields
+//     entries:  [{ habitKey, row, date, completed, skipped, value, notes, mood, difficulty }],
+//     checkIns: [{ habitKey, date, amount, note, source, timestamp }],
+//     pauses:   [{ habitKey, row, startDate, endDate, reason, note }],  // habitKey null: every habit
+//     errors:   [{ row, message }]
+//   }
+//
+// `row` is the position in the source (a CSV line number, or the index in a
+// JSON array) so problems can be reported back to the user.
+
+const { isValidTimezone, toDayStart, toDateKey, fromDateKey } = require('./dateUtils');
+
+const HABIT_FIELDS = [
+  'name',
+  'description',
+  'frequency',
+  'goal',
+  'category',
+  'color',
+  'targetDays',
+  'reminderTime',
+  'isActive',
+  'streakTarget',
+  'target'
+];
+
+const DEFAULT_CSV_MAPPING = {
+  date: 'date',
+  habit: 'habit',
+  completed: 'completed',
+  value: 'value',
+  notes: 'notes'
+};
+
+const TRUE_VALUES = ['true', '1', 'yes', 'y', 'x', 'done', 'completed', '✓', '✔'];
+const FALSE_VALUES = ['false', '0', 'no', 'n', '', 'missed'];
+
+// Loop Habit Tracker marks a day the user checked with 2; 1 is a day
+// implicitly covered by a weekly/monthly repetition, 0 unchecked, 3 skipped
+// and -1 unknown
+const LOOP_CHECKED = 2;
+const LOOP_SKIPPED = 3;
+
+// Parse CSV text into an array of rows (arrays of cells). Handles quoted
+// cells, escaped quotes, CRLF line endings and a leading byte order mark.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Turn parsed CSV rows into objects keyed by the (trimmed) header cells
+const toRecords = (rows) => {
+  const [header = [], ...body] = rows;
+  const columns = header.map(name => name.trim());
+
+  return body.map((cells, index) => ({
+    line: index + 2, // 1-based, after the header
+    values: columns.reduce((acc, column, i) => {
+      if (column) acc[column] = cells[i] !== undefined ? cells[i].trim() : '';
+      return acc;
+    }, {})
+  }));
+};
+
+const parseBoolean = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(normalized)) return true;
+  if (FALSE_VALUES.includes(normalized)) return false;
+  return null;
+};
+
+const parseNumber = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Day start for a user-supplied date. Date-only values are taken literally;
+// timestamps are placed on the user's calendar.
+const parseDay = (value, timezone) => {
+  if (!value || Number.isNaN(new Date(value).getTime())) return null;
+  return toDayStart(value, timezone);
+};
+
+const habitKey = (name) => name.trim().toLowerCase();
+
+// This app's JSON export (see routes/export). Stored dates are already day
+// starts, so they are kept as they are rather than re-read in a timezone.
+const fromAppExport = (data) => {
+  const result = { habits: [], entries: [], checkIns: [], pauses: [], errors: [] };
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.habits)) {
+    result.errors.push({ row: null, message: 'Not a habit tracker export: missing habits' });
+    return result;
+  }
+
+  const keysById = new Map();
+  data.habits.forEach((habit, index) => {
+    if (!habit || typeof habit.name !== 'string' || !habit.name.trim()) {
+      result.errors.push({ row: index, message: 'Habit is missing a name' });
+      return;
+    }
+
+    const key = habitKey(habit.name);
+    keysById.set(String(habit._id), key);
+    result.habits.push({
+      key,
+      row: index,
+      data: HABIT_FIELDS.reduce((acc, field) => {
+        if (habit[field] !== undefined) acc[field] = habit[field];
+        return acc;
+      }, {})
+    });
+  });
+
+  const storedDay = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : fromDateKey(toDateKey(date));
+  };
+
+  (data.trackingEntries || []).forEach((entry, index) => {
+    const key = keysById.get(String(entry.habitId));
+    const date = storedDay(entry.date);
+
+    if (!key) {
+      result.errors.push({ row: index, message: 'Entry refers to an unknown habit' });
+    } else if (!date) {
+      result.errors.push({ row: index, message: 'Entry has an invalid date' });
+    } else {
+      result.entries.push({
+        habitKey: key,
+        row: index,
+        date,
+        completed: Boolean(entry.completed),
+        skipped: Boolean(entry.skipped) && !entry.completed,
+        value: entry.value ?? null,
+        notes: entry.notes,
+        mood: entry.mood ?? null,
+        difficulty: entry.difficulty ?? null
+      });
+    }
+  });
+
+  (data.checkIns || []).forEach(checkIn => {
+    const key = keysById.get(String(checkIn.habitId));
+    const date = storedDay(checkIn.date);
+
+    if (key && date && typeof checkIn.amount === 'number') {
+      result.checkIns.push({
+        habitKey: key,
+        date,
+        amount: checkIn.amount,
+        note: checkIn.note,
+        source: checkIn.source,
+        timestamp: checkIn.timestamp
+      });
+    }
+  });
+
+  (data.pauses || []).forEach((pause, index) => {
+    const key = pause.habitId ? keysById.get(String(pause.habitId)) : null;
+    const startDate = storedDay(pause.startDate);
+    const endDate = pause.endDate ? storedDay(pause.endDate) : null;
+
+    if (key === undefined) {
+      result.errors.push({ row: index, message: 'Pause refers to an unknown habit' });
+    } else if (!startDate || (pause.endDate && !endDate) || (endDate && endDate < startDate)) {
+      result.errors.push({ row: index, message: 'Pause has an invalid date range' });
+    } else {
+      result.pauses.push({ habitKey: key, row: index, startDate, endDate, reason: pause.reason, note: pause.note });
+    }
+  });
+
+  return result;
+};
+
+// A spreadsheet with one row per habit and day. `mapping` names the column
+// holding each field; unmapped fields fall back to DEFAULT_CSV_MAPPING.
+const fromGenericCsv = (text, { mapping = {}, timezone }) => {
+  const result = { habits: [], entries: [], checkIns: [], pauses: [], errors: [] };
+  const columns = { ...DEFAULT_CSV_MAPPING, ...mapping };
+  const records = toRecords(parseCsv(text));
+  const seenHabits = new Set();
+
+  records.forEach(({ line, values }) => {
+    const name = values[columns.habit];
+    const date = parseDay(values[columns.date], timezone);
+    const value = parseNumber(values[columns.value]);
+    const rawCompleted = values[columns.completed];
+    const completed = rawCompleted === undefined
+      ? (value !== null && value !== undefined ? value > 0 : true) // A row without the column logs a completion
+      : parseBoolean(rawCompleted);
+
+    if (!name) {
+      result.errors.push({ row: line, message: `Missing habit in column "${columns.habit}"` });
+      return;
+    }
+    if (!date) {
+      result.errors.push({ row: line, message: `Invalid date "${values[columns.date] || ''}"` });
+      return;
+    }
+    if (value === undefined) {
+      result.errors.push({ row: line, message: `Invalid value "${values[columns.value]}"` });
+      return;
+    }
+    if (completed === null) {
+      result.errors.push({ row: line, message: `Invalid completed flag "${rawCompleted}"` });
+      return;
+    }
+
+    const key = habitKey(name);
+    if (!seenHabits.has(key)) {
+      seenHabits.add(key);
+      result.habits.push({ key, row: line, data: { name: name.trim() } });
+    }
+
+    result.entries.push({
+      habitKey: key,
+      row: line,
+      date,
+      completed,
+      value,
+      notes: values[columns.notes] || undefined
+    });
+  });
+
+  return result;
+};
+
+// Schedule of a Loop habit from its repetitions per interval in days
+const loopFrequency = (values) => {
+  const interval = Number(values.Interval || values.FrequencyDenominator);
+  if (interval >= 28) return 'monthly';
+  if (interval >= 7) return 'weekly';
+  return 'daily';
+};
+
+// Loop Habit Tracker's CSV export: Checkmarks.csv has a Date column followed
+// by one column per habit. The optional Habits.csv adds descriptions,
+// frequencies and colors. Only checked and skipped days are imported.
+const fromLoopCsv = (text, { habitsText } = {}) => {
+  const result = { habits: [], entries: [], checkIns: [], pauses: [], errors: [] };
+  const rows = parseCsv(text);
+  const [header = []] = rows;
+
+  if (!header[0] || header[0].trim().toLowerCase() !== 'date') {
+    result.errors.push({ row: 1, message: 'Not a Loop Checkmarks.csv export: first column must be Date' });
+    return result;
+  }
+
+  const details = new Map();
+  if (habitsText) {
+    toRecords(parseCsv(habitsText)).forEach(({ values }) => {
+      if (values.Name) details.set(habitKey(values.Name), values);
+    });
+  }
+
+  const habitColumns = header
+    .map((name, index) => ({ name: name.trim(), index }))
+    .filter(column => column.index > 0 && column.name);
+
+  habitColumns.forEach(({ name }) => {
+    const key = habitKey(name);
+    const values = details.get(key) || {};
+    const data = { name, frequency: loopFrequency(values) };
+
+    const description = values.Description || values.Question;
+    if (description) data.description = description;
+    if (/^#[0-9A-F]{6}$/i.test(values.Color || '')) data.color = values.Color;
+    if (parseBoolean(values['Archived?']) === true) data.isActive = false;
+
+    result.habits.push({ key, row: 1, data });
+  });
+
+  rows.slice(1).forEach((cells, index) => {
+    const line = index + 2;
+    const date = parseDay(cells[0] && cells[0].trim(), 'UTC');
+
+    if (!date) {
+      result.errors.push({ row: line, message: `Invalid date "${cells[0]}"` });
+      return;
+    }
+
+    habitColumns.forEach(({ name, index: column }) => {
+      const mark = Number(cells[column]);
+      if (mark === LOOP_CHECKED) {
+        result.entries.push({ habitKey: habitKey(name), row: line, date, completed: true, value: null });
+      } else if (mark === LOOP_SKIPPED) {
+        result.entries.push({ habitKey: habitKey(name), row: line, date, completed: false, skipped: true, value: null });
+      }
+    });
+  });
+
+  return result;
+};
+
+// Normalize an import request body of the given format
+const parseImport = (format, { data, habits, mapping, timezone }) => {
+  const tz = isValidTimezone(timezone) ? timezone : 'UTC';
+
+  switch (format) {
+    case 'csv':
+      return fromGenericCsv(data, { mapping, timezone: tz });
+    case 'loop':
+      return fromLoopCsv(data, { habitsText: habits });
+    default:
+      return fromAppExport(typeof data === 'string' ? JSON.parse(data) : data);
+  }
+};
+
+module.exports = {
+  DEFAULT_CSV_MAPPING,
+  parseCsv,
+  parseBoolean,
+  fromAppExport,
+  fromGenericCsv,
+  fromLoopCsv,
+  parseImport
+};
@@ -0,0 +1,194 @@
+const {
+  parseCsv,
+  parseBoolean,
+  fromAppExport,
+  fromGenericCsv,
+  fromLoopCsv,
+  parseImport
+} = require('./importFormats');
+
+const day = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+
+describe('parseCsv', () => {
+  test('handles quoted cells, escaped quotes and CRLF', () => {
+    const text = '\uFEFFdate,notes\r\n2024-01-01,"Ran 5k, felt ""great"""\r\n2024-01-02,"two\nlines"\r\n';
+    expect(parseCsv(text)).toEqual([
+      ['date', 'notes'],
+      ['2024-01-01', 'Ran 5k, felt "great"'],
+      ['2024-01-02', 'two\nlines']
+    ]);
+  });
+
+  test('drops blank lines and keeps a last line without a newline', () => {
+    expect(parseCsv('a,b\n\n , \n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('parseBoolean', () => {
+  test('reads common spellings', () => {
+    ['true', 'YES', 'x', '1', '✓', ' done '].forEach(value => expect(parseBoolean(value)).toBe(true));
+    ['false', 'no', '0', '', 'missed'].forEach(value => expect(parseBoolean(value)).toBe(false));
+    expect(parseBoolean('maybe')).toBeNull();
+  });
+});
+
+describe('fromGenericCsv', () => {
+  test('reads one entry per row and one habit per name', () => {
+    const text = 'date,habit,completed,value,notes\n2024-01-01,Run,yes,5,Easy\n2024-01-02, run ,no,,\n2024-01-02,Read,1,,';
+    const result = fromGenericCsv(text, { timezone: 'UTC' });
+
+    expect(result.errors).toEqual([]);
+    expect(result.habits).toEqual([
+      { key: 'run', row: 2, data: { name: 'Run' } },
+      { key: 'read', row: 4, data: { name: 'Read' } }
+    ]);
+    expect(result.entries[0]).toEqual({
+      habitKey: 'run',
+      row: 2,
+      date: day('2024-01-01'),
+      completed: true,
+      value: 5,
+      notes: 'Easy'
+    });
+    expect(result.entries[1]).toMatchObject({ habitKey: 'run', completed: false, value: null, notes: undefined });
+  });
+
+  test('uses the column mapping', () => {
+    const text = 'Day,Activity,Minutes\n2024-01-01,Yoga,20\n2024-01-02,Yoga,0';
+    const result = fromGenericCsv(text, { mapping: { date: 'Day', habit: 'Activity', value: 'Minutes' }, timezone: 'UTC' });
+
+    // Without a completed column a row counts when its value is positive
+    expect(result.entries.map(entry => [entry.value, entry.completed])).toEqual([[20, true], [0, false]]);
+  });
+
+  test('places timestamps on the user\'s calendar', () => {
+    const text = 'date,habit\n2024-03-06T04:30:00Z,Run';
+    const result = fromGenericCsv(text, { timezone: 'America/New_York' });
+
+    expect(result.entries[0].date).toEqual(day('2024-03-05'));
+  });
+
+  test('reports bad rows by line', () => {
+    const text = 'date,habit,completed,value\n2024-01-01,,yes,\nnot a date,Run,yes,\n2024-01-02,Run,yes,lots\n2024-01-03,Run,maybe,';
+    const result = fromGenericCsv(text, { timezone: 'UTC' });
+
+    expect(result.entries).toEqual([]);
+    expect(result.errors).toEqual([
+      { row: 2, message: 'Missing habit in column "habit"' },
+      { row: 3, message: 'Invalid date "not a date"' },
+      { row: 4, message: 'Invalid value "lots"' },
+      { row: 5, message: 'Invalid completed flag "maybe"' }
+    ]);
+  });
+});
+
+describe('fromLoopCsv', () => {
+  const checkmarks = 'Date,Meditate,Gym\n2024-01-02,2,3\n2024-01-01,1,2\n';
+  const habits = 'Position,Name,Question,Description,NumRepetitions,Interval,Color\n' +
+    '001,Meditate,Did you meditate?,,1,1,#FF5722\n002,Gym,,Lift,3,7,teal\n';
+
+  test('imports only days the user checked or skipped', () => {
+    const result = fromLoopCsv(checkmarks);
+
+    expect(result.entries).toEqual([
+      { habitKey: 'meditate', row: 2, date: day('2024-01-02'), completed: true, value: null },
+      { habitKey: 'gym', row: 2, date: day('2024-01-02'), completed: false, skipped: true, value: null },
+      { habitKey: 'gym', row: 3, date: day('2024-01-01'), completed: true, value: null }
+    ]);
+  });
+
+  test('takes habit details from Habits.csv', () => {
+    const result = fromLoopCsv(checkmarks, { habitsText: habits });
+
+    expect(result.habits).toEqual([
+      { key: 'meditate', row: 1, data: { name: 'Meditate', frequency: 'daily', description: 'Did you meditate?', color: '#FF5722' } },
+      { key: 'gym', row: 1, data: { name: 'Gym', frequency: 'weekly', description: 'Lift' } }
+    ]);
+  });
+
+  test('rejects files that are not a Checkmarks.csv', () => {
+    expect(fromLoopCsv('Name,Score\nRun,1').errors).toEqual([
+      { row: 1, message: 'Not a Loop Checkmarks.csv export: first column must be Date' }
+    ]);
+  });
+});
+
+describe('fromAppExport', () => {
+  const data = {
+    habits: [
+      { _id: 'h1', name: 'Water', frequency: 'daily', target: { amount: 8 }, userId: 'someone', createdAt: '2023-01-01' },
+      { _id: 'h2' }
+    ],
+    trackingEntries: [
+      { habitId: 'h1', date: '2024-01-01T00:00:00.000Z', completed: true, value: 8, notes: 'ok' },
+      { habitId: 'h9', date: '2024-01-01T00:00:00.000Z', completed: true },
+      { habitId: 'h1', date: 'yesterday', completed: true },
+      { habitId: 'h1', date: '2024-01-02T00:00:00.000Z', completed: false, skipped: true }
+    ],
+    checkIns: [
+      { habitId: 'h1', date: '2024-01-01T00:00:00.000Z', amount: 2, source: 'api', timestamp: '2024-01-01T09:00:00.000Z' },
+      { habitId: 'h1', date: '2024-01-01T00:00:00.000Z', amount: 'two' }
+    ],
+    pauses: [
+      { habitId: null, startDate: '2024-02-01T00:00:00.000Z', endDate: '2024-02-07T00:00:00.000Z', reason: 'vacation' },
+      { habitId: 'h1', startDate: '2024-03-01T00:00:00.000Z', endDate: null, reason: 'sick', note: 'Flu' },
+      { habitId: 'h9', startDate: '2024-03-01T00:00:00.000Z', endDate: null },
+      { habitId: null, startDate: '2024-03-05T00:00:00.000Z', endDate: '2024-03-01T00:00:00.000Z' }
+    ]
+  };
+
+  test('keeps only habit fields', () => {
+    const result = fromAppExport(data);
+
+    expect(result.habits).toEqual([{ key: 'water', row: 0, data: { name: 'Water', frequency: 'daily', target: { amount: 8 } } }]);
+    expect(result.errors).toContainEqual({ row: 1, message: 'Habit is missing a name' });
+  });
+
+  test('keeps stored day starts and reports bad entries', () => {
+    const result = fromAppExport(data);
+
+    expect(result.entries).toEqual([{
+      habitKey: 'water',
+      row: 0,
+      date: day('2024-01-01'),
+      completed: true,
+      skipped: false,
+      value: 8,
+      notes: 'ok',
+      mood: null,
+      difficulty: null
+    }, expect.objectContaining({ row: 3, date: day('2024-01-02'), completed: false, skipped: true })]);
+    expect(result.errors).toContainEqual({ row: 1, message: 'Entry refers to an unknown habit' });
+    expect(result.errors).toContainEqual({ row: 2, message: 'Entry has an invalid date' });
+    expect(result.checkIns).toHaveLength(1);
+  });
+
+  test('keeps pauses, account-wide ones included', () => {
+    const result = fromAppExport(data);
+
+    expect(result.pauses).toEqual([
+      { habitKey: null, row: 0, startDate: day('2024-02-01'), endDate: day('2024-02-07'), reason: 'vacation', note: undefined },
+      { habitKey: 'water', row: 1, startDate: day('2024-03-01'), endDate: null, reason: 'sick', note: 'Flu' }
+    ]);
+    expect(result.errors).toContainEqual({ row: 2, message: 'Pause refers to an unknown habit' });
+    expect(result.errors).toContainEqual({ row: 3, message: 'Pause has an invalid date range' });
+  });
+
+  test('rejects data without habits', () => {
+    expect(fromAppExport({ trackingEntries: [] }).errors).toEqual([
+      { row: null, message: 'Not a habit tracker export: missing habits' }
+    ]);
+  });
+});
+
+describe('parseImport', () => {
+  test('parses JSON strings for app exports', () => {
+    const result = parseImport('json', { data: JSON.stringify({ habits: [{ _id: 'h1', name: 'Run' }] }) });
+    expect(result.habits).toHaveLength(1);
+  });
+
+  test('falls back to UTC for an invalid timezone', () => {
+    const result = parseImport('csv', { data: 'date,habit\n2024-03-06T04:30:00Z,Run', timezone: 'Nowhere/Special' });
+    expect(result.entries[0].date).toEqual(day('2024-03-06'));
+  });
+});
@@ -0,0 +1,67 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses the server must never be made to call on a user's behalf
+// (webhooks, push endpoints): its own host, the private network it runs in
+// and cloud metadata services.
+const blockedAddresses = new net.BlockList();
+blockedAddresses.addSubnet('0.0.0.0', 8, 'ipv4'); // "This" network
+blockedAddresses.addSubnet('10.0.0.0', 8, 'ipv4'); // Private
+blockedAddresses.addSubnet('100.64.0.0', 10, 'ipv4'); // Carrier-grade NAT
+blockedAddresses.addSubnet('127.0.0.0', 8, 'ipv4'); // Loopback
+blockedAddresses.addSubnet('169.254.0.0', 16, 'ipv4'); // Link-local, incl. 169.254.169.254
+blockedAddresses.addSubnet('172.16.0.0', 12, 'ipv4'); // Private
+blockedAddresses.addSubnet('192.168.0.0', 16, 'ipv4'); // Private
+blockedAddresses.addSubnet('224.0.0.0', 3, 'ipv4'); // Multicast, reserved and broadcast
+blockedAddresses.addAddress('::', 'ipv6'); // Unspecified
+blockedAddresses.addAddress('::1', 'ipv6'); // Loopback
+blockedAddresses.addSubnet('::', 96, 'ipv6'); // Deprecated IPv4-compatible (::a.b.c.d)
+blockedAddresses.addSubnet('64:ff9b::', 96, 'ipv6'); // NAT64, which can reach any IPv4 address
+blockedAddresses.addSubnet('fc00::', 7, 'ipv6'); // Unique local
+blockedAddresses.addSubnet('fe80::', 10, 'ipv6'); // Link-local
+blockedAddresses.addSubnet('ff00::', 8, 'ipv6'); // Multicast
+
+// Whether an IP address is on the public internet. Anything that isn't an IP
+// address is not. IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked
+// against the IPv4 ranges by BlockList itself.
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// The host of a URL as an IP address, without IPv6 brackets; null for names
+const getIpHost = (url) => {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  return net.isIP(host) ? host : null;
+};
+
+// Drop-in for dns.lookup, for the `lookup` option of http.request and
+// agents: fails unless every address the host resolves to is public. The
+// check runs as the connection is made, so a name can't pass validation and
+// then be re-pointed at an internal address.
+const lookupPublicAddress = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.some(({ address }) => !isPublicAddress(address))) {
+      const refused = new Error(`${hostname} resolves to a private address`);
+      refused.code = 'EPRIVATEADDRESS';
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  isPublicAddress,
+  getIpHost,
+  lookupPublicAddress
+};
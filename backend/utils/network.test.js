@@ -0,0 +1,93 @@
+const dns = require('dns');
+const { isPublicAddress, getIpHost, lookupPublicAddress } = require('./network');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('isPublicAddress', () => {
+  test.each([
+    '8.8.8.8',
+    '1.1.1.1',
+    '2606:4700:4700::1111',
+    '::ffff:8.8.8.8'
+  ])('allows %s', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+
+  test.each([
+    ['127.0.0.1', 'loopback'],
+    ['10.1.2.3', 'private'],
+    ['172.20.0.1', 'private'],
+    ['192.168.1.1', 'private'],
+    ['169.254.169.254', 'cloud metadata'],
+    ['100.64.0.1', 'carrier-grade NAT'],
+    ['0.0.0.0', 'this network'],
+    ['255.255.255.255', 'broadcast'],
+    ['::', 'unspecified'],
+    ['::1', 'loopback'],
+    ['::ffff:127.0.0.1', 'IPv4-mapped loopback'],
+    ['::ffff:169.254.169.254', 'IPv4-mapped metadata'],
+    ['::127.0.0.1', 'IPv4-compatible loopback'],
+    ['::a9fe:a9fe', 'IPv4-compatible metadata'],
+    ['64:ff9b::7f00:1', 'NAT64 loopback'],
+    ['64:ff9b::10.0.0.1', 'NAT64 private'],
+    ['fd00::1', 'unique local'],
+    ['fe80::1', 'link-local'],
+    ['ff02::1', 'multicast']
+  ])('refuses %s (%s)', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  test('refuses anything that is not an IP address', () => {
+    expect(isPublicAddress('localhost')).toBe(false);
+    expect(isPublicAddress('')).toBe(false);
+  });
+});
+
+describe('getIpHost', () => {
+  test('returns IP hosts without brackets and null for names', () => {
+    expect(getIpHost('http://127.0.0.1:8080/hook')).toBe('127.0.0.1');
+    expect(getIpHost('https://[::1]/hook')).toBe('::1');
+    expect(getIpHost('https://example.com/hook')).toBeNull();
+  });
+});
+
+describe('lookupPublicAddress', () => {
+  const resolveTo = (...addresses) => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+    });
+  };
+
+  test('passes public addresses through in the shape asked for', (done) => {
+    resolveTo('93.184.216.34');
+
+    lookupPublicAddress('example.com', {}, (error, address, family) => {
+      expect(error).toBeNull();
+      expect(address).toBe('93.184.216.34');
+      expect(family).toBe(4);
+      done();
+    });
+  });
+
+  test('refuses a name when any of its addresses is private', (done) => {
+    resolveTo('93.184.216.34', '64:ff9b::a9fe:a9fe');
+
+    lookupPublicAddress('rebind.example.com', { all: true }, (error) => {
+      expect(error.code).toBe('EPRIVATEADDRESS');
+      done();
+    });
+  });
+
+  test('passes resolver errors on', (done) => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+    });
+
+    lookupPublicAddress('nowhere.invalid', (error) => {
+      expect(error.code).toBe('ENOTFOUND');
+      done();
+    });
+  });
+});
@@ -0,0 +1,244 @@
+// Renderers for progress reports (see generateReport in routes/analytics).
+// Both take the same report object: the HTML variant is meant for printing
+// from the browser, the PDF variant for downloading.
+
+const { jsPDF } = require('jspdf');
+
+const formatNumber = (value, suffix = '') => (value === null || value === undefined ? '-' : `${value}${suffix}`);
+
+const formatStreak = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+const capitalize = (text) => (text ? text.charAt(0).toUpperCase() + text.slice(1) : '');
+
+// Overview figures shown at the top of both variants
+const getOverviewStats = (report) => [
+  { label: 'Completion rate', value: `${report.overview.completionRate}%` },
+  { label: 'Completed', value: `${report.overview.completedOccurrences} / ${report.overview.dueOccurrences}` },
+  { label: 'Active habits', value: String(report.overview.totalHabits) },
+  { label: 'Average mood', value: formatNumber(report.overview.averageMood, ' / 5') },
+  { label: 'Average difficulty', value: formatNumber(report.overview.averageDifficulty, ' / 5') }
+];
+
+const HABIT_COLUMNS = [
+  { label: 'Habit', value: row => row.name },
+  { label: 'Done', value: row => `${row.completed}/${row.due}` },
+  { label: 'Rate', value: row => `${row.completionRate}%` },
+  { label: 'Longest streak', value: row => formatStreak(row.longestStreak, row.streakUnit) },
+  { label: 'Mood', value: row => formatNumber(row.averageMood) },
+  { label: 'Difficulty', value: row => formatNumber(row.averageDifficulty) },
+  { label: 'Total', value: row => formatNumber(row.totalValue, row.unit ? ` ${row.unit}` : '') }
+];
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderReportHtml = (report) => {
+  const stats = getOverviewStats(report).map(stat => `
+        <div class="stat"><div class="stat-value">${escapeHtml(stat.value)}</div><div class="stat-label">${stat.label}</div></div>`).join('');
+
+  const habitRows = report.habits.map(row => `
+          <tr>${HABIT_COLUMNS.map((column, index) => index === 0
+            ? `<td><span class="swatch" style="background:${escapeHtml(row.color)}"></span>${escapeHtml(row.name)}<div class="muted">${capitalize(row.category)} &middot; ${row.frequency}</div></td>`
+            : `<td>${escapeHtml(column.value(row))}</td>`).join('')}</tr>`).join('');
+
+  const streaks = report.longestStreaks.map(row => `
+        <li>${escapeHtml(row.name)}: <strong>${formatStreak(row.longestStreak, row.streakUnit)}</strong></li>`).join('');
+
+  const insights = report.habits.filter(row => row.insights.length > 0).map(row => `
+      <div class="insight-group">
+        <h3>${escapeHtml(row.name)}</h3>
+        <ul>${row.insights.map(insight => `<li class="${insight.type}">${escapeHtml(insight.message)}</li>`).join('')}</ul>
+      </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Habit Report - ${escapeHtml(report.period.label)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 2rem auto; max-width: 960px; padding: 0 1rem; }
+    h1 { margin-bottom: 0.25rem; }
+    h2 { margin-top: 2rem; border-bottom: 1px solid #E5E7EB; padding-bottom: 0.25rem; }
+    h3 { margin: 1rem 0 0.25rem; font-size: 1rem; }
+    .muted { color: #6B7280; font-size: 0.85rem; }
+    .stats { display: grid; grid-template-columns: repeat(5, 1fr); gap: 0.75rem; margin-top: 1.5rem; }
+    .stat { border: 1px solid #E5E7EB; border-radius: 0.5rem; padding: 0.75rem; }
+    .stat-value { font-size: 1.4rem; font-weight: 700; }
+    .stat-label { color: #6B7280; font-size: 0.8rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #E5E7EB; vertical-align: top; }
+    th { background: #F9FAFB; }
+    .swatch { display: inline-block; width: 0.7rem; height: 0.7rem; border-radius: 50%; margin-right: 0.4rem; }
+    li.success { color: #047857; }
+    li.warning { color: #B45309; }
+    li.danger { color: #B91C1C; }
+    li.info { color: #1D4ED8; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      .no-print { display: none; }
+      tr, .insight-group { break-inside: avoid; }
+    }
+  </style>
+</head>
+<body>
+  <h1>Habit Report: ${escapeHtml(report.period.label)}</h1>
+  <div class="muted">${escapeHtml(report.user.name)} &middot; ${report.period.startDate} to ${report.period.endDate} (${escapeHtml(report.user.timezone)})</div>
+  <p class="muted no-print">Use your browser's print option to print this report or save it as a PDF.</p>
+
+  <div class="stats">${stats}
+  </div>
+
+  <h2>Habits</h2>
+  ${report.habits.length > 0 ? `<table>
+    <thead><tr>${HABIT_COLUMNS.map(column => `<th>${column.label}</th>`).join('')}</tr></thead>
+    <tbody>${habitRows}
+    </tbody>
+  </table>` : '<p class="muted">No active habits in this period.</p>'}
+
+  <h2>Longest Streaks</h2>
+  ${streaks ? `<ol>${streaks}
+  </ol>` : '<p class="muted">No streaks in this period.</p>'}
+
+  <h2>Insights</h2>
+  ${insights || '<p class="muted">No insights for this period.</p>'}
+
+  <p class="muted">Generated ${report.generatedAt.toISOString()}</p>
+</body>
+</html>
+`;
+};
+
+// PDF layout, in millimetres on A4 portrait
+const PAGE = { width: 210, height: 297, margin: 15 };
+const COLUMN_WIDTHS = [55, 18, 15, 30, 17, 20, 25];
+
+const renderReportPdf = (report) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const contentWidth = PAGE.width - PAGE.margin * 2;
+  let y = PAGE.margin;
+
+  // Start a new page when the next block would not fit
+  const ensureSpace = (height) => {
+    if (y + height > PAGE.height - PAGE.margin) {
+      doc.addPage();
+      y = PAGE.margin;
+    }
+  };
+
+  // Shorten text to fit a width, ending with an ellipsis
+  const fit = (text, width) => {
+    let value = String(text);
+    if (doc.getTextWidth(value) <= width) return value;
+    while (value.length > 1 && doc.getTextWidth(`${value}...`) > width) {
+      value = value.slice(0, -1);
+    }
+    return `${value}...`;
+  };
+
+  const heading = (text) => {
+    ensureSpace(14);
+    y += 4;
+    doc.setFont('helvetica', 'bold').setFontSize(13).setTextColor(17, 24, 39);
+    doc.text(text, PAGE.margin, y);
+    y += 2;
+    doc.setDrawColor(229, 231, 235).line(PAGE.margin, y, PAGE.width - PAGE.margin, y);
+    y += 6;
+  };
+
+  const muted = (text) => {
+    ensureSpace(6);
+    doc.setFont('helvetica', 'normal').setFontSize(9).setTextColor(107, 114, 128);
+    doc.text(text, PAGE.margin, y);
+    y += 6;
+  };
+
+  // Title
+  doc.setFont('helvetica', 'bold').setFontSize(20).setTextColor(17, 24, 39);
+  doc.text(`Habit Report: ${report.period.label}`, PAGE.margin, y + 5);
+  y += 12;
+  muted(`${report.user.name} - ${report.period.startDate} to ${report.period.endDate} (${report.user.timezone})`);
+
+  // Overview
+  const stats = getOverviewStats(report);
+  const boxWidth = (contentWidth - (stats.length - 1) * 3) / stats.length;
+  stats.forEach((stat, index) => {
+    const x = PAGE.margin + index * (boxWidth + 3);
+    doc.setDrawColor(229, 231, 235).roundedRect(x, y, boxWidth, 18, 2, 2);
+    doc.setFont('helvetica', 'bold').setFontSize(13).setTextColor(17, 24, 39);
+    doc.text(fit(stat.value, boxWidth - 6), x + 3, y + 8);
+    doc.setFont('helvetica', 'normal').setFontSize(8).setTextColor(107, 114, 128);
+    doc.text(stat.label, x + 3, y + 14);
+  });
+  y += 24;
+
+  // Per-habit table
+  heading('Habits');
+  if (report.habits.length === 0) {
+    muted('No active habits in this period.');
+  } else {
+    const drawRow = (cells, bold) => {
+      ensureSpace(7);
+      doc.setFont('helvetica', bold ? 'bold' : 'normal').setFontSize(9).setTextColor(17, 24, 39);
+      let x = PAGE.margin;
+      cells.forEach((cell, index) => {
+        doc.text(fit(cell, COLUMN_WIDTHS[index] - 2), x, y);
+        x += COLUMN_WIDTHS[index];
+      });
+      y += 2;
+      doc.setDrawColor(229, 231, 235).line(PAGE.margin, y, PAGE.width - PAGE.margin, y);
+      y += 5;
+    };
+
+    drawRow(HABIT_COLUMNS.map(column => column.label), true);
+    report.habits.forEach(row => drawRow(HABIT_COLUMNS.map(column => column.value(row)), false));
+  }
+
+  // Longest streaks
+  heading('Longest Streaks');
+  if (report.longestStreaks.length === 0) {
+    muted('No streaks in this period.');
+  } else {
+    doc.setFont('helvetica', 'normal').setFontSize(10).setTextColor(17, 24, 39);
+    report.longestStreaks.forEach((row, index) => {
+      ensureSpace(6);
+      doc.text(`${index + 1}. ${row.name}: ${formatStreak(row.longestStreak, row.streakUnit)}`, PAGE.margin, y);
+      y += 6;
+    });
+  }
+
+  // Insights
+  heading('Insights');
+  const withInsights = report.habits.filter(row => row.insights.length > 0);
+  if (withInsights.length === 0) {
+    muted('No insights for this period.');
+  }
+  withInsights.forEach(row => {
+    ensureSpace(12);
+    doc.setFont('helvetica', 'bold').setFontSize(10).setTextColor(17, 24, 39);
+    doc.text(row.name, PAGE.margin, y);
+    y += 5;
+
+    doc.setFont('helvetica', 'normal').setFontSize(9).setTextColor(55, 65, 81);
+    row.insights.forEach(insight => {
+      const lines = doc.splitTextToSize(`- ${insight.message}`, contentWidth - 4);
+      ensureSpace(lines.length * 4.5);
+      doc.text(lines, PAGE.margin + 2, y);
+      y += lines.length * 4.5;
+    });
+    y += 2;
+  });
+
+  y += 4;
+  muted(`Generated ${report.generatedAt.toISOString()}`);
+
+  return Buffer.from(doc.output('arraybuffer'));
+};
+
+module.exports = {
+  renderReportHtml,
+  renderReportPdf
+};
@@ -0,0 +1,274 @@
+// Schedule engine: works out when a habit is due and whether it was met.
+//
+// A habit's schedule is a series of occurrences. For daily habits each
+// occurrence is one of its targetDays; weekly habits have one occurrence per
+// Monday-to-Sunday week and monthly habits one per calendar month, met by a
+// completion on any day of the period.
+//
+// Every occurrence is attributed to a single day - the day it was completed,
+// or the last day of its period if it was not - so per-day views such as the
+// heatmap count it exactly once. Occurrences whose period is still running
+// and not yet met are "pending": they neither count as done nor as missed.
+//
+// Unmet occurrences that were excused - a skip day recorded in the period, or
+// a pause overlapping it - are left out entirely, so they neither break a
+// streak nor lower a completion rate.
+
+const {
+  DEFAULT_TIMEZONE,
+  getToday,
+  toDayStart,
+  addDays,
+  getWeekdayName
+} = require('./dateUtils');
+const { hasTarget, getPeriodProgress } = require('./targets');
+
+const ALL_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// First day of the schedule period containing a day
+const getPeriodStart = (habit, day) => {
+  const date = new Date(day);
+
+  switch (habit.frequency) {
+    case 'weekly':
+      return addDays(date, -((date.getUTCDay() + 6) % 7));
+    case 'monthly':
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    default:
+      return date;
+  }
+};
+
+// Last day of the schedule period starting on periodStart
+const getPeriodEnd = (habit, periodStart) => {
+  const date = new Date(periodStart);
+
+  switch (habit.frequency) {
+    case 'weekly':
+      return addDays(date, 6);
+    case 'monthly':
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+    default:
+      return date;
+  }
+};
+
+// Daily habits are only due on their targetDays; weekly and monthly habits
+// can be met on any day of their period
+const isTargetDay = (habit, day) => {
+  if (habit.frequency !== 'daily') return true;
+
+  const targetDays = habit.targetDays && habit.targetDays.length > 0 ? habit.targetDays : ALL_DAYS;
+  return targetDays.includes(getWeekdayName(day));
+};
+
+// Earliest period start needed to evaluate a set of habits from startDate.
+// Use it as the lower bound when querying entries for getOccurrences.
+const getEarliestPeriodStart = (habits, startDate) => {
+  return habits.reduce((earliest, habit) => {
+    const periodStart = getPeriodStart(habit, startDate);
+    return periodStart < earliest ? periodStart : earliest;
+  }, new Date(startDate));
+};
+
+// Day the schedule begins: when the habit was created, or its first
+// tracked day if history goes back further
+const getScheduleStart = (habit, entries, timezone) => {
+  const candidates = entries.map(entry => new Date(entry.date).getTime());
+  if (habit.createdAt) {
+    candidates.push(toDayStart(habit.createdAt, timezone).getTime());
+  }
+
+  return candidates.length > 0 ? new Date(Math.min(...candidates)) : null;
+};
+
+// Whether the entries recorded in a period meet the habit for that period.
+// Quantitative habits are met when the period's progress reaches the target.
+const isPeriodComplete = (habit, periodEntries) => {
+  if (hasTarget(habit)) {
+    return getPeriodProgress(habit, periodEntries).met;
+  }
+  return periodEntries.some(entry => entry.completed);
+};
+
+// Pauses covering a habit: its own and account-wide ones
+const getHabitPauses = (habit, pauses = []) => {
+  return pauses.filter(pause => !pause.habitId || pause.habitId.toString() === habit._id?.toString());
+};
+
+// Whether any pause overlaps [periodStart, periodEnd]. Open-ended pauses run
+// until resumed.
+const isPaused = (pauses, periodStart, periodEnd) => {
+  return pauses.some(pause =>
+    new Date(pause.startDate) <= periodEnd && (!pause.endDate || new Date(pause.endDate) >= periodStart)
+  );
+};
+
+// Build the occurrences of a habit attributed to days in [startDate, endDate].
+// The range never extends past today. `entries` are the habit's tracking
+// entries and must cover every period overlapping the range (see
+// getEarliestPeriodStart). `pauses` are the user's pauses; those that apply
+// to the habit excuse unmet occurrences.
+const getOccurrences = (habit, entries, { startDate, endDate, timezone = DEFAULT_TIMEZONE, pauses = [] } = {}) => {
+  const today = getToday(timezone);
+  const habitPauses = getHabitPauses(habit, pauses);
+  let rangeEnd = endDate && new Date(endDate) < today ? new Date(endDate) : today;
+  const scheduleStart = getScheduleStart(habit, entries, timezone);
+
+  // An archived habit is no longer due after the day it was archived
+  if (habit.archivedAt) {
+    const archivedDay = toDayStart(habit.archivedAt, timezone);
+    if (archivedDay < rangeEnd) rangeEnd = archivedDay;
+  }
+
+  if (!scheduleStart) return [];
+
+  const rangeStart = startDate && new Date(startDate) > scheduleStart ? new Date(startDate) : scheduleStart;
+  const sortedEntries = [...entries].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const occurrences = [];
+  let entryIndex = 0;
+
+  for (
+    let periodStart = getPeriodStart(habit, rangeStart);
+    periodStart <= rangeEnd;
+    periodStart = addDays(getPeriodEnd(habit, periodStart), 1)
+  ) {
+    const periodEnd = getPeriodEnd(habit, periodStart);
+
+    // Entries are sorted, so skip past anything before this period
+    while (entryIndex < sortedEntries.length && new Date(sortedEntries[entryIndex].date) < periodStart) {
+      entryIndex++;
+    }
+
+    if (!isTargetDay(habit, periodStart)) continue;
+
+    const periodEntries = [];
+    for (let i = entryIndex; i < sortedEntries.length && new Date(sortedEntries[i].date) <= periodEnd; i++) {
+      periodEntries.push(sortedEntries[i]);
+    }
+
+    const completed = isPeriodComplete(habit, periodEntries);
+    const completedOn = completed
+      ? new Date(periodEntries.find(entry => entry.completed)?.date || periodEntries[periodEntries.length - 1].date)
+      : null;
+    const date = completedOn || periodEnd;
+
+    if (date < rangeStart || date > rangeEnd) continue;
+
+    // Skipped or paused: neither done nor missed
+    if (!completed && (periodEntries.some(entry => entry.skipped) || isPaused(habitPauses, periodStart, periodEnd))) {
+      continue;
+    }
+
+    occurrences.push({
+      start: periodStart,
+      end: periodEnd,
+      date,
+      completed,
+      completedOn,
+      pending: !completed && periodEnd >= today,
+      progress: hasTarget(habit) ? getPeriodProgress(habit, periodEntries) : null,
+      entries: periodEntries
+    });
+  }
+
+  return occurrences;
+};
+
+// Count due and completed occurrences, ignoring ones still pending
+const summarizeOccurrences = (occurrences) => {
+  const settled = occurrences.filter(occurrence => !occurrence.pending);
+  const completed = settled.filter(occurrence => occurrence.completed).length;
+
+  return {
+    due: settled.length,
+    completed,
+    missed: settled.length - completed,
+    completionRate: settled.length > 0 ? completed / settled.length : 0
+  };
+};
+
+// Current and longest runs of completed occurrences. A pending occurrence
+// at the end of the schedule does not break the current streak.
+const getStreaks = (occurrences) => {
+  let longest = 0;
+  let run = 0;
+
+  occurrences.forEach(occurrence => {
+    if (occurrence.completed) {
+      run++;
+      longest = Math.max(longest, run);
+    } else if (!occurrence.pending) {
+      run = 0;
+    }
+  });
+
+  let current = 0;
+  for (let i = occurrences.length - 1; i >= 0; i--) {
+    if (occurrences[i].completed) {
+      current++;
+    } else if (!occurrences[i].pending) {
+      break;
+    }
+  }
+
+  return { current, longest };
+};
+
+// Earliest dates the next `count` occurrences could be met, starting today.
+// Pass skipCurrent when the current period has already been completed.
+const getUpcomingDueDates = (habit, count, { timezone = DEFAULT_TIMEZONE, skipCurrent = false } = {}) => {
+  const today = getToday(timezone);
+  const dates = [];
+  let periodStart = getPeriodStart(habit, today);
+
+  if (skipCurrent) {
+    periodStart = addDays(getPeriodEnd(habit, periodStart), 1);
+  }
+
+  // Bounded so a habit without target days can't loop forever
+  for (let guard = 0; dates.length < count && guard < count * 7 + 7; guard++) {
+    if (isTargetDay(habit, periodStart)) {
+      dates.push(periodStart > today ? periodStart : today);
+    }
+    periodStart = addDays(getPeriodEnd(habit, periodStart), 1);
+  }
+
+  return dates;
+};
+
+// Unit a habit's streak is counted in
+const getStreakUnit = (habit) => {
+  switch (habit.frequency) {
+    case 'weekly': return 'week';
+    case 'monthly': return 'month';
+    default: return 'day';
+  }
+};
+
+// Group tracking entries by habit id (works with populated habitId too)
+const groupEntriesByHabit = (entries) => {
+  return entries.reduce((acc, entry) => {
+    const habitId = (entry.habitId?._id || entry.habitId).toString();
+    if (!acc[habitId]) {
+      acc[habitId] = [];
+    }
+    acc[habitId].push(entry);
+    return acc;
+  }, {});
+};
+
+module.exports = {
+  getPeriodStart,
+  getPeriodEnd,
+  isTargetDay,
+  getEarliestPeriodStart,
+  getHabitPauses,
+  isPaused,
+  getOccurrences,
+  summarizeOccurrences,
+  getStreaks,
+  getUpcomingDueDates,
+  getStreakUnit,
+  groupEntriesByHabit
+};
@@ -0,0 +1,238 @@
+const {
+  getPeriodStart,
+  getPeriodEnd,
+  isTargetDay,
+  getEarliestPeriodStart,
+  getHabitPauses,
+  isPaused,
+  getOccurrences,
+  summarizeOccurrences,
+  getStreaks,
+  getUpcomingDueDates,
+  getStreakUnit,
+  groupEntriesByHabit
+} = require('./schedule');
+
+const day = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+const keys = (dates) => dates.map(date => date.toISOString().split('T')[0]);
+
+const daily = { _id: 'daily', frequency: 'daily', createdAt: day('2024-01-01') };
+const weekly = { _id: 'weekly', frequency: 'weekly', createdAt: day('2024-01-03') };
+const monthly = { _id: 'monthly', frequency: 'monthly', createdAt: day('2024-01-01') };
+
+describe('periods', () => {
+  test('weeks run Monday to Sunday', () => {
+    expect(getPeriodStart(weekly, day('2024-01-07'))).toEqual(day('2024-01-01'));
+    expect(getPeriodStart(weekly, day('2024-01-08'))).toEqual(day('2024-01-08'));
+    expect(getPeriodEnd(weekly, day('2024-01-01'))).toEqual(day('2024-01-07'));
+  });
+
+  test('months run to their last day', () => {
+    expect(getPeriodStart(monthly, day('2024-02-17'))).toEqual(day('2024-02-01'));
+    expect(getPeriodEnd(monthly, day('2024-02-01'))).toEqual(day('2024-02-29'));
+    expect(getPeriodEnd(monthly, day('2024-12-01'))).toEqual(day('2024-12-31'));
+  });
+
+  test('daily periods are a single day', () => {
+    expect(getPeriodStart(daily, day('2024-01-03'))).toEqual(day('2024-01-03'));
+    expect(getPeriodEnd(daily, day('2024-01-03'))).toEqual(day('2024-01-03'));
+  });
+
+  test('starts from the earliest period of any habit', () => {
+    expect(getEarliestPeriodStart([daily, weekly], day('2024-01-10'))).toEqual(day('2024-01-08'));
+    expect(getEarliestPeriodStart([weekly, monthly], day('2024-01-10'))).toEqual(day('2024-01-01'));
+    expect(getEarliestPeriodStart([], day('2024-01-10'))).toEqual(day('2024-01-10'));
+  });
+});
+
+describe('isTargetDay', () => {
+  test('limits daily habits to their target days', () => {
+    const habit = { frequency: 'daily', targetDays: ['monday', 'friday'] };
+    expect(isTargetDay(habit, day('2024-01-01'))).toBe(true);
+    expect(isTargetDay(habit, day('2024-01-02'))).toBe(false);
+  });
+
+  test('treats a daily habit without target days as due every day', () => {
+    expect(isTargetDay({ frequency: 'daily', targetDays: [] }, day('2024-01-02'))).toBe(true);
+  });
+
+  test('lets weekly and monthly habits be met on any day', () => {
+    expect(isTargetDay({ ...weekly, targetDays: ['monday'] }, day('2024-01-02'))).toBe(true);
+  });
+});
+
+describe('pauses', () => {
+  const pauses = [
+    { habitId: null, startDate: day('2024-01-10'), endDate: day('2024-01-12') },
+    { habitId: 'weekly', startDate: day('2024-02-01'), endDate: null },
+    { habitId: 'monthly', startDate: day('2024-01-01'), endDate: day('2024-01-31') }
+  ];
+
+  test('applies account-wide pauses and the habit\'s own', () => {
+    expect(getHabitPauses(weekly, pauses)).toEqual([pauses[0], pauses[1]]);
+    expect(getHabitPauses(daily, pauses)).toEqual([pauses[0]]);
+  });
+
+  test('matches pauses overlapping a period, open-ended ones included', () => {
+    expect(isPaused([pauses[0]], day('2024-01-08'), day('2024-01-14'))).toBe(true);
+    expect(isPaused([pauses[0]], day('2024-01-13'), day('2024-01-13'))).toBe(false);
+    expect(isPaused([pauses[1]], day('2030-01-01'), day('2030-01-01'))).toBe(true);
+  });
+});
+
+describe('getOccurrences', () => {
+  test('has one occurrence per target day', () => {
+    const habit = { ...daily, targetDays: ['monday', 'wednesday', 'friday'] };
+    const entries = [{ date: day('2024-01-01'), completed: true }];
+    const occurrences = getOccurrences(habit, entries, { startDate: day('2024-01-01'), endDate: day('2024-01-07') });
+
+    expect(keys(occurrences.map(occurrence => occurrence.date))).toEqual(['2024-01-01', '2024-01-03', '2024-01-05']);
+    expect(occurrences.map(occurrence => occurrence.completed)).toEqual([true, false, false]);
+    expect(occurrences.every(occurrence => !occurrence.pending)).toBe(true);
+  });
+
+  test('attributes weekly occurrences to the completion day or the end of the week', () => {
+    const entries = [{ date: day('2024-01-10'), completed: true }];
+    const occurrences = getOccurrences(weekly, entries, { startDate: day('2024-01-01'), endDate: day('2024-01-21') });
+
+    expect(keys(occurrences.map(occurrence => occurrence.date))).toEqual(['2024-01-07', '2024-01-10', '2024-01-21']);
+    expect(occurrences.map(occurrence => occurrence.completed)).toEqual([false, true, false]);
+  });
+
+  test('does not start before the habit was created or its first entry', () => {
+    const habit = { ...daily, createdAt: day('2024-01-05') };
+    expect(getOccurrences(habit, [], { startDate: day('2024-01-01'), endDate: day('2024-01-06') })).toHaveLength(2);
+
+    const entries = [{ date: day('2024-01-03'), completed: true }];
+    expect(getOccurrences(habit, entries, { startDate: day('2024-01-01'), endDate: day('2024-01-06') })).toHaveLength(4);
+  });
+
+  test('stops on the day the habit was archived', () => {
+    const habit = { ...daily, archivedAt: new Date('2024-01-03T12:00:00.000Z') };
+    expect(getOccurrences(habit, [], { startDate: day('2024-01-01'), endDate: day('2024-01-07') })).toHaveLength(3);
+  });
+
+  test('leaves out skipped days unless they were completed anyway', () => {
+    const entries = [
+      { date: day('2024-01-02'), completed: false, skipped: true },
+      { date: day('2024-01-03'), completed: true, skipped: true }
+    ];
+    const occurrences = getOccurrences(daily, entries, { startDate: day('2024-01-01'), endDate: day('2024-01-04') });
+
+    expect(keys(occurrences.map(occurrence => occurrence.date))).toEqual(['2024-01-01', '2024-01-03', '2024-01-04']);
+  });
+
+  test('leaves out a week with a skip day in it', () => {
+    const entries = [{ date: day('2024-01-09'), completed: false, skipped: true }];
+    const occurrences = getOccurrences(weekly, entries, { startDate: day('2024-01-08'), endDate: day('2024-01-21') });
+
+    expect(keys(occurrences.map(occurrence => occurrence.date))).toEqual(['2024-01-21']);
+  });
+
+  test('leaves out unmet occurrences overlapping a pause', () => {
+    const pauses = [
+      { habitId: null, startDate: day('2024-01-02'), endDate: day('2024-01-03') },
+      { habitId: 'other', startDate: day('2024-01-04'), endDate: null }
+    ];
+    const entries = [{ date: day('2024-01-03'), completed: true }];
+    const occurrences = getOccurrences(daily, entries, { startDate: day('2024-01-01'), endDate: day('2024-01-05'), pauses });
+
+    expect(keys(occurrences.map(occurrence => occurrence.date))).toEqual(['2024-01-01', '2024-01-03', '2024-01-04', '2024-01-05']);
+  });
+
+  test('measures quantitative habits over the period', () => {
+    const habit = { ...weekly, target: { amount: 10, comparison: 'at-least', aggregation: 'sum' } };
+    const entries = [
+      { date: day('2024-01-08'), completed: false, value: 4 },
+      { date: day('2024-01-10'), completed: true, value: 6 }
+    ];
+    const [occurrence] = getOccurrences(habit, entries, { startDate: day('2024-01-08'), endDate: day('2024-01-14') });
+
+    expect(occurrence.completed).toBe(true);
+    expect(occurrence.completedOn).toEqual(day('2024-01-10'));
+    expect(occurrence.progress).toEqual({ value: 10, target: 10, percentage: 100, met: true });
+    expect(occurrence.entries).toHaveLength(2);
+  });
+
+  test('marks the running period pending until it is met', () => {
+    jest.useFakeTimers({ now: new Date('2024-01-10T12:00:00.000Z') });
+    try {
+      const occurrences = getOccurrences(weekly, [], { startDate: day('2024-01-01'), endDate: day('2024-01-31') });
+
+      expect(keys(occurrences.map(occurrence => occurrence.date))).toEqual(['2024-01-07']);
+      expect(occurrences[0].pending).toBe(false);
+
+      const entries = [{ date: day('2024-01-10'), completed: false }];
+      const running = getOccurrences({ ...daily }, entries, { startDate: day('2024-01-10'), endDate: day('2024-01-10') });
+      expect(running[0].pending).toBe(true);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('summaries', () => {
+  const occurrence = (completed, pending = false) => ({ completed, pending });
+
+  test('counts settled occurrences', () => {
+    expect(summarizeOccurrences([occurrence(true), occurrence(false), occurrence(true), occurrence(false, true)])).toEqual({
+      due: 3,
+      completed: 2,
+      missed: 1,
+      completionRate: 2 / 3
+    });
+    expect(summarizeOccurrences([])).toEqual({ due: 0, completed: 0, missed: 0, completionRate: 0 });
+  });
+
+  test('keeps the current streak through a pending occurrence', () => {
+    expect(getStreaks([occurrence(true), occurrence(true), occurrence(false), occurrence(true), occurrence(false, true)]))
+      .toEqual({ current: 1, longest: 2 });
+    expect(getStreaks([occurrence(true), occurrence(false)])).toEqual({ current: 0, longest: 1 });
+  });
+
+  test('names the streak unit after the frequency', () => {
+    expect(getStreakUnit(daily)).toBe('day');
+    expect(getStreakUnit(weekly)).toBe('week');
+    expect(getStreakUnit(monthly)).toBe('month');
+  });
+});
+
+describe('getUpcomingDueDates', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-01-03T10:00:00.000Z') }); // A Wednesday
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('lists the next target days', () => {
+    const habit = { frequency: 'daily', targetDays: ['monday', 'friday'] };
+    expect(keys(getUpcomingDueDates(habit, 3))).toEqual(['2024-01-05', '2024-01-08', '2024-01-12']);
+  });
+
+  test('starts weekly habits today, or next week once this one is done', () => {
+    expect(keys(getUpcomingDueDates(weekly, 2))).toEqual(['2024-01-03', '2024-01-08']);
+    expect(keys(getUpcomingDueDates(weekly, 2, { skipCurrent: true }))).toEqual(['2024-01-08', '2024-01-15']);
+  });
+
+  test('uses today in the user\'s timezone', () => {
+    jest.setSystemTime(new Date('2024-01-31T23:30:00.000Z'));
+    expect(keys(getUpcomingDueDates(monthly, 1, { timezone: 'Europe/Berlin' }))).toEqual(['2024-02-01']);
+    expect(keys(getUpcomingDueDates(monthly, 1, { timezone: 'UTC' }))).toEqual(['2024-01-31']);
+  });
+});
+
+describe('groupEntriesByHabit', () => {
+  test('groups by habit id, populated or not', () => {
+    const entries = [
+      { habitId: 'a', date: day('2024-01-01') },
+      { habitId: { _id: 'b', name: 'Read' }, date: day('2024-01-01') },
+      { habitId: 'a', date: day('2024-01-02') }
+    ];
+    const groups = groupEntriesByHabit(entries);
+
+    expect(Object.keys(groups)).toEqual(['a', 'b']);
+    expect(groups.a).toHaveLength(2);
+  });
+});
@@ -0,0 +1,76 @@
+// Helpers for quantitative habits.
+//
+// A habit with a target (e.g. 8 glasses, 150 minutes) is measured over its
+// schedule period: a day for daily habits, a week for weekly and a month for
+// monthly ones. The values logged in a period are combined with the habit's
+// aggregation rule and compared with the target amount.
+//
+// An entry's `completed` flag is derived rather than set by the user. For
+// at-least targets it is true when the period's progress up to and including
+// that day meets the target, so the first completed entry marks the day the
+// target was reached. An at-most target is a ceiling on the whole period, so
+// all of its entries follow the period's progress so far: going over the
+// limit late in a week undoes the days before it too.
+
+const hasTarget = (habit) => habit.target?.amount !== null && habit.target?.amount !== undefined;
+
+// Combine the values logged in a period
+const aggregateValues = (values, aggregation = 'sum') => {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length === 0) return null;
+
+  switch (aggregation) {
+    case 'average':
+      return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+    case 'max':
+      return Math.max(...numbers);
+    default:
+      return numbers.reduce((sum, value) => sum + value, 0);
+  }
+};
+
+// Whether an aggregated amount satisfies the habit's target
+const meetsTarget = (habit, amount) => {
+  if (!hasTarget(habit) || amount === null) return false;
+
+  return habit.target.comparison === 'at-most'
+    ? amount <= habit.target.amount
+    : amount >= habit.target.amount;
+};
+
+// Progress toward the target for the entries of one period
+const getPeriodProgress = (habit, periodEntries) => {
+  const value = aggregateValues(periodEntries.map(entry => entry.value), habit.target?.aggregation);
+  const amount = habit.target?.amount;
+
+  return {
+    value,
+    target: amount,
+    percentage: value !== null && amount > 0 ? Math.round((value / amount) * 100) : null,
+    met: meetsTarget(habit, value)
+  };
+};
+
+// Derive `completed` for each entry of a period (see above). Returns the
+// flags in the same order as the (date-sorted) entries.
+const deriveCompletion = (habit, sortedPeriodEntries) => {
+  if (habit.target.comparison === 'at-most') {
+    const met = getPeriodProgress(habit, sortedPeriodEntries).met;
+    return sortedPeriodEntries.map(() => met);
+  }
+
+  const values = [];
+
+  return sortedPeriodEntries.map(entry => {
+    values.push(entry.value);
+    return meetsTarget(habit, aggregateValues(values, habit.target.aggregation));
+  });
+};
+
+module.exports = {
+  hasTarget,
+  aggregateValues,
+  meetsTarget,
+  getPeriodProgress,
+  deriveCompletion
+};
@@ -0,0 +1,80 @@
+const {
+  hasTarget,
+  aggregateValues,
+  meetsTarget,
+  getPeriodProgress,
+  deriveCompletion
+} = require('./targets');
+
+const atLeast = (amount, aggregation = 'sum') => ({ target: { amount, comparison: 'at-least', aggregation } });
+const atMost = (amount, aggregation = 'sum') => ({ target: { amount, comparison: 'at-most', aggregation } });
+
+describe('hasTarget', () => {
+  test('is true only when an amount is set', () => {
+    expect(hasTarget(atLeast(8))).toBe(true);
+    expect(hasTarget(atLeast(0))).toBe(true);
+    expect(hasTarget({ target: { amount: null } })).toBe(false);
+    expect(hasTarget({})).toBe(false);
+  });
+});
+
+describe('aggregateValues', () => {
+  test('combines numbers with the aggregation rule', () => {
+    expect(aggregateValues([2, 4, 6])).toBe(12);
+    expect(aggregateValues([2, 4, 6], 'average')).toBe(4);
+    expect(aggregateValues([2, 4, 6], 'max')).toBe(6);
+  });
+
+  test('ignores entries without a value', () => {
+    expect(aggregateValues([null, 3, undefined])).toBe(3);
+    expect(aggregateValues([null, undefined])).toBeNull();
+    expect(aggregateValues([])).toBeNull();
+  });
+});
+
+describe('meetsTarget', () => {
+  test('compares against the target in its direction', () => {
+    expect(meetsTarget(atLeast(8), 8)).toBe(true);
+    expect(meetsTarget(atLeast(8), 7)).toBe(false);
+    expect(meetsTarget(atMost(2), 2)).toBe(true);
+    expect(meetsTarget(atMost(2), 3)).toBe(false);
+  });
+
+  test('is never met without an amount', () => {
+    expect(meetsTarget(atMost(2), null)).toBe(false);
+    expect(meetsTarget({}, 5)).toBe(false);
+  });
+});
+
+describe('getPeriodProgress', () => {
+  test('reports value, target and percentage', () => {
+    expect(getPeriodProgress(atLeast(8), [{ value: 3 }, { value: 3 }])).toEqual({
+      value: 6,
+      target: 8,
+      percentage: 75,
+      met: false
+    });
+  });
+
+  test('has no percentage for a zero target', () => {
+    expect(getPeriodProgress(atMost(0), [{ value: 0 }])).toEqual({ value: 0, target: 0, percentage: null, met: true });
+  });
+});
+
+describe('deriveCompletion', () => {
+  test('marks at-least entries from the day the target is reached', () => {
+    const entries = [{ value: 3 }, { value: 4 }, { value: 2 }, { value: 1 }];
+    expect(deriveCompletion(atLeast(8), entries)).toEqual([false, false, true, true]);
+  });
+
+  test('uses the aggregation rule for at-least targets', () => {
+    const entries = [{ value: 5 }, { value: 9 }, { value: 1 }];
+    expect(deriveCompletion(atLeast(8, 'max'), entries)).toEqual([false, true, true]);
+  });
+
+  test('marks every at-most entry by the whole period', () => {
+    expect(deriveCompletion(atMost(5), [{ value: 1 }, { value: 2 }])).toEqual([true, true]);
+    // Going over late in the period undoes the earlier days too
+    expect(deriveCompletion(atMost(5), [{ value: 1 }, { value: 2 }, { value: 3 }])).toEqual([false, false, false]);
+  });
+});
@@ -0,0 +1,134 @@
+/* eslint-disable no-restricted-globals */
+// Service worker: offline app shell, cached habit and tracking data, the
+// wake-up for replaying offline check-ins, and habit reminder push
+// notifications. Served from the site root so it controls the whole app.
+
+const SHELL_CACHE = 'app-shell-v1';
+const API_CACHE = 'api-data-v1';
+const CACHES = [SHELL_CACHE, API_CACHE];
+
+const SHELL_FILES = ['/', '/index.html', '/manifest.json', '/favicon.ico', '/logo192.png', '/logo512.png'];
+
+// API reads kept for offline use: habits and tracking entries (today's habits
+// on the dashboard and habits page)
+const CACHED_API = /\/api\/(habits|tracking)(\/|\?|$)/;
+
+// Build assets with a content hash in their name, e.g. main.1a2b3c4d.js. The
+// development server's unhashed bundle is never cached.
+const HASHED_ASSET = /\.[0-9a-f]{8,}\.(chunk\.)?(js|css)$/;
+
+// Must match SYNC_TAG in src/utils/offlineQueue.ts
+const SYNC_TAG = 'tracking-queue';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => !CACHES.includes(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first, falling back to the cache (and keeping it up to date)
+const networkFirst = async (request, cacheName, fallbackUrl) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request, { ignoreVary: true });
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Cache first; a hashed asset never changes
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+  } else if (CACHED_API.test(url.pathname)) {
+    event.respondWith(networkFirst(request, API_CACHE));
+  } else if (url.origin === self.location.origin && HASHED_ASSET.test(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+self.addEventListener('message', (event) => {
+  // Signing out must not leave the previous user's data behind
+  if (event.data?.type === 'clear-api-cache') {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+// Back online: have open tabs replay queued check-ins. They hold the access
+// token, so with no tab open the queue waits until the app is opened again.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((clients) => {
+      clients.forEach((client) => client.postMessage({ type: 'replay-tracking-queue' }));
+    })
+  );
+});
+
+self.addEventListener('push', (event) => {
+  let reminder = {};
+  try {
+    reminder = event.data ? event.data.json() : {};
+  } catch (error) {
+    reminder = { message: event.data ? event.data.text() : '' };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(reminder.habitName || 'Habit reminder', {
+      body: reminder.message || 'Time to work on your habits',
+      icon: '/logo192.png',
+      badge: '/logo192.png',
+      tag: reminder.habitId ? `reminder-${reminder.habitId}` : 'reminder', // One per habit
+      renotify: true,
+      data: { url: reminder.url || '/dashboard' },
+    })
+  );
+});
+
+// Focus an open tab (or open one) at the reminder's URL
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients.find((c) => c.url.startsWith(self.location.origin));
+      if (client) {
+        return client.navigate(url).then((navigated) => (navigated || client).focus());
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
@@ -5,6 +5,7 @@ import 'react-toastify/dist/ReactToastify.css';
 
 // Context Providers
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { SocketProvider } from './context/SocketContext';
 
 // Components
 import Layout from './components/Layout';
@@ -13,10 +14,16 @@ import LoadingSpinner from './components/LoadingSpinner';
 // Pages
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
 import DashboardPage from './pages/DashboardPage';
 import HabitsPage from './pages/HabitsPage';
 import AnalyticsPage from './pages/AnalyticsPage';
+import AchievementsPage from './pages/AchievementsPage';
+import ChallengesPage from './pages/ChallengesPage';
+import PartnersPage from './pages/PartnersPage';
 import ProfilePage from './pages/ProfilePage';
+import PublicProgressPage from './pages/PublicProgressPage';
 
 // Protected Route component
 const ProtectedRoute: React.FC<{ children: React.ReactNode }> = ({ children }) => {
@@ -111,6 +118,25 @@ const AppRoutes: React.FC = () => {
           </PublicRoute>
         }
       />
+      <Route
+        path="/forgot-password"
+        element={
+          <PublicRoute>
+            <ForgotPasswordPage />
+          </PublicRoute>
+        }
+      />
+      <Route
+        path="/reset-password/:token"
+        element={
+          <PublicRoute>
+            <ResetPasswordPage />
+          </PublicRoute>
+        }
+      />
+
+      {/* Shared progress pages, viewable with or without logging in */}
+      <Route path="/p/:slug" element={<PublicProgressPage />} />
 
       {/* Protected Routes */}
       <Route
@@ -125,6 +151,9 @@ const AppRoutes: React.FC = () => {
         <Route path="dashboard" element={<DashboardPage />} />
         <Route path="habits" element={<HabitsPage />} />
         <Route path="analytics" element={<AnalyticsPage />} />
+        <Route path="achievements" element={<AchievementsPage />} />
+        <Route path="challenges" element={<ChallengesPage />} />
+        <Route path="partners" element={<PartnersPage />} />
         <Route path="profile" element={<ProfilePage />} />
       </Route>
 
@@ -138,28 +167,30 @@ const AppRoutes: React.FC = () => {
 const App: React.FC = () => {
   return (
     <AuthProvider>
-      <ThemeProvider>
-        <Router>
-          <div className="min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors duration-200">
-            <AppRoutes />
-            
-            {/* Toast Container */}
-            <ToastContainer
-              position="top-right"
-              autoClose={5000}
-              hideProgressBar={false}
-              newestOnTop={false}
-              closeOnClick
-              rtl={false}
-              pauseOnFocusLoss
-              draggable
-              pauseOnHover
-              className="mt-16"
-              toastClassName="dark:bg-gray-800 dark:text-white"
-            />
-          </div>
-        </Router>
-      </ThemeProvider>
+      <SocketProvider>
+        <ThemeProvider>
+          <Router>
+            <div className="min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors duration-200">
+              <AppRoutes />
+              
+              {/* Toast Container */}
+              <ToastContainer
+                position="top-right"
+                autoClose={5000}
+                hideProgressBar={false}
+                newestOnTop={false}
+                closeOnClick
+                rtl={false}
+                pauseOnFocusLoss
+                draggable
+                pauseOnHover
+                className="mt-16"
+                toastClassName="dark:bg-gray-800 dark:text-white"
+              />
+            </div>
+          </Router>
+        </ThemeProvider>
+      </SocketProvider>
     </AuthProvider>
   );
 };
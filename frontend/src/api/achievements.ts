@@ -0,0 +1,9 @@
+import { api } from './client';
+import { Achievement } from '../types';
+
+export const achievementsAPI = {
+  // Every achievement, with the ones the user unlocked
+  getAchievements: async (): Promise<{ achievements: Achievement[]; unlocked: number; total: number }> => {
+    return api.get<{ achievements: Achievement[]; unlocked: number; total: number }>('/achievements');
+  },
+};
@@ -1,10 +1,11 @@
-import { api } from './client';
-import { OverviewAnalytics, Analytics, HeatmapData, TrendData, Habit } from '../types';
+import apiClient, { api } from './client';
+import { OverviewAnalytics, Analytics, HeatmapData, TrendData, Habit, ReportPeriod, ReportFormat } from '../types';
 
 export const analyticsAPI = {
-  // Get overview analytics for user
-  getOverviewAnalytics: async (days = 30): Promise<{ overview: OverviewAnalytics }> => {
-    return api.get<{ overview: OverviewAnalytics }>(`/analytics/overview?days=${days}`);
+  // Get overview analytics for user. includeArchived adds archived habits' history.
+  getOverviewAnalytics: async (days = 30, includeArchived = false): Promise<{ overview: OverviewAnalytics }> => {
+    const archived = includeArchived ? '&includeArchived=true' : '';
+    return api.get<{ overview: OverviewAnalytics }>(`/analytics/overview?days=${days}${archived}`);
   },
 
   // Get detailed analytics for a specific habit
@@ -16,19 +17,24 @@ export const analyticsAPI = {
   },
 
   // Get heatmap data for all habits
-  getHeatmapData: async (year?: number): Promise<{
+  getHeatmapData: async (year?: number, includeArchived = false): Promise<{
     heatmapData: HeatmapData;
     habits: Array<{ id: string; name: string; color: string; category: string }>;
     year: number;
   }> => {
-    const params = year ? `?year=${year}` : '';
-    return api.get(`/analytics/heatmap${params}`);
+    const queryParams = new URLSearchParams();
+    if (year) queryParams.append('year', year.toString());
+    if (includeArchived) queryParams.append('includeArchived', 'true');
+
+    const query = queryParams.toString();
+    return api.get(`/analytics/heatmap${query ? `?${query}` : ''}`);
   },
 
   // Get trend analysis for habits
   getTrendsData: async (params?: {
     period?: 'week' | 'month' | 'quarter' | 'year';
     groupBy?: 'day' | 'week' | 'month';
+    includeArchived?: boolean;
   }): Promise<{
     trends: TrendData[];
     period: string;
@@ -38,8 +44,23 @@ export const analyticsAPI = {
     const queryParams = new URLSearchParams();
     if (params?.period) queryParams.append('period', params.period);
     if (params?.groupBy) queryParams.append('groupBy', params.groupBy);
+    if (params?.includeArchived) queryParams.append('includeArchived', 'true');
     
     const query = queryParams.toString();
     return api.get(`/analytics/trends${query ? `?${query}` : ''}`);
   },
-};
\ No newline at end of file
+
+  // Download a monthly or quarterly progress report
+  getReport: async (params: {
+    period?: ReportPeriod;
+    format?: ReportFormat;
+    date?: string;
+    includeArchived?: boolean;
+  } = {}): Promise<Blob> => {
+    const response = await apiClient.get<Blob>('/analytics/report', {
+      params,
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+};
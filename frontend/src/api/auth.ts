@@ -1,5 +1,5 @@
-import { api } from './client';
-import { User, AuthResponse, LoginForm, RegisterForm } from '../types';
+import { api, refreshAccessToken } from './client';
+import { User, AuthResponse, AuthSession, LoginForm, RegisterForm } from '../types';
 
 export const authAPI = {
   // Register new user
@@ -8,6 +8,7 @@ export const authAPI = {
       name: data.name,
       email: data.email,
       password: data.password,
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
     });
     return response;
   },
@@ -36,14 +37,46 @@ export const authAPI = {
     });
   },
 
+  // Request a password reset email
+  forgotPassword: async (email: string): Promise<{ message: string }> => {
+    return api.post<{ message: string }>('/auth/forgot-password', { email });
+  },
+
+  // Set a new password with the token from a reset email
+  resetPassword: async (token: string, password: string): Promise<{ message: string }> => {
+    return api.post<{ message: string }>(`/auth/reset-password/${token}`, { password });
+  },
+
   // Verify JWT token
   verifyToken: async (): Promise<{ valid: boolean; user: User }> => {
     return api.post<{ valid: boolean; user: User }>('/auth/verify-token');
   },
 
-  // Logout (client-side only - remove token)
-  logout: () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  // Get a new access token from the refresh token cookie
+  refresh: refreshAccessToken,
+
+  // List the devices signed in to this account
+  getSessions: async (): Promise<{ sessions: AuthSession[] }> => {
+    return api.get<{ sessions: AuthSession[] }>('/auth/sessions');
+  },
+
+  // Sign out one device
+  revokeSession: async (sessionId: string): Promise<{ message: string }> => {
+    return api.delete<{ message: string }>(`/auth/sessions/${sessionId}`);
+  },
+
+  // Sign out every device except this one
+  revokeOtherSessions: async (): Promise<{ message: string; revoked: number }> => {
+    return api.delete<{ message: string; revoked: number }>('/auth/sessions');
+  },
+
+  // Logout: end the session on the server and remove local auth data
+  logout: async () => {
+    try {
+      await api.post('/auth/logout');
+    } finally {
+      localStorage.removeItem('token');
+      localStorage.removeItem('user');
+    }
   },
 };
\ No newline at end of file
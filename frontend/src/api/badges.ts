@@ -0,0 +1,14 @@
+import { API_BASE_URL } from './client';
+import { BadgeOptions, BadgeWidget } from '../types';
+
+// Address of an embeddable SVG widget. Served without logging in; the share
+// token is the only authorization.
+export const getBadgeUrl = (token: string, widget: BadgeWidget, options: BadgeOptions): string => {
+  const params = new URLSearchParams();
+  if (options.scope !== 'habit') params.append('scope', options.scope);
+  if (options.theme !== 'light') params.append('theme', options.theme);
+  if (options.color) params.append('color', options.color.replace('#', ''));
+
+  const query = params.toString();
+  return `${API_BASE_URL}/badges/${encodeURIComponent(token)}/${widget}.svg${query ? `?${query}` : ''}`;
+};
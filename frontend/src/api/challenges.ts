@@ -0,0 +1,33 @@
+import { api } from './client';
+import { Challenge, ChallengeForm, Habit, LeaderboardEntry } from '../types';
+
+export const challengesAPI = {
+  // Challenges the user takes part in
+  getChallenges: async (): Promise<{ challenges: Challenge[] }> => {
+    return api.get<{ challenges: Challenge[] }>('/challenges');
+  },
+
+  // Create a challenge; the creator joins it
+  createChallenge: async (data: ChallengeForm): Promise<{ message: string; challenge: Challenge; habit: Habit }> => {
+    return api.post<{ message: string; challenge: Challenge; habit: Habit }>('/challenges', data);
+  },
+
+  // Join with a join code; the template habit is added to the user's habits
+  joinChallenge: async (code: string): Promise<{ message: string; challenge: Challenge; habit: Habit }> => {
+    return api.post<{ message: string; challenge: Challenge; habit: Habit }>('/challenges/join', { code });
+  },
+
+  getChallenge: async (challengeId: string): Promise<{ challenge: Challenge; leaderboard: LeaderboardEntry[] }> => {
+    return api.get<{ challenge: Challenge; leaderboard: LeaderboardEntry[] }>(`/challenges/${challengeId}`);
+  },
+
+  // Leave a challenge; the habit stays in the user's list
+  leaveChallenge: async (challengeId: string): Promise<{ message: string }> => {
+    return api.post<{ message: string }>(`/challenges/${challengeId}/leave`);
+  },
+
+  // Delete a challenge (creator only)
+  deleteChallenge: async (challengeId: string): Promise<{ message: string }> => {
+    return api.delete<{ message: string }>(`/challenges/${challengeId}`);
+  },
+};
@@ -1,17 +1,50 @@
-import axios, { AxiosResponse, AxiosError } from 'axios';
-import { ApiResponse, ApiError } from '../types';
+import axios, { AxiosResponse, AxiosError, InternalAxiosRequestConfig } from 'axios';
+import { ApiResponse, ApiError, AuthResponse } from '../types';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
-// Create axios instance
+// Window events the auth context listens to when the client refreshes the
+// session on its own
+export const AUTH_EVENTS = {
+  refreshed: 'auth:token-refreshed',
+  expired: 'auth:session-expired',
+};
+
+// Create axios instance. Credentials are sent so the refresh token cookie
+// reaches /auth endpoints.
 const apiClient = axios.create({
   baseURL: API_BASE_URL,
   timeout: 10000,
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Auth endpoints whose 401s mean bad credentials, not an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+let refreshRequest: Promise<string> | null = null;
+
+// Get a new access token from the refresh token cookie. Concurrent 401s
+// share one refresh request.
+export const refreshAccessToken = (): Promise<string> => {
+  if (!refreshRequest) {
+    refreshRequest = axios
+      .post<AuthResponse>(`${API_BASE_URL}/auth/refresh`, {}, { withCredentials: true })
+      .then(response => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('user', JSON.stringify(response.data.user));
+        window.dispatchEvent(new CustomEvent(AUTH_EVENTS.refreshed, { detail: response.data }));
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 // Request interceptor to add auth token
 apiClient.interceptors.request.use(
   (config) => {
@@ -31,7 +64,26 @@ apiClient.interceptors.response.use(
   (response: AxiosResponse) => {
     return response;
   },
-  (error: AxiosError) => {
+  async (error: AxiosError) => {
+    const request = error.config as (InternalAxiosRequestConfig & { retried?: boolean }) | undefined;
+
+    // Expired or revoked access token: refresh once and replay the request
+    if (
+      error.response?.status === 401 &&
+      request &&
+      !request.retried &&
+      !NO_REFRESH_URLS.some(url => request.url?.startsWith(url))
+    ) {
+      request.retried = true;
+      try {
+        const token = await refreshAccessToken();
+        request.headers.Authorization = `Bearer ${token}`;
+        return apiClient(request);
+      } catch {
+        // The session is gone; fall through and sign out below
+      }
+    }
+
     const apiError: ApiError = {
       message: 'An unexpected error occurred',
       status: error.response?.status,
@@ -45,14 +97,15 @@ apiClient.interceptors.response.use(
       apiError.message = 'Network error - please check your connection';
     }
 
-    // Handle 401 errors by clearing auth data
-    if (error.response?.status === 401) {
+    // A 401 that survived the refresh attempt ends the session; the auth
+    // context signs out and protected routes send the user to /login
+    if (
+      error.response?.status === 401 &&
+      !NO_REFRESH_URLS.some(url => request?.url?.startsWith(url))
+    ) {
       localStorage.removeItem('token');
       localStorage.removeItem('user');
-      // Redirect to login if not already there
-      if (!window.location.pathname.includes('/login')) {
-        window.location.href = '/login';
-      }
+      window.dispatchEvent(new CustomEvent(AUTH_EVENTS.expired));
     }
 
     return Promise.reject(apiError);
@@ -0,0 +1,12 @@
+import apiClient from './client';
+import { ExportFormat } from '../types';
+
+export const exportAPI = {
+  // Download an export of the user's data as a file
+  downloadExport: async (format: ExportFormat): Promise<Blob> => {
+    const response = await apiClient.get<Blob>(`/export?format=${format}`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+};
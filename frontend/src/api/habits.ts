@@ -1,11 +1,15 @@
-import { api } from './client';
-import { Habit, HabitsResponse, HabitForm, HabitWithAnalytics } from '../types';
+import { api, API_BASE_URL } from './client';
+import { Habit, HabitsResponse, HabitForm, HabitStatus, HabitWithAnalytics } from '../types';
 
 export const habitsAPI = {
-  // Get all habits for the user
-  getHabits: async (includeTracking = false): Promise<HabitsResponse> => {
-    const params = includeTracking ? '?include_tracking=true' : '';
-    return api.get<HabitsResponse>(`/habits${params}`);
+  // Get the user's active, archived or all habits
+  getHabits: async (includeTracking = false, status: HabitStatus = 'active'): Promise<HabitsResponse> => {
+    const params = new URLSearchParams();
+    if (includeTracking) params.append('include_tracking', 'true');
+    if (status !== 'active') params.append('status', status);
+
+    const query = params.toString();
+    return api.get<HabitsResponse>(`/habits${query ? `?${query}` : ''}`);
   },
 
   // Get a specific habit with details
@@ -23,13 +27,47 @@ export const habitsAPI = {
     return api.put<{ habit: Habit }>(`/habits/${habitId}`, habitData);
   },
 
-  // Delete a habit (soft delete)
-  deleteHabit: async (habitId: string): Promise<{ message: string }> => {
-    return api.delete<{ message: string }>(`/habits/${habitId}`);
+  // Archive a habit; its history is kept and it can be restored
+  archiveHabit: async (habitId: string): Promise<{ message: string; habit: Habit }> => {
+    return api.delete<{ message: string; habit: Habit }>(`/habits/${habitId}`);
+  },
+
+  // Restore an archived habit
+  restoreHabit: async (habitId: string): Promise<{ message: string; habit: Habit }> => {
+    return api.post<{ message: string; habit: Habit }>(`/habits/${habitId}/restore`);
+  },
+
+  // Permanently delete a habit and all of its tracking history
+  deleteHabit: async (habitId: string): Promise<{ message: string; deletedEntries: number }> => {
+    return api.delete<{ message: string; deletedEntries: number }>(`/habits/${habitId}?permanent=true`);
+  },
+
+  // Create or rotate the token that authorizes a habit's embeddable badges.
+  // The token is only ever returned here.
+  createShareToken: async (habitId: string): Promise<{ message: string; shareToken: string; habit: Habit }> => {
+    return api.post<{ message: string; shareToken: string; habit: Habit }>(`/habits/${habitId}/share-token`);
+  },
+
+  // Revoke the token; embedded badges stop rendering
+  revokeShareToken: async (habitId: string): Promise<{ message: string }> => {
+    return api.delete<{ message: string }>(`/habits/${habitId}/share-token`);
+  },
+
+  // Enable or rotate the habit's check-in URL
+  createCheckinToken: async (habitId: string): Promise<{ message: string; checkinToken: string; habit: Habit }> => {
+    return api.post<{ message: string; checkinToken: string; habit: Habit }>(`/habits/${habitId}/checkin-token`);
+  },
+
+  // Disable the check-in URL
+  revokeCheckinToken: async (habitId: string): Promise<{ message: string }> => {
+    return api.delete<{ message: string }>(`/habits/${habitId}/checkin-token`);
   },
 
   // Reorder habits
   reorderHabits: async (habitOrders: { habitId: string; order: number }[]): Promise<{ habits: Habit[] }> => {
     return api.put<{ habits: Habit[] }>('/habits/reorder', { habitOrders });
   },
-};
\ No newline at end of file
+};
+
+// URL that marks a habit done with a POST, no login needed
+export const getCheckinUrl = (token: string): string => `${API_BASE_URL}/hooks/checkin/${encodeURIComponent(token)}`;
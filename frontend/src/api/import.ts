@@ -0,0 +1,9 @@
+import { api } from './client';
+import { ImportRequest, ImportResult } from '../types';
+
+export const importAPI = {
+  // Import history; with dryRun the result is a preview and nothing is saved
+  importData: async (request: ImportRequest): Promise<ImportResult> => {
+    return api.post<ImportResult>('/import', request);
+  },
+};
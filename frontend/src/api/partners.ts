@@ -0,0 +1,47 @@
+import { api } from './client';
+import { PartnerFeedItem, PartnerHabit, Partnership } from '../types';
+
+interface PartnerHabitsResponse {
+  partner: { id: string; name: string };
+  habits: PartnerHabit[];
+}
+
+export const partnersAPI = {
+  // Partners and pending invitations, sent and received
+  getPartners: async (): Promise<{ partnerships: Partnership[] }> => {
+    return api.get<{ partnerships: Partnership[] }>('/partners');
+  },
+
+  // Invite another user by email
+  invite: async (email: string): Promise<{ message: string; partnership: Partnership }> => {
+    return api.post<{ message: string; partnership: Partnership }>('/partners/invite', { email });
+  },
+
+  accept: async (partnershipId: string): Promise<{ message: string; partnership: Partnership }> => {
+    return api.post<{ message: string; partnership: Partnership }>(`/partners/${partnershipId}/accept`);
+  },
+
+  decline: async (partnershipId: string): Promise<{ message: string; partnership: Partnership }> => {
+    return api.post<{ message: string; partnership: Partnership }>(`/partners/${partnershipId}/decline`);
+  },
+
+  // Cancel an invitation or end a partnership
+  remove: async (partnershipId: string): Promise<{ message: string }> => {
+    return api.delete<{ message: string }>(`/partners/${partnershipId}`);
+  },
+
+  // Recent check-ins on habits partners share
+  getFeed: async (limit = 50): Promise<{ feed: PartnerFeedItem[] }> => {
+    return api.get<{ feed: PartnerFeedItem[] }>(`/partners/feed?limit=${limit}`);
+  },
+
+  // Habits a partner shares, with their streaks
+  getPartnerHabits: async (partnershipId: string): Promise<PartnerHabitsResponse> => {
+    return api.get<PartnerHabitsResponse>(`/partners/${partnershipId}/habits`);
+  },
+
+  // Nudge a partner, optionally about one of their habits
+  nudge: async (partnershipId: string, data: { habitId?: string; message?: string } = {}): Promise<{ message: string }> => {
+    return api.post<{ message: string }>(`/partners/${partnershipId}/nudge`, data);
+  },
+};
@@ -0,0 +1,30 @@
+import { api } from './client';
+import { Pause, PauseForm } from '../types';
+
+export const pausesAPI = {
+  // Pauses, newest first: a habit's own and account-wide ones with habitId,
+  // only those covering today with active
+  getPauses: async (params?: { habitId?: string; active?: boolean }): Promise<{ pauses: Pause[] }> => {
+    const queryParams = new URLSearchParams();
+    if (params?.habitId) queryParams.append('habitId', params.habitId);
+    if (params?.active) queryParams.append('active', 'true');
+
+    const query = queryParams.toString();
+    return api.get<{ pauses: Pause[] }>(`/pauses${query ? `?${query}` : ''}`);
+  },
+
+  // Pause one habit, or all of them without a habitId
+  createPause: async (data: PauseForm): Promise<{ message: string; pause: Pause }> => {
+    return api.post<{ message: string; pause: Pause }>('/pauses', data);
+  },
+
+  // Update a pause, e.g. set its end date to resume early
+  updatePause: async (pauseId: string, data: Partial<PauseForm>): Promise<{ message: string; pause: Pause }> => {
+    return api.put<{ message: string; pause: Pause }>(`/pauses/${pauseId}`, data);
+  },
+
+  // Delete a pause; its days count as due again
+  deletePause: async (pauseId: string): Promise<{ message: string }> => {
+    return api.delete<{ message: string }>(`/pauses/${pauseId}`);
+  },
+};
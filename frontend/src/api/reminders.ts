@@ -0,0 +1,34 @@
+import apiClient, { api } from './client';
+import { ReminderHistoryItem } from '../types';
+
+export const remindersAPI = {
+  // Recent reminders, sent or skipped, optionally for one habit
+  getHistory: async (habitId?: string, limit = 50): Promise<{ reminders: ReminderHistoryItem[] }> => {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (habitId) params.append('habitId', habitId);
+    return api.get<{ reminders: ReminderHistoryItem[] }>(`/reminders/history?${params}`);
+  },
+
+  // Remind again about a habit in a few minutes
+  snooze: async (habitId: string, minutes = 10): Promise<{ message: string; reminderSnoozedUntil: string }> => {
+    return api.post<{ message: string; reminderSnoozedUntil: string }>(`/reminders/${habitId}/snooze`, { minutes });
+  },
+
+  // VAPID public key for subscribing to push (404 PUSH_NOT_CONFIGURED without one)
+  getPushPublicKey: async (): Promise<{ publicKey: string }> => {
+    return api.get<{ publicKey: string }>('/reminders/push/public-key');
+  },
+
+  // Save this browser's push subscription
+  subscribePush: async (subscription: PushSubscriptionJSON): Promise<{ message: string }> => {
+    return api.post<{ message: string }>('/reminders/push/subscriptions', subscription);
+  },
+
+  // Remove this browser's push subscription
+  unsubscribePush: async (endpoint: string): Promise<{ message: string }> => {
+    const response = await apiClient.delete<{ message: string }>('/reminders/push/subscriptions', {
+      data: { endpoint },
+    });
+    return response.data;
+  },
+};
@@ -0,0 +1,26 @@
+import { api } from './client';
+import { PublicProgress, ShareLink, ShareLinkForm } from '../types';
+
+export const sharesAPI = {
+  // The user's public progress links
+  getShares: async (): Promise<{ shares: ShareLink[] }> => {
+    return api.get<{ shares: ShareLink[] }>('/shares');
+  },
+
+  createShare: async (data: ShareLinkForm): Promise<{ message: string; share: ShareLink }> => {
+    return api.post<{ message: string; share: ShareLink }>('/shares', data);
+  },
+
+  // Revoke a link; its page stops working
+  deleteShare: async (shareId: string): Promise<{ message: string }> => {
+    return api.delete<{ message: string }>(`/shares/${shareId}`);
+  },
+
+  // A published page; works without logging in
+  getPublicProgress: async (slug: string, year?: number): Promise<PublicProgress> => {
+    return api.get<PublicProgress>(`/public/${slug}${year ? `?year=${year}` : ''}`);
+  },
+};
+
+// Address of a published page
+export const getShareUrl = (slug: string): string => `${window.location.origin}/p/${slug}`;
@@ -0,0 +1,18 @@
+import { api } from './client';
+import { AccessToken, AccessTokenForm } from '../types';
+
+export const tokensAPI = {
+  // The user's personal access tokens and every scope a token can have
+  getTokens: async (): Promise<{ tokens: AccessToken[]; scopes: string[] }> => {
+    return api.get<{ tokens: AccessToken[]; scopes: string[] }>('/tokens');
+  },
+
+  // The plain token is only returned here
+  createToken: async (data: AccessTokenForm): Promise<{ message: string; token: string; accessToken: AccessToken }> => {
+    return api.post<{ message: string; token: string; accessToken: AccessToken }>('/tokens', data);
+  },
+
+  revokeToken: async (tokenId: string): Promise<{ message: string }> => {
+    return api.delete<{ message: string }>(`/tokens/${tokenId}`);
+  },
+};
@@ -1,5 +1,20 @@
 import { api } from './client';
-import { TrackingEntry, TrackingResponse, CalendarResponse, TrackingForm } from '../types';
+import { TrackingEntry, TrackingResponse, CalendarResponse, TrackingForm, CheckIn, CheckInForm } from '../types';
+import { QueuedTracking, queueTracking } from '../utils/offlineQueue';
+
+// Stand-in for an entry whose change is still queued offline
+const toQueuedEntry = (item: QueuedTracking): TrackingEntry => ({
+  _id: `offline-${item.key}`,
+  habitId: item.habitId,
+  userId: '',
+  date: `${item.date}T00:00:00.000Z`,
+  completed: Boolean(item.data.completed),
+  skipped: Boolean(item.data.skipped),
+  notes: item.data.notes,
+  value: item.data.value === '' ? undefined : item.data.value,
+  createdAt: item.queuedAt,
+  updatedAt: item.queuedAt,
+});
 
 export const trackingAPI = {
   // Get tracking entries
@@ -24,13 +39,25 @@ export const trackingAPI = {
     return api.get<CalendarResponse>(`/tracking/calendar?year=${year}&month=${month}`);
   },
 
-  // Create or update tracking entry
-  trackHabit: async (habitId: string, date: string, data: TrackingForm): Promise<{ entry: TrackingEntry }> => {
-    return api.post<{ entry: TrackingEntry }>('/tracking', {
-      habitId,
-      date,
-      ...data,
-    });
+  // Create or update tracking entry. Without a connection the change is
+  // queued for replay and a provisional entry is returned.
+  trackHabit: async (
+    habitId: string,
+    date: string,
+    data: Partial<TrackingForm>
+  ): Promise<{ entry: TrackingEntry; queued?: boolean }> => {
+    try {
+      return await api.post<{ entry: TrackingEntry }>('/tracking', {
+        habitId,
+        date,
+        ...data,
+      });
+    } catch (error: any) {
+      if (error.status) throw error; // The server answered, so this is a real error
+
+      const item = await queueTracking(habitId, date, data);
+      return { entry: toQueuedEntry(item), queued: true };
+    }
   },
 
   // Update a specific tracking entry
@@ -64,6 +91,21 @@ export const trackingAPI = {
     return api.get(`/tracking/habit/${habitId}${query ? `?${query}` : ''}`);
   },
 
+  // Add a check-in (a negative amount undoes part of the day's total)
+  addCheckIn: async (habitId: string, data: CheckInForm = {}): Promise<{ checkIn: CheckIn; entry: TrackingEntry }> => {
+    return api.post<{ checkIn: CheckIn; entry: TrackingEntry }>(`/tracking/${habitId}/checkins`, data);
+  },
+
+  // Get the check-ins of a habit for a day (defaults to today)
+  getCheckIns: async (habitId: string, date?: string): Promise<{
+    habitId: string;
+    date: string;
+    checkIns: CheckIn[];
+    total: number;
+  }> => {
+    return api.get(`/tracking/${habitId}/checkins${date ? `?date=${date}` : ''}`);
+  },
+
   // Get current streak for a habit
   getHabitStreak: async (habitId: string): Promise<{ habitId: string; currentStreak: number }> => {
     return api.get<{ habitId: string; currentStreak: number }>(`/tracking/streak/${habitId}`);
@@ -0,0 +1,40 @@
+import { api } from './client';
+import { Webhook, WebhookDelivery, WebhookForm } from '../types';
+
+export const webhooksAPI = {
+  // The user's webhooks and every event they can subscribe to
+  getWebhooks: async (): Promise<{ webhooks: Webhook[]; events: string[] }> => {
+    return api.get<{ webhooks: Webhook[]; events: string[] }>('/webhooks');
+  },
+
+  // The signing secret is only ever returned here and by rotateSecret
+  createWebhook: async (data: WebhookForm): Promise<{ message: string; secret: string; webhook: Webhook }> => {
+    return api.post<{ message: string; secret: string; webhook: Webhook }>('/webhooks', data);
+  },
+
+  updateWebhook: async (
+    webhookId: string,
+    data: Partial<WebhookForm> & { isActive?: boolean }
+  ): Promise<{ message: string; webhook: Webhook }> => {
+    return api.put<{ message: string; webhook: Webhook }>(`/webhooks/${webhookId}`, data);
+  },
+
+  // Replace the signing secret; the old one stops working at once
+  rotateSecret: async (webhookId: string): Promise<{ message: string; secret: string; webhook: Webhook }> => {
+    return api.post<{ message: string; secret: string; webhook: Webhook }>(`/webhooks/${webhookId}/secret`);
+  },
+
+  // Remove a webhook and its delivery log
+  deleteWebhook: async (webhookId: string): Promise<{ message: string }> => {
+    return api.delete<{ message: string }>(`/webhooks/${webhookId}`);
+  },
+
+  getDeliveries: async (webhookId: string): Promise<{ deliveries: WebhookDelivery[] }> => {
+    return api.get<{ deliveries: WebhookDelivery[] }>(`/webhooks/${webhookId}/deliveries`);
+  },
+
+  // Send a ping now; resolves once the first attempt finished
+  sendTestEvent: async (webhookId: string): Promise<{ message: string; delivery: WebhookDelivery }> => {
+    return api.post<{ message: string; delivery: WebhookDelivery }>(`/webhooks/${webhookId}/test`);
+  },
+};
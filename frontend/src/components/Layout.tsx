@@ -1,6 +1,10 @@
 import React, { useState } from 'react';
 import { Outlet, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import AchievementListener from './achievements/AchievementListener';
+import OfflineSync from './offline/OfflineSync';
+import PartnerListener from './partners/PartnerListener';
+import ReminderListener from './reminders/ReminderListener';
 
 // Icons (using simple SVG icons)
 const MenuIcon = () => (
@@ -34,6 +38,24 @@ const AnalyticsIcon = () => (
   </svg>
 );
 
+const TrophyIcon = () => (
+  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 21h8m-4-4v4m-5-17h10v5a5 5 0 01-10 0V4zm10 2h2a2 2 0 010 4h-2M7 6H5a2 2 0 000 4h2" />
+  </svg>
+);
+
+const ChallengesIcon = () => (
+  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 21v-4m0 0V5a2 2 0 012-2h6.5l1 1H21l-3 6 3 6h-8.5l-1-1H5a2 2 0 00-2 2zm9-13.5V9" />
+  </svg>
+);
+
+const PartnersIcon = () => (
+  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+  </svg>
+);
+
 const ProfileIcon = () => (
   <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
@@ -72,6 +94,9 @@ const Layout: React.FC = () => {
     { name: 'Dashboard', href: '/dashboard', icon: DashboardIcon },
     { name: 'Habits', href: '/habits', icon: HabitsIcon },
     { name: 'Analytics', href: '/analytics', icon: AnalyticsIcon },
+    { name: 'Achievements', href: '/achievements', icon: TrophyIcon },
+    { name: 'Challenges', href: '/challenges', icon: ChallengesIcon },
+    { name: 'Partners', href: '/partners', icon: PartnersIcon },
     { name: 'Profile', href: '/profile', icon: ProfileIcon },
   ];
 
@@ -184,10 +209,15 @@ const Layout: React.FC = () => {
           </div>
         </div>
 
+        <OfflineSync />
+
         {/* Page content */}
         <main className="flex-1 relative overflow-y-auto focus:outline-none">
           <Outlet />
         </main>
+        <ReminderListener />
+        <AchievementListener />
+        <PartnerListener />
       </div>
     </div>
   );
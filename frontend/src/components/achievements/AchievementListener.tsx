@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from 'react';
+import Confetti from 'react-confetti';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useSocketEvent } from '../../context/SocketContext';
+
+const CONFETTI_PIECES = 300;
+
+// Celebrates achievements as they are unlocked (on any device): a burst of
+// confetti and a toast linking to the trophy case
+const AchievementListener: React.FC = () => {
+  const [celebrating, setCelebrating] = useState(false);
+  const [size, setSize] = useState({ width: window.innerWidth, height: window.innerHeight });
+
+  useEffect(() => {
+    if (!celebrating) return;
+
+    const handleResize = () => setSize({ width: window.innerWidth, height: window.innerHeight });
+    window.addEventListener('resize', handleResize);
+    return () => window.removeEventListener('resize', handleResize);
+  }, [celebrating]);
+
+  useSocketEvent('achievement-unlocked', (achievement) => {
+    setSize({ width: window.innerWidth, height: window.innerHeight });
+    setCelebrating(true);
+    toast.success(
+      <div>
+        <p className="font-medium text-gray-900">
+          {achievement.icon} Achievement unlocked: {achievement.title}
+        </p>
+        <p className="text-sm text-gray-600">{achievement.description}</p>
+        <Link to="/achievements" className="text-xs font-medium text-primary-600 hover:text-primary-700">
+          View trophy case
+        </Link>
+      </div>,
+      { toastId: `achievement-${achievement.key}`, autoClose: 8000 }
+    );
+  });
+
+  if (!celebrating) return null;
+
+  return (
+    <Confetti
+      width={size.width}
+      height={size.height}
+      numberOfPieces={CONFETTI_PIECES}
+      recycle={false}
+      onConfettiComplete={() => setCelebrating(false)}
+      style={{ position: 'fixed', inset: 0, zIndex: 50, pointerEvents: 'none' }}
+    />
+  );
+};
+
+export default AchievementListener;
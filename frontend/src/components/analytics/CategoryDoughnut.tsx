@@ -0,0 +1,68 @@
+import React from 'react';
+import { Doughnut } from 'react-chartjs-2';
+import { TrendData } from '../../types';
+import { CATEGORY_COLORS } from './chartSetup';
+
+interface CategoryDoughnutProps {
+  trends: TrendData[];
+}
+
+const capitalize = (text: string) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Completions per category over the trend period
+const CategoryDoughnut: React.FC<CategoryDoughnutProps> = ({ trends }) => {
+  const totals = trends.reduce<Record<string, { total: number; completed: number }>>((acc, trend) => {
+    Object.entries(trend.categoryBreakdown).forEach(([category, counts]) => {
+      const current = acc[category] || { total: 0, completed: 0 };
+      acc[category] = {
+        total: current.total + counts.total,
+        completed: current.completed + counts.completed,
+      };
+    });
+    return acc;
+  }, {});
+
+  const categories = Object.keys(totals).filter(category => totals[category].completed > 0);
+
+  const data = {
+    labels: categories.map(capitalize),
+    datasets: [
+      {
+        data: categories.map(category => totals[category].completed),
+        backgroundColor: categories.map(category => CATEGORY_COLORS[category] || CATEGORY_COLORS.other),
+        borderWidth: 0,
+      },
+    ],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'bottom' as const },
+      tooltip: {
+        callbacks: {
+          label: (context: any) => {
+            const counts = totals[categories[context.dataIndex]];
+            return ` ${counts.completed} of ${counts.total} completed`;
+          },
+        },
+      },
+    },
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">By Category</h2>
+      {categories.length === 0 ? (
+        <p className="text-center py-12 text-sm text-gray-500 dark:text-gray-400">No completions in this period.</p>
+      ) : (
+        <div className="chart-container">
+          <Doughnut data={data} options={options} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategoryDoughnut;
@@ -0,0 +1,256 @@
+import React, { useEffect, useState } from 'react';
+import { Bar } from 'react-chartjs-2';
+import { toast } from 'react-toastify';
+import { analyticsAPI } from '../../api/analytics';
+import { Analytics, Habit, Insight } from '../../types';
+import LoadingSpinner from '../LoadingSpinner';
+import { percentScale } from './chartSetup';
+
+interface HabitDrillDownProps {
+  habits: Array<{ id: string; name: string; color: string }>;
+}
+
+const RANGE_OPTIONS = [30, 90, 365];
+
+const INSIGHT_CLASSES: Record<Insight['type'], string> = {
+  success: 'bg-success-50 text-success-800 dark:bg-success-900 dark:text-success-100',
+  warning: 'bg-warning-50 text-warning-800 dark:bg-warning-900 dark:text-warning-100',
+  danger: 'bg-danger-50 text-danger-800 dark:bg-danger-900 dark:text-danger-100',
+  info: 'bg-primary-50 text-primary-800 dark:bg-primary-900 dark:text-primary-100',
+};
+
+const plural = (count: number, unit: string) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+const HabitDrillDown: React.FC<HabitDrillDownProps> = ({ habits }) => {
+  const [habitId, setHabitId] = useState<string>(habits[0]?.id || '');
+  const [days, setDays] = useState(30);
+  const [habit, setHabit] = useState<Habit | null>(null);
+  const [analytics, setAnalytics] = useState<Analytics | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  // Keep a valid selection when the habit list changes
+  useEffect(() => {
+    if (!habits.some(h => h.id === habitId)) {
+      setHabitId(habits[0]?.id || '');
+    }
+  }, [habits, habitId]);
+
+  useEffect(() => {
+    if (!habitId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    analyticsAPI.getHabitAnalytics(habitId, days)
+      .then(response => {
+        if (cancelled) return;
+        setHabit(response.habit);
+        setAnalytics(response.analytics);
+      })
+      .catch((error: any) => {
+        if (!cancelled) toast.error(error.message || 'Could not load habit analytics');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [habitId, days]);
+
+  if (habits.length === 0) return null;
+
+  const quantitative = Boolean(analytics?.progress);
+  const color = habit?.color || '#3B82F6';
+
+  const dailyChart = analytics && {
+    labels: analytics.dailyData.map(day => day.date.slice(5)),
+    datasets: [
+      quantitative
+        ? {
+            label: analytics.progress?.target.unit || 'Value',
+            data: analytics.dailyData.map(day => day.value ?? 0),
+            backgroundColor: analytics.dailyData.map(day => (day.completed ? color : '#9CA3AF')),
+          }
+        : {
+            label: 'Completed',
+            // Full bars for completions, short red bars for missed due days
+            data: analytics.dailyData.map(day => (day.completed ? 1 : day.due ? 0.25 : 0)),
+            backgroundColor: analytics.dailyData.map(day => (day.completed ? color : '#EF4444')),
+          },
+    ],
+  };
+
+  const weeklyChart = analytics && {
+    labels: analytics.weeklyData.map(week => week.startDate.slice(5)),
+    datasets: [
+      {
+        label: 'Completion rate',
+        data: analytics.weeklyData.map(week => Math.round(week.completionRate)),
+        backgroundColor: color,
+      },
+    ],
+  };
+
+  const summary = analytics?.summary;
+  const streakTarget = analytics?.predictions.streakTarget;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-6">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Habit Details</h2>
+        <div className="flex gap-2">
+          <select
+            value={habitId}
+            onChange={e => setHabitId(e.target.value)}
+            className="text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white focus:border-primary-500 focus:ring-primary-500"
+            aria-label="Habit"
+          >
+            {habits.map(h => (
+              <option key={h.id} value={h.id}>{h.name}</option>
+            ))}
+          </select>
+          <select
+            value={days}
+            onChange={e => setDays(Number(e.target.value))}
+            className="text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white focus:border-primary-500 focus:ring-primary-500"
+            aria-label="Range"
+          >
+            {RANGE_OPTIONS.map(option => (
+              <option key={option} value={option}>Last {option} days</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading || !analytics || !summary ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+            <div>
+              <p className="text-gray-500 dark:text-gray-400">Completion</p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">{summary.completionRate}%</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {summary.completedOccurrences} of {summary.dueOccurrences} due
+              </p>
+            </div>
+            <div>
+              <p className="text-gray-500 dark:text-gray-400">Current streak</p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                {plural(summary.currentStreak, summary.streakUnit)}
+              </p>
+            </div>
+            <div>
+              <p className="text-gray-500 dark:text-gray-400">Longest in range</p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">
+                {plural(summary.longestStreak, summary.streakUnit)}
+              </p>
+            </div>
+            <div>
+              <p className="text-gray-500 dark:text-gray-400">Average mood</p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">{summary.averageMood ?? '–'}</p>
+            </div>
+            <div>
+              <p className="text-gray-500 dark:text-gray-400">Average difficulty</p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-white">{summary.averageDifficulty ?? '–'}</p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Daily</h3>
+              <div className="chart-container">
+                {dailyChart && (
+                  <Bar
+                    data={dailyChart}
+                    options={{
+                      responsive: true,
+                      maintainAspectRatio: false,
+                      plugins: { legend: { display: false }, tooltip: { enabled: quantitative } },
+                      scales: quantitative ? { y: { beginAtZero: true } } : { y: { display: false, max: 1 } },
+                    }}
+                  />
+                )}
+              </div>
+            </div>
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Weekly completion</h3>
+              <div className="chart-container">
+                {weeklyChart && (
+                  <Bar
+                    data={weeklyChart}
+                    options={{
+                      responsive: true,
+                      maintainAspectRatio: false,
+                      plugins: { legend: { display: false } },
+                      scales: { y: percentScale },
+                    }}
+                  />
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Predictions</h3>
+              {streakTarget ? (
+                <div className="space-y-3 text-sm text-gray-700 dark:text-gray-300">
+                  <div>
+                    <div className="flex justify-between mb-1">
+                      <span>Streak target</span>
+                      <span>{streakTarget.current} / {plural(streakTarget.target, streakTarget.unit)}</span>
+                    </div>
+                    <div className="h-2 rounded-full bg-gray-100 dark:bg-gray-700">
+                      <div
+                        className="h-2 rounded-full"
+                        style={{
+                          width: `${Math.min(100, (streakTarget.current / streakTarget.target) * 100)}%`,
+                          backgroundColor: color,
+                        }}
+                      />
+                    </div>
+                  </div>
+                  {streakTarget.remaining > 0 && streakTarget.estimatedDate && (
+                    <p>
+                      Keep it up and you'll reach your target on <strong>{streakTarget.estimatedDate}</strong>{' '}
+                      ({plural(streakTarget.daysRemaining, 'day')} away).
+                    </p>
+                  )}
+                  {analytics.predictions.nextMilestone && (
+                    <p>
+                      Next milestone: <strong>{analytics.predictions.nextMilestone.days}</strong>{' '}
+                      ({analytics.predictions.nextMilestone.remaining} to go)
+                    </p>
+                  )}
+                  <p>Chance of success: <strong>{analytics.predictions.probabilityOfSuccess}%</strong></p>
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Complete this habit to see predictions.</p>
+              )}
+            </div>
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Insights</h3>
+              {analytics.insights.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No insights yet.</p>
+              ) : (
+                <ul className="space-y-2">
+                  {analytics.insights.map((insight, index) => (
+                    <li key={index} className={`rounded-md px-3 py-2 text-sm ${INSIGHT_CLASSES[insight.type]}`}>
+                      {insight.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HabitDrillDown;
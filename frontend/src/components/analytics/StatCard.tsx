@@ -0,0 +1,17 @@
+import React from 'react';
+
+interface StatCardProps {
+  label: string;
+  value: React.ReactNode;
+  hint?: string;
+}
+
+const StatCard: React.FC<StatCardProps> = ({ label, value, hint }) => (
+  <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-soft">
+    <p className="text-sm font-medium text-gray-600 dark:text-gray-400">{label}</p>
+    <p className="text-3xl font-bold text-gray-900 dark:text-white">{value}</p>
+    {hint && <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{hint}</p>}
+  </div>
+);
+
+export default StatCard;
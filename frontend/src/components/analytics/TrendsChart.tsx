@@ -0,0 +1,96 @@
+import React from 'react';
+import { Line } from 'react-chartjs-2';
+import { TrendData } from '../../types';
+import { percentScale } from './chartSetup';
+
+export type TrendPeriod = 'week' | 'month' | 'quarter' | 'year';
+export type TrendGroupBy = 'day' | 'week' | 'month';
+
+interface TrendsChartProps {
+  trends: TrendData[];
+  period: TrendPeriod;
+  groupBy: TrendGroupBy;
+  onPeriodChange: (period: TrendPeriod) => void;
+  onGroupByChange: (groupBy: TrendGroupBy) => void;
+}
+
+const selectClasses = 'text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white focus:border-primary-500 focus:ring-primary-500';
+
+const formatLabel = (trend: TrendData, groupBy: TrendGroupBy): string =>
+  groupBy === 'day' ? trend.startDate.slice(5) : `${trend.startDate.slice(5)} – ${trend.endDate.slice(5)}`;
+
+const TrendsChart: React.FC<TrendsChartProps> = ({ trends, period, groupBy, onPeriodChange, onGroupByChange }) => {
+  const data = {
+    labels: trends.map(trend => formatLabel(trend, groupBy)),
+    datasets: [
+      {
+        label: 'Completion rate',
+        data: trends.map(trend => Math.round(trend.completionRate)),
+        borderColor: '#3B82F6',
+        backgroundColor: 'rgba(59, 130, 246, 0.15)',
+        fill: true,
+        tension: 0.3,
+        yAxisID: 'rate',
+      },
+      {
+        label: 'Completed',
+        data: trends.map(trend => trend.completedOccurrences),
+        borderColor: '#10B981',
+        backgroundColor: '#10B981',
+        tension: 0.3,
+        yAxisID: 'count',
+      },
+    ],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index' as const, intersect: false },
+    scales: {
+      rate: { ...percentScale, position: 'left' as const },
+      count: { beginAtZero: true, position: 'right' as const, grid: { drawOnChartArea: false } },
+    },
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Trends</h2>
+        <div className="flex gap-2">
+          <select
+            value={period}
+            onChange={e => onPeriodChange(e.target.value as TrendPeriod)}
+            className={selectClasses}
+            aria-label="Trend period"
+          >
+            <option value="week">Last week</option>
+            <option value="month">Last month</option>
+            <option value="quarter">Last quarter</option>
+            <option value="year">Last year</option>
+          </select>
+          <select
+            value={groupBy}
+            onChange={e => onGroupByChange(e.target.value as TrendGroupBy)}
+            className={selectClasses}
+            aria-label="Group by"
+          >
+            <option value="day">By day</option>
+            <option value="week">By week</option>
+            <option value="month">By month</option>
+          </select>
+        </div>
+      </div>
+
+      {trends.length === 0 ? (
+        <p className="text-center py-12 text-sm text-gray-500 dark:text-gray-400">No data for this period.</p>
+      ) : (
+        <div className="chart-container">
+          <Line data={data} options={options} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrendsChart;
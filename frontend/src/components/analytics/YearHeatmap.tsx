@@ -0,0 +1,174 @@
+import React, { useMemo, useState } from 'react';
+import { HeatmapData } from '../../types';
+
+interface YearHeatmapProps {
+  year: number;
+  data: HeatmapData;
+  onYearChange: (year: number) => void;
+  maxYear: number;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAY_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+
+// Cell shade by completion rate; days with nothing due stay neutral
+const getLevelClass = (totalHabits: number, completionRate: number): string => {
+  if (totalHabits === 0) return 'bg-gray-100 dark:bg-gray-700';
+  if (completionRate === 0) return 'bg-success-100 dark:bg-success-900';
+  if (completionRate < 50) return 'bg-success-300 dark:bg-success-700';
+  if (completionRate < 100) return 'bg-success-500';
+  return 'bg-success-700 dark:bg-success-400';
+};
+
+const LEGEND = [
+  { label: 'Nothing due', className: getLevelClass(0, 0) },
+  { label: '0%', className: getLevelClass(1, 0) },
+  { label: 'Under 50%', className: getLevelClass(1, 25) },
+  { label: 'Under 100%', className: getLevelClass(1, 75) },
+  { label: '100%', className: getLevelClass(1, 100) },
+];
+
+// Monday-first columns of date keys covering the year; null pads the first
+// and last weeks
+const buildWeeks = (year: number): (string | null)[][] => {
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year, 11, 31);
+  const weeks: (string | null)[][] = [];
+  let week: (string | null)[] = Array((new Date(start).getUTCDay() + 6) % 7).fill(null);
+
+  for (let time = start; time <= end; time += DAY_MS) {
+    week.push(new Date(time).toISOString().split('T')[0]);
+    if (week.length === 7) {
+      weeks.push(week);
+      week = [];
+    }
+  }
+  if (week.length > 0) {
+    weeks.push([...week, ...Array(7 - week.length).fill(null)]);
+  }
+
+  return weeks;
+};
+
+const YearHeatmap: React.FC<YearHeatmapProps> = ({ year, data, onYearChange, maxYear }) => {
+  const [selectedDay, setSelectedDay] = useState<string | null>(null);
+  const weeks = useMemo(() => buildWeeks(year), [year]);
+  const selected = selectedDay ? data[selectedDay] : null;
+
+  // Month label above the first week that starts in each month
+  const monthLabels = weeks.map((week, index) => {
+    const firstDay = week.find(Boolean);
+    if (!firstDay) return '';
+    const month = Number(firstDay.slice(5, 7)) - 1;
+    const previous = index > 0 ? weeks[index - 1].find(Boolean) : null;
+    return !previous || Number(previous.slice(5, 7)) - 1 !== month ? MONTHS[month] : '';
+  });
+
+  const totals = Object.values(data).reduce(
+    (acc, day) => ({ due: acc.due + day.totalHabits, completed: acc.completed + day.completedHabits }),
+    { due: 0, completed: 0 }
+  );
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Year at a Glance</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {totals.completed} of {totals.due} due check-ins completed in {year}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => onYearChange(year - 1)}
+            className="px-2 py-1 rounded-md bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600"
+            aria-label="Previous year"
+          >
+            &lsaquo;
+          </button>
+          <span className="font-medium text-gray-900 dark:text-white">{year}</span>
+          <button
+            type="button"
+            onClick={() => onYearChange(year + 1)}
+            disabled={year >= maxYear}
+            className="px-2 py-1 rounded-md bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+            aria-label="Next year"
+          >
+            &rsaquo;
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <div className="inline-flex gap-1">
+          <div className="flex flex-col gap-1 mr-1 pt-5">
+            {WEEKDAY_LABELS.map((label, index) => (
+              <span key={index} className="h-3 text-[10px] leading-3 text-gray-400">{label}</span>
+            ))}
+          </div>
+          {weeks.map((week, weekIndex) => (
+            <div key={weekIndex} className="flex flex-col gap-1">
+              <span className="h-4 text-[10px] leading-4 text-gray-400 whitespace-nowrap">{monthLabels[weekIndex]}</span>
+              {week.map((dateKey, dayIndex) => {
+                const day = dateKey ? data[dateKey] : null;
+                if (!dateKey || !day) {
+                  return <span key={dayIndex} className="w-3 h-3" />;
+                }
+                return (
+                  <button
+                    key={dayIndex}
+                    type="button"
+                    onClick={() => setSelectedDay(dateKey === selectedDay ? null : dateKey)}
+                    title={`${dateKey}: ${day.completedHabits}/${day.totalHabits} completed`}
+                    aria-label={`${dateKey}: ${day.completedHabits} of ${day.totalHabits} completed`}
+                    className={`w-3 h-3 rounded-sm ${getLevelClass(day.totalHabits, day.completionRate)} ${
+                      dateKey === selectedDay ? 'ring-2 ring-primary-500' : ''
+                    }`}
+                  />
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-3 text-xs text-gray-500 dark:text-gray-400">
+        {LEGEND.map(item => (
+          <span key={item.label} className="flex items-center gap-1">
+            <span className={`w-3 h-3 rounded-sm ${item.className}`} />
+            {item.label}
+          </span>
+        ))}
+      </div>
+
+      {selected && (
+        <div className="mt-4 border-t border-gray-200 dark:border-gray-700 pt-4">
+          <p className="text-sm font-medium text-gray-900 dark:text-white mb-2">
+            {selected.date}: {selected.completedHabits}/{selected.totalHabits} completed
+          </p>
+          {selected.habits.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Nothing tracked on this day.</p>
+          ) : (
+            <ul className="flex flex-wrap gap-2">
+              {selected.habits.map(habit => (
+                <li
+                  key={habit.habitId}
+                  className="flex items-center gap-1 px-2 py-1 rounded-full text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200"
+                >
+                  <span className="w-2 h-2 rounded-full" style={{ backgroundColor: habit.color }} />
+                  {habit.name}
+                  {habit.completed && <span className="text-success-600 dark:text-success-400">✓</span>}
+                  {habit.skipped && !habit.completed && <span className="text-gray-400">skipped</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default YearHeatmap;
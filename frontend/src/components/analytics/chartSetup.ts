@@ -0,0 +1,44 @@
+import {
+  Chart as ChartJS,
+  ArcElement,
+  BarElement,
+  CategoryScale,
+  Filler,
+  Legend,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip,
+} from 'chart.js';
+
+// Chart.js is tree-shaken, so the pieces the analytics charts use are
+// registered once here
+ChartJS.register(
+  ArcElement,
+  BarElement,
+  CategoryScale,
+  Filler,
+  Legend,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip
+);
+
+export const CATEGORY_COLORS: Record<string, string> = {
+  health: '#10B981',
+  fitness: '#EF4444',
+  productivity: '#3B82F6',
+  learning: '#8B5CF6',
+  social: '#F59E0B',
+  spiritual: '#14B8A6',
+  creative: '#EC4899',
+  other: '#6B7280',
+};
+
+// Shared axis setup for percentage charts
+export const percentScale = {
+  min: 0,
+  max: 100,
+  ticks: { callback: (value: string | number) => `${value}%` },
+};
@@ -0,0 +1,82 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { TrackingEntry } from '../../types';
+
+export interface ActivityHabit {
+  name: string;
+  color: string;
+  unit?: string;
+}
+
+interface RecentActivityProps {
+  entries: TrackingEntry[];
+  getHabit: (entry: TrackingEntry) => ActivityHabit | undefined;
+}
+
+// "just now", "5m ago", "3h ago", then the calendar date
+const formatRelativeTime = (timestamp: string): string => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+const describeEntry = (entry: TrackingEntry, habit?: ActivityHabit): string => {
+  const name = habit?.name || 'a habit';
+  if (entry.value !== undefined && entry.value !== null) {
+    return `Logged ${entry.value}${habit?.unit ? ` ${habit.unit}` : ''} for ${name}`;
+  }
+  return entry.completed ? `Completed ${name}` : `Marked ${name} as not done`;
+};
+
+const RecentActivity: React.FC<RecentActivityProps> = ({ entries, getHabit }) => {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
+        Recent Activity
+      </h2>
+
+      {entries.length === 0 ? (
+        <div className="text-center py-12">
+          <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+          </svg>
+          <h3 className="mt-4 text-lg font-medium text-gray-900 dark:text-white">No activity yet</h3>
+          <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+            Tracked habits will show up here.
+          </p>
+          <div className="mt-6">
+            <Link
+              to="/habits"
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-lg shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+            >
+              Go to habits
+            </Link>
+          </div>
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {entries.map(entry => {
+            const habit = getHabit(entry);
+            return (
+              <li key={entry._id} className="flex items-center gap-3 text-sm">
+                <span
+                  className="w-2.5 h-2.5 rounded-full shrink-0"
+                  style={{ backgroundColor: habit?.color || '#9CA3AF' }}
+                />
+                <span className="flex-1 min-w-0 truncate text-gray-700 dark:text-gray-300">
+                  {describeEntry(entry, habit)}
+                  <span className="text-gray-400"> · {entry.date.split('T')[0]}</span>
+                </span>
+                <span className="shrink-0 text-xs text-gray-400">{formatRelativeTime(entry.updatedAt)}</span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RecentActivity;
@@ -0,0 +1,143 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Habit, TrackingEntry } from '../../types';
+import { getPeriodLabel } from '../habits/constants';
+
+export interface DueHabit {
+  habit: Habit;
+  todayEntry?: TrackingEntry;
+  // Weekly and monthly habits already met earlier in their period
+  periodDone: boolean;
+}
+
+interface TodayHabitsProps {
+  habits: DueHabit[];
+  busyId: string | null;
+  onTrack: (habitId: string, completed: boolean) => void;
+  onCheckIn: (habitId: string, amount: number) => void;
+  onSkip: (habitId: string, skipped: boolean) => void;
+  pausedCount: number; // Habits left out because they are paused
+}
+
+const TodayHabits: React.FC<TodayHabitsProps> = ({ habits, busyId, onTrack, onCheckIn, onSkip, pausedCount }) => {
+  // Skipped habits are excused, so they don't count toward the total
+  const dueCount = habits.filter(item => !item.todayEntry?.skipped).length;
+  const doneCount = habits.filter(item => item.todayEntry?.completed || item.periodDone).length;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Due Today</h2>
+        {habits.length > 0 && (
+          <span className="text-sm text-gray-500 dark:text-gray-400">
+            {doneCount} of {dueCount} done
+          </span>
+        )}
+      </div>
+
+      {habits.length === 0 ? (
+        <div className="text-center py-8">
+          <p className="text-sm text-gray-500 dark:text-gray-400">Nothing due today.</p>
+          <Link to="/habits" className="mt-2 inline-block text-sm font-medium text-primary-600 hover:text-primary-700">
+            Manage habits
+          </Link>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {habits.map(({ habit, todayEntry, periodDone }) => {
+            const completed = Boolean(todayEntry?.completed);
+            const skipped = Boolean(todayEntry?.skipped) && !completed;
+            const quantitative = habit.target?.amount !== null && habit.target?.amount !== undefined;
+            const busy = busyId === habit._id;
+
+            return (
+              <li key={habit._id} className="flex items-center gap-3 py-3">
+                <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: habit.color }} />
+                <div className="min-w-0 flex-1">
+                  <p className={`font-medium truncate ${completed || periodDone ? 'text-gray-400 line-through' : skipped ? 'text-gray-400' : 'text-gray-900 dark:text-white'}`}>
+                    {habit.name}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {skipped && 'Skipped today · '}
+                    {habit.frequency !== 'daily' && `Due this ${getPeriodLabel(habit.frequency)}`}
+                    {habit.frequency !== 'daily' && periodDone && ' · done'}
+                    {habit.frequency === 'daily' && habit.reminderTime && `Reminder at ${habit.reminderTime}`}
+                    {quantitative && (
+                      <>
+                        {habit.frequency !== 'daily' || habit.reminderTime ? ' · ' : ''}
+                        {todayEntry?.value ?? 0} / {habit.target?.amount} {habit.target?.unit}
+                      </>
+                    )}
+                  </p>
+                </div>
+
+                {!completed && !periodDone && (
+                  <button
+                    type="button"
+                    onClick={() => onSkip(habit._id, !skipped)}
+                    disabled={busy}
+                    className="shrink-0 px-2 py-1 text-xs font-medium text-gray-500 dark:text-gray-400 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+                    title={skipped ? undefined : 'Excuse today without breaking the streak'}
+                  >
+                    {skipped ? 'Undo skip' : 'Skip'}
+                  </button>
+                )}
+
+                {skipped ? null : quantitative ? (
+                  <div className="flex items-center gap-1 shrink-0">
+                    <button
+                      type="button"
+                      onClick={() => onCheckIn(habit._id, -1)}
+                      disabled={busy || !todayEntry?.value}
+                      className="w-8 h-8 rounded-md bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+                      aria-label={`Remove one from ${habit.name}`}
+                    >
+                      −
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onCheckIn(habit._id, 1)}
+                      disabled={busy}
+                      className="w-8 h-8 rounded-md bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50"
+                      aria-label={`Add one to ${habit.name}`}
+                    >
+                      +
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => onTrack(habit._id, !completed)}
+                    disabled={busy}
+                    className={`w-8 h-8 rounded-full border-2 flex items-center justify-center shrink-0 disabled:opacity-50 ${
+                      completed
+                        ? 'bg-success-500 border-success-500 text-white'
+                        : 'border-gray-300 dark:border-gray-600 text-transparent hover:border-success-500 hover:text-success-500'
+                    }`}
+                    aria-label={completed ? `Mark ${habit.name} as not done` : `Mark ${habit.name} as done`}
+                    aria-pressed={completed}
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
+                    </svg>
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {pausedCount > 0 && (
+        <p className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+          {pausedCount} paused {pausedCount === 1 ? 'habit' : 'habits'} hidden.{' '}
+          <Link to="/profile" className="font-medium text-primary-600 hover:text-primary-700">
+            Manage time off
+          </Link>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TodayHabits;
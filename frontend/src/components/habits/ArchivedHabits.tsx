@@ -0,0 +1,124 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { habitsAPI } from '../../api/habits';
+import { useSocketEvent } from '../../context/SocketContext';
+import { Habit } from '../../types';
+import LoadingSpinner from '../LoadingSpinner';
+import { capitalize } from './constants';
+
+interface ArchivedHabitsProps {
+  onRestored: (habit: Habit) => void;
+}
+
+const formatDate = (value?: string | null) => value ? new Date(value).toLocaleDateString() : null;
+
+// Archived habits with their history kept: restore them, or delete them and
+// their history for good
+const ArchivedHabits: React.FC<ArchivedHabitsProps> = ({ onRestored }) => {
+  const [habits, setHabits] = useState<Habit[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const loadHabits = useCallback(async () => {
+    try {
+      const response = await habitsAPI.getHabits(false, 'archived');
+      setHabits(response.habits);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load archived habits');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHabits();
+  }, [loadHabits]);
+
+  // Archived, restored or deleted on another device
+  useSocketEvent('habit-deleted', loadHabits);
+  useSocketEvent('habit-restored', loadHabits);
+
+  const handleRestore = async (habit: Habit) => {
+    setBusyId(habit._id);
+    try {
+      const response = await habitsAPI.restoreHabit(habit._id);
+      setHabits(current => current.filter(h => h._id !== habit._id));
+      onRestored(response.habit);
+      toast.success(`${habit.name} restored`);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not restore habit');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (habit: Habit) => {
+    if (!window.confirm(`Permanently delete "${habit.name}" and all of its history? This cannot be undone.`)) return;
+
+    setBusyId(habit._id);
+    try {
+      await habitsAPI.deleteHabit(habit._id);
+      setHabits(current => current.filter(h => h._id !== habit._id));
+      toast.success(`${habit.name} deleted`);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not delete habit');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  if (habits.length === 0) {
+    return (
+      <p className="text-center py-12 text-sm text-gray-500 dark:text-gray-400">
+        No archived habits. Archiving a habit hides it from tracking and keeps its history.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="bg-white dark:bg-gray-800 rounded-lg shadow-soft divide-y divide-gray-100 dark:divide-gray-700">
+      {habits.map(habit => (
+        <li key={habit._id} className="flex items-center justify-between gap-4 p-4">
+          <div className="flex items-center gap-3 min-w-0">
+            <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: habit.color }} />
+            <div className="min-w-0">
+              <p className="font-medium text-gray-900 dark:text-white truncate">{habit.name}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {capitalize(habit.category)} &middot; {capitalize(habit.frequency)}
+                {habit.archivedAt && <> &middot; Archived {formatDate(habit.archivedAt)}</>}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2 shrink-0">
+            <button
+              type="button"
+              onClick={() => handleRestore(habit)}
+              disabled={busyId !== null}
+              className="px-3 py-1.5 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              {busyId === habit._id ? <LoadingSpinner size="small" /> : 'Restore'}
+            </button>
+            <button
+              type="button"
+              onClick={() => handleDelete(habit)}
+              disabled={busyId !== null}
+              className="px-3 py-1.5 text-sm font-medium text-danger-700 bg-danger-50 rounded-md hover:bg-danger-100 dark:bg-danger-900 dark:text-danger-100 disabled:opacity-50"
+            >
+              Delete forever
+            </button>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ArchivedHabits;
@@ -0,0 +1,135 @@
+import React from 'react';
+import { HabitCardProps } from '../../types';
+import { capitalize, getPeriodLabel } from './constants';
+
+const HabitCard: React.FC<HabitCardProps> = ({
+  habit,
+  todayEntry,
+  onEdit,
+  onDelete,
+  onTrack,
+  onCheckIn,
+  draggable = false,
+}) => {
+  const completed = Boolean(todayEntry?.completed);
+  const quantitative = habit.target?.amount !== null && habit.target?.amount !== undefined;
+  const todayValue = todayEntry?.value ?? 0;
+  const streakUnit = getPeriodLabel(habit.frequency);
+
+  return (
+    <div
+      className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-5 border-l-4 hover-lift h-full flex flex-col"
+      style={{ borderLeftColor: habit.color }}
+    >
+      <div className="flex items-start justify-between gap-3">
+        <div className="flex items-start gap-2 min-w-0">
+          {draggable && (
+            <span className="mt-1 text-gray-400 cursor-grab" title="Drag to reorder" aria-hidden="true">
+              <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                <path d="M7 4a1 1 0 110-2 1 1 0 010 2zm0 7a1 1 0 110-2 1 1 0 010 2zm0 7a1 1 0 110-2 1 1 0 010 2zm6-14a1 1 0 110-2 1 1 0 010 2zm0 7a1 1 0 110-2 1 1 0 010 2zm0 7a1 1 0 110-2 1 1 0 010 2z" />
+              </svg>
+            </span>
+          )}
+          <div className="min-w-0">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white truncate">{habit.name}</h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {capitalize(habit.category)} &middot; {capitalize(habit.frequency)}
+              {habit.reminderTime && <> &middot; {habit.reminderTime}</>}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-1 shrink-0">
+          <button
+            type="button"
+            onClick={() => onEdit(habit)}
+            className="p-1.5 text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 rounded"
+            aria-label={`Edit ${habit.name}`}
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+            </svg>
+          </button>
+          <button
+            type="button"
+            onClick={() => onDelete(habit._id)}
+            className="p-1.5 text-gray-400 hover:text-danger-600 dark:hover:text-danger-400 rounded"
+            aria-label={`Archive ${habit.name}`}
+            title="Archive"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      {habit.description && (
+        <p className="mt-3 text-sm text-gray-600 dark:text-gray-300 line-clamp-2">{habit.description}</p>
+      )}
+
+      <div className="mt-4 grid grid-cols-2 gap-3 text-sm">
+        <div>
+          <p className="text-gray-500 dark:text-gray-400">Streak</p>
+          <p className="font-semibold text-gray-900 dark:text-white">
+            {habit.currentStreak ?? 0} {streakUnit}{habit.currentStreak === 1 ? '' : 's'}
+            <span className="font-normal text-gray-400"> / {habit.streakTarget}</span>
+          </p>
+        </div>
+        <div>
+          <p className="text-gray-500 dark:text-gray-400">Last 30 days</p>
+          <p className="font-semibold text-gray-900 dark:text-white">{habit.completionRate ?? 0}%</p>
+        </div>
+      </div>
+
+      <div className="mt-auto pt-4">
+        {quantitative && onCheckIn ? (
+          <div className="flex items-center justify-between gap-3">
+            <div className="text-sm">
+              <span className={`font-semibold ${completed ? 'text-success-600 dark:text-success-400' : 'text-gray-900 dark:text-white'}`}>
+                {todayValue}
+              </span>
+              <span className="text-gray-500 dark:text-gray-400">
+                {' '}/ {habit.target!.amount} {habit.target!.unit} per {streakUnit}
+              </span>
+            </div>
+            <div className="flex items-center gap-1">
+              <button
+                type="button"
+                onClick={() => onCheckIn(habit._id, -1)}
+                disabled={todayValue <= 0}
+                className="w-8 h-8 rounded-md bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+                aria-label="Undo one"
+              >
+                &minus;
+              </button>
+              <button
+                type="button"
+                onClick={() => onCheckIn(habit._id, 1)}
+                className="w-8 h-8 rounded-md bg-primary-600 text-white hover:bg-primary-700"
+                aria-label="Add one"
+              >
+                +
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            type="button"
+            onClick={() => onTrack(habit._id, !completed)}
+            className={`w-full py-2 rounded-md text-sm font-medium transition-colors ${
+              completed
+                ? 'bg-success-600 text-white hover:bg-success-700'
+                : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600'
+            }`}
+            aria-pressed={completed}
+          >
+            {completed ? '✓ Done today' : 'Mark done today'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HabitCard;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { Habit, HabitFilters } from '../../types';
+import { HABIT_CATEGORIES, capitalize } from './constants';
+
+interface HabitFilterBarProps {
+  filters: HabitFilters;
+  onChange: (filters: HabitFilters) => void;
+}
+
+const controlClasses = 'rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white text-sm focus:border-primary-500 focus:ring-primary-500';
+
+const HabitFilterBar: React.FC<HabitFilterBarProps> = ({ filters, onChange }) => {
+  return (
+    <div className="flex flex-col sm:flex-row gap-3 mb-6">
+      <input
+        type="search"
+        placeholder="Search habits..."
+        value={filters.search || ''}
+        onChange={e => onChange({ ...filters, search: e.target.value || undefined })}
+        className={`${controlClasses} flex-1`}
+        aria-label="Search habits"
+      />
+
+      <select
+        value={filters.category || ''}
+        onChange={e => onChange({ ...filters, category: (e.target.value || undefined) as Habit['category'] | undefined })}
+        className={controlClasses}
+        aria-label="Filter by category"
+      >
+        <option value="">All categories</option>
+        {HABIT_CATEGORIES.map(category => (
+          <option key={category} value={category}>{capitalize(category)}</option>
+        ))}
+      </select>
+
+      <div className="flex gap-2">
+        <select
+          value={filters.sortBy || ''}
+          onChange={e => onChange({
+            ...filters,
+            sortBy: (e.target.value || undefined) as HabitFilters['sortBy'],
+          })}
+          className={`${controlClasses} flex-1`}
+          aria-label="Sort habits"
+        >
+          <option value="">My order</option>
+          <option value="name">Name</option>
+          <option value="created">Date created</option>
+          <option value="streak">Current streak</option>
+          <option value="completion">Completion rate</option>
+        </select>
+        {filters.sortBy && (
+          <button
+            type="button"
+            onClick={() => onChange({ ...filters, sortOrder: filters.sortOrder === 'desc' ? 'asc' : 'desc' })}
+            className="px-3 rounded-md bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600 text-sm"
+            aria-label={filters.sortOrder === 'desc' ? 'Sort ascending' : 'Sort descending'}
+          >
+            {filters.sortOrder === 'desc' ? '↓' : '↑'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HabitFilterBar;
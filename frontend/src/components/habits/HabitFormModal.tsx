@@ -0,0 +1,389 @@
+import React, { useEffect, useState } from 'react';
+import { Habit, HabitForm, HabitSharing } from '../../types';
+import LoadingSpinner from '../LoadingSpinner';
+import { HABIT_CATEGORIES, HABIT_COLORS, WEEK_DAYS, capitalize, getPeriodLabel } from './constants';
+
+interface HabitFormModalProps {
+  isOpen: boolean;
+  habit?: Habit | null; // Editing when set, creating otherwise
+  onClose: () => void;
+  onSubmit: (form: HabitForm) => Promise<void>;
+}
+
+const emptyForm: HabitForm = {
+  name: '',
+  description: '',
+  frequency: 'daily',
+  goal: '',
+  category: 'other',
+  color: HABIT_COLORS[0],
+  targetDays: [...WEEK_DAYS],
+  reminderTime: '',
+  reminderMuted: false,
+  sharing: 'private',
+  streakTarget: 7,
+  target: { amount: null, unit: '', comparison: 'at-least', aggregation: 'sum' },
+};
+
+const toForm = (habit: Habit): HabitForm => ({
+  name: habit.name,
+  description: habit.description || '',
+  frequency: habit.frequency,
+  goal: habit.goal || '',
+  category: habit.category,
+  color: habit.color,
+  targetDays: habit.targetDays.length > 0 ? habit.targetDays : [...WEEK_DAYS],
+  reminderTime: habit.reminderTime || '',
+  reminderMuted: habit.reminderMuted ?? false,
+  sharing: habit.sharing || 'private',
+  streakTarget: habit.streakTarget,
+  target: {
+    amount: habit.target?.amount ?? null,
+    unit: habit.target?.unit || '',
+    comparison: habit.target?.comparison || 'at-least',
+    aggregation: habit.target?.aggregation || 'sum',
+  },
+});
+
+const inputClasses = 'mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white text-sm focus:border-primary-500 focus:ring-primary-500';
+const labelClasses = 'block text-sm font-medium text-gray-700 dark:text-gray-300';
+
+const HabitFormModal: React.FC<HabitFormModalProps> = ({ isOpen, habit, onClose, onSubmit }) => {
+  const [form, setForm] = useState<HabitForm>(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(habit ? toForm(habit) : emptyForm);
+      setError(null);
+    }
+  }, [isOpen, habit]);
+
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleKey = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const update = <K extends keyof HabitForm>(field: K, value: HabitForm[K]) => {
+    setForm(current => ({ ...current, [field]: value }));
+  };
+
+  const updateTarget = (changes: Partial<HabitForm['target']>) => {
+    setForm(current => ({ ...current, target: { ...current.target, ...changes } }));
+  };
+
+  const toggleDay = (day: string) => {
+    update(
+      'targetDays',
+      form.targetDays.includes(day)
+        ? form.targetDays.filter(d => d !== day)
+        : WEEK_DAYS.filter(d => d === day || form.targetDays.includes(d))
+    );
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!form.name.trim()) {
+      setError('Habit name is required');
+      return;
+    }
+    if (form.frequency === 'daily' && form.targetDays.length === 0) {
+      setError('Pick at least one day');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await onSubmit(form);
+      onClose();
+    } catch (err: any) {
+      setError(err.message || 'Could not save habit');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black bg-opacity-50" onClick={onClose} />
+
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="habit-form-title"
+        className="relative w-full max-w-2xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 rounded-lg shadow-xl"
+      >
+        <form onSubmit={handleSubmit}>
+          <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+            <h2 id="habit-form-title" className="text-xl font-semibold text-gray-900 dark:text-white">
+              {habit ? 'Edit Habit' : 'New Habit'}
+            </h2>
+          </div>
+
+          <div className="px-6 py-4 space-y-4">
+            {error && (
+              <div className="rounded-md bg-red-50 dark:bg-red-900 p-3 text-sm text-red-800 dark:text-red-200">{error}</div>
+            )}
+
+            <div>
+              <label htmlFor="habit-name" className={labelClasses}>Name</label>
+              <input
+                id="habit-name"
+                type="text"
+                maxLength={100}
+                value={form.name}
+                onChange={e => update('name', e.target.value)}
+                className={inputClasses}
+                autoFocus
+              />
+            </div>
+
+            <div>
+              <label htmlFor="habit-description" className={labelClasses}>Description</label>
+              <textarea
+                id="habit-description"
+                rows={2}
+                maxLength={500}
+                value={form.description}
+                onChange={e => update('description', e.target.value)}
+                className={inputClasses}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="habit-goal" className={labelClasses}>Goal</label>
+              <input
+                id="habit-goal"
+                type="text"
+                maxLength={200}
+                value={form.goal}
+                onChange={e => update('goal', e.target.value)}
+                className={inputClasses}
+              />
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="habit-category" className={labelClasses}>Category</label>
+                <select
+                  id="habit-category"
+                  value={form.category}
+                  onChange={e => update('category', e.target.value as Habit['category'])}
+                  className={inputClasses}
+                >
+                  {HABIT_CATEGORIES.map(category => (
+                    <option key={category} value={category}>{capitalize(category)}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="habit-frequency" className={labelClasses}>Frequency</label>
+                <select
+                  id="habit-frequency"
+                  value={form.frequency}
+                  onChange={e => update('frequency', e.target.value as HabitForm['frequency'])}
+                  className={inputClasses}
+                >
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+              </div>
+            </div>
+
+            {form.frequency === 'daily' && (
+              <div>
+                <span className={labelClasses}>Days</span>
+                <div className="mt-1 flex flex-wrap gap-2">
+                  {WEEK_DAYS.map(day => (
+                    <button
+                      key={day}
+                      type="button"
+                      onClick={() => toggleDay(day)}
+                      aria-pressed={form.targetDays.includes(day)}
+                      className={`px-3 py-1 rounded-full text-xs font-medium ${
+                        form.targetDays.includes(day)
+                          ? 'bg-primary-600 text-white'
+                          : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+                      }`}
+                    >
+                      {capitalize(day.slice(0, 3))}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="habit-reminder" className={labelClasses}>Reminder time</label>
+                <input
+                  id="habit-reminder"
+                  type="time"
+                  value={form.reminderTime}
+                  onChange={e => update('reminderTime', e.target.value)}
+                  className={inputClasses}
+                />
+                {form.reminderTime && (
+                  <label className="mt-2 flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                    <input
+                      type="checkbox"
+                      checked={form.reminderMuted}
+                      onChange={e => update('reminderMuted', e.target.checked)}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    Mute reminders
+                  </label>
+                )}
+              </div>
+
+              <div>
+                <label htmlFor="habit-streak-target" className={labelClasses}>
+                  Streak target ({getPeriodLabel(form.frequency)}s)
+                </label>
+                <input
+                  id="habit-streak-target"
+                  type="number"
+                  min={1}
+                  value={form.streakTarget}
+                  onChange={e => update('streakTarget', Math.max(1, parseInt(e.target.value, 10) || 1))}
+                  className={inputClasses}
+                />
+              </div>
+            </div>
+
+            <div>
+              <span className={labelClasses}>Color</span>
+              <div className="mt-1 flex flex-wrap items-center gap-2">
+                {HABIT_COLORS.map(color => (
+                  <button
+                    key={color}
+                    type="button"
+                    onClick={() => update('color', color)}
+                    className={`w-7 h-7 rounded-full border-2 ${
+                      form.color.toUpperCase() === color ? 'border-gray-900 dark:border-white' : 'border-transparent'
+                    }`}
+                    style={{ backgroundColor: color }}
+                    aria-label={`Color ${color}`}
+                  />
+                ))}
+                <input
+                  type="color"
+                  value={form.color}
+                  onChange={e => update('color', e.target.value.toUpperCase())}
+                  className="w-8 h-8 p-0 border-0 bg-transparent cursor-pointer"
+                  aria-label="Custom color"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="habit-sharing" className={labelClasses}>Accountability partners can see</label>
+              <select
+                id="habit-sharing"
+                value={form.sharing}
+                onChange={e => update('sharing', e.target.value as HabitSharing)}
+                className={inputClasses}
+              >
+                <option value="private">Nothing (private)</option>
+                <option value="streak">Streak and check-ins</option>
+                <option value="notes">Streak, check-ins, notes and values</option>
+              </select>
+            </div>
+
+            <fieldset className="border border-gray-200 dark:border-gray-700 rounded-md p-4">
+              <legend className="px-1 text-sm font-medium text-gray-700 dark:text-gray-300">
+                Target (optional)
+              </legend>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                For habits you measure, like 8 glasses a day. Measured per {getPeriodLabel(form.frequency)}.
+              </p>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                <div>
+                  <label htmlFor="habit-target-comparison" className={labelClasses}>Goal</label>
+                  <select
+                    id="habit-target-comparison"
+                    value={form.target.comparison}
+                    onChange={e => updateTarget({ comparison: e.target.value as HabitForm['target']['comparison'] })}
+                    className={inputClasses}
+                  >
+                    <option value="at-least">At least</option>
+                    <option value="at-most">At most</option>
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="habit-target-amount" className={labelClasses}>Amount</label>
+                  <input
+                    id="habit-target-amount"
+                    type="number"
+                    min={0}
+                    step="any"
+                    value={form.target.amount ?? ''}
+                    onChange={e => updateTarget({ amount: e.target.value === '' ? null : Number(e.target.value) })}
+                    className={inputClasses}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="habit-target-unit" className={labelClasses}>Unit</label>
+                  <input
+                    id="habit-target-unit"
+                    type="text"
+                    maxLength={20}
+                    placeholder="glasses"
+                    value={form.target.unit || ''}
+                    onChange={e => updateTarget({ unit: e.target.value })}
+                    className={inputClasses}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="habit-target-aggregation" className={labelClasses}>Combine by</label>
+                  <select
+                    id="habit-target-aggregation"
+                    value={form.target.aggregation}
+                    onChange={e => updateTarget({ aggregation: e.target.value as HabitForm['target']['aggregation'] })}
+                    className={inputClasses}
+                  >
+                    <option value="sum">Sum</option>
+                    <option value="average">Average</option>
+                    <option value="max">Best</option>
+                  </select>
+                </div>
+              </div>
+            </fieldset>
+          </div>
+
+          <div className="px-6 py-4 border-t border-gray-200 dark:border-gray-700 flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+            >
+              {saving && <LoadingSpinner size="small" color="text-white" />}
+              {habit ? 'Save Changes' : 'Create Habit'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default HabitFormModal;
@@ -0,0 +1,36 @@
+import { Habit } from '../../types';
+
+export const HABIT_CATEGORIES: Habit['category'][] = [
+  'health',
+  'fitness',
+  'productivity',
+  'learning',
+  'social',
+  'spiritual',
+  'creative',
+  'other',
+];
+
+export const WEEK_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+export const HABIT_COLORS = [
+  '#3B82F6',
+  '#10B981',
+  '#F59E0B',
+  '#EF4444',
+  '#8B5CF6',
+  '#EC4899',
+  '#14B8A6',
+  '#6B7280',
+];
+
+export const capitalize = (text: string): string => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Label of a habit's schedule period, e.g. "day" for daily habits
+export const getPeriodLabel = (frequency: Habit['frequency']): string => {
+  switch (frequency) {
+    case 'weekly': return 'week';
+    case 'monthly': return 'month';
+    default: return 'day';
+  }
+};
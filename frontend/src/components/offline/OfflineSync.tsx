@@ -0,0 +1,71 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { countQueuedTracking, OFFLINE_EVENTS } from '../../utils/offlineQueue';
+import { flushTrackingQueue } from '../../utils/offlineSync';
+
+const plural = (count: number, word: string) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Replays check-ins queued while offline (on start, when the connection
+// returns and when the service worker's Background Sync fires) and shows a
+// banner while offline or while changes are waiting
+const OfflineSync: React.FC = () => {
+  const [online, setOnline] = useState(navigator.onLine);
+  const [pending, setPending] = useState(0);
+
+  const refreshCount = useCallback(() => {
+    countQueuedTracking().then(setPending).catch(() => setPending(0));
+  }, []);
+
+  const flush = useCallback(async () => {
+    if (!navigator.onLine) return;
+
+    try {
+      const result = await flushTrackingQueue();
+      if (result.synced > 0) {
+        toast.success(`Synced ${plural(result.synced, 'offline change')}`);
+      }
+      if (result.conflicts + result.dropped > 0) {
+        toast.info(`${plural(result.conflicts + result.dropped, 'offline change')} skipped: updated elsewhere or no longer valid`);
+      }
+    } catch (error) {
+      console.error('Offline sync error:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      flush();
+    };
+    const handleOffline = () => setOnline(false);
+    const handleMessage = (event: MessageEvent) => {
+      if (event.data?.type === 'replay-tracking-queue') flush();
+    };
+
+    refreshCount();
+    flush();
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener(OFFLINE_EVENTS.queueChanged, refreshCount);
+    navigator.serviceWorker?.addEventListener('message', handleMessage);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener(OFFLINE_EVENTS.queueChanged, refreshCount);
+      navigator.serviceWorker?.removeEventListener('message', handleMessage);
+    };
+  }, [flush, refreshCount]);
+
+  if (online && pending === 0) return null;
+
+  return (
+    <div className="px-4 py-2 text-sm text-center text-warning-800 bg-warning-50 dark:bg-warning-900 dark:text-warning-100">
+      {online
+        ? `${plural(pending, 'offline change')} waiting to sync...`
+        : `You're offline. ${pending > 0 ? `${plural(pending, 'change')} will sync when you reconnect.` : 'Marking habits done still works and syncs when you reconnect.'}`}
+    </div>
+  );
+};
+
+export default OfflineSync;
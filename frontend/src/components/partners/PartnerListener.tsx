@@ -0,0 +1,35 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useSocketEvent } from '../../context/SocketContext';
+
+// Shows nudges and invitations from accountability partners as toasts
+const PartnerListener: React.FC = () => {
+  useSocketEvent('partner-nudge', (nudge) => {
+    toast.info(
+      <div>
+        <p className="font-medium text-gray-900">
+          {nudge.from.name} nudged you{nudge.habit ? ` about ${nudge.habit.name}` : ''}
+        </p>
+        {nudge.message && <p className="text-sm text-gray-600">"{nudge.message}"</p>}
+      </div>,
+      { toastId: `nudge-${nudge.partnershipId}-${nudge.sentAt}`, autoClose: 8000 }
+    );
+  });
+
+  useSocketEvent('partner-request', (request) => {
+    toast.info(
+      <div>
+        <p className="font-medium text-gray-900">{request.from.name} wants to be your accountability partner</p>
+        <Link to="/partners" className="text-xs font-medium text-primary-600 hover:text-primary-700">
+          View invitation
+        </Link>
+      </div>,
+      { toastId: `partner-request-${request.partnershipId}`, autoClose: false }
+    );
+  });
+
+  return null;
+};
+
+export default PartnerListener;
@@ -0,0 +1,232 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { tokensAPI } from '../../api/tokens';
+import { AccessToken } from '../../types';
+import LoadingSpinner from '../LoadingSpinner';
+
+type Access = 'none' | 'read' | 'write';
+
+const formatDate = (value: string) => new Date(value).toLocaleDateString();
+
+const inputClass = 'text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white focus:border-primary-500 focus:ring-primary-500';
+
+// Resources in the order the server lists their scopes
+const getResources = (scopes: string[]) => Array.from(new Set(scopes.map(scope => scope.split(':')[0])));
+
+// Personal access tokens for scripts, so they don't need a password
+const AccessTokensSection: React.FC = () => {
+  const [tokens, setTokens] = useState<AccessToken[]>([]);
+  const [resources, setResources] = useState<string[]>([]);
+  const [name, setName] = useState('');
+  const [access, setAccess] = useState<Record<string, Access>>({});
+  const [expiresOn, setExpiresOn] = useState('');
+  const [newToken, setNewToken] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const loadTokens = useCallback(async () => {
+    try {
+      const response = await tokensAPI.getTokens();
+      setTokens(response.tokens);
+      setResources(getResources(response.scopes));
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load access tokens');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTokens();
+  }, [loadTokens]);
+
+  const copyToken = async (token: string) => {
+    try {
+      await navigator.clipboard.writeText(token);
+      toast.success('Token copied');
+    } catch {
+      toast.info(token);
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const scopes = Object.entries(access)
+      .filter(([, level]) => level !== 'none')
+      .map(([resource, level]) => `${resource}:${level}`);
+    if (scopes.length === 0) {
+      toast.error('Give the token access to at least one resource');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await tokensAPI.createToken({
+        name: name.trim(),
+        scopes,
+        // Valid through the end of the chosen day
+        expiresAt: expiresOn ? new Date(`${expiresOn}T23:59:59`).toISOString() : null,
+      });
+      setTokens(current => [response.accessToken, ...current]);
+      setNewToken(response.token);
+      setName('');
+      setAccess({});
+      setExpiresOn('');
+    } catch (error: any) {
+      toast.error(error.message || 'Could not create token');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (token: AccessToken) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+
+    setBusyId(token.id);
+    try {
+      await tokensAPI.revokeToken(token.id);
+      setTokens(current => current.filter(t => t.id !== token.id));
+      toast.success('Token revoked');
+    } catch (error: any) {
+      toast.error(error.message || 'Could not revoke token');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">
+        Personal Access Tokens
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Let scripts use the API without your password. Send a token as <code>Authorization: Bearer &lt;token&gt;</code>.
+        Each token only reaches the resources you pick; write access includes read. Changing your password revokes
+        every token.
+      </p>
+
+      {newToken && (
+        <div className="mb-6 p-4 rounded-md bg-success-50 dark:bg-success-900/20 border border-success-200 dark:border-success-800">
+          <p className="text-sm text-success-800 dark:text-success-100 mb-2">
+            Copy your new token now. It won't be shown again.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <code className="flex-1 px-3 py-2 rounded bg-white dark:bg-gray-900 text-sm text-gray-900 dark:text-gray-100 break-all">
+              {newToken}
+            </code>
+            <div className="flex gap-2 shrink-0">
+              <button
+                type="button"
+                onClick={() => copyToken(newToken)}
+                className="px-3 py-1 text-xs font-medium rounded-md text-white bg-success-600 hover:bg-success-700"
+              >
+                Copy
+              </button>
+              <button
+                type="button"
+                onClick={() => setNewToken(null)}
+                className="px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3 mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <input
+            type="text"
+            value={name}
+            onChange={e => setName(e.target.value)}
+            maxLength={100}
+            placeholder="Token name, e.g. Nightly backup"
+            required
+            className={inputClass}
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            Expires
+            <input
+              type="date"
+              value={expiresOn}
+              onChange={e => setExpiresOn(e.target.value)}
+              min={new Date().toLocaleDateString('en-CA')}
+              className={`${inputClass} flex-1`}
+              title="Leave empty to keep the token until you revoke it"
+            />
+          </label>
+        </div>
+        <fieldset>
+          <legend className="text-sm text-gray-700 dark:text-gray-300 mb-2">Access</legend>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+            {resources.map(resource => (
+              <label key={resource} className="flex items-center justify-between gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <span className="capitalize">{resource}</span>
+                <select
+                  value={access[resource] || 'none'}
+                  onChange={e => setAccess({ ...access, [resource]: e.target.value as Access })}
+                  className={inputClass}
+                >
+                  <option value="none">No access</option>
+                  <option value="read">Read</option>
+                  <option value="write">Read &amp; write</option>
+                </select>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving && <LoadingSpinner size="small" color="text-white" />}
+          Create token
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : tokens.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No access tokens.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {tokens.map(token => (
+            <li key={token.id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 dark:text-white">
+                  {token.name}
+                  <code className="ml-2 text-xs text-gray-500 dark:text-gray-400">{token.prefix}…</code>
+                  {token.expired && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200">
+                      Expired
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{token.scopes.join(', ')}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {token.lastUsedAt ? `Last used ${formatDate(token.lastUsedAt)}` : 'Never used'}
+                  {token.expiresAt && <> &middot; {token.expired ? 'Expired' : 'Expires'} {formatDate(token.expiresAt)}</>}
+                </p>
+              </div>
+              <button
+                type="button"
+                disabled={busyId === token.id}
+                onClick={() => handleRevoke(token)}
+                className="self-start sm:self-auto px-3 py-1 text-xs font-medium rounded-md text-danger-600 hover:bg-danger-50 dark:hover:bg-danger-900/20 disabled:opacity-50"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AccessTokensSection;
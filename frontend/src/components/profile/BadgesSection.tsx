@@ -0,0 +1,226 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { getBadgeUrl } from '../../api/badges';
+import { habitsAPI } from '../../api/habits';
+import { BadgeOptions, BadgeWidget, Habit } from '../../types';
+import LoadingSpinner from '../LoadingSpinner';
+
+const WIDGETS: { widget: BadgeWidget; label: string }[] = [
+  { widget: 'streak', label: 'Streak badge' },
+  { widget: 'heatmap', label: '12-week heatmap' },
+  { widget: 'ring', label: 'Completion ring' },
+];
+
+const inputClass = 'text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white focus:border-primary-500 focus:ring-primary-500';
+const smallButtonClass = 'px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600';
+
+// Embeddable SVG widgets for READMEs and personal sites. Each habit gets its
+// own token, so revoking one habit's badges leaves the others working.
+const BadgesSection: React.FC = () => {
+  const [habits, setHabits] = useState<Habit[]>([]);
+  const [habitId, setHabitId] = useState('');
+  // Tokens created in this visit, by habit; the server only keeps hashes
+  const [tokens, setTokens] = useState<Record<string, string>>({});
+  const [options, setOptions] = useState<BadgeOptions>({ scope: 'habit', theme: 'light' });
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const loadHabits = useCallback(async () => {
+    try {
+      const response = await habitsAPI.getHabits(false);
+      setHabits(response.habits);
+      setHabitId(current => current || response.habits[0]?._id || '');
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load habits');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHabits();
+  }, [loadHabits]);
+
+  const habit = habits.find(h => h._id === habitId);
+  const enabled = Boolean(habit?.shareTokenCreatedAt);
+  const token = tokens[habitId];
+
+  const updateHabit = (updated: Habit) => {
+    setHabits(current => current.map(h => (h._id === updated._id ? updated : h)));
+  };
+
+  const handleCreate = async () => {
+    if (enabled && !window.confirm('Rotate this token? Badges embedded with the old one will stop working.')) return;
+
+    setBusy(true);
+    try {
+      const response = await habitsAPI.createShareToken(habitId);
+      updateHabit(response.habit);
+      setTokens(current => ({ ...current, [habitId]: response.shareToken }));
+      toast.success(enabled ? 'Badge token rotated' : 'Badge token created');
+    } catch (error: any) {
+      toast.error(error.message || 'Could not create badge token');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Revoke this token? Badges embedded with it will stop working.')) return;
+
+    setBusy(true);
+    try {
+      await habitsAPI.revokeShareToken(habitId);
+      if (habit) updateHabit({ ...habit, shareTokenCreatedAt: null });
+      setTokens(current => {
+        const { [habitId]: _revoked, ...rest } = current;
+        return rest;
+      });
+      toast.success('Badge token revoked');
+    } catch (error: any) {
+      toast.error(error.message || 'Could not revoke badge token');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copySnippet = async (snippet: string) => {
+    try {
+      await navigator.clipboard.writeText(snippet);
+      toast.success('Copied');
+    } catch {
+      toast.info(snippet);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">
+        Embeddable Badges
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Show a streak badge, heatmap or completion ring in a README or on your site. Badges only need the habit's
+        token, which is shown once and can be rotated or revoked at any time. With "All my badge habits", a badge combines every habit
+        that has a token.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : habits.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Create a habit to get badges for it.</p>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={habitId}
+              onChange={e => setHabitId(e.target.value)}
+              className={inputClass}
+              aria-label="Habit"
+            >
+              {habits.map(h => (
+                <option key={h._id} value={h._id}>{h.name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              disabled={busy}
+              onClick={handleCreate}
+              className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy && <LoadingSpinner size="small" color="text-white" />}
+              {enabled ? 'Rotate token' : 'Create badge token'}
+            </button>
+            {enabled && (
+              <button
+                type="button"
+                disabled={busy}
+                onClick={handleRevoke}
+                className="px-4 py-2 text-sm font-medium rounded-md text-danger-600 hover:bg-danger-50 dark:hover:bg-danger-900/20 disabled:opacity-50"
+              >
+                Revoke
+              </button>
+            )}
+          </div>
+
+          {enabled && !token && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Badges are enabled for this habit. The token is only shown when it is created, so rotate it to get new
+              embed snippets; badges using the old token stop working.
+            </p>
+          )}
+
+          {token && (
+            <>
+              <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700 dark:text-gray-300">
+                <select
+                  value={options.scope}
+                  onChange={e => setOptions({ ...options, scope: e.target.value as BadgeOptions['scope'] })}
+                  className={inputClass}
+                  aria-label="Show"
+                >
+                  <option value="habit">This habit</option>
+                  <option value="user">All my badge habits</option>
+                </select>
+                <select
+                  value={options.theme}
+                  onChange={e => setOptions({ ...options, theme: e.target.value as BadgeOptions['theme'] })}
+                  className={inputClass}
+                  aria-label="Theme"
+                >
+                  <option value="light">Light</option>
+                  <option value="dark">Dark</option>
+                </select>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={!options.color}
+                    onChange={e => setOptions({ ...options, color: e.target.checked ? undefined : habit?.color })}
+                    className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  Habit color
+                </label>
+                {options.color && (
+                  <input
+                    type="color"
+                    value={options.color}
+                    onChange={e => setOptions({ ...options, color: e.target.value })}
+                    className="h-8 w-12 rounded border-gray-300 dark:border-gray-600"
+                    aria-label="Badge color"
+                  />
+                )}
+              </div>
+
+              <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+                {WIDGETS.map(({ widget, label }) => {
+                  const url = getBadgeUrl(token, widget, options);
+                  const alt = `${habit?.name} ${label.toLowerCase()}`;
+
+                  return (
+                    <li key={widget} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 dark:text-white mb-2">{label}</p>
+                        <img src={url} alt={alt} className="max-w-full" />
+                      </div>
+                      <div className="flex gap-2 shrink-0">
+                        <button type="button" onClick={() => copySnippet(`![${alt}](${url})`)} className={smallButtonClass}>
+                          Copy Markdown
+                        </button>
+                        <button type="button" onClick={() => copySnippet(`<img src="${url}" alt="${alt}">`)} className={smallButtonClass}>
+                          Copy HTML
+                        </button>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BadgesSection;
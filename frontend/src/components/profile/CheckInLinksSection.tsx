@@ -0,0 +1,159 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { getCheckinUrl, habitsAPI } from '../../api/habits';
+import { Habit } from '../../types';
+import LoadingSpinner from '../LoadingSpinner';
+
+const smallButtonClass = 'px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 disabled:opacity-50';
+
+const hasTarget = (habit: Habit) => habit.target?.amount !== null && habit.target?.amount !== undefined;
+
+// Secret per-habit URLs that mark a habit done from shortcuts, home-automation
+// buttons or cron jobs, without logging in
+const CheckInLinksSection: React.FC = () => {
+  const [habits, setHabits] = useState<Habit[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  // Tokens created in this visit, by habit; the server only keeps hashes
+  const [tokens, setTokens] = useState<Record<string, string>>({});
+
+  const loadHabits = useCallback(async () => {
+    try {
+      const response = await habitsAPI.getHabits(false);
+      setHabits(response.habits);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load habits');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHabits();
+  }, [loadHabits]);
+
+  const updateHabit = (updated: Habit) => {
+    setHabits(current => current.map(h => (h._id === updated._id ? updated : h)));
+  };
+
+  const copyUrl = async (token: string) => {
+    try {
+      await navigator.clipboard.writeText(getCheckinUrl(token));
+      toast.success('Check-in URL copied');
+    } catch {
+      toast.info(getCheckinUrl(token));
+    }
+  };
+
+  const handleCreate = async (habit: Habit) => {
+    if (habit.checkinTokenCreatedAt && !window.confirm('Rotate this URL? Shortcuts using the old one will stop working.')) return;
+
+    setBusyId(habit._id);
+    try {
+      const response = await habitsAPI.createCheckinToken(habit._id);
+      updateHabit(response.habit);
+      setTokens(current => ({ ...current, [habit._id]: response.checkinToken }));
+      copyUrl(response.checkinToken);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not create check-in URL');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDisable = async (habit: Habit) => {
+    if (!window.confirm('Disable this URL? Shortcuts using it will stop working.')) return;
+
+    setBusyId(habit._id);
+    try {
+      await habitsAPI.revokeCheckinToken(habit._id);
+      updateHabit({ ...habit, checkinTokenCreatedAt: null });
+      setTokens(current => {
+        const { [habit._id]: _revoked, ...rest } = current;
+        return rest;
+      });
+      toast.success('Check-in URL disabled');
+    } catch (error: any) {
+      toast.error(error.message || 'Could not disable check-in URL');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">
+        Check-in URLs
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        A POST to a habit's check-in URL marks it done for today, from a phone shortcut, a smart button or a cron
+        job. Send <code>value</code> for habits with a target, and optionally <code>notes</code> or
+        a <code>date</code>. Anyone with the URL can check the habit in, so keep it private; it is only shown when
+        it is created.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : habits.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Create a habit to get a check-in URL for it.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {habits.map(habit => {
+            const enabled = Boolean(habit.checkinTokenCreatedAt);
+            const token = tokens[habit._id];
+
+            return (
+              <li key={habit._id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="flex items-center gap-2 text-sm font-medium text-gray-900 dark:text-white">
+                    <span className="w-2 h-2 rounded-full shrink-0" style={{ backgroundColor: habit.color }} />
+                    {habit.name}
+                  </p>
+                  {token ? (
+                    <code className="block text-xs text-gray-500 dark:text-gray-400 truncate">
+                      POST {getCheckinUrl(token)}
+                      {hasTarget(habit) && ` {"value": ${habit.target?.amount}}`}
+                    </code>
+                  ) : enabled ? (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Enabled; rotate to get a new URL</p>
+                  ) : (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Disabled</p>
+                  )}
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  {token && (
+                    <button type="button" onClick={() => copyUrl(token)} className={smallButtonClass}>
+                      Copy URL
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    disabled={busyId === habit._id}
+                    onClick={() => handleCreate(habit)}
+                    className={smallButtonClass}
+                  >
+                    {enabled ? 'Rotate' : 'Enable'}
+                  </button>
+                  {enabled && (
+                    <button
+                      type="button"
+                      disabled={busyId === habit._id}
+                      onClick={() => handleDisable(habit)}
+                      className="px-3 py-1 text-xs font-medium rounded-md text-danger-600 hover:bg-danger-50 dark:hover:bg-danger-900/20 disabled:opacity-50"
+                    >
+                      Disable
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CheckInLinksSection;
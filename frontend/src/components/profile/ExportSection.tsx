@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { exportAPI } from '../../api/export';
+import { ExportFormat } from '../../types';
+import LoadingSpinner from '../LoadingSpinner';
+
+const EXPORT_OPTIONS: { format: ExportFormat; title: string; description: string }[] = [
+  {
+    format: 'json',
+    title: 'Full backup (JSON)',
+    description: 'Your preferences, every habit including inactive ones, and all tracking history.',
+  },
+  {
+    format: 'csv',
+    title: 'Tracking history (CSV)',
+    description: 'One row per tracked day with the habit name and category. Opens in any spreadsheet.',
+  },
+  {
+    format: 'ics',
+    title: 'Habit calendar (iCalendar)',
+    description: 'Your habit schedules and reminder times, ready to import into a calendar app.',
+  },
+];
+
+const todayKey = () => new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD in local time
+
+const ExportSection: React.FC = () => {
+  const [downloading, setDownloading] = useState<ExportFormat | null>(null);
+
+  const handleDownload = async (format: ExportFormat) => {
+    setDownloading(format);
+    try {
+      const blob = await exportAPI.downloadExport(format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `habit-tracker-${todayKey()}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error: any) {
+      toast.error(error.message || 'Export failed');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">
+        Export Your Data
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Download a copy of your habits and tracking history.
+      </p>
+
+      <div className="space-y-4">
+        {EXPORT_OPTIONS.map(option => (
+          <div
+            key={option.format}
+            className="flex items-center justify-between gap-4 p-4 border border-gray-200 dark:border-gray-700 rounded-lg"
+          >
+            <div>
+              <p className="font-medium text-gray-900 dark:text-white">{option.title}</p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">{option.description}</p>
+            </div>
+            <button
+              type="button"
+              onClick={() => handleDownload(option.format)}
+              disabled={downloading !== null}
+              className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {downloading === option.format && <LoadingSpinner size="small" color="text-white" />}
+              Download
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ExportSection;
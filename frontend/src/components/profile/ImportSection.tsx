@@ -0,0 +1,221 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { importAPI } from '../../api/import';
+import { ImportColumnMapping, ImportFormat, ImportRequest, ImportResult } from '../../types';
+import LoadingSpinner from '../LoadingSpinner';
+
+const FORMAT_OPTIONS: { format: ImportFormat; label: string; accept: string; hint: string }[] = [
+  {
+    format: 'json',
+    label: 'Habit Tracker backup (JSON)',
+    accept: '.json,application/json',
+    hint: 'A full backup downloaded from the export section.',
+  },
+  {
+    format: 'csv',
+    label: 'Spreadsheet (CSV)',
+    accept: '.csv,text/csv',
+    hint: 'One row per habit and day. Map your column names below.',
+  },
+  {
+    format: 'loop',
+    label: 'Loop Habit Tracker (CSV)',
+    accept: '.csv,text/csv',
+    hint: 'Checkmarks.csv from Loop\'s export, plus Habits.csv for frequencies and colors.',
+  },
+];
+
+const MAPPING_FIELDS: (keyof ImportColumnMapping)[] = ['date', 'habit', 'completed', 'value', 'notes'];
+
+const inputClasses = 'block w-full text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white focus:border-primary-500 focus:ring-primary-500';
+
+const ImportSection: React.FC = () => {
+  const [format, setFormat] = useState<ImportFormat>('json');
+  const [file, setFile] = useState<File | null>(null);
+  const [habitsFile, setHabitsFile] = useState<File | null>(null);
+  const [mapping, setMapping] = useState<ImportColumnMapping>({});
+  const [preview, setPreview] = useState<ImportResult | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const option = FORMAT_OPTIONS.find(o => o.format === format)!;
+
+  const resetPreview = () => setPreview(null);
+
+  const buildRequest = async (dryRun: boolean): Promise<ImportRequest> => {
+    const request: ImportRequest = { format, data: await file!.text(), dryRun };
+    if (format === 'csv') {
+      // Only send the columns the user renamed
+      request.mapping = Object.fromEntries(
+        Object.entries(mapping).filter(([, column]) => column && column.trim())
+      );
+    }
+    if (format === 'loop' && habitsFile) {
+      request.habits = await habitsFile.text();
+    }
+    return request;
+  };
+
+  const runImport = async (dryRun: boolean) => {
+    if (!file) return;
+
+    setLoading(true);
+    try {
+      const result = await importAPI.importData(await buildRequest(dryRun));
+      if (dryRun) {
+        setPreview(result);
+      } else {
+        toast.success(`Imported ${result.entries.created} entries and ${result.habits.created} habits`);
+        setPreview(null);
+        setFile(null);
+        setHabitsFile(null);
+      }
+    } catch (error: any) {
+      toast.error(error.message || 'Import failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">
+        Import History
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Bring in history from a backup, a spreadsheet or Loop Habit Tracker. Habits are matched by name and
+        existing days are never overwritten.
+      </p>
+
+      <div className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Source</label>
+          <select
+            value={format}
+            onChange={e => {
+              setFormat(e.target.value as ImportFormat);
+              setFile(null);
+              setHabitsFile(null);
+              resetPreview();
+            }}
+            className={inputClasses}
+          >
+            {FORMAT_OPTIONS.map(o => (
+              <option key={o.format} value={o.format}>{o.label}</option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{option.hint}</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            {format === 'loop' ? 'Checkmarks.csv' : 'File'}
+          </label>
+          <input
+            key={`file-${format}`}
+            type="file"
+            accept={option.accept}
+            onChange={e => {
+              setFile(e.target.files?.[0] || null);
+              resetPreview();
+            }}
+            className="block w-full text-sm text-gray-700 dark:text-gray-300"
+          />
+        </div>
+
+        {format === 'loop' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Habits.csv (optional)
+            </label>
+            <input
+              key="habits-file"
+              type="file"
+              accept=".csv,text/csv"
+              onChange={e => {
+                setHabitsFile(e.target.files?.[0] || null);
+                resetPreview();
+              }}
+              className="block w-full text-sm text-gray-700 dark:text-gray-300"
+            />
+          </div>
+        )}
+
+        {format === 'csv' && (
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+            {MAPPING_FIELDS.map(field => (
+              <div key={field}>
+                <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1 capitalize">
+                  {field} column
+                </label>
+                <input
+                  type="text"
+                  placeholder={field}
+                  value={mapping[field] || ''}
+                  onChange={e => {
+                    setMapping({ ...mapping, [field]: e.target.value });
+                    resetPreview();
+                  }}
+                  className={inputClasses}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+
+        {preview && (
+          <div className="rounded-md bg-gray-50 dark:bg-gray-900 p-4 text-sm text-gray-700 dark:text-gray-300">
+            <p className="font-medium text-gray-900 dark:text-white mb-2">Preview</p>
+            <p>
+              Habits: {preview.habits.created} new, {preview.habits.merged} matched, {preview.habits.skipped} skipped
+            </p>
+            <p>
+              Entries: {preview.entries.created} new, {preview.entries.merged} merged, {preview.entries.skipped} skipped
+            </p>
+            {preview.pauses.created + preview.pauses.skipped > 0 && (
+              <p>
+                Pauses: {preview.pauses.created} new, {preview.pauses.skipped} skipped
+              </p>
+            )}
+            {preview.errorCount > 0 && (
+              <div className="mt-3">
+                <p className="text-red-600 dark:text-red-400">
+                  {preview.errorCount} {preview.errorCount === 1 ? 'row has' : 'rows have'} problems:
+                </p>
+                <ul className="mt-1 list-disc list-inside text-xs text-gray-600 dark:text-gray-400 max-h-40 overflow-y-auto">
+                  {preview.errors.map((error, index) => (
+                    <li key={index}>
+                      {error.row !== null ? `Row ${error.row}: ` : ''}{error.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={() => runImport(true)}
+            disabled={!file || loading}
+            className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading && !preview && <LoadingSpinner size="small" />}
+            Preview
+          </button>
+          <button
+            type="button"
+            onClick={() => runImport(false)}
+            disabled={!preview || loading}
+            className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading && preview && <LoadingSpinner size="small" color="text-white" />}
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportSection;
@@ -0,0 +1,202 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { remindersAPI } from '../../api/reminders';
+import { useAuth } from '../../context/AuthContext';
+import { ReminderChannels, ReminderHistoryItem, ReminderStatus } from '../../types';
+import { disablePush, enablePush, getPushSubscription, isPushSupported } from '../../utils/push';
+import LoadingSpinner from '../LoadingSpinner';
+
+const DEFAULT_CHANNELS: ReminderChannels = { inApp: true, email: false, push: true };
+
+const CHANNEL_OPTIONS: { channel: keyof ReminderChannels; title: string; description: string }[] = [
+  {
+    channel: 'inApp',
+    title: 'In the app',
+    description: 'A notification in any open tab, with buttons to mark the habit done, snooze or mute it.',
+  },
+  {
+    channel: 'email',
+    title: 'Email',
+    description: 'An email to your account address.',
+  },
+  {
+    channel: 'push',
+    title: 'Push notifications',
+    description: 'A system notification on devices where you enabled push, even with the app closed.',
+  },
+];
+
+const STATUS_CLASSES: Record<ReminderStatus, string> = {
+  sent: 'bg-success-100 text-success-800 dark:bg-success-900 dark:text-success-100',
+  failed: 'bg-danger-100 text-danger-800 dark:bg-danger-900 dark:text-danger-100',
+  skipped: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200',
+  pending: 'bg-warning-100 text-warning-800 dark:bg-warning-900 dark:text-warning-100',
+};
+
+const formatReason = (reason: string) => reason.replace(/-/g, ' ');
+
+const NotificationsSection: React.FC = () => {
+  const { user, updateProfile } = useAuth();
+  const [saving, setSaving] = useState(false);
+  const [pushEnabled, setPushEnabled] = useState(false);
+  const [pushBusy, setPushBusy] = useState(false);
+  const [history, setHistory] = useState<ReminderHistoryItem[]>([]);
+  const [historyLoading, setHistoryLoading] = useState(true);
+
+  const preferences = user?.preferences;
+  const channels = { ...DEFAULT_CHANNELS, ...preferences?.reminderChannels };
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const response = await remindersAPI.getHistory(undefined, 20);
+      setHistory(response.reminders);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load reminder history');
+    } finally {
+      setHistoryLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHistory();
+    getPushSubscription()
+      .then(subscription => setPushEnabled(Boolean(subscription)))
+      .catch(() => setPushEnabled(false));
+  }, [loadHistory]);
+
+  const savePreferences = async (changes: Partial<NonNullable<typeof preferences>>) => {
+    if (!preferences) return;
+
+    setSaving(true);
+    try {
+      await updateProfile({ preferences: { ...preferences, ...changes } });
+    } catch {
+      // updateProfile already reported the error
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleChannel = (channel: keyof ReminderChannels) => {
+    savePreferences({ reminderChannels: { ...channels, [channel]: !channels[channel] } });
+  };
+
+  const handleTogglePush = async () => {
+    setPushBusy(true);
+    try {
+      if (pushEnabled) {
+        await disablePush();
+        setPushEnabled(false);
+        toast.success('Push notifications turned off for this device');
+      } else {
+        await enablePush();
+        setPushEnabled(true);
+        toast.success('Push notifications turned on for this device');
+      }
+    } catch (error: any) {
+      toast.error(
+        error.code === 'PUSH_NOT_CONFIGURED'
+          ? 'Push notifications are not available on this server'
+          : error.message || 'Could not change push notifications'
+      );
+    } finally {
+      setPushBusy(false);
+    }
+  };
+
+  if (!preferences) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3 mb-6">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">
+            Reminders
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Habits with a reminder time remind you in your timezone, unless they are already done or not due today.
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={preferences.notifications}
+            disabled={saving}
+            onChange={() => savePreferences({ notifications: !preferences.notifications })}
+            className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+          />
+          Send reminders
+        </label>
+      </div>
+
+      <div className={`space-y-3 ${preferences.notifications ? '' : 'opacity-50'}`}>
+        {CHANNEL_OPTIONS.map(option => (
+          <div
+            key={option.channel}
+            className="flex items-center justify-between gap-4 p-4 border border-gray-200 dark:border-gray-700 rounded-lg"
+          >
+            <label className="flex items-start gap-3 min-w-0">
+              <input
+                type="checkbox"
+                checked={channels[option.channel]}
+                disabled={saving || !preferences.notifications}
+                onChange={() => toggleChannel(option.channel)}
+                className="mt-1 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span>
+                <span className="block font-medium text-gray-900 dark:text-white">{option.title}</span>
+                <span className="block text-sm text-gray-600 dark:text-gray-400">{option.description}</span>
+              </span>
+            </label>
+            {option.channel === 'push' && isPushSupported() && (
+              <button
+                type="button"
+                onClick={handleTogglePush}
+                disabled={pushBusy}
+                className="shrink-0 px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+              >
+                {pushBusy ? <LoadingSpinner size="small" /> : pushEnabled ? 'Disable on this device' : 'Enable on this device'}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <h3 className="mt-6 mb-2 text-sm font-semibold text-gray-900 dark:text-white">Recent reminders</h3>
+      {historyLoading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : history.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No reminders yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {history.map(reminder => (
+            <li key={reminder._id} className="flex items-center justify-between gap-4 py-2">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                  {reminder.habitId?.name || 'Deleted habit'}
+                  {reminder.type === 'snooze' && (
+                    <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">snoozed</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                  {new Date(reminder.scheduledFor).toLocaleString()}
+                  {reminder.reason && <> &middot; {formatReason(reminder.reason)}</>}
+                  {reminder.deliveries.length > 0 && (
+                    <> &middot; {reminder.deliveries.map(d => `${d.channel}: ${d.status}`).join(', ')}</>
+                  )}
+                </p>
+              </div>
+              <span className={`shrink-0 px-2 py-0.5 rounded-full text-xs ${STATUS_CLASSES[reminder.status]}`}>
+                {reminder.status}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default NotificationsSection;
@@ -0,0 +1,250 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { habitsAPI } from '../../api/habits';
+import { pausesAPI } from '../../api/pauses';
+import { useAuth } from '../../context/AuthContext';
+import { useSocketEvent } from '../../context/SocketContext';
+import { Habit, Pause, PauseForm, PauseReason } from '../../types';
+import { addDaysToKey, getTodayKey, toDateKey } from '../../utils/date';
+import LoadingSpinner from '../LoadingSpinner';
+
+const REASONS: { value: PauseReason; label: string }[] = [
+  { value: 'vacation', label: 'Vacation' },
+  { value: 'sick', label: 'Sick' },
+  { value: 'pause', label: 'Pause' },
+  { value: 'other', label: 'Other' },
+];
+
+const reasonLabel = (reason: PauseReason) => REASONS.find(r => r.value === reason)?.label ?? reason;
+
+const formatDay = (dateKey: string) =>
+  new Date(`${dateKey}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric' });
+
+const inputClass = 'text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white focus:border-primary-500 focus:ring-primary-500';
+
+// Time off for vacations, sick days or a break: unmet days during a pause
+// don't break streaks or count against completion rates
+const PausesSection: React.FC = () => {
+  const { user } = useAuth();
+  const todayKey = getTodayKey(user?.preferences.timezone);
+  const emptyForm: PauseForm = { habitId: null, startDate: todayKey, endDate: null, reason: 'vacation', note: '' };
+
+  const [pauses, setPauses] = useState<Pause[]>([]);
+  const [habits, setHabits] = useState<Habit[]>([]);
+  const [form, setForm] = useState<PauseForm>(emptyForm);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const loadPauses = useCallback(async () => {
+    try {
+      const [pausesResponse, habitsResponse] = await Promise.all([
+        pausesAPI.getPauses(),
+        habitsAPI.getHabits(false),
+      ]);
+      setPauses(pausesResponse.pauses);
+      setHabits(habitsResponse.habits);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load time off');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPauses();
+  }, [loadPauses]);
+
+  // Changed on another device
+  useSocketEvent('pause-created', loadPauses);
+  useSocketEvent('pause-updated', loadPauses);
+  useSocketEvent('pause-deleted', loadPauses);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (form.endDate && form.endDate < form.startDate) {
+      toast.error('End date cannot be before start date');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await pausesAPI.createPause(form);
+      setPauses(current => [response.pause, ...current.filter(p => p._id !== response.pause._id)]);
+      setForm(emptyForm);
+      toast.success('Time off added');
+    } catch (error: any) {
+      toast.error(error.message || 'Could not add time off');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Resuming ends the pause yesterday, so today is due again. A pause that
+  // starts today has nothing left to keep.
+  const handleResume = async (pause: Pause) => {
+    if (toDateKey(pause.startDate) >= todayKey) {
+      await handleDelete(pause);
+      return;
+    }
+
+    setBusyId(pause._id);
+    try {
+      const response = await pausesAPI.updatePause(pause._id, { endDate: addDaysToKey(todayKey, -1) });
+      setPauses(current => current.map(p => p._id === pause._id ? response.pause : p));
+      toast.success('Welcome back! Your habits are due again');
+    } catch (error: any) {
+      toast.error(error.message || 'Could not resume');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (pause: Pause) => {
+    setBusyId(pause._id);
+    try {
+      await pausesAPI.deletePause(pause._id);
+      setPauses(current => current.filter(p => p._id !== pause._id));
+    } catch (error: any) {
+      toast.error(error.message || 'Could not delete time off');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">
+        Time Off
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Pause all habits or one of them for a vacation or sick days. Days missed while paused don't break streaks
+        or lower completion rates, and reminders stop until you're back.
+      </p>
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 mb-6">
+        <select
+          value={form.habitId ?? ''}
+          onChange={e => setForm({ ...form, habitId: e.target.value || null })}
+          className={inputClass}
+          aria-label="Habits to pause"
+        >
+          <option value="">All habits</option>
+          {habits.map(habit => (
+            <option key={habit._id} value={habit._id}>{habit.name}</option>
+          ))}
+        </select>
+        <select
+          value={form.reason}
+          onChange={e => setForm({ ...form, reason: e.target.value as PauseReason })}
+          className={inputClass}
+          aria-label="Reason"
+        >
+          {REASONS.map(reason => (
+            <option key={reason.value} value={reason.value}>{reason.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={form.note}
+          onChange={e => setForm({ ...form, note: e.target.value })}
+          maxLength={200}
+          placeholder="Note (optional)"
+          className={inputClass}
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          From
+          <input
+            type="date"
+            required
+            value={form.startDate}
+            onChange={e => setForm({ ...form, startDate: e.target.value })}
+            className={`${inputClass} flex-1`}
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          Until
+          <input
+            type="date"
+            value={form.endDate ?? ''}
+            min={form.startDate}
+            onChange={e => setForm({ ...form, endDate: e.target.value || null })}
+            className={`${inputClass} flex-1`}
+            title="Leave empty to pause until you resume"
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving && <LoadingSpinner size="small" color="text-white" />}
+          Add time off
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : pauses.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No time off yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {pauses.map(pause => {
+            const startKey = toDateKey(pause.startDate);
+            const endKey = pause.endDate ? toDateKey(pause.endDate) : null;
+            const active = startKey <= todayKey && (!endKey || endKey >= todayKey);
+            const upcoming = startKey > todayKey;
+
+            return (
+              <li key={pause._id} className="flex items-center justify-between gap-4 py-3">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 dark:text-white">
+                    {reasonLabel(pause.reason)} &middot; {pause.habitId ? pause.habitId.name : 'All habits'}
+                    {active && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-warning-100 text-warning-800 dark:bg-warning-900 dark:text-warning-100">
+                        Now
+                      </span>
+                    )}
+                    {upcoming && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-primary-100 text-primary-800 dark:bg-primary-900 dark:text-primary-100">
+                        Upcoming
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {formatDay(startKey)} &ndash; {endKey ? formatDay(endKey) : 'until resumed'}
+                    {pause.note && <> &middot; {pause.note}</>}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  {active && (
+                    <button
+                      type="button"
+                      onClick={() => handleResume(pause)}
+                      disabled={busyId !== null}
+                      className="px-3 py-1.5 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+                    >
+                      {busyId === pause._id ? <LoadingSpinner size="small" /> : 'Resume'}
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(pause)}
+                    disabled={busyId !== null}
+                    className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PausesSection;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { analyticsAPI } from '../../api/analytics';
+import { ReportFormat, ReportPeriod } from '../../types';
+import LoadingSpinner from '../LoadingSpinner';
+
+const ReportSection: React.FC = () => {
+  const [period, setPeriod] = useState<ReportPeriod>('month');
+  const [loading, setLoading] = useState<ReportFormat | null>(null);
+
+  const handleReport = async (format: ReportFormat) => {
+    // Open the tab before the request so popup blockers allow it
+    const printWindow = format === 'html' ? window.open('', '_blank') : null;
+
+    setLoading(format);
+    try {
+      const blob = await analyticsAPI.getReport({ period, format });
+      const url = URL.createObjectURL(blob);
+
+      if (printWindow) {
+        printWindow.location.href = url;
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `habit-report-${period}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error: any) {
+      printWindow?.close();
+      toast.error(error.message || 'Could not generate report');
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">
+        Progress Report
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Completion rates, streaks, mood and difficulty for every habit, with insights for the period.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={period}
+          onChange={e => setPeriod(e.target.value as ReportPeriod)}
+          className="text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white focus:border-primary-500 focus:ring-primary-500"
+        >
+          <option value="month">This month</option>
+          <option value="quarter">This quarter</option>
+        </select>
+        <button
+          type="button"
+          onClick={() => handleReport('pdf')}
+          disabled={loading !== null}
+          className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading === 'pdf' && <LoadingSpinner size="small" color="text-white" />}
+          Download PDF
+        </button>
+        <button
+          type="button"
+          onClick={() => handleReport('html')}
+          disabled={loading !== null}
+          className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading === 'html' && <LoadingSpinner size="small" />}
+          Printable version
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReportSection;
@@ -0,0 +1,127 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { authAPI } from '../../api/auth';
+import { useAuth } from '../../context/AuthContext';
+import { AuthSession } from '../../types';
+import LoadingSpinner from '../LoadingSpinner';
+
+const formatDateTime = (value: string) => new Date(value).toLocaleString();
+
+const SessionsSection: React.FC = () => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState<AuthSession[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState<string | null>(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.sessions);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (session: AuthSession) => {
+    if (session.current) {
+      logout();
+      return;
+    }
+
+    setRevoking(session.id);
+    try {
+      await authAPI.revokeSession(session.id);
+      setSessions(current => current.filter(s => s.id !== session.id));
+      toast.success(`Signed out ${session.device}`);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not sign out that device');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out every other device? They will need to sign in again.')) return;
+
+    setRevoking('others');
+    try {
+      const response = await authAPI.revokeOtherSessions();
+      setSessions(current => current.filter(s => s.current));
+      toast.success(response.message);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not sign out other devices');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const hasOthers = sessions.some(session => !session.current);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3 mb-6">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">
+            Signed-in Devices
+          </h2>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Sign out devices you no longer use. Changing your password signs out every other device.
+          </p>
+        </div>
+        {hasOthers && (
+          <button
+            type="button"
+            onClick={handleRevokeOthers}
+            disabled={revoking !== null}
+            className="px-4 py-2 text-sm font-medium text-danger-700 bg-danger-50 rounded-md hover:bg-danger-100 dark:bg-danger-900 dark:text-danger-100 disabled:opacity-50"
+          >
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {sessions.map(session => (
+            <li key={session.id} className="flex items-center justify-between gap-4 py-3">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 dark:text-white">
+                  {session.device}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-success-100 text-success-800 dark:bg-success-900 dark:text-success-100">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                  {session.ip && <>{session.ip} &middot; </>}
+                  Last active {formatDateTime(session.lastSeenAt)} &middot; Signed in {formatDateTime(session.createdAt)}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(session)}
+                disabled={revoking !== null}
+                className="shrink-0 px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-200 bg-gray-100 dark:bg-gray-700 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50"
+              >
+                {revoking === session.id ? <LoadingSpinner size="small" /> : 'Sign out'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionsSection;
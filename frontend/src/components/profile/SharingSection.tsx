@@ -0,0 +1,226 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { habitsAPI } from '../../api/habits';
+import { getShareUrl, sharesAPI } from '../../api/shares';
+import { Habit, ShareLink } from '../../types';
+import LoadingSpinner from '../LoadingSpinner';
+
+const formatDate = (value: string) => new Date(value).toLocaleDateString();
+
+const inputClass = 'text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white focus:border-primary-500 focus:ring-primary-500';
+
+// Public progress pages: read-only links showing streaks, completion rates and
+// a heatmap for the chosen habits, without notes or anything personal
+const SharingSection: React.FC = () => {
+  const [shares, setShares] = useState<ShareLink[]>([]);
+  const [habits, setHabits] = useState<Habit[]>([]);
+  const [title, setTitle] = useState('');
+  const [habitIds, setHabitIds] = useState<string[]>([]);
+  const [expiresOn, setExpiresOn] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const loadShares = useCallback(async () => {
+    try {
+      const [sharesResponse, habitsResponse] = await Promise.all([
+        sharesAPI.getShares(),
+        habitsAPI.getHabits(false),
+      ]);
+      setShares(sharesResponse.shares);
+      setHabits(habitsResponse.habits);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load shared pages');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadShares();
+  }, [loadShares]);
+
+  const toggleHabit = (habitId: string) => {
+    setHabitIds(current =>
+      current.includes(habitId) ? current.filter(id => id !== habitId) : [...current, habitId]
+    );
+  };
+
+  const copyLink = async (share: ShareLink) => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(share.slug));
+      toast.success('Link copied');
+    } catch {
+      toast.info(getShareUrl(share.slug));
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (habitIds.length === 0) {
+      toast.error('Select at least one habit to share');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await sharesAPI.createShare({
+        title: title.trim(),
+        habitIds,
+        // Valid through the end of the chosen day
+        expiresAt: expiresOn ? new Date(`${expiresOn}T23:59:59`).toISOString() : null,
+      });
+      setShares(current => [response.share, ...current]);
+      setTitle('');
+      setHabitIds([]);
+      setExpiresOn('');
+      copyLink(response.share);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not publish page');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (share: ShareLink) => {
+    if (!window.confirm('Revoke this link? Anyone who has it will no longer see your progress.')) return;
+
+    setBusyId(share.id);
+    try {
+      await sharesAPI.deleteShare(share.id);
+      setShares(current => current.filter(s => s.id !== share.id));
+      toast.success('Link revoked');
+    } catch (error: any) {
+      toast.error(error.message || 'Could not revoke link');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">
+        Public Progress Pages
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Share a read-only page with streaks, completion rates and a heatmap for the habits you pick. Anyone with the
+        link can view it, without logging in. Notes, moods and your email are never shown.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-3 mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <input
+            type="text"
+            value={title}
+            onChange={e => setTitle(e.target.value)}
+            maxLength={100}
+            placeholder="Title (optional)"
+            className={inputClass}
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            Expires
+            <input
+              type="date"
+              value={expiresOn}
+              onChange={e => setExpiresOn(e.target.value)}
+              min={new Date().toLocaleDateString('en-CA')}
+              className={`${inputClass} flex-1`}
+              title="Leave empty to keep the link until you revoke it"
+            />
+          </label>
+        </div>
+        <fieldset>
+          <legend className="text-sm text-gray-700 dark:text-gray-300 mb-2">Habits to show</legend>
+          <div className="flex flex-wrap gap-2">
+            {habits.map(habit => (
+              <label
+                key={habit._id}
+                className={`flex items-center gap-2 px-3 py-1 rounded-full text-sm cursor-pointer border ${
+                  habitIds.includes(habit._id)
+                    ? 'border-primary-500 bg-primary-50 text-primary-700 dark:bg-primary-900/20 dark:text-primary-300'
+                    : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300'
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={habitIds.includes(habit._id)}
+                  onChange={() => toggleHabit(habit._id)}
+                  className="sr-only"
+                />
+                <span className="w-2 h-2 rounded-full" style={{ backgroundColor: habit.color }} />
+                {habit.name}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving && <LoadingSpinner size="small" color="text-white" />}
+          Publish page
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : shares.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No published pages.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {shares.map(share => (
+            <li key={share.id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 dark:text-white">
+                  {share.title || 'Untitled page'}
+                  {share.expired && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200">
+                      Expired
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                  {share.habits.map(h => h.name).join(', ') || 'No habits left'}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {share.viewCount} {share.viewCount === 1 ? 'view' : 'views'}
+                  {share.expiresAt && <> &middot; {share.expired ? 'Expired' : 'Expires'} {formatDate(share.expiresAt)}</>}
+                </p>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <a
+                  href={getShareUrl(share.slug)}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600"
+                >
+                  Open
+                </a>
+                <button
+                  type="button"
+                  onClick={() => copyLink(share)}
+                  className="px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600"
+                >
+                  Copy link
+                </button>
+                <button
+                  type="button"
+                  disabled={busyId === share.id}
+                  onClick={() => handleRevoke(share)}
+                  className="px-3 py-1 text-xs font-medium rounded-md text-danger-600 hover:bg-danger-50 dark:hover:bg-danger-900/20 disabled:opacity-50"
+                >
+                  Revoke
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SharingSection;
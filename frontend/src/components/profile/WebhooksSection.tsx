@@ -0,0 +1,353 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { webhooksAPI } from '../../api/webhooks';
+import { Webhook, WebhookDelivery } from '../../types';
+import LoadingSpinner from '../LoadingSpinner';
+
+const formatDateTime = (value: string) => new Date(value).toLocaleString();
+
+const inputClass = 'text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white focus:border-primary-500 focus:ring-primary-500';
+const smallButtonClass = 'px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 disabled:opacity-50';
+
+const DELIVERY_STATUS_CLASSES: Record<WebhookDelivery['status'], string> = {
+  succeeded: 'bg-success-100 text-success-800 dark:bg-success-900 dark:text-success-100',
+  pending: 'bg-warning-100 text-warning-800 dark:bg-warning-900 dark:text-warning-100',
+  failed: 'bg-danger-100 text-danger-800 dark:bg-danger-900 dark:text-danger-100',
+};
+
+// Deliveries of one webhook, newest first
+const DeliveryLog: React.FC<{ deliveries: WebhookDelivery[] }> = ({ deliveries }) => {
+  if (deliveries.length === 0) {
+    return <p className="text-xs text-gray-500 dark:text-gray-400">No deliveries yet.</p>;
+  }
+
+  return (
+    <ul className="space-y-1">
+      {deliveries.map(delivery => {
+        const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+
+        return (
+          <li key={delivery.id} className="flex flex-wrap items-center gap-2 text-xs text-gray-600 dark:text-gray-400">
+            <span className={`px-2 py-0.5 rounded-full ${DELIVERY_STATUS_CLASSES[delivery.status]}`}>{delivery.status}</span>
+            <code className="text-gray-900 dark:text-gray-100">{delivery.event}</code>
+            <span>{formatDateTime(delivery.createdAt)}</span>
+            {lastAttempt && (
+              <span>
+                {lastAttempt.statusCode ?? lastAttempt.error} &middot; {lastAttempt.durationMs} ms
+                {delivery.attempts.length > 1 && <> &middot; {delivery.attempts.length} attempts</>}
+              </span>
+            )}
+            {delivery.status === 'pending' && delivery.nextAttemptAt && (
+              <span>&middot; retrying {formatDateTime(delivery.nextAttemptAt)}</span>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+// Webhooks: habit and tracking events POSTed to the user's own URLs
+const WebhooksSection: React.FC = () => {
+  const [webhooks, setWebhooks] = useState<Webhook[]>([]);
+  const [events, setEvents] = useState<string[]>([]);
+  const [url, setUrl] = useState('');
+  const [description, setDescription] = useState('');
+  const [selectedEvents, setSelectedEvents] = useState<string[]>([]);
+  const [deliveries, setDeliveries] = useState<Record<string, WebhookDelivery[]>>({});
+  const [openLogId, setOpenLogId] = useState<string | null>(null);
+  const [newSecret, setNewSecret] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const loadWebhooks = useCallback(async () => {
+    try {
+      const response = await webhooksAPI.getWebhooks();
+      setWebhooks(response.webhooks);
+      setEvents(response.events);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load webhooks');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWebhooks();
+  }, [loadWebhooks]);
+
+  const loadDeliveries = async (webhookId: string) => {
+    try {
+      const response = await webhooksAPI.getDeliveries(webhookId);
+      setDeliveries(current => ({ ...current, [webhookId]: response.deliveries }));
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load deliveries');
+    }
+  };
+
+  const toggleEvent = (event: string) => {
+    setSelectedEvents(current =>
+      current.includes(event) ? current.filter(e => e !== event) : [...current, event]
+    );
+  };
+
+  const toggleLog = (webhook: Webhook) => {
+    if (openLogId === webhook.id) {
+      setOpenLogId(null);
+      return;
+    }
+    setOpenLogId(webhook.id);
+    loadDeliveries(webhook.id);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (selectedEvents.length === 0) {
+      toast.error('Select at least one event');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await webhooksAPI.createWebhook({
+        url: url.trim(),
+        description: description.trim(),
+        events: selectedEvents,
+      });
+      setWebhooks(current => [response.webhook, ...current]);
+      setNewSecret(response.secret);
+      setUrl('');
+      setDescription('');
+      setSelectedEvents([]);
+      toast.success(response.message);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not add webhook');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const copySecret = async (secret: string) => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      toast.success('Secret copied');
+    } catch {
+      toast.info(secret);
+    }
+  };
+
+  const handleRotateSecret = async (webhook: Webhook) => {
+    if (!window.confirm('Rotate this secret? Signatures checked with the old one will stop matching.')) return;
+
+    setBusyId(webhook.id);
+    try {
+      const response = await webhooksAPI.rotateSecret(webhook.id);
+      setNewSecret(response.secret);
+      toast.success(response.message);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not rotate secret');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleTest = async (webhook: Webhook) => {
+    setBusyId(webhook.id);
+    try {
+      const response = await webhooksAPI.sendTestEvent(webhook.id);
+      if (response.delivery.status === 'succeeded') {
+        toast.success(response.message);
+      } else {
+        toast.error(response.message);
+      }
+      if (openLogId === webhook.id) loadDeliveries(webhook.id);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not send test event');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggleActive = async (webhook: Webhook) => {
+    setBusyId(webhook.id);
+    try {
+      const response = await webhooksAPI.updateWebhook(webhook.id, { isActive: !webhook.isActive });
+      setWebhooks(current => current.map(w => (w.id === webhook.id ? response.webhook : w)));
+    } catch (error: any) {
+      toast.error(error.message || 'Could not update webhook');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (webhook: Webhook) => {
+    if (!window.confirm('Remove this webhook? Its delivery log is deleted too.')) return;
+
+    setBusyId(webhook.id);
+    try {
+      await webhooksAPI.deleteWebhook(webhook.id);
+      setWebhooks(current => current.filter(w => w.id !== webhook.id));
+      toast.success('Webhook removed');
+    } catch (error: any) {
+      toast.error(error.message || 'Could not remove webhook');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">
+        Webhooks
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Send habit and tracking events to your own tools. Each request is signed with the webhook's secret in the
+        <code> X-Habit-Signature </code> header; failed deliveries are retried for a few hours.
+      </p>
+
+      {newSecret && (
+        <div className="mb-6 p-4 rounded-md bg-success-50 dark:bg-success-900/20 border border-success-200 dark:border-success-800">
+          <p className="text-sm text-success-800 dark:text-success-100 mb-2">
+            Copy the signing secret now. It won't be shown again.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <code className="flex-1 px-3 py-2 rounded bg-white dark:bg-gray-900 text-sm text-gray-900 dark:text-gray-100 break-all">
+              {newSecret}
+            </code>
+            <div className="flex gap-2 shrink-0">
+              <button
+                type="button"
+                onClick={() => copySecret(newSecret)}
+                className="px-3 py-1 text-xs font-medium rounded-md text-white bg-success-600 hover:bg-success-700"
+              >
+                Copy
+              </button>
+              <button
+                type="button"
+                onClick={() => setNewSecret(null)}
+                className="px-3 py-1 text-xs font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 dark:text-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3 mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <input
+            type="url"
+            value={url}
+            onChange={e => setUrl(e.target.value)}
+            placeholder="https://example.com/hooks/habits"
+            required
+            className={inputClass}
+          />
+          <input
+            type="text"
+            value={description}
+            onChange={e => setDescription(e.target.value)}
+            maxLength={100}
+            placeholder="Description (optional)"
+            className={inputClass}
+          />
+        </div>
+        <fieldset>
+          <legend className="text-sm text-gray-700 dark:text-gray-300 mb-2">Events</legend>
+          <div className="flex flex-wrap gap-2">
+            {events.map(event => (
+              <label
+                key={event}
+                className={`px-3 py-1 rounded-full text-sm cursor-pointer border ${
+                  selectedEvents.includes(event)
+                    ? 'border-primary-500 bg-primary-50 text-primary-700 dark:bg-primary-900/20 dark:text-primary-300'
+                    : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300'
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={selectedEvents.includes(event)}
+                  onChange={() => toggleEvent(event)}
+                  className="sr-only"
+                />
+                {event}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving && <LoadingSpinner size="small" color="text-white" />}
+          Add webhook
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : webhooks.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No webhooks.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {webhooks.map(webhook => (
+            <li key={webhook.id} className="py-3 space-y-2">
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                    {webhook.description || webhook.url}
+                    {!webhook.isActive && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200">
+                        Paused
+                      </span>
+                    )}
+                  </p>
+                  {webhook.description && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{webhook.url}</p>
+                  )}
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{webhook.events.join(', ')}</p>
+                </div>
+                <div className="flex flex-wrap gap-2 shrink-0">
+                  <button type="button" disabled={busyId === webhook.id} onClick={() => handleTest(webhook)} className={smallButtonClass}>
+                    Send test event
+                  </button>
+                  <button type="button" disabled={busyId === webhook.id} onClick={() => handleRotateSecret(webhook)} className={smallButtonClass}>
+                    Rotate secret
+                  </button>
+                  <button type="button" onClick={() => toggleLog(webhook)} className={smallButtonClass}>
+                    {openLogId === webhook.id ? 'Hide deliveries' : 'Deliveries'}
+                  </button>
+                  <button type="button" disabled={busyId === webhook.id} onClick={() => handleToggleActive(webhook)} className={smallButtonClass}>
+                    {webhook.isActive ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    type="button"
+                    disabled={busyId === webhook.id}
+                    onClick={() => handleDelete(webhook)}
+                    className="px-3 py-1 text-xs font-medium rounded-md text-danger-600 hover:bg-danger-50 dark:hover:bg-danger-900/20 disabled:opacity-50"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+              {openLogId === webhook.id && (
+                deliveries[webhook.id] ? (
+                  <DeliveryLog deliveries={deliveries[webhook.id]} />
+                ) : (
+                  <LoadingSpinner size="small" />
+                )
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WebhooksSection;
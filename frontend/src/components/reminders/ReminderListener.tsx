@@ -0,0 +1,115 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { habitsAPI } from '../../api/habits';
+import { remindersAPI } from '../../api/reminders';
+import { trackingAPI } from '../../api/tracking';
+import { useAuth } from '../../context/AuthContext';
+import { useSocketEvent } from '../../context/SocketContext';
+import { ReminderPayload } from '../../types';
+import { getTodayKey } from '../../utils/date';
+
+const SNOOZE_MINUTES = 10;
+
+interface ReminderToastProps {
+  reminder: ReminderPayload;
+  onDone: () => void;
+  onSnooze: () => void;
+  onMute: () => void;
+  closeToast?: () => void;
+}
+
+const actionClasses = 'px-2 py-1 text-xs font-medium rounded-md';
+
+const ReminderToast: React.FC<ReminderToastProps> = ({ reminder, onDone, onSnooze, onMute, closeToast }) => {
+  const handle = (action: () => void) => () => {
+    action();
+    closeToast?.();
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-2">
+        <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: reminder.color }} />
+        <p className="font-medium text-gray-900">{reminder.message}</p>
+      </div>
+      <div className="mt-2 flex gap-2">
+        <button
+          type="button"
+          onClick={handle(onDone)}
+          className={`${actionClasses} text-white bg-success-600 hover:bg-success-700`}
+        >
+          {reminder.quantitative ? 'Log' : 'Done'}
+        </button>
+        <button
+          type="button"
+          onClick={handle(onSnooze)}
+          className={`${actionClasses} text-gray-700 bg-gray-100 hover:bg-gray-200`}
+        >
+          Snooze {SNOOZE_MINUTES}m
+        </button>
+        <button
+          type="button"
+          onClick={handle(onMute)}
+          className={`${actionClasses} text-gray-700 bg-gray-100 hover:bg-gray-200`}
+        >
+          Mute
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Shows in-app habit reminders sent by the backend scheduler as toasts
+const ReminderListener: React.FC = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  useSocketEvent('habit-reminder', (reminder) => {
+    const onDone = async () => {
+      // Quantitative habits need a value, so open the dashboard instead
+      if (reminder.quantitative) {
+        navigate(reminder.url);
+        return;
+      }
+
+      try {
+        await trackingAPI.trackHabit(reminder.habitId, getTodayKey(user?.preferences.timezone), { completed: true });
+        toast.success(`${reminder.habitName} marked as done`);
+      } catch (error: any) {
+        toast.error(error.message || 'Could not update habit');
+      }
+    };
+
+    const onSnooze = async () => {
+      try {
+        await remindersAPI.snooze(reminder.habitId, SNOOZE_MINUTES);
+        toast.info(`Reminding you again in ${SNOOZE_MINUTES} minutes`);
+      } catch (error: any) {
+        toast.error(error.message || 'Could not snooze reminder');
+      }
+    };
+
+    const onMute = async () => {
+      try {
+        await habitsAPI.updateHabit(reminder.habitId, { reminderMuted: true });
+        toast.info(`Reminders for ${reminder.habitName} muted`);
+      } catch (error: any) {
+        toast.error(error.message || 'Could not mute reminders');
+      }
+    };
+
+    toast(
+      <ReminderToast reminder={reminder} onDone={onDone} onSnooze={onSnooze} onMute={onMute} />,
+      {
+        toastId: reminder.reminderId, // Shown once even if the event arrives twice
+        autoClose: false,
+        closeOnClick: false,
+      }
+    );
+  });
+
+  return null;
+};
+
+export default ReminderListener;
@@ -1,6 +1,9 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { User, AuthContextType, LoginForm, RegisterForm } from '../types';
+import { User, AuthContextType, AuthResponse, LoginForm, RegisterForm } from '../types';
 import { authAPI } from '../api/auth';
+import { AUTH_EVENTS } from '../api/client';
+import { clearQueuedTracking } from '../utils/offlineQueue';
+import { clearCachedApiData } from '../utils/serviceWorker';
 import { toast } from 'react-toastify';
 
 // Auth state interface
@@ -107,6 +110,23 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     initializeAuth();
   }, []);
 
+  // Keep state in step with the API client, which refreshes the access
+  // token on its own and gives up when the session is gone
+  useEffect(() => {
+    const handleRefreshed = (event: Event) => {
+      const { user, token } = (event as CustomEvent<AuthResponse>).detail;
+      dispatch({ type: 'AUTH_SUCCESS', payload: { user, token } });
+    };
+    const handleExpired = () => dispatch({ type: 'AUTH_LOGOUT' });
+
+    window.addEventListener(AUTH_EVENTS.refreshed, handleRefreshed);
+    window.addEventListener(AUTH_EVENTS.expired, handleExpired);
+    return () => {
+      window.removeEventListener(AUTH_EVENTS.refreshed, handleRefreshed);
+      window.removeEventListener(AUTH_EVENTS.expired, handleExpired);
+    };
+  }, []);
+
   // Login function
   const login = async (email: string, password: string) => {
     try {
@@ -157,7 +177,12 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
 
   // Logout function
   const logout = () => {
-    authAPI.logout();
+    authAPI.logout().catch(() => {
+      // Local auth data is cleared either way; the session expires on its own
+    });
+    // Offline data belongs to this user
+    clearQueuedTracking().catch(() => {});
+    clearCachedApiData();
     dispatch({ type: 'AUTH_LOGOUT' });
     toast.success('Logged out successfully');
   };
@@ -0,0 +1,110 @@
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import { io, Socket } from 'socket.io-client';
+import { authAPI } from '../api/auth';
+import { AUTH_EVENTS, refreshAccessToken } from '../api/client';
+import { SocketEvents } from '../types';
+import { useAuth } from './AuthContext';
+
+// The socket server is the API server without the /api prefix
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL
+  || (process.env.REACT_APP_API_URL || 'http://localhost:5000/api').replace(/\/api\/?$/, '');
+
+interface ClientEvents {
+  authenticate: (token: string, ack: (result: { ok: boolean; code?: string }) => void) => void;
+}
+
+type AppSocket = Socket<SocketEvents, ClientEvents>;
+
+interface SocketContextType {
+  socket: AppSocket | null;
+  connected: boolean;
+}
+
+const SocketContext = createContext<SocketContextType>({ socket: null, connected: false });
+
+// Socket provider component: connected while a user is logged in
+export const SocketProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const { user, token } = useAuth();
+  const [socket, setSocket] = useState<AppSocket | null>(null);
+  const [connected, setConnected] = useState(false);
+  const userId = user?.id;
+  // Refreshed access tokens must not reconnect the socket
+  const loggedIn = Boolean(token);
+
+  useEffect(() => {
+    if (!userId || !loggedIn) return;
+
+    // The server authenticates the handshake and puts the socket in this
+    // user's room. The token is read on every (re)connect so it is current.
+    const client: AppSocket = io(SOCKET_URL, {
+      transports: ['websocket', 'polling'],
+      auth: callback => callback({ token: localStorage.getItem('token') }),
+    });
+
+    // Rejected or expired token: refresh it and connect again. If the
+    // session itself is gone the refresh fails, and an API call lets the
+    // client sign out as usual.
+    const reconnect = () => {
+      refreshAccessToken()
+        .then(() => client.connect())
+        .catch(() => authAPI.verifyToken().catch(() => {}));
+    };
+
+    client.on('connect', () => setConnected(true));
+    client.on('disconnect', reason => {
+      setConnected(false);
+      // The server ends sockets whose token expired or session was signed
+      // out (after a 'session-expired' event); those do not reconnect alone
+      if (reason === 'io server disconnect') reconnect();
+    });
+    // Handshake rejections carry a code; plain network errors retry on their own
+    client.on('connect_error', (error: Error & { data?: { code?: string } }) => {
+      if (error.data?.code && error.data.code !== 'SERVER_ERROR') reconnect();
+    });
+
+    // Hand refreshed access tokens to the open connection
+    const handleRefreshed = (event: Event) => {
+      const { token: freshToken } = (event as CustomEvent<{ token: string }>).detail;
+      if (client.connected) {
+        client.emit('authenticate', freshToken, () => {});
+      }
+    };
+    window.addEventListener(AUTH_EVENTS.refreshed, handleRefreshed);
+
+    setSocket(client);
+
+    return () => {
+      window.removeEventListener(AUTH_EVENTS.refreshed, handleRefreshed);
+      client.disconnect();
+      setSocket(null);
+      setConnected(false);
+    };
+  }, [userId, loggedIn]);
+
+  return (
+    <SocketContext.Provider value={{ socket, connected }}>
+      {children}
+    </SocketContext.Provider>
+  );
+};
+
+// Custom hook to use socket context
+export const useSocket = (): SocketContextType => useContext(SocketContext);
+
+// Subscribe to a server event for the lifetime of the component. The latest
+// handler is always called, so it does not need to be memoized.
+export const useSocketEvent = <E extends keyof SocketEvents>(event: E, handler: SocketEvents[E]) => {
+  const { socket } = useSocket();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const listener = (...args: any[]) => (handlerRef.current as (...args: any[]) => void)(...args);
+    socket.on(event, listener as any);
+    return () => {
+      socket.off(event, listener as any);
+    };
+  }, [socket, event]);
+};
@@ -0,0 +1,107 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { toast } from 'react-toastify';
+import { achievementsAPI } from '../api/achievements';
+import { useSocketEvent } from '../context/SocketContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { Achievement, AchievementType } from '../types';
+
+const GROUPS: { type: AchievementType; title: string }[] = [
+  { type: 'streak', title: 'Streaks' },
+  { type: 'perfect-week', title: 'Consistency' },
+  { type: 'completions', title: 'Completed Days' },
+  { type: 'checkins', title: 'Check-ins' },
+  { type: 'category', title: 'Category Mastery' },
+];
+
+const formatDate = (value: string) => new Date(value).toLocaleDateString();
+
+// Trophy case: every badge, unlocked ones in color with the date earned
+const AchievementsPage: React.FC = () => {
+  const [achievements, setAchievements] = useState<Achievement[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadAchievements = useCallback(async () => {
+    try {
+      const response = await achievementsAPI.getAchievements();
+      setAchievements(response.achievements);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load achievements');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAchievements();
+  }, [loadAchievements]);
+
+  useSocketEvent('achievement-unlocked', loadAchievements);
+
+  const unlockedCount = useMemo(() => achievements.filter(a => a.unlocked).length, [achievements]);
+
+  return (
+    <div className="p-6">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+            Achievements
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            {loading ? 'Badges earned along the way.' : `${unlockedCount} of ${achievements.length} badges unlocked.`}
+          </p>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="large" />
+          </div>
+        ) : (
+          <div className="space-y-8">
+            {GROUPS.map(group => {
+              const items = achievements.filter(a => a.type === group.type);
+              if (items.length === 0) return null;
+
+              return (
+                <section key={group.type}>
+                  <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">{group.title}</h2>
+                  <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                    {items.map(achievement => (
+                      <li
+                        key={achievement.key}
+                        className={`flex items-start gap-3 p-4 rounded-lg shadow-soft bg-white dark:bg-gray-800 ${
+                          achievement.unlocked ? '' : 'opacity-50'
+                        }`}
+                      >
+                        <span
+                          className={`text-3xl leading-none ${achievement.unlocked ? '' : 'grayscale'}`}
+                          role="img"
+                          aria-hidden="true"
+                        >
+                          {achievement.icon}
+                        </span>
+                        <div className="min-w-0">
+                          <p className="font-medium text-gray-900 dark:text-white">{achievement.title}</p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">{achievement.description}</p>
+                          {achievement.unlocked && achievement.unlockedAt ? (
+                            <p className="mt-1 text-xs text-success-600 dark:text-success-400">
+                              Unlocked {formatDate(achievement.unlockedAt)}
+                              {achievement.habit && <> &middot; {achievement.habit.name}</>}
+                            </p>
+                          ) : (
+                            <p className="mt-1 text-xs text-gray-400">Locked</p>
+                          )}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AchievementsPage;
@@ -1,30 +1,137 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { analyticsAPI } from '../api/analytics';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import '../components/analytics/chartSetup';
+import StatCard from '../components/analytics/StatCard';
+import YearHeatmap from '../components/analytics/YearHeatmap';
+import TrendsChart, { TrendGroupBy, TrendPeriod } from '../components/analytics/TrendsChart';
+import CategoryDoughnut from '../components/analytics/CategoryDoughnut';
+import HabitDrillDown from '../components/analytics/HabitDrillDown';
+import { HeatmapData, OverviewAnalytics, TrendData } from '../types';
+import { getTodayKey } from '../utils/date';
+
+type HabitSummary = { id: string; name: string; color: string; category: string };
 
 const AnalyticsPage: React.FC = () => {
+  const { user } = useAuth();
+  const currentYear = Number(getTodayKey(user?.preferences.timezone).slice(0, 4));
+
+  const [overview, setOverview] = useState<OverviewAnalytics | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [includeArchived, setIncludeArchived] = useState(false);
+
+  const [year, setYear] = useState(currentYear);
+  const [heatmapData, setHeatmapData] = useState<HeatmapData>({});
+  const [habits, setHabits] = useState<HabitSummary[]>([]);
+
+  const [trendPeriod, setTrendPeriod] = useState<TrendPeriod>('month');
+  const [groupBy, setGroupBy] = useState<TrendGroupBy>('week');
+  const [trends, setTrends] = useState<TrendData[]>([]);
+
+  useEffect(() => {
+    analyticsAPI.getOverviewAnalytics(30, includeArchived)
+      .then(response => setOverview(response.overview))
+      .catch((error: any) => toast.error(error.message || 'Could not load analytics'))
+      .finally(() => setLoading(false));
+  }, [includeArchived]);
+
+  useEffect(() => {
+    analyticsAPI.getHeatmapData(year, includeArchived)
+      .then(response => {
+        setHeatmapData(response.heatmapData);
+        setHabits(response.habits);
+      })
+      .catch((error: any) => toast.error(error.message || 'Could not load heatmap'));
+  }, [year, includeArchived]);
+
+  useEffect(() => {
+    analyticsAPI.getTrendsData({ period: trendPeriod, groupBy, includeArchived })
+      .then(response => setTrends(response.trends))
+      .catch((error: any) => toast.error(error.message || 'Could not load trends'));
+  }, [trendPeriod, groupBy, includeArchived]);
+
+  // Daily grouping over a year would be unreadable; month grouping over a
+  // week is a single point
+  const handlePeriodChange = (period: TrendPeriod) => {
+    setTrendPeriod(period);
+    if (period === 'year' && groupBy === 'day') setGroupBy('week');
+    if (period === 'week' && groupBy === 'month') setGroupBy('day');
+  };
+
   return (
     <div className="p-6">
       <div className="max-w-7xl mx-auto">
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
-            Analytics
-          </h1>
-          <p className="text-gray-600 dark:text-gray-400">
-            View detailed insights and progress reports.
-          </p>
+        <div className="mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+              Analytics
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400">
+              View detailed insights and progress reports.
+            </p>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={includeArchived}
+              onChange={e => setIncludeArchived(e.target.checked)}
+              className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            Include archived habits
+          </label>
         </div>
 
-        <div className="text-center py-12">
-          <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
-          </svg>
-          <h3 className="mt-4 text-lg font-medium text-gray-900 dark:text-white">Coming Soon</h3>
-          <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
-            Analytics and reporting features will be available here.
-          </p>
-        </div>
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="large" />
+          </div>
+        ) : !overview || overview.totalHabits === 0 ? (
+          <div className="text-center py-12">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white">No data yet</h3>
+            <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+              Create a habit and start tracking to see your analytics.
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              <StatCard
+                label="Completion (30 days)"
+                value={`${overview.completionRate}%`}
+                hint={`${overview.completedOccurrences} of ${overview.dueOccurrences} due`}
+              />
+              <StatCard label={includeArchived ? 'Habits' : 'Active Habits'} value={overview.totalHabits} />
+              <StatCard label="Longest Current Streak" value={overview.longestStreak} />
+              <StatCard
+                label="Best Day This Week"
+                value={overview.bestDay ? `${Math.round(overview.bestDay.completionRate)}%` : '–'}
+                hint={overview.bestDay?.date}
+              />
+            </div>
+
+            <YearHeatmap year={year} data={heatmapData} onYearChange={setYear} maxYear={currentYear} />
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <div className="lg:col-span-2">
+                <TrendsChart
+                  trends={trends}
+                  period={trendPeriod}
+                  groupBy={groupBy}
+                  onPeriodChange={handlePeriodChange}
+                  onGroupByChange={setGroupBy}
+                />
+              </div>
+              <CategoryDoughnut trends={trends} />
+            </div>
+
+            <HabitDrillDown habits={habits} />
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
-export default AnalyticsPage;
\ No newline at end of file
+export default AnalyticsPage;
@@ -0,0 +1,461 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { challengesAPI } from '../api/challenges';
+import { useAuth } from '../context/AuthContext';
+import { useSocketEvent } from '../context/SocketContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { HABIT_CATEGORIES, HABIT_COLORS, capitalize, getPeriodLabel } from '../components/habits/constants';
+import { Challenge, ChallengeForm, ChallengeStatus, LeaderboardEntry } from '../types';
+import { addDaysToKey, getTodayKey } from '../utils/date';
+
+const STATUS_CLASSES: Record<ChallengeStatus, string> = {
+  upcoming: 'bg-warning-100 text-warning-800 dark:bg-warning-900 dark:text-warning-100',
+  active: 'bg-success-100 text-success-800 dark:bg-success-900 dark:text-success-100',
+  ended: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+};
+
+const formatDay = (dateKey: string) =>
+  new Date(`${dateKey}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC', month: 'short', day: 'numeric' });
+
+const cardClasses = 'bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6';
+const inputClasses = 'w-full text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white focus:border-primary-500 focus:ring-primary-500';
+const labelClasses = 'block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1';
+const buttonClasses = 'px-3 py-1.5 text-sm font-medium rounded-md disabled:opacity-50';
+
+// Group challenges: create or join one with a code, then follow the
+// leaderboard as participants check in
+const ChallengesPage: React.FC = () => {
+  const { user } = useAuth();
+  const todayKey = getTodayKey(user?.preferences.timezone);
+  const emptyForm: ChallengeForm = {
+    name: '',
+    description: '',
+    startDate: todayKey,
+    endDate: addDaysToKey(todayKey, 29),
+    template: {
+      name: '',
+      frequency: 'daily',
+      category: 'fitness',
+      color: HABIT_COLORS[0],
+      target: { amount: null, unit: '', comparison: 'at-least', aggregation: 'sum' },
+    },
+  };
+
+  const [challenges, setChallenges] = useState<Challenge[]>([]);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [leaderboard, setLeaderboard] = useState<LeaderboardEntry[]>([]);
+  const [form, setForm] = useState<ChallengeForm>(emptyForm);
+  const [showForm, setShowForm] = useState(false);
+  const [joinCode, setJoinCode] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [loadingLeaderboard, setLoadingLeaderboard] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const selected = challenges.find(c => c.id === selectedId) || null;
+
+  const loadChallenges = useCallback(async () => {
+    try {
+      const response = await challengesAPI.getChallenges();
+      setChallenges(response.challenges);
+      setSelectedId(current =>
+        response.challenges.some(c => c.id === current) ? current : response.challenges[0]?.id ?? null
+      );
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load challenges');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadChallenges();
+  }, [loadChallenges]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setLeaderboard([]);
+      return;
+    }
+
+    setLoadingLeaderboard(true);
+    challengesAPI.getChallenge(selectedId)
+      .then(response => setLeaderboard(response.leaderboard))
+      .catch((error: any) => toast.error(error.message || 'Could not load leaderboard'))
+      .finally(() => setLoadingLeaderboard(false));
+  }, [selectedId]);
+
+  // Live standings as participants check in, join or leave
+  useSocketEvent('challenge-leaderboard', (data) => {
+    if (data.challengeId === selectedId) setLeaderboard(data.leaderboard);
+    setChallenges(current => current.map(c =>
+      c.id === data.challengeId ? { ...c, participantCount: data.leaderboard.length } : c
+    ));
+  });
+  useSocketEvent('challenge-left', loadChallenges);
+  useSocketEvent('challenge-deleted', loadChallenges);
+
+  const updateTemplate = (changes: Partial<ChallengeForm['template']>) => {
+    setForm(current => ({ ...current, template: { ...current.template, ...changes } }));
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (form.endDate < form.startDate) {
+      toast.error('End date cannot be before start date');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await challengesAPI.createChallenge({
+        ...form,
+        template: {
+          ...form.template,
+          target: form.template.target.amount === null ? { ...form.template.target, unit: '' } : form.template.target,
+        },
+      });
+      setChallenges(current => [response.challenge, ...current]);
+      setSelectedId(response.challenge.id);
+      setForm(emptyForm);
+      setShowForm(false);
+      toast.success(`Challenge created. Share the code ${response.challenge.joinCode} to invite others.`);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not create challenge');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleJoin = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await challengesAPI.joinChallenge(joinCode.trim());
+      setChallenges(current => [response.challenge, ...current.filter(c => c.id !== response.challenge.id)]);
+      setSelectedId(response.challenge.id);
+      setJoinCode('');
+      toast.success(`Joined ${response.challenge.name}. ${response.habit.name} was added to your habits.`);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not join challenge');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLeave = async (challenge: Challenge) => {
+    const action = challenge.isOwner ? 'Delete' : 'Leave';
+    if (!window.confirm(`${action} ${challenge.name}? Your habit and its history are kept.`)) return;
+
+    try {
+      const response = challenge.isOwner
+        ? await challengesAPI.deleteChallenge(challenge.id)
+        : await challengesAPI.leaveChallenge(challenge.id);
+      toast.success(response.message);
+      loadChallenges();
+    } catch (error: any) {
+      toast.error(error.message || `Could not ${action.toLowerCase()} challenge`);
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+              Challenges
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400">
+              Take on a habit together and see who keeps it up best.
+            </p>
+          </div>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <form onSubmit={handleJoin} className="flex gap-2">
+              <input
+                type="text"
+                required
+                value={joinCode}
+                onChange={e => setJoinCode(e.target.value.toUpperCase())}
+                placeholder="Join code"
+                aria-label="Join code"
+                className={`${inputClasses} w-36 uppercase`}
+              />
+              <button
+                type="submit"
+                disabled={saving}
+                className={`${buttonClasses} text-white bg-primary-600 hover:bg-primary-700`}
+              >
+                Join
+              </button>
+            </form>
+            <button
+              type="button"
+              onClick={() => setShowForm(show => !show)}
+              className={`${buttonClasses} text-primary-700 bg-primary-50 hover:bg-primary-100 dark:text-primary-300 dark:bg-primary-900/20`}
+            >
+              {showForm ? 'Cancel' : 'New challenge'}
+            </button>
+          </div>
+        </div>
+
+        {showForm && (
+          <form onSubmit={handleCreate} className={`${cardClasses} mb-6 grid grid-cols-1 md:grid-cols-2 gap-4`}>
+            <div>
+              <label htmlFor="challenge-name" className={labelClasses}>Challenge name</label>
+              <input
+                id="challenge-name"
+                type="text"
+                required
+                maxLength={100}
+                value={form.name}
+                onChange={e => setForm({ ...form, name: e.target.value })}
+                placeholder="30 days of 10k steps"
+                className={inputClasses}
+              />
+            </div>
+            <div>
+              <label htmlFor="challenge-description" className={labelClasses}>Description</label>
+              <input
+                id="challenge-description"
+                type="text"
+                maxLength={500}
+                value={form.description}
+                onChange={e => setForm({ ...form, description: e.target.value })}
+                className={inputClasses}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="challenge-start" className={labelClasses}>Starts</label>
+                <input
+                  id="challenge-start"
+                  type="date"
+                  required
+                  value={form.startDate}
+                  onChange={e => setForm({ ...form, startDate: e.target.value })}
+                  className={inputClasses}
+                />
+              </div>
+              <div>
+                <label htmlFor="challenge-end" className={labelClasses}>Ends</label>
+                <input
+                  id="challenge-end"
+                  type="date"
+                  required
+                  min={todayKey}
+                  value={form.endDate}
+                  onChange={e => setForm({ ...form, endDate: e.target.value })}
+                  className={inputClasses}
+                />
+              </div>
+            </div>
+            <div>
+              <label htmlFor="challenge-habit" className={labelClasses}>Habit everyone tracks</label>
+              <input
+                id="challenge-habit"
+                type="text"
+                required
+                maxLength={100}
+                value={form.template.name}
+                onChange={e => updateTemplate({ name: e.target.value })}
+                placeholder="Walk 10k steps"
+                className={inputClasses}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="challenge-frequency" className={labelClasses}>Frequency</label>
+                <select
+                  id="challenge-frequency"
+                  value={form.template.frequency}
+                  onChange={e => updateTemplate({ frequency: e.target.value as ChallengeForm['template']['frequency'] })}
+                  className={inputClasses}
+                >
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="challenge-category" className={labelClasses}>Category</label>
+                <select
+                  id="challenge-category"
+                  value={form.template.category}
+                  onChange={e => updateTemplate({ category: e.target.value as ChallengeForm['template']['category'] })}
+                  className={inputClasses}
+                >
+                  {HABIT_CATEGORIES.map(category => (
+                    <option key={category} value={category}>{capitalize(category)}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="challenge-amount" className={labelClasses}>
+                  Target per {getPeriodLabel(form.template.frequency)} (optional)
+                </label>
+                <input
+                  id="challenge-amount"
+                  type="number"
+                  min={0}
+                  step="any"
+                  value={form.template.target.amount ?? ''}
+                  onChange={e => updateTemplate({
+                    target: { ...form.template.target, amount: e.target.value === '' ? null : Number(e.target.value) },
+                  })}
+                  placeholder="10000"
+                  className={inputClasses}
+                />
+              </div>
+              <div>
+                <label htmlFor="challenge-unit" className={labelClasses}>Unit</label>
+                <input
+                  id="challenge-unit"
+                  type="text"
+                  maxLength={20}
+                  disabled={form.template.target.amount === null}
+                  value={form.template.target.unit}
+                  onChange={e => updateTemplate({ target: { ...form.template.target, unit: e.target.value } })}
+                  placeholder="steps"
+                  className={`${inputClasses} disabled:opacity-50`}
+                />
+              </div>
+            </div>
+            <div className="flex items-end justify-between gap-3">
+              <div className="flex gap-2" role="radiogroup" aria-label="Color">
+                {HABIT_COLORS.map(color => (
+                  <button
+                    key={color}
+                    type="button"
+                    role="radio"
+                    aria-checked={form.template.color === color}
+                    aria-label={color}
+                    onClick={() => updateTemplate({ color })}
+                    className={`w-6 h-6 rounded-full ${form.template.color === color ? 'ring-2 ring-offset-2 ring-gray-400' : ''}`}
+                    style={{ backgroundColor: color }}
+                  />
+                ))}
+              </div>
+              <button
+                type="submit"
+                disabled={saving}
+                className={`${buttonClasses} text-white bg-primary-600 hover:bg-primary-700`}
+              >
+                {saving ? <LoadingSpinner size="small" color="text-white" /> : 'Create challenge'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="large" />
+          </div>
+        ) : challenges.length === 0 ? (
+          <p className="text-center text-gray-500 dark:text-gray-400 py-12">
+            You're not in any challenges yet. Create one or join with a code.
+          </p>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <ul className="space-y-3">
+              {challenges.map(challenge => (
+                <li key={challenge.id}>
+                  <button
+                    type="button"
+                    onClick={() => setSelectedId(challenge.id)}
+                    className={`w-full text-left p-4 rounded-lg shadow-soft bg-white dark:bg-gray-800 border-2 ${
+                      challenge.id === selectedId ? 'border-primary-500' : 'border-transparent'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="font-medium text-gray-900 dark:text-white truncate">{challenge.name}</span>
+                      <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_CLASSES[challenge.status]}`}>
+                        {capitalize(challenge.status)}
+                      </span>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                      {formatDay(challenge.startDate)} – {formatDay(challenge.endDate)} &middot; {challenge.participantCount}{' '}
+                      {challenge.participantCount === 1 ? 'participant' : 'participants'}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            {selected && (
+              <section className={`${cardClasses} lg:col-span-2`}>
+                <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3 mb-4">
+                  <div>
+                    <h2 className="text-xl font-semibold text-gray-900 dark:text-white">{selected.name}</h2>
+                    {selected.description && (
+                      <p className="text-sm text-gray-600 dark:text-gray-400">{selected.description}</p>
+                    )}
+                    <p className="mt-1 text-sm text-gray-600 dark:text-gray-400 flex items-center gap-2">
+                      <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: selected.template.color }} />
+                      {selected.template.name}
+                      {selected.template.target.amount !== null && (
+                        <> &middot; {selected.template.target.amount} {selected.template.target.unit} per {getPeriodLabel(selected.template.frequency)}</>
+                      )}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3 shrink-0">
+                    <span className="text-sm text-gray-600 dark:text-gray-400">
+                      Code <span className="font-mono font-semibold text-gray-900 dark:text-white">{selected.joinCode}</span>
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => handleLeave(selected)}
+                      className={`${buttonClasses} text-danger-600 hover:bg-danger-50 dark:hover:bg-danger-900/20`}
+                    >
+                      {selected.isOwner ? 'Delete' : 'Leave'}
+                    </button>
+                  </div>
+                </div>
+
+                {loadingLeaderboard ? (
+                  <div className="flex justify-center py-8">
+                    <LoadingSpinner />
+                  </div>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                        <th className="py-2 pr-2 font-medium">#</th>
+                        <th className="py-2 pr-2 font-medium">Participant</th>
+                        <th className="py-2 pr-2 font-medium text-right">Completion</th>
+                        <th className="py-2 pr-2 font-medium text-right">Streak</th>
+                        <th className="py-2 font-medium text-right">Best</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                      {leaderboard.map(entry => (
+                        <tr
+                          key={entry.user.id}
+                          className={entry.user.id === user?.id ? 'font-semibold text-primary-700 dark:text-primary-300' : 'text-gray-900 dark:text-white'}
+                        >
+                          <td className="py-2 pr-2">{entry.rank}</td>
+                          <td className="py-2 pr-2">{entry.user.name}</td>
+                          <td className="py-2 pr-2 text-right">
+                            {entry.completionRate}%
+                            <span className="ml-1 text-xs font-normal text-gray-500 dark:text-gray-400">
+                              ({entry.completed}/{entry.due})
+                            </span>
+                          </td>
+                          <td className="py-2 pr-2 text-right">{entry.currentStreak}</td>
+                          <td className="py-2 text-right">{entry.longestStreak}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </section>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChallengesPage;
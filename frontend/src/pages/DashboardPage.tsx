@@ -1,106 +1,324 @@
-import React from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { toast } from 'react-toastify';
+import { analyticsAPI } from '../api/analytics';
+import { habitsAPI } from '../api/habits';
+import { pausesAPI } from '../api/pauses';
+import { trackingAPI } from '../api/tracking';
+import { useAuth } from '../context/AuthContext';
+import { useSocket, useSocketEvent } from '../context/SocketContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import TodayHabits, { DueHabit } from '../components/dashboard/TodayHabits';
+import RecentActivity, { ActivityHabit } from '../components/dashboard/RecentActivity';
+import { DashboardStats, Habit, OverviewAnalytics, Pause, TrackingEntry } from '../types';
+import { getPeriodStartKey, getTodayKey, getWeekdayName, toDateKey } from '../utils/date';
+import { OFFLINE_EVENTS } from '../utils/offlineQueue';
+
+const ACTIVITY_LIMIT = 10;
+// Bursts of socket events (imports, quick check-ins) cause a single refresh
+const REFRESH_DELAY = 500;
+
+// Tracking entries arrive with habitId either as an id or populated
+const getEntryHabitId = (entry: TrackingEntry): string => {
+  const habitId = entry.habitId as unknown as string | { _id: string };
+  return typeof habitId === 'string' ? habitId : habitId._id;
+};
+
+// Most recently changed entries first
+const byLastUpdate = (a: TrackingEntry, b: TrackingEntry): number =>
+  new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime();
+
+// Insert or replace an entry in the activity feed
+const upsertEntry = (entries: TrackingEntry[], entry: TrackingEntry): TrackingEntry[] =>
+  [entry, ...entries.filter(e => e._id !== entry._id)].sort(byLastUpdate).slice(0, ACTIVITY_LIMIT);
+
+// Whether one of today's pauses covers a habit (its own or account-wide)
+const isPaused = (habit: Habit, pauses: Pause[]): boolean =>
+  pauses.some(pause => !pause.habitId || pause.habitId._id === habit._id);
+
+// Daily habits are due on their target days; weekly and monthly habits show
+// every day of their period, marked done once the period is met. Paused
+// habits aren't due.
+const getDueHabits = (habits: Habit[], pauses: Pause[], todayKey: string): DueHabit[] => {
+  const weekday = getWeekdayName(todayKey);
+
+  return habits
+    .filter(habit => habit.frequency !== 'daily' || habit.targetDays.length === 0 || habit.targetDays.includes(weekday))
+    .filter(habit => !isPaused(habit, pauses))
+    .map(habit => {
+      const entries = habit.trackingEntries || [];
+      const periodStart = getPeriodStartKey(habit.frequency, todayKey);
+      return {
+        habit,
+        todayEntry: entries.find(entry => toDateKey(entry.date) === todayKey),
+        periodDone: habit.frequency !== 'daily' && entries.some(entry =>
+          entry.completed && toDateKey(entry.date) >= periodStart && toDateKey(entry.date) < todayKey
+        ),
+      };
+    });
+};
 
 const DashboardPage: React.FC = () => {
+  const { user } = useAuth();
+  const { connected } = useSocket();
+  const [habits, setHabits] = useState<Habit[]>([]);
+  const [overview, setOverview] = useState<OverviewAnalytics | null>(null);
+  const [activity, setActivity] = useState<TrackingEntry[]>([]);
+  const [pauses, setPauses] = useState<Pause[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const refreshTimer = useRef<ReturnType<typeof setTimeout> | undefined>(undefined);
+
+  const todayKey = getTodayKey(user?.preferences.timezone);
+
+  // Habits (with streaks and recent entries), today's pauses and overview stats
+  const loadStats = useCallback(async () => {
+    try {
+      const [habitsResponse, pausesResponse, overviewResponse] = await Promise.all([
+        habitsAPI.getHabits(true),
+        pausesAPI.getPauses({ active: true }),
+        analyticsAPI.getOverviewAnalytics(30),
+      ]);
+      setHabits(habitsResponse.habits);
+      setPauses(pausesResponse.pauses);
+      setOverview(overviewResponse.overview);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load dashboard');
+    }
+  }, []);
+
+  const loadActivity = useCallback(async () => {
+    try {
+      const response = await trackingAPI.getTrackingEntries({ limit: ACTIVITY_LIMIT });
+      setActivity([...response.entries].sort(byLastUpdate));
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load recent activity');
+    }
+  }, []);
+
+  useEffect(() => {
+    Promise.all([loadStats(), loadActivity()]).finally(() => setLoading(false));
+  }, [loadStats, loadActivity]);
+
+  useEffect(() => () => clearTimeout(refreshTimer.current), []);
+
+  const scheduleRefresh = () => {
+    clearTimeout(refreshTimer.current);
+    refreshTimer.current = setTimeout(loadStats, REFRESH_DELAY);
+  };
+
+  const showEntry = (entry: TrackingEntry) => {
+    const habitId = getEntryHabitId(entry);
+    setHabits(current => current.map(habit => habit._id !== habitId ? habit : {
+      ...habit,
+      trackingEntries: [...(habit.trackingEntries || []).filter(e => e._id !== entry._id), entry],
+    }));
+    setActivity(current => upsertEntry(current, entry));
+  };
+
+  // Show a changed entry right away; streaks and stats follow on refresh
+  const applyEntry = (entry: TrackingEntry) => {
+    showEntry(entry);
+    scheduleRefresh();
+  };
+
+  const removeEntry = (entryId: string) => {
+    setHabits(current => current.map(habit => ({
+      ...habit,
+      trackingEntries: habit.trackingEntries?.filter(e => e._id !== entryId),
+    })));
+    setActivity(current => current.filter(e => e._id !== entryId));
+    scheduleRefresh();
+  };
+
+  // Live updates from other tabs and devices (and echoes of our own changes)
+  useSocketEvent('tracking-created', applyEntry);
+  useSocketEvent('tracking-updated', applyEntry);
+  useSocketEvent('tracking-deleted', ({ entryId }) => removeEntry(entryId));
+  useSocketEvent('habit-created', scheduleRefresh);
+  useSocketEvent('habit-updated', scheduleRefresh);
+  useSocketEvent('habit-deleted', scheduleRefresh);
+  useSocketEvent('habit-restored', scheduleRefresh);
+  useSocketEvent('habits-reordered', scheduleRefresh);
+  useSocketEvent('pause-created', scheduleRefresh);
+  useSocketEvent('pause-updated', scheduleRefresh);
+  useSocketEvent('pause-deleted', scheduleRefresh);
+  useSocketEvent('data-imported', () => {
+    scheduleRefresh();
+    loadActivity();
+  });
+
+  // Offline changes replayed: replace provisional entries with the server's
+  useEffect(() => {
+    const handleSynced = () => {
+      loadStats();
+      loadActivity();
+    };
+    window.addEventListener(OFFLINE_EVENTS.synced, handleSynced);
+    return () => window.removeEventListener(OFFLINE_EVENTS.synced, handleSynced);
+  }, [loadStats, loadActivity]);
+
+  const saveTracking = async (habitId: string, data: { completed: boolean; skipped: boolean }) => {
+    setBusyId(habitId);
+    try {
+      const { entry, queued } = await trackingAPI.trackHabit(habitId, todayKey, data);
+      // A queued change is not on the server yet, so don't refresh over it
+      if (queued) {
+        showEntry(entry);
+      } else {
+        applyEntry(entry);
+      }
+    } catch (error: any) {
+      toast.error(error.message || 'Could not update habit');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Both flags are sent so a change queued offline replaces an earlier one
+  const handleTrack = (habitId: string, completed: boolean) => saveTracking(habitId, { completed, skipped: false });
+  const handleSkip = (habitId: string, skipped: boolean) => saveTracking(habitId, { completed: false, skipped });
+
+  const handleCheckIn = async (habitId: string, amount: number) => {
+    setBusyId(habitId);
+    try {
+      const { entry } = await trackingAPI.addCheckIn(habitId, { amount });
+      applyEntry(entry);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not record check-in');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const dueHabits = useMemo(() => getDueHabits(habits, pauses, todayKey), [habits, pauses, todayKey]);
+  const pausedCount = habits.filter(habit => isPaused(habit, pauses)).length;
+
+  const stats: DashboardStats = {
+    totalHabits: habits.length,
+    completedToday: habits.filter(habit =>
+      habit.trackingEntries?.some(entry => entry.completed && toDateKey(entry.date) === todayKey)
+    ).length,
+    currentStreaks: habits.filter(habit => (habit.currentStreak ?? 0) > 0).length,
+    longestStreak: overview?.longestStreak ?? 0,
+    completionRate: overview?.completionRate ?? 0,
+  };
+
+  const habitsById = useMemo(() => new Map(habits.map(habit => [habit._id, habit])), [habits]);
+
+  // Prefer the current habit (the entry may predate a rename), falling back
+  // to the populated one for deleted habits
+  const getActivityHabit = (entry: TrackingEntry): ActivityHabit | undefined => {
+    const habit = habitsById.get(getEntryHabitId(entry));
+    if (habit) return { name: habit.name, color: habit.color, unit: habit.target?.unit };
+
+    const populated = entry.habitId as unknown as Habit | string;
+    return typeof populated === 'string' ? undefined : { name: populated.name, color: populated.color };
+  };
+
   return (
     <div className="p-6">
       <div className="max-w-7xl mx-auto">
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
-            Dashboard
-          </h1>
-          <p className="text-gray-600 dark:text-gray-400">
-            Welcome back! Here's your habit tracking overview.
-          </p>
+        <div className="mb-8 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+              Dashboard
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400">
+              Welcome back{user ? `, ${user.name}` : ''}! Here's your habit tracking overview.
+            </p>
+          </div>
+          <span
+            className="flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400"
+            title={connected ? 'Updates appear as they happen' : 'Reconnecting for live updates'}
+          >
+            <span className={`w-2 h-2 rounded-full ${connected ? 'bg-success-500' : 'bg-gray-400'}`} />
+            {connected ? 'Live' : 'Offline'}
+          </span>
         </div>
 
-        {/* Quick Stats */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-          <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-soft">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-sm font-medium text-gray-600 dark:text-gray-400">Total Habits</p>
-                <p className="text-3xl font-bold text-gray-900 dark:text-white">0</p>
-              </div>
-              <div className="p-3 bg-primary-100 dark:bg-primary-900 rounded-lg">
-                <svg className="w-6 h-6 text-primary-600 dark:text-primary-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
-                </svg>
-              </div>
-            </div>
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="large" />
           </div>
-
-          <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-soft">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-sm font-medium text-gray-600 dark:text-gray-400">Completed Today</p>
-                <p className="text-3xl font-bold text-gray-900 dark:text-white">0</p>
-              </div>
-              <div className="p-3 bg-success-100 dark:bg-success-900 rounded-lg">
-                <svg className="w-6 h-6 text-success-600 dark:text-success-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                </svg>
+        ) : (
+          <>
+            {/* Quick Stats */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+              <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-soft">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-600 dark:text-gray-400">Total Habits</p>
+                    <p className="text-3xl font-bold text-gray-900 dark:text-white">{stats.totalHabits}</p>
+                  </div>
+                  <div className="p-3 bg-primary-100 dark:bg-primary-900 rounded-lg">
+                    <svg className="w-6 h-6 text-primary-600 dark:text-primary-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+                    </svg>
+                  </div>
+                </div>
               </div>
-            </div>
-          </div>
 
-          <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-soft">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-sm font-medium text-gray-600 dark:text-gray-400">Current Streaks</p>
-                <p className="text-3xl font-bold text-gray-900 dark:text-white">0</p>
-              </div>
-              <div className="p-3 bg-warning-100 dark:bg-warning-900 rounded-lg">
-                <svg className="w-6 h-6 text-warning-600 dark:text-warning-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
-                </svg>
+              <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-soft">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-600 dark:text-gray-400">Completed Today</p>
+                    <p className="text-3xl font-bold text-gray-900 dark:text-white">{stats.completedToday}</p>
+                  </div>
+                  <div className="p-3 bg-success-100 dark:bg-success-900 rounded-lg">
+                    <svg className="w-6 h-6 text-success-600 dark:text-success-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                    </svg>
+                  </div>
+                </div>
               </div>
-            </div>
-          </div>
 
-          <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-soft">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="text-sm font-medium text-gray-600 dark:text-gray-400">Success Rate</p>
-                <p className="text-3xl font-bold text-gray-900 dark:text-white">0%</p>
+              <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-soft">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-600 dark:text-gray-400">Current Streaks</p>
+                    <p className="text-3xl font-bold text-gray-900 dark:text-white">{stats.currentStreaks}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Longest: {stats.longestStreak}</p>
+                  </div>
+                  <div className="p-3 bg-warning-100 dark:bg-warning-900 rounded-lg">
+                    <svg className="w-6 h-6 text-warning-600 dark:text-warning-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
+                    </svg>
+                  </div>
+                </div>
               </div>
-              <div className="p-3 bg-primary-100 dark:bg-primary-900 rounded-lg">
-                <svg className="w-6 h-6 text-primary-600 dark:text-primary-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
-                </svg>
+
+              <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-soft">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-600 dark:text-gray-400">Success Rate</p>
+                    <p className="text-3xl font-bold text-gray-900 dark:text-white">{stats.completionRate}%</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Last 30 days</p>
+                  </div>
+                  <div className="p-3 bg-primary-100 dark:bg-primary-900 rounded-lg">
+                    <svg className="w-6 h-6 text-primary-600 dark:text-primary-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+                    </svg>
+                  </div>
+                </div>
               </div>
             </div>
-          </div>
-        </div>
 
-        {/* Recent Activity */}
-        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6">
-          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
-            Recent Activity
-          </h2>
-          <div className="text-center py-12">
-            <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
-            </svg>
-            <h3 className="mt-4 text-lg font-medium text-gray-900 dark:text-white">No habits yet</h3>
-            <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
-              Get started by creating your first habit!
-            </p>
-            <div className="mt-6">
-              <button
-                type="button"
-                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-lg shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-              >
-                <svg className="-ml-1 mr-2 h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-                </svg>
-                Create Habit
-              </button>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <TodayHabits
+                habits={dueHabits}
+                busyId={busyId}
+                onTrack={handleTrack}
+                onCheckIn={handleCheckIn}
+                onSkip={handleSkip}
+                pausedCount={pausedCount}
+              />
+              <RecentActivity entries={activity} getHabit={getActivityHabit} />
             </div>
-          </div>
-        </div>
+          </>
+        )}
       </div>
     </div>
   );
 };
 
-export default DashboardPage;
\ No newline at end of file
+export default DashboardPage;
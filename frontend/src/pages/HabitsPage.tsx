@@ -1,30 +1,300 @@
-import React from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { toast } from 'react-toastify';
+import { habitsAPI } from '../api/habits';
+import { trackingAPI } from '../api/tracking';
+import { useAuth } from '../context/AuthContext';
+import ArchivedHabits from '../components/habits/ArchivedHabits';
+import HabitCard from '../components/habits/HabitCard';
+import HabitFilterBar from '../components/habits/HabitFilterBar';
+import HabitFormModal from '../components/habits/HabitFormModal';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { Habit, HabitFilters, HabitForm, TrackingEntry } from '../types';
+import { getTodayKey, toDateKey } from '../utils/date';
+import { OFFLINE_EVENTS } from '../utils/offlineQueue';
+
+// Apply search, category and sort filters. Without a sort the user's own
+// order (from drag-and-drop) is kept.
+const applyFilters = (habits: Habit[], filters: HabitFilters): Habit[] => {
+  const search = filters.search?.trim().toLowerCase();
+  const filtered = habits.filter(habit =>
+    (!filters.category || habit.category === filters.category) &&
+    (!search || habit.name.toLowerCase().includes(search) || habit.description?.toLowerCase().includes(search))
+  );
+
+  if (!filters.sortBy) return filtered;
+
+  const direction = filters.sortOrder === 'desc' ? -1 : 1;
+  const compare = (a: Habit, b: Habit): number => {
+    switch (filters.sortBy) {
+      case 'name': return a.name.localeCompare(b.name);
+      case 'created': return new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
+      case 'streak': return (a.currentStreak ?? 0) - (b.currentStreak ?? 0);
+      case 'completion': return (a.completionRate ?? 0) - (b.completionRate ?? 0);
+      default: return 0;
+    }
+  };
+
+  return [...filtered].sort((a, b) => compare(a, b) * direction);
+};
+
+// Habit form as sent to the API: blank optional fields are cleared
+const toPayload = (form: HabitForm): Partial<HabitForm> => ({
+  ...form,
+  name: form.name.trim(),
+  target: {
+    ...form.target,
+    unit: form.target.unit?.trim() || '',
+  },
+});
 
 const HabitsPage: React.FC = () => {
+  const { user } = useAuth();
+  const [habits, setHabits] = useState<Habit[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState<HabitFilters>({});
+  const [view, setView] = useState<'active' | 'archived'>('active');
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingHabit, setEditingHabit] = useState<Habit | null>(null);
+  const [draggingId, setDraggingId] = useState<string | null>(null);
+  const orderBeforeDrag = useRef<string[]>([]);
+
+  const todayKey = getTodayKey(user?.preferences.timezone);
+
+  const loadHabits = useCallback(async () => {
+    try {
+      const response = await habitsAPI.getHabits(true);
+      setHabits(response.habits);
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load habits');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHabits();
+  }, [loadHabits]);
+
+  // Offline changes replayed: replace provisional entries with the server's
+  useEffect(() => {
+    window.addEventListener(OFFLINE_EVENTS.synced, loadHabits);
+    return () => window.removeEventListener(OFFLINE_EVENTS.synced, loadHabits);
+  }, [loadHabits]);
+
+  const visibleHabits = useMemo(() => applyFilters(habits, filters), [habits, filters]);
+  const canReorder = !filters.search && !filters.category && !filters.sortBy;
+
+  const getTodayEntry = (habit: Habit): TrackingEntry | undefined =>
+    habit.trackingEntries?.find(entry => toDateKey(entry.date) === todayKey);
+
+  // Put the latest version of today's entry on its habit
+  const replaceTodayEntry = (habitId: string, entry: TrackingEntry) => {
+    setHabits(current => current.map(habit => habit._id !== habitId ? habit : {
+      ...habit,
+      trackingEntries: [
+        ...(habit.trackingEntries || []).filter(e => toDateKey(e.date) !== todayKey),
+        entry,
+      ],
+    }));
+  };
+
+  const handleTrack = async (habitId: string, completed: boolean) => {
+    try {
+      const { entry, queued } = await trackingAPI.trackHabit(habitId, todayKey, { completed });
+      replaceTodayEntry(habitId, entry);
+      if (!queued) loadHabits(); // Refresh streaks and completion rates
+    } catch (error: any) {
+      toast.error(error.message || 'Could not update habit');
+    }
+  };
+
+  const handleCheckIn = async (habitId: string, amount: number) => {
+    try {
+      const { entry } = await trackingAPI.addCheckIn(habitId, { amount });
+      replaceTodayEntry(habitId, entry);
+      loadHabits();
+    } catch (error: any) {
+      toast.error(error.message || 'Could not record check-in');
+    }
+  };
+
+  const handleSubmit = async (form: HabitForm) => {
+    if (editingHabit) {
+      await habitsAPI.updateHabit(editingHabit._id, toPayload(form));
+      toast.success('Habit updated');
+    } else {
+      await habitsAPI.createHabit(toPayload(form));
+      toast.success('Habit created');
+    }
+    await loadHabits();
+  };
+
+  const handleArchive = async (habitId: string) => {
+    const habit = habits.find(h => h._id === habitId);
+    if (!window.confirm(`Archive "${habit?.name}"? Its history is kept and you can restore it from Archived.`)) return;
+
+    try {
+      await habitsAPI.archiveHabit(habitId);
+      setHabits(current => current.filter(h => h._id !== habitId));
+      toast.success('Habit archived');
+    } catch (error: any) {
+      toast.error(error.message || 'Could not archive habit');
+    }
+  };
+
+  const openCreate = () => {
+    setEditingHabit(null);
+    setModalOpen(true);
+  };
+
+  const openEdit = (habit: Habit) => {
+    setEditingHabit(habit);
+    setModalOpen(true);
+  };
+
+  const closeModal = useCallback(() => setModalOpen(false), []);
+
+  // Drag-and-drop reordering: the list is rearranged while dragging and the
+  // new order is saved once the habit is dropped
+  const handleDragStart = (habitId: string) => (e: React.DragEvent) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', habitId);
+    orderBeforeDrag.current = habits.map(h => h._id);
+    setDraggingId(habitId);
+  };
+
+  const handleDragOver = (overId: string) => (e: React.DragEvent) => {
+    if (!draggingId) return;
+    e.preventDefault();
+    if (overId === draggingId) return;
+
+    setHabits(current => {
+      const from = current.findIndex(h => h._id === draggingId);
+      const to = current.findIndex(h => h._id === overId);
+      const next = [...current];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
+  const handleDragEnd = async () => {
+    if (!draggingId) return;
+    setDraggingId(null);
+
+    const order = habits.map(h => h._id);
+    if (order.join() === orderBeforeDrag.current.join()) return;
+
+    try {
+      await habitsAPI.reorderHabits(order.map((habitId, index) => ({ habitId, order: index })));
+    } catch (error: any) {
+      toast.error(error.message || 'Could not save the new order');
+      loadHabits();
+    }
+  };
+
   return (
     <div className="p-6">
       <div className="max-w-7xl mx-auto">
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
-            My Habits
-          </h1>
-          <p className="text-gray-600 dark:text-gray-400">
-            Manage and track your daily habits.
-          </p>
+        <div className="mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+              My Habits
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400">
+              Manage and track your daily habits.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={openCreate}
+            className="px-4 py-2 text-sm font-medium text-white bg-primary-600 rounded-md hover:bg-primary-700"
+          >
+            + New Habit
+          </button>
         </div>
 
-        <div className="text-center py-12">
-          <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
-          </svg>
-          <h3 className="mt-4 text-lg font-medium text-gray-900 dark:text-white">Coming Soon</h3>
-          <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
-            Habits management features will be available here.
-          </p>
+        <div className="mb-6 inline-flex rounded-md bg-gray-100 dark:bg-gray-800 p-1">
+          {(['active', 'archived'] as const).map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setView(option)}
+              className={`px-4 py-1.5 text-sm font-medium rounded ${
+                view === option
+                  ? 'bg-white dark:bg-gray-700 text-gray-900 dark:text-white shadow-sm'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+              }`}
+            >
+              {option === 'active' ? 'Active' : 'Archived'}
+            </button>
+          ))}
         </div>
+
+        {view === 'active' && <HabitFilterBar filters={filters} onChange={setFilters} />}
+
+        {view === 'archived' ? (
+          <ArchivedHabits onRestored={loadHabits} />
+        ) : loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="large" />
+          </div>
+        ) : habits.length === 0 ? (
+          <div className="text-center py-12">
+            <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+            </svg>
+            <h3 className="mt-4 text-lg font-medium text-gray-900 dark:text-white">No habits yet</h3>
+            <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+              Create your first habit to start tracking.
+            </p>
+          </div>
+        ) : visibleHabits.length === 0 ? (
+          <p className="text-center py-12 text-sm text-gray-500 dark:text-gray-400">
+            No habits match your filters.
+          </p>
+        ) : (
+          <>
+            {!canReorder && (
+              <p className="mb-4 text-xs text-gray-500 dark:text-gray-400">
+                Clear the search, category and sort to reorder habits by dragging.
+              </p>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {visibleHabits.map(habit => (
+                <div
+                  key={habit._id}
+                  draggable={canReorder}
+                  onDragStart={canReorder ? handleDragStart(habit._id) : undefined}
+                  onDragOver={canReorder ? handleDragOver(habit._id) : undefined}
+                  onDrop={e => e.preventDefault()}
+                  onDragEnd={canReorder ? handleDragEnd : undefined}
+                  className={draggingId === habit._id ? 'opacity-50' : ''}
+                >
+                  <HabitCard
+                    habit={habit}
+                    todayEntry={getTodayEntry(habit)}
+                    onEdit={openEdit}
+                    onDelete={handleArchive}
+                    onTrack={handleTrack}
+                    onCheckIn={handleCheckIn}
+                    draggable={canReorder}
+                  />
+                </div>
+              ))}
+            </div>
+          </>
+        )}
       </div>
+
+      <HabitFormModal
+        isOpen={modalOpen}
+        habit={editingHabit}
+        onClose={closeModal}
+        onSubmit={handleSubmit}
+      />
     </div>
   );
 };
 
-export default HabitsPage;
\ No newline at end of file
+export default HabitsPage;
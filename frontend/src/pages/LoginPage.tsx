@@ -126,12 +126,12 @@ const LoginPage: React.FC = () => {
             </div>
 
             <div className="text-sm">
-              <a
-                href="#"
+              <Link
+                to="/forgot-password"
                 className="font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400 dark:hover:text-primary-300"
               >
                 Forgot your password?
-              </a>
+              </Link>
             </div>
           </div>
 
@@ -0,0 +1,290 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { partnersAPI } from '../api/partners';
+import { useSocketEvent } from '../context/SocketContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { PartnerFeedItem, PartnerHabit, Partnership } from '../types';
+
+const formatDay = (dateKey: string) =>
+  new Date(`${dateKey}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+
+const plural = (count: number, unit: string) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+const cardClasses = 'bg-white dark:bg-gray-800 rounded-lg shadow-soft p-6';
+const buttonClasses = 'px-3 py-1.5 text-sm font-medium rounded-md disabled:opacity-50';
+
+// Accountability partners: invitations, the habits partners share with their
+// streaks, nudges and a feed of their recent check-ins
+const PartnersPage: React.FC = () => {
+  const [partnerships, setPartnerships] = useState<Partnership[]>([]);
+  const [habitsByPartnership, setHabitsByPartnership] = useState<Record<string, PartnerHabit[]>>({});
+  const [feed, setFeed] = useState<PartnerFeedItem[]>([]);
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [inviting, setInviting] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const loadPartners = useCallback(async () => {
+    try {
+      const [partnersResponse, feedResponse] = await Promise.all([
+        partnersAPI.getPartners(),
+        partnersAPI.getFeed(),
+      ]);
+      const accepted = partnersResponse.partnerships.filter(p => p.status === 'accepted');
+      const habitResponses = await Promise.all(accepted.map(p => partnersAPI.getPartnerHabits(p.id)));
+
+      setPartnerships(partnersResponse.partnerships);
+      setFeed(feedResponse.feed);
+      setHabitsByPartnership(
+        Object.fromEntries(accepted.map((p, index) => [p.id, habitResponses[index].habits]))
+      );
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load partners');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPartners();
+  }, [loadPartners]);
+
+  useSocketEvent('partner-request', loadPartners);
+  useSocketEvent('partner-updated', loadPartners);
+
+  const handleInvite = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setInviting(true);
+    try {
+      await partnersAPI.invite(email.trim());
+      setEmail('');
+      toast.success('Invitation sent');
+      loadPartners();
+    } catch (error: any) {
+      toast.error(error.message || 'Could not send invitation');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  // Run a partnership action, then reload
+  const runAction = async (partnershipId: string, action: () => Promise<{ message: string }>) => {
+    setBusyId(partnershipId);
+    try {
+      const response = await action();
+      toast.success(response.message);
+      loadPartners();
+    } catch (error: any) {
+      toast.error(error.message || 'Something went wrong');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = (partnership: Partnership) => {
+    if (partnership.status === 'accepted' && !window.confirm(`Stop being partners with ${partnership.partner.name}?`)) {
+      return;
+    }
+    runAction(partnership.id, () => partnersAPI.remove(partnership.id));
+  };
+
+  const handleNudge = (partnership: Partnership, habit?: PartnerHabit) => {
+    const message = window.prompt(`Add a message for ${partnership.partner.name} (optional)`);
+    if (message === null) return;
+
+    runAction(partnership.id, () => partnersAPI.nudge(partnership.id, {
+      habitId: habit?.id,
+      message: message.trim() || undefined,
+    }));
+  };
+
+  const incoming = partnerships.filter(p => p.status === 'pending' && p.direction === 'incoming');
+  const outgoing = partnerships.filter(p => p.status === 'pending' && p.direction === 'outgoing');
+  const partners = partnerships.filter(p => p.status === 'accepted');
+
+  return (
+    <div className="p-6">
+      <div className="max-w-7xl mx-auto">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+            Partners
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            Keep each other on track. Partners only see the habits you choose to share.
+          </p>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="large" />
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 space-y-6">
+              <section className={cardClasses}>
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Invite a partner</h2>
+                <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-3">
+                  <input
+                    type="email"
+                    required
+                    value={email}
+                    onChange={e => setEmail(e.target.value)}
+                    placeholder="partner@example.com"
+                    className="flex-1 text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 dark:text-white focus:border-primary-500 focus:ring-primary-500"
+                  />
+                  <button
+                    type="submit"
+                    disabled={inviting}
+                    className={`${buttonClasses} text-white bg-primary-600 hover:bg-primary-700`}
+                  >
+                    {inviting ? <LoadingSpinner size="small" color="text-white" /> : 'Send invitation'}
+                  </button>
+                </form>
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  Choose what each habit shares in its settings: nothing, its streak, or its notes too.
+                </p>
+
+                {(incoming.length > 0 || outgoing.length > 0) && (
+                  <ul className="mt-4 divide-y divide-gray-200 dark:divide-gray-700">
+                    {incoming.map(p => (
+                      <li key={p.id} className="py-3 flex items-center justify-between gap-3">
+                        <p className="text-sm text-gray-900 dark:text-white">
+                          <span className="font-medium">{p.partner.name}</span> invited you
+                        </p>
+                        <div className="flex gap-2">
+                          <button
+                            type="button"
+                            disabled={busyId === p.id}
+                            onClick={() => runAction(p.id, () => partnersAPI.accept(p.id))}
+                            className={`${buttonClasses} text-white bg-success-600 hover:bg-success-700`}
+                          >
+                            Accept
+                          </button>
+                          <button
+                            type="button"
+                            disabled={busyId === p.id}
+                            onClick={() => runAction(p.id, () => partnersAPI.decline(p.id))}
+                            className={`${buttonClasses} text-gray-700 bg-gray-100 hover:bg-gray-200`}
+                          >
+                            Decline
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                    {outgoing.map(p => (
+                      <li key={p.id} className="py-3 flex items-center justify-between gap-3">
+                        <p className="text-sm text-gray-600 dark:text-gray-400">
+                          Waiting for <span className="font-medium">{p.partner.email}</span>
+                        </p>
+                        <button
+                          type="button"
+                          disabled={busyId === p.id}
+                          onClick={() => handleRemove(p)}
+                          className={`${buttonClasses} text-gray-700 bg-gray-100 hover:bg-gray-200`}
+                        >
+                          Cancel
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+
+              {partners.length === 0 ? (
+                <p className="text-center text-gray-500 dark:text-gray-400 py-8">
+                  No partners yet. Invite someone to keep each other accountable.
+                </p>
+              ) : (
+                partners.map(p => {
+                  const habits = habitsByPartnership[p.id] || [];
+
+                  return (
+                    <section key={p.id} className={cardClasses}>
+                      <div className="flex items-center justify-between gap-3 mb-4">
+                        <div>
+                          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{p.partner.name}</h2>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">{p.partner.email}</p>
+                        </div>
+                        <div className="flex gap-2">
+                          <button
+                            type="button"
+                            disabled={busyId === p.id}
+                            onClick={() => handleNudge(p)}
+                            className={`${buttonClasses} text-white bg-primary-600 hover:bg-primary-700`}
+                          >
+                            Nudge
+                          </button>
+                          <button
+                            type="button"
+                            disabled={busyId === p.id}
+                            onClick={() => handleRemove(p)}
+                            className={`${buttonClasses} text-danger-600 hover:bg-danger-50 dark:hover:bg-danger-900/20`}
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      </div>
+
+                      {habits.length === 0 ? (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">{p.partner.name} isn't sharing any habits yet.</p>
+                      ) : (
+                        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                          {habits.map(habit => (
+                            <li key={habit.id} className="py-2 flex items-center justify-between gap-3">
+                              <div className="flex items-center gap-2 min-w-0">
+                                <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: habit.color }} />
+                                <span className="text-sm text-gray-900 dark:text-white truncate">{habit.name}</span>
+                              </div>
+                              <div className="flex items-center gap-3 shrink-0">
+                                <span className="text-sm text-gray-600 dark:text-gray-400">
+                                  {plural(habit.currentStreak, habit.streakUnit)}
+                                </span>
+                                <button
+                                  type="button"
+                                  disabled={busyId === p.id}
+                                  onClick={() => handleNudge(p, habit)}
+                                  className="text-xs font-medium text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                                >
+                                  Nudge
+                                </button>
+                              </div>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </section>
+                  );
+                })
+              )}
+            </div>
+
+            <section className={`${cardClasses} self-start`}>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Recent check-ins</h2>
+              {feed.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No check-ins from partners in the last two weeks.</p>
+              ) : (
+                <ul className="space-y-3">
+                  {feed.map(item => (
+                    <li key={item.id} className="flex items-start gap-2">
+                      <span className="mt-1.5 w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: item.habit.color }} />
+                      <div className="min-w-0">
+                        <p className="text-sm text-gray-900 dark:text-white">
+                          <span className="font-medium">{item.partner.name}</span> completed {item.habit.name}
+                          {item.value !== null && <> ({item.value}{item.unit ? ` ${item.unit}` : ''})</>}
+                        </p>
+                        {item.notes && <p className="text-xs text-gray-600 dark:text-gray-400 italic">"{item.notes}"</p>}
+                        <p className="text-xs text-gray-500 dark:text-gray-400">{formatDay(item.date)}</p>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PartnersPage;
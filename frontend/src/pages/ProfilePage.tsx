@@ -1,4 +1,15 @@
 import React from 'react';
+import AccessTokensSection from '../components/profile/AccessTokensSection';
+import BadgesSection from '../components/profile/BadgesSection';
+import CheckInLinksSection from '../components/profile/CheckInLinksSection';
+import ExportSection from '../components/profile/ExportSection';
+import ImportSection from '../components/profile/ImportSection';
+import NotificationsSection from '../components/profile/NotificationsSection';
+import PausesSection from '../components/profile/PausesSection';
+import ReportSection from '../components/profile/ReportSection';
+import SessionsSection from '../components/profile/SessionsSection';
+import SharingSection from '../components/profile/SharingSection';
+import WebhooksSection from '../components/profile/WebhooksSection';
 
 const ProfilePage: React.FC = () => {
   return (
@@ -13,14 +24,18 @@ const ProfilePage: React.FC = () => {
           </p>
         </div>
 
-        <div className="text-center py-12">
-          <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
-          </svg>
-          <h3 className="mt-4 text-lg font-medium text-gray-900 dark:text-white">Coming Soon</h3>
-          <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
-            Profile management features will be available here.
-          </p>
+        <div className="space-y-6">
+          <NotificationsSection />
+          <PausesSection />
+          <SharingSection />
+          <BadgesSection />
+          <CheckInLinksSection />
+          <ReportSection />
+          <ExportSection />
+          <ImportSection />
+          <SessionsSection />
+          <AccessTokensSection />
+          <WebhooksSection />
         </div>
       </div>
     </div>
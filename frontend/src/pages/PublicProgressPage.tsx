@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { sharesAPI } from '../api/shares';
+import LoadingSpinner from '../components/LoadingSpinner';
+import YearHeatmap from '../components/analytics/YearHeatmap';
+import { PublicProgress } from '../types';
+
+const plural = (count: number, unit: string) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+// A shared, read-only progress page. Rendered outside the app layout so it
+// works without logging in.
+const PublicProgressPage: React.FC = () => {
+  const { slug } = useParams<{ slug: string }>();
+  const [progress, setProgress] = useState<PublicProgress | null>(null);
+  const [year, setYear] = useState<number | undefined>(undefined);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!slug) return;
+
+    setLoading(true);
+    sharesAPI.getPublicProgress(slug, year)
+      .then(response => {
+        setProgress(response);
+        setError(null);
+      })
+      .catch((err: any) => setError(err.message || 'Could not load this page'))
+      .finally(() => setLoading(false));
+  }, [slug, year]);
+
+  if (loading && !progress) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  if (error || !progress) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">Page unavailable</h1>
+          <p className="text-gray-600 dark:text-gray-400 mb-6">{error}</p>
+          <Link to="/" className="font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400">
+            Go to Habit Tracker
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const { share, habits } = progress;
+  const currentYear = new Date().getFullYear();
+
+  return (
+    <div className="p-6">
+      <div className="max-w-5xl mx-auto">
+        <div className="mb-8 flex items-center gap-3">
+          <div className="h-10 w-10 bg-primary-600 rounded-lg flex items-center justify-center shrink-0">
+            <span className="text-white font-bold text-lg">H</span>
+          </div>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white">{share.title}</h1>
+            <p className="text-gray-600 dark:text-gray-400">
+              Habit progress shared by {share.ownerName}
+              {share.isOwner && ' (you)'}
+            </p>
+          </div>
+        </div>
+
+        {habits.length === 0 ? (
+          <p className="text-center text-gray-500 dark:text-gray-400 py-12">No habits are shared on this page anymore.</p>
+        ) : (
+          <div className="space-y-6">
+            <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+              {habits.map(habit => (
+                <li key={habit.id} className="bg-white dark:bg-gray-800 rounded-lg shadow-soft p-4">
+                  <div className="flex items-center gap-2 mb-3">
+                    <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: habit.color }} />
+                    <p className="font-medium text-gray-900 dark:text-white truncate">{habit.name}</p>
+                  </div>
+                  <dl className="grid grid-cols-3 gap-2 text-center">
+                    <div>
+                      <dt className="text-xs text-gray-500 dark:text-gray-400">Streak</dt>
+                      <dd className="text-lg font-semibold text-gray-900 dark:text-white">
+                        {plural(habit.currentStreak, habit.streakUnit)}
+                      </dd>
+                    </div>
+                    <div>
+                      <dt className="text-xs text-gray-500 dark:text-gray-400">Best</dt>
+                      <dd className="text-lg font-semibold text-gray-900 dark:text-white">
+                        {plural(habit.longestStreak, habit.streakUnit)}
+                      </dd>
+                    </div>
+                    <div>
+                      <dt className="text-xs text-gray-500 dark:text-gray-400">Completion</dt>
+                      <dd className="text-lg font-semibold text-gray-900 dark:text-white">
+                        {Math.round(habit.completionRate)}%
+                      </dd>
+                    </div>
+                  </dl>
+                </li>
+              ))}
+            </ul>
+
+            <YearHeatmap
+              year={progress.year}
+              data={progress.heatmapData}
+              onYearChange={setYear}
+              maxYear={Math.max(currentYear, progress.year)}
+            />
+          </div>
+        )}
+
+        <p className="mt-8 text-center text-xs text-gray-400">
+          Tracked with <Link to="/" className="hover:underline">Habit Tracker</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default PublicProgressPage;
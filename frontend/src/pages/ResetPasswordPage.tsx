@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { authAPI } from '../api/auth';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const inputClasses = 'mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 placeholder-gray-500 dark:placeholder-gray-400 text-gray-900 dark:text-white bg-white dark:bg-gray-800 rounded-lg focus:outline-none focus:ring-primary-500 focus:border-primary-500 focus:z-10 sm:text-sm';
+
+const ResetPasswordPage: React.FC = () => {
+  const { token = '' } = useParams<{ token: string }>();
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [errors, setErrors] = useState<string[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+    setErrors([]);
+  };
+
+  // Same rules as registration
+  const validateForm = () => {
+    const validationErrors: string[] = [];
+
+    if (formData.password.length < 6) {
+      validationErrors.push('Password must be at least 6 characters long');
+    }
+
+    if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(formData.password)) {
+      validationErrors.push('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      validationErrors.push('Passwords do not match');
+    }
+
+    return validationErrors;
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const validationErrors = validateForm();
+    if (validationErrors.length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authAPI.resetPassword(token, formData.password);
+      toast.success(response.message);
+      navigate('/login', { replace: true });
+    } catch (error: any) {
+      setErrors([error.message || 'Could not reset your password']);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <div className="mx-auto h-12 w-12 bg-primary-600 rounded-lg flex items-center justify-center">
+            <span className="text-white font-bold text-xl">H</span>
+          </div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900 dark:text-white">
+            Choose a new password
+          </h2>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          {errors.length > 0 && (
+            <div className="rounded-md bg-red-50 dark:bg-red-900 p-4">
+              <ul className="text-sm text-red-800 dark:text-red-200 list-disc list-inside space-y-1">
+                {errors.map(error => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="space-y-4">
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                New password
+              </label>
+              <input
+                id="password"
+                name="password"
+                type="password"
+                autoComplete="new-password"
+                required
+                value={formData.password}
+                onChange={handleChange}
+                className={inputClasses}
+                placeholder="Enter a new password"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Confirm new password
+              </label>
+              <input
+                id="confirmPassword"
+                name="confirmPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                className={inputClasses}
+                placeholder="Repeat the new password"
+              />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          >
+            {loading ? (
+              <LoadingSpinner size="small" color="text-white" />
+            ) : (
+              'Reset password'
+            )}
+          </button>
+        </form>
+
+        <p className="text-center text-sm text-gray-600 dark:text-gray-400">
+          Link expired?{' '}
+          <Link
+            to="/forgot-password"
+            className="font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400 dark:hover:text-primary-300"
+          >
+            Request a new one
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
@@ -6,6 +6,7 @@ export interface User {
     theme: 'light' | 'dark';
     notifications: boolean;
     timezone: string;
+    reminderChannels?: ReminderChannels;
   };
   createdAt: string;
 }
@@ -21,9 +22,17 @@ export interface Habit {
   color: string;
   targetDays: string[];
   reminderTime?: string;
-  isActive: boolean;
+  reminderMuted?: boolean;
+  reminderSnoozedUntil?: string | null;
+  sharing?: HabitSharing;
+  challengeId?: string | null;
+  shareTokenCreatedAt?: string | null; // Set while badges are enabled
+  checkinTokenCreatedAt?: string | null; // Set while the check-in URL is enabled
+  isActive: boolean; // false once archived
+  archivedAt?: string | null;
   order: number;
   streakTarget: number;
+  target?: HabitTarget;
   createdAt: string;
   updatedAt: string;
   currentStreak?: number;
@@ -31,19 +40,50 @@ export interface Habit {
   trackingEntries?: TrackingEntry[];
 }
 
+// What accountability partners see of a habit
+export type HabitSharing = 'private' | 'streak' | 'notes';
+
+// Measurable target of a quantitative habit, per day, week or month
+// depending on the habit's frequency
+export interface HabitTarget {
+  amount: number | null;
+  unit?: string;
+  comparison: 'at-least' | 'at-most';
+  aggregation: 'sum' | 'average' | 'max';
+}
+
 export interface TrackingEntry {
   _id: string;
-  habitId: string;
+  habitId: string | Habit; // A Habit when populated
   userId: string;
   date: string;
   completed: boolean;
+  skipped?: boolean; // Excused day off; doesn't break the streak
   notes?: string;
   value?: number;
   mood?: number;
   difficulty?: number;
   createdAt: string;
   updatedAt: string;
-  habitId?: Habit; // When populated
+}
+
+export interface CheckIn {
+  _id: string;
+  habitId: string;
+  userId: string;
+  entryId?: string;
+  date: string;
+  amount: number;
+  note?: string;
+  source: 'checkin' | 'adjustment';
+  timestamp: string;
+  createdAt: string;
+}
+
+export interface CheckInForm {
+  amount?: number;
+  note?: string;
+  timestamp?: string;
 }
 
 export interface Analytics {
@@ -57,20 +97,28 @@ export interface Analytics {
     trackedDays: number;
     completedDays: number;
     completionRate: number;
+    dueOccurrences: number;
+    completedOccurrences: number;
+    streakUnit: StreakUnit;
     currentStreak: number;
     longestStreak: number;
     averageMood?: number;
     averageDifficulty?: number;
+    totalValue: number;
+    averageValue: number | null;
   };
   dailyData: DailyData[];
   weeklyData: WeeklyData[];
+  progress: TargetProgress | null;
   predictions: Predictions;
   insights: Insight[];
 }
 
 export interface DailyData {
   date: string;
+  due: boolean;
   completed: boolean;
+  skipped: boolean;
   value?: number;
   mood?: number;
   difficulty?: number;
@@ -82,13 +130,43 @@ export interface WeeklyData {
   endDate: string;
   completedDays: number;
   totalDays: number;
+  dueOccurrences: number;
+  completedOccurrences: number;
   completionRate: number;
 }
 
+export interface PeriodProgress {
+  value: number | null;
+  target: number;
+  percentage: number | null;
+  met: boolean;
+}
+
+export interface TargetProgress {
+  target: HabitTarget & { period: StreakUnit };
+  current: PeriodProgress & { startDate: string };
+  periodsMet: number;
+  periodsTotal: number;
+  averagePerPeriod: number | null;
+  periodData: Array<{
+    startDate: string;
+    endDate: string;
+    value: number | null;
+    percentage: number | null;
+    met: boolean;
+    pending: boolean;
+  }>;
+}
+
+// Streaks count due occurrences: days, weeks or months by habit frequency
+export type StreakUnit = 'day' | 'week' | 'month';
+
 export interface Predictions {
   streakTarget: {
     target: number;
     current: number;
+    unit: StreakUnit;
+    remaining: number;
     daysRemaining: number;
     estimatedDate?: string;
   } | null;
@@ -108,6 +186,8 @@ export interface Insight {
 export interface OverviewAnalytics {
   totalHabits: number;
   completionRate: number;
+  dueOccurrences: number;
+  completedOccurrences: number;
   totalStreaks: number;
   averageStreak: number;
   categoriesBreakdown: Record<string, number>;
@@ -127,6 +207,7 @@ export interface OverviewAnalytics {
 
 export interface WeeklyTrend {
   date: string;
+  dueHabits: number;
   completedHabits: number;
   completionRate: number;
 }
@@ -147,6 +228,7 @@ export interface HabitDay {
   color: string;
   category: string;
   completed: boolean;
+  skipped?: boolean;
 }
 
 export interface TrendData {
@@ -155,6 +237,8 @@ export interface TrendData {
   endDate: string;
   totalEntries: number;
   completedEntries: number;
+  dueOccurrences: number;
+  completedOccurrences: number;
   completionRate: number;
   categoryBreakdown: Record<string, { total: number; completed: number }>;
 }
@@ -177,6 +261,19 @@ export interface AuthResponse {
   user: User;
 }
 
+// A device signed in to the account
+export interface AuthSession {
+  id: string;
+  device: string;
+  userAgent?: string;
+  ip?: string;
+  createdAt: string;
+  lastSeenAt: string;
+  current: boolean;
+}
+
+export type HabitStatus = 'active' | 'archived' | 'all';
+
 export interface HabitsResponse {
   habits: Habit[];
   total: number;
@@ -252,11 +349,15 @@ export interface HabitForm {
   color: string;
   targetDays: string[];
   reminderTime: string;
+  reminderMuted: boolean;
+  sharing: HabitSharing;
   streakTarget: number;
+  target: HabitTarget;
 }
 
 export interface TrackingForm {
   completed: boolean;
+  skipped: boolean;
   notes: string;
   value: number | '';
   mood: number | '';
@@ -266,9 +367,12 @@ export interface TrackingForm {
 // Component prop types
 export interface HabitCardProps {
   habit: Habit;
+  todayEntry?: TrackingEntry;
   onEdit: (habit: Habit) => void;
   onDelete: (habitId: string) => void;
   onTrack: (habitId: string, completed: boolean) => void;
+  onCheckIn?: (habitId: string, amount: number) => void; // Quantitative habits
+  draggable?: boolean;
 }
 
 export interface ProgressRingProps {
@@ -288,11 +392,196 @@ export interface ChartProps {
 export interface SocketEvents {
   'habit-created': (habit: Habit) => void;
   'habit-updated': (habit: Habit) => void;
-  'habit-deleted': (data: { habitId: string }) => void;
+  'habit-deleted': (data: { habitId: string; permanent?: boolean }) => void; // Archived unless permanent
+  'habit-restored': (habit: Habit) => void;
   'habits-reordered': (habits: Habit[]) => void;
   'tracking-created': (entry: TrackingEntry) => void;
   'tracking-updated': (entry: TrackingEntry) => void;
   'tracking-deleted': (data: { entryId: string }) => void;
+  'checkin-created': (checkIn: CheckIn) => void;
+  'data-imported': (data: { habits: ImportCounts; entries: ImportCounts }) => void;
+  'session-expired': (data: { code: string }) => void;
+  'habit-reminder': (reminder: ReminderPayload) => void;
+  'pause-created': (pause: Pause) => void;
+  'pause-updated': (pause: Pause) => void;
+  'pause-deleted': (data: { pauseId: string }) => void;
+  'achievement-unlocked': (achievement: UnlockedAchievement) => void;
+  'partner-request': (data: { partnershipId: string; from: { id: string; name: string } }) => void;
+  'partner-updated': (data: { partnershipId: string; status: PartnershipStatus }) => void;
+  'partner-nudge': (nudge: PartnerNudge) => void;
+  'challenge-leaderboard': (data: { challengeId: string; leaderboard: LeaderboardEntry[] }) => void;
+  'challenge-left': (data: { challengeId: string }) => void;
+  'challenge-deleted': (data: { challengeId: string }) => void;
+}
+
+// Accountability partner types
+export type PartnershipStatus = 'pending' | 'accepted' | 'declined' | 'revoked';
+
+// A partnership as seen by the current user
+export interface Partnership {
+  id: string;
+  status: PartnershipStatus;
+  direction: 'incoming' | 'outgoing'; // Who sent the invitation
+  // Only the invited email while an outgoing invitation is pending
+  partner: { id: string | null; name: string | null; email: string };
+  createdAt: string;
+  respondedAt: string | null;
+}
+
+export interface PartnerHabit {
+  id: string;
+  name: string;
+  color: string;
+  category: Habit['category'];
+  frequency: Habit['frequency'];
+  sharing: HabitSharing;
+  currentStreak: number;
+  streakUnit: StreakUnit;
+}
+
+// A partner's check-in; value and notes only on habits shared with notes
+export interface PartnerFeedItem {
+  id: string;
+  partner: { id: string; name: string };
+  habit: { id: string; name: string; color: string };
+  date: string;
+  completed: boolean;
+  value: number | null;
+  unit: string | null;
+  notes: string | null;
+  updatedAt: string;
+}
+
+export interface PartnerNudge {
+  partnershipId: string;
+  from: { id: string; name: string };
+  habit: { id: string; name: string; color: string } | null;
+  message: string | null;
+  sentAt: string;
+}
+
+// Achievement types
+export type AchievementType = 'streak' | 'perfect-week' | 'completions' | 'checkins' | 'category';
+
+export interface AchievementDefinition {
+  key: string;
+  type: AchievementType;
+  threshold: number;
+  category?: Habit['category'];
+  title: string;
+  description: string;
+  icon: string;
+}
+
+// Catalog entry with the user's award, if earned
+export interface Achievement extends AchievementDefinition {
+  unlocked: boolean;
+  unlockedAt: string | null;
+  habit: Pick<Habit, '_id' | 'name' | 'color'> | null; // Habit that earned a streak badge
+}
+
+export interface UnlockedAchievement extends AchievementDefinition {
+  habitId: string | null;
+  unlockedAt: string;
+}
+
+// Time off: unmet days during a pause don't break streaks or lower rates
+export type PauseReason = 'vacation' | 'sick' | 'pause' | 'other';
+
+export interface Pause {
+  _id: string;
+  userId: string;
+  habitId: Pick<Habit, '_id' | 'name' | 'color'> | null; // null for all habits
+  startDate: string;
+  endDate: string | null; // Last paused day; null until ended
+  reason: PauseReason;
+  note?: string;
+  createdAt: string;
+}
+
+export interface PauseForm {
+  habitId: string | null;
+  startDate: string;
+  endDate: string | null;
+  reason: PauseReason;
+  note: string;
+}
+
+// Reminder types
+export interface ReminderChannels {
+  inApp: boolean;
+  email: boolean;
+  push: boolean;
+}
+
+export interface ReminderPayload {
+  reminderId: string;
+  habitId: string;
+  habitName: string;
+  color: string;
+  quantitative: boolean;
+  type: 'scheduled' | 'snooze';
+  scheduledFor: string;
+  message: string;
+  url: string;
+}
+
+export type ReminderStatus = 'pending' | 'sent' | 'failed' | 'skipped';
+
+export interface ReminderHistoryItem {
+  _id: string;
+  habitId: Pick<Habit, '_id' | 'name' | 'color'> | null; // null once the habit is deleted
+  date: string;
+  scheduledFor: string;
+  type: 'scheduled' | 'snooze';
+  status: ReminderStatus;
+  reason?: string;
+  deliveries: { channel: string; status: 'sent' | 'failed' | 'skipped'; error?: string }[];
+  createdAt: string;
+}
+
+// Export types
+export type ExportFormat = 'json' | 'csv' | 'ics';
+
+// Report types
+export type ReportPeriod = 'month' | 'quarter';
+export type ReportFormat = 'pdf' | 'html';
+
+// Import types
+export type ImportFormat = 'json' | 'csv' | 'loop';
+
+export interface ImportColumnMapping {
+  date?: string;
+  habit?: string;
+  completed?: string;
+  value?: string;
+  notes?: string;
+}
+
+export interface ImportRequest {
+  format: ImportFormat;
+  data: string;
+  habits?: string; // Loop's Habits.csv
+  mapping?: ImportColumnMapping;
+  dryRun?: boolean;
+}
+
+export interface ImportCounts {
+  created: number;
+  merged: number;
+  skipped: number;
+}
+
+export interface ImportResult {
+  message: string;
+  format: ImportFormat;
+  dryRun: boolean;
+  habits: ImportCounts;
+  entries: ImportCounts;
+  checkIns: { created: number };
+  pauses: { created: number; skipped: number };
+  errorCount: number;
+  errors: { row: number | null; message: string }[];
 }
 
 // Theme types
@@ -347,4 +636,153 @@ export interface ApiError {
   message: string;
   code?: string;
   status?: number;
-}
\ No newline at end of file
+}
+// Group challenge types
+export type ChallengeStatus = 'upcoming' | 'active' | 'ended';
+
+export interface ChallengeTemplate {
+  name: string;
+  description?: string;
+  frequency: Habit['frequency'];
+  category: Habit['category'];
+  color: string;
+  targetDays: string[];
+  target: HabitTarget;
+}
+
+export interface Challenge {
+  id: string;
+  name: string;
+  description?: string;
+  startDate: string; // YYYY-MM-DD
+  endDate: string;
+  status: ChallengeStatus;
+  joinCode: string;
+  template: ChallengeTemplate;
+  isOwner: boolean;
+  participantCount: number;
+  habitId: string | null; // The current user's copy of the template
+}
+
+export interface ChallengeForm {
+  name: string;
+  description: string;
+  startDate: string;
+  endDate: string;
+  template: Omit<ChallengeTemplate, 'targetDays'>;
+}
+
+export interface LeaderboardEntry {
+  rank: number;
+  user: { id: string; name: string };
+  habitId: string;
+  due: number;
+  completed: number;
+  completionRate: number; // Percentage
+  currentStreak: number;
+  longestStreak: number;
+}
+
+// Public progress page types
+export interface ShareLink {
+  id: string;
+  slug: string;
+  title: string;
+  habits: { _id: string; name: string; color: string }[];
+  expiresAt: string | null;
+  expired: boolean;
+  viewCount: number;
+  lastViewedAt: string | null;
+  createdAt: string;
+}
+
+export interface ShareLinkForm {
+  title: string;
+  habitIds: string[];
+  expiresAt: string | null; // ISO timestamp
+}
+
+export interface PublicHabitStats {
+  id: string;
+  name: string;
+  color: string;
+  category: Habit['category'];
+  frequency: Habit['frequency'];
+  currentStreak: number;
+  longestStreak: number;
+  streakUnit: StreakUnit;
+  completionRate: number;
+  completed: number;
+  due: number;
+}
+
+export interface PublicProgress {
+  share: {
+    title: string;
+    ownerName: string;
+    expiresAt: string | null;
+    isOwner: boolean;
+  };
+  habits: PublicHabitStats[];
+  heatmapData: HeatmapData;
+  year: number;
+}
+
+// Embeddable badges
+export type BadgeWidget = 'streak' | 'heatmap' | 'ring';
+
+export interface BadgeOptions {
+  scope: 'habit' | 'user';
+  theme: 'light' | 'dark';
+  color?: string; // Hex; defaults to the habit's color
+}
+
+// Personal access tokens
+export interface AccessToken {
+  id: string;
+  name: string;
+  prefix: string; // Start of the token, e.g. "htp_Ab3x"
+  scopes: string[]; // "<resource>:read" or "<resource>:write"
+  expiresAt: string | null;
+  expired: boolean;
+  lastUsedAt: string | null;
+  createdAt: string;
+}
+
+export interface AccessTokenForm {
+  name: string;
+  scopes: string[];
+  expiresAt: string | null; // ISO timestamp
+}
+
+// Webhooks
+export interface Webhook {
+  id: string;
+  url: string;
+  description: string;
+  events: string[];
+  isActive: boolean;
+  createdAt: string;
+}
+
+export interface WebhookForm {
+  url: string;
+  description: string;
+  events: string[];
+}
+
+export interface WebhookDeliveryAttempt {
+  attemptedAt: string;
+  statusCode?: number;
+  error?: string;
+  durationMs: number;
+}
+
+export interface WebhookDelivery {
+  id: string;
+  event: string;
+  status: 'pending' | 'succeeded' | 'failed';
+  attempts: WebhookDeliveryAttempt[];
+  nextAttemptAt: string | null;
+  createdAt: string;
+}
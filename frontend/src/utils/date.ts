@@ -0,0 +1,37 @@
+// Tracking days are calendar days in the user's timezone, sent and stored
+// as YYYY-MM-DD (the backend keeps them as midnight UTC of that day).
+
+// Today's date key in a timezone (falls back to the browser's timezone)
+export const getTodayKey = (timezone?: string): string => {
+  try {
+    return new Date().toLocaleDateString('en-CA', { timeZone: timezone });
+  } catch {
+    return new Date().toLocaleDateString('en-CA');
+  }
+};
+
+// Date key of a stored tracking date
+export const toDateKey = (date: string): string => date.split('T')[0];
+
+// Date key a number of days before or after another
+export const addDaysToKey = (dateKey: string, days: number): string => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Lowercase weekday name of a date key, as used in habit target days
+export const getWeekdayName = (dateKey: string): string =>
+  WEEKDAYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+
+// First day of the week (Monday) or month containing a date key
+export const getPeriodStartKey = (frequency: 'daily' | 'weekly' | 'monthly', dateKey: string): string => {
+  if (frequency === 'monthly') return `${dateKey.slice(0, 8)}01`;
+  if (frequency === 'daily') return dateKey;
+
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().split('T')[0];
+};
@@ -0,0 +1,104 @@
+import { TrackingForm } from '../types';
+
+// Tracking changes made while offline, kept in IndexedDB until they can be
+// replayed against POST /api/tracking. One change is kept per habit and day;
+// toggling a habit twice offline only sends the latest state.
+
+const DB_NAME = 'habit-tracker';
+const DB_VERSION = 1;
+const STORE = 'tracking-queue';
+
+// Background Sync tag the service worker wakes the app with
+export const SYNC_TAG = 'tracking-queue';
+
+// Window events for the offline indicator and pages showing tracking data
+export const OFFLINE_EVENTS = {
+  queueChanged: 'offline:queue-changed',
+  synced: 'offline:synced',
+};
+
+export interface QueuedTracking {
+  key: string; // habitId:date
+  habitId: string;
+  date: string; // YYYY-MM-DD
+  data: Partial<TrackingForm>;
+  queuedAt: string; // When the change was made, sent as clientUpdatedAt
+}
+
+const openDb = (): Promise<IDBDatabase> =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Run one request against the queue store
+const withStore = async <T>(
+  mode: IDBTransactionMode,
+  run: (store: IDBObjectStore) => IDBRequest<T>
+): Promise<T> => {
+  const db = await openDb();
+  try {
+    return await new Promise<T>((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = run(transaction.objectStore(STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+const notifyChanged = () => {
+  window.dispatchEvent(new CustomEvent(OFFLINE_EVENTS.queueChanged));
+};
+
+export const getQueuedTracking = async (): Promise<QueuedTracking[]> => {
+  const items = await withStore<QueuedTracking[]>('readonly', store => store.getAll());
+  return items.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+};
+
+export const countQueuedTracking = (): Promise<number> =>
+  withStore<number>('readonly', store => store.count());
+
+export const queueTracking = async (
+  habitId: string,
+  date: string,
+  data: Partial<TrackingForm>
+): Promise<QueuedTracking> => {
+  const key = `${habitId}:${date}`;
+  const existing = await withStore<QueuedTracking | undefined>('readonly', store => store.get(key));
+  const item: QueuedTracking = {
+    key,
+    habitId,
+    date,
+    data: { ...existing?.data, ...data },
+    queuedAt: new Date().toISOString(),
+  };
+
+  await withStore('readwrite', store => store.put(item));
+  notifyChanged();
+
+  // Ask the service worker to wake the app once the connection is back
+  navigator.serviceWorker?.ready
+    .then(registration => (registration as any).sync?.register(SYNC_TAG))
+    .catch(() => {
+      // No Background Sync; the app replays on the online event instead
+    });
+
+  return item;
+};
+
+export const removeQueuedTracking = async (key: string): Promise<void> => {
+  await withStore('readwrite', store => store.delete(key));
+  notifyChanged();
+};
+
+export const clearQueuedTracking = async (): Promise<void> => {
+  await withStore('readwrite', store => store.clear());
+  notifyChanged();
+};
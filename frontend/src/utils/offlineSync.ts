@@ -0,0 +1,53 @@
+import { api } from '../api/client';
+import { TrackingEntry } from '../types';
+import { getQueuedTracking, OFFLINE_EVENTS, removeQueuedTracking } from './offlineQueue';
+
+export interface SyncResult {
+  synced: number;
+  conflicts: number; // Changed on the server after the offline change; server kept
+  dropped: number; // Rejected, e.g. the habit was deleted meanwhile
+}
+
+let flushRequest: Promise<SyncResult> | null = null;
+
+const replayQueue = async (): Promise<SyncResult> => {
+  const result: SyncResult = { synced: 0, conflicts: 0, dropped: 0 };
+
+  for (const item of await getQueuedTracking()) {
+    try {
+      await api.post<{ entry: TrackingEntry }>('/tracking', {
+        habitId: item.habitId,
+        date: item.date,
+        ...item.data,
+        clientUpdatedAt: item.queuedAt,
+      });
+      result.synced++;
+    } catch (error: any) {
+      // Still offline, signed out or a server error: try again later
+      if (!error.status || error.status === 401 || error.status >= 500) break;
+
+      if (error.code === 'STALE_UPDATE') {
+        result.conflicts++;
+      } else {
+        result.dropped++;
+      }
+    }
+    await removeQueuedTracking(item.key);
+  }
+
+  if (result.synced + result.conflicts + result.dropped > 0) {
+    window.dispatchEvent(new CustomEvent(OFFLINE_EVENTS.synced, { detail: result }));
+  }
+  return result;
+};
+
+// Replay queued tracking changes in the order they were made. Concurrent
+// calls (online event, service worker message, app start) share one replay.
+export const flushTrackingQueue = (): Promise<SyncResult> => {
+  if (!flushRequest) {
+    flushRequest = replayQueue().finally(() => {
+      flushRequest = null;
+    });
+  }
+  return flushRequest;
+};
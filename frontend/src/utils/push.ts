@@ -0,0 +1,57 @@
+import { remindersAPI } from '../api/reminders';
+import { isServiceWorkerSupported, SERVICE_WORKER_URL } from './serviceWorker';
+
+// Web Push for habit reminders. The service worker in public/ shows the
+// notifications; the backend needs VAPID keys for any of this to work.
+
+export const isPushSupported = (): boolean =>
+  isServiceWorkerSupported() && 'PushManager' in window && 'Notification' in window;
+
+// VAPID keys are URL-safe base64; the Push API wants raw bytes
+const urlBase64ToUint8Array = (base64: string): Uint8Array => {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(padded);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+};
+
+const getRegistration = async (): Promise<ServiceWorkerRegistration> => {
+  await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  return navigator.serviceWorker.ready;
+};
+
+// This browser's current subscription, if any
+export const getPushSubscription = async (): Promise<PushSubscription | null> => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+// Ask for permission, subscribe and register the subscription with the API
+export const enablePush = async (): Promise<void> => {
+  if (!isPushSupported()) {
+    throw new Error('This browser does not support push notifications');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked for this site');
+  }
+
+  const { publicKey } = await remindersAPI.getPushPublicKey();
+  const registration = await getRegistration();
+  const subscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey),
+    });
+
+  await remindersAPI.subscribePush(subscription.toJSON());
+};
+
+export const disablePush = async (): Promise<void> => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  await remindersAPI.unsubscribePush(subscription.endpoint);
+  await subscription.unsubscribe();
+};
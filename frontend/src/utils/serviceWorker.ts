@@ -0,0 +1,21 @@
+// Registration of public/service-worker.js, which makes the app installable
+// and usable offline and shows reminder push notifications
+
+export const SERVICE_WORKER_URL = '/service-worker.js';
+
+export const isServiceWorkerSupported = (): boolean => 'serviceWorker' in navigator;
+
+export const registerServiceWorker = (): void => {
+  if (!isServiceWorkerSupported()) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+};
+
+// Drop cached API responses, e.g. on sign-out
+export const clearCachedApiData = (): void => {
+  navigator.serviceWorker?.controller?.postMessage({ type: 'clear-api-cache' });
+};